@@ -0,0 +1,151 @@
+/**
+ * Evaluation Metrics
+ *
+ * Set-based precision/recall over normalized values, micro-averaged across the corpus,
+ * score dispersion, the formatting perturbations used to measure score stability, and
+ * threshold checks.
+ */
+
+// Formatting changes that must not change the analysis of a CV
+const PERTURBATIONS = {
+  crlf: text => text.replace(/\n/g, '\r\n'),
+  bullets: text => text.replace(/^- /gm, '• '),
+  whitespace: text => text.split('\n').map(line => (line ? `${line.replace(/ \| /g, '  |  ')}   ` : line)).join('\n'),
+  uppercaseHeadings: text => {
+    const lines = text.split('\n');
+    return lines
+      .map((line, index) => (index > 0 && !lines[index - 1].trim() && /^[\p{L} ]{3,40}$/u.test(line) ? line.toUpperCase() : line))
+      .join('\n');
+  }
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Normalize a value for comparison (case, accents kept, punctuation and spacing dropped)
+ * @param {*} value - Value
+ * @returns {string} - Normalized value
+ */
+function normalize(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}+#/]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Count the agreement between predicted and expected values
+ * @param {Array} predicted - Predicted values
+ * @param {Array} expected - Expected values
+ * @returns {Object} - { truePositives, predicted, expected, missed, unexpected }
+ */
+function compareSets(predicted, expected) {
+  const predictedSet = new Set(predicted.map(normalize));
+  const expectedSet = new Set(expected.map(normalize));
+  const truePositives = [...predictedSet].filter(value => expectedSet.has(value));
+
+  return {
+    truePositives: truePositives.length,
+    predicted: predictedSet.size,
+    expected: expectedSet.size,
+    missed: [...expectedSet].filter(value => !predictedSet.has(value)),
+    unexpected: [...predictedSet].filter(value => !expectedSet.has(value))
+  };
+}
+
+/**
+ * Micro-average precision and recall over comparisons
+ * @param {Object[]} comparisons - Results from compareSets
+ * @returns {Object} - { precision, recall, f1 } (1 when nothing was predicted or expected)
+ */
+function precisionRecall(comparisons) {
+  const totals = comparisons.reduce((sum, comparison) => ({
+    truePositives: sum.truePositives + comparison.truePositives,
+    predicted: sum.predicted + comparison.predicted,
+    expected: sum.expected + comparison.expected
+  }), { truePositives: 0, predicted: 0, expected: 0 });
+
+  const precision = totals.predicted ? totals.truePositives / totals.predicted : 1;
+  const recall = totals.expected ? totals.truePositives / totals.expected : 1;
+  return {
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(precision + recall ? (2 * precision * recall) / (precision + recall) : 0)
+  };
+}
+
+/**
+ * Flatten a parsed or expected résumé into comparable facts per field
+ * @param {Object} parse - { basics, work, education, skills, certifications, languages }
+ * @returns {Object} - Field -> list of facts
+ */
+function toFacts(parse) {
+  const basics = parse.basics || {};
+  const certificationName = certification => (typeof certification === 'string' ? certification : certification.name);
+  const languageName = language => (typeof language === 'string' ? language : language.language);
+
+  return {
+    basics: ['name', 'email', 'phone'].filter(key => basics[key]).map(key => `${key}:${key === 'phone' ? basics[key].replace(/\D/g, '') : basics[key]}`),
+    work: (parse.work || []).map(entry => [entry.position, entry.company, entry.startDate, entry.endDate].join('|')),
+    education: (parse.education || []).map(entry => [entry.institution, entry.degree, entry.endDate].join('|')),
+    skills: parse.skills || [],
+    certifications: (parse.certifications || []).map(certificationName),
+    languages: (parse.languages || []).map(languageName)
+  };
+}
+
+/**
+ * Mean of some numbers
+ * @param {number[]} values - Numbers
+ * @returns {number}
+ */
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Population standard deviation of some numbers
+ * @param {number[]} values - Numbers
+ * @returns {number}
+ */
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+/**
+ * Compare metrics with their thresholds.
+ * Thresholds named `max...` are upper bounds; all others are lower bounds.
+ * @param {Object} metrics - Metric groups, e.g. { matching: { precision, recall } }
+ * @param {Object} thresholds - Same shape as the metrics
+ * @returns {Object[]} - Failed checks { metric, value, threshold, bound ('min' | 'max') }
+ */
+function checkThresholds(metrics, thresholds) {
+  const failures = [];
+
+  for (const [group, limits] of Object.entries(thresholds)) {
+    for (const [name, threshold] of Object.entries(limits)) {
+      const value = metrics[group]?.[name];
+      const bound = name.startsWith('max') ? 'max' : 'min';
+      const failed = value === undefined || (bound === 'max' ? value > threshold : value < threshold);
+      if (failed) {
+        failures.push({ metric: `${group}.${name}`, value: value ?? null, threshold, bound });
+      }
+    }
+  }
+
+  return failures;
+}
+
+module.exports = {
+  PERTURBATIONS,
+  normalize,
+  compareSets,
+  precisionRecall,
+  toFacts,
+  mean,
+  standardDeviation,
+  round,
+  checkThresholds
+};
@@ -0,0 +1,303 @@
+/**
+ * Offline Evaluation Harness
+ *
+ * Runs the analysis pipeline over a corpus of anonymized golden CVs (eval/corpus) and reports:
+ *   - extraction precision/recall: the parsed résumé (name and contact details, roles, studies,
+ *     skills, certifications, languages) against each CV's expected parse
+ *   - matching precision/recall: the career path requirements computeCareerPathAlignment finds
+ *     in the CV and profile, against the expected matches
+ *   - language detection accuracy
+ *   - schema validity: the share of analysis responses that validate on the first attempt, and
+ *     of analyses that validate at all (after repair prompts)
+ *   - score stability: the standard deviation of the scores the model gives each CV (overall and
+ *     marketability, before the rubric replaces them) over repeated runs and formatting
+ *     perturbations (line endings, bullets, spacing, heading case)
+ *
+ * The analysis model is the stub provider replaying eval/recordings.json (recorded responses,
+ * malformed ones included), so results are reproducible offline; the recordings then stand in for
+ * repeated samples of the model, so offline score stability only checks them. With --live, the LLM_*
+ * environment selects the provider as in production, to evaluate a prompt change for real
+ * (PROMPT_VERSIONS pins the prompt version to evaluate, e.g. PROMPT_VERSIONS=analysis=1.1.0).
+ *
+ * A case may list known misses (`expected.knownMisses`: { field, value, reason }), parse errors
+ * that are understood but not fixed; they still count in the metrics and are reported as known.
+ *
+ * Exits with status 1 when a metric crosses its threshold (eval/thresholds.json).
+ *
+ * Usage: node eval/run.js [--live] [--runs N] [--case ID] [--json] [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const options = {
+  live: args.includes('--live'),
+  json: args.includes('--json'),
+  verbose: args.includes('--verbose'),
+  runs: Math.max(1, Number(args[args.indexOf('--runs') + 1]) || 3),
+  caseId: args.includes('--case') ? args[args.indexOf('--case') + 1] : null
+};
+
+if (!options.live) {
+  process.env.LLM_ANALYSIS_PROVIDER = 'stub';
+  process.env.STUB_FIXTURES_PATH = path.join(__dirname, 'recordings.json');
+}
+
+const { normalizeExtractedText } = require('../src/extraction');
+const { parseCV } = require('../src/parser');
+const { computeCareerPathAlignment } = require('../src/matching');
+const { scoreCV } = require('../src/rubric');
+const { buildTimeline } = require('../src/timeline');
+const { detectLanguage, resolveLocale } = require('../src/language');
+const { rehydrate } = require('../src/pii');
+const { runWithAttemptLog, getAttempts } = require('../src/resilience');
+const { parseModelJSON } = require('../src/schema');
+const { getProvider } = require('../src/providers');
+const { config, redactForPrompt, analyzeCVContent } = require('../src/main');
+const {
+  PERTURBATIONS,
+  normalize,
+  compareSets,
+  precisionRecall,
+  toFacts,
+  mean,
+  standardDeviation,
+  round,
+  checkThresholds
+} = require('./metrics');
+
+const CORPUS_DIR = path.join(__dirname, 'corpus');
+const THRESHOLDS_PATH = path.join(__dirname, 'thresholds.json');
+
+const EXTRACTION_FIELDS = ['basics', 'work', 'education', 'skills', 'certifications', 'languages'];
+
+const STABILITY_SCORES = ['overall', 'marketability'];
+
+// Responses of the analysis model for the current analysis, to read the model's own scores
+const analysisResponses = [];
+const analysisProvider = getProvider('analysis', config.models);
+const generateJSON = analysisProvider.generateJSON;
+analysisProvider.generateJSON = async (...args) => {
+  const result = await generateJSON.apply(analysisProvider, args);
+  analysisResponses.push(result.text);
+  return result;
+};
+
+/**
+ * Load the golden cases
+ * @param {string|null} caseId - Only load this case
+ * @returns {Object[]} - Cases { id, description, talent, cv (lines), expected }
+ */
+function loadCorpus(caseId) {
+  return fs.readdirSync(CORPUS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, file), 'utf8')))
+    .filter(testCase => !caseId || testCase.id === caseId);
+}
+
+/**
+ * Analyze a CV the way the `analyze` action does, from extracted text to the final analysis
+ * @param {string} text - CV text
+ * @param {Object} talent - Talent profile
+ * @param {Object} careerPath - Career path
+ * @returns {Promise<Object>} - { valid, responses (model responses used), modelScores: { overall, marketability } (null when invalid) }
+ */
+async function analyze(text, talent, careerPath) {
+  analysisResponses.length = 0;
+  return runWithAttemptLog(async () => {
+    const cvText = normalizeExtractedText(text);
+    const parsedCV = parseCV(cvText);
+    const locale = resolveLocale({ preferred: talent.preferredLocale, detected: detectLanguage(cvText).language });
+    const alignment = computeCareerPathAlignment({ talent, careerPath, parsedCV, cvText });
+    const scoreBreakdown = scoreCV({ talent, careerPath, parsedCV, cvText, alignment });
+    const redacted = redactForPrompt(parsedCV, talent);
+
+    let analysis = null;
+    try {
+      analysis = rehydrate(redacted.redaction, await analyzeCVContent(redacted.promptCV, redacted.promptTalent, careerPath, {
+        alignment,
+        scoreBreakdown,
+        timeline: buildTimeline({ parsedCV: redacted.promptCV, talent, careerPath }),
+        locale
+      }));
+    } catch (analysisError) {
+      // The function falls back to the rubric's scores
+    }
+
+    const responses = getAttempts().filter(attempt => attempt.step === 'analysis' && attempt.outcome === 'success').length;
+    // The last response is the one that validated; the rubric has since replaced its scores
+    const modelResponse = analysis ? parseModelJSON(analysisResponses[analysisResponses.length - 1]) : null;
+    return {
+      valid: analysis !== null,
+      responses,
+      modelScores: modelResponse ? {
+        overall: Number(modelResponse.overallScore),
+        marketability: Number(modelResponse.marketability.score)
+      } : null
+    };
+  });
+}
+
+/**
+ * Evaluate one golden case
+ * @param {Object} testCase - Golden case
+ * @param {number} runs - Analyses per formatting variant
+ * @returns {Promise<Object>} - Per-field extraction comparisons, matching comparisons, language, analysis runs
+ */
+async function evaluateCase(testCase, runs) {
+  const text = testCase.cv.join('\n');
+  const cvText = normalizeExtractedText(text);
+  const parsedCV = parseCV(cvText);
+
+  const predictedFacts = toFacts(parsedCV);
+  const expectedFacts = toFacts(testCase.expected.parse);
+  const extraction = Object.fromEntries(EXTRACTION_FIELDS.map(field => [field, compareSets(predictedFacts[field], expectedFacts[field])]));
+
+  const matching = testCase.expected.matches.map(match => {
+    const alignment = computeCareerPathAlignment({ talent: testCase.talent, careerPath: match.careerPath, parsedCV, cvText });
+    return {
+      careerPath: match.careerPath.title,
+      ...compareSets(
+        [...alignment.matchingSkills, ...alignment.matchingCertifications],
+        [...match.matchingSkills, ...match.matchingCertifications]
+      )
+    };
+  });
+
+  // The analysis targets the first career path
+  const careerPath = testCase.expected.matches[0].careerPath;
+  const variants = [['original', text], ...Object.entries(PERTURBATIONS).map(([name, perturb]) => [name, perturb(text)])];
+  const analyses = [];
+  for (const [variant, variantText] of variants) {
+    for (let run = 0; run < runs; run++) {
+      analyses.push({ variant, ...await analyze(variantText, testCase.talent, careerPath) });
+    }
+  }
+
+  const scored = analyses.filter(analysis => analysis.modelScores);
+  const dispersion = Object.fromEntries(STABILITY_SCORES
+    .map(score => [score, round(standardDeviation(scored.map(analysis => analysis.modelScores[score])))]));
+
+  return {
+    id: testCase.id,
+    extraction,
+    knownMisses: testCase.expected.knownMisses || [],
+    matching,
+    language: { expected: testCase.expected.language, detected: detectLanguage(cvText).language },
+    analyses,
+    stability: { ...dispersion, maxStdDev: Math.max(...Object.values(dispersion)) }
+  };
+}
+
+/**
+ * Aggregate case results into corpus metrics
+ * @param {Object[]} results - Results from evaluateCase
+ * @returns {Object} - Metric groups
+ */
+function summarize(results) {
+  const analyses = results.flatMap(result => result.analyses);
+
+  return {
+    extraction: {
+      ...precisionRecall(results.flatMap(result => Object.values(result.extraction))),
+      fields: Object.fromEntries(EXTRACTION_FIELDS.map(field => [field, precisionRecall(results.map(result => result.extraction[field]))]))
+    },
+    matching: precisionRecall(results.flatMap(result => result.matching)),
+    language: {
+      accuracy: round(mean(results.map(result => (result.language.detected === result.language.expected ? 1 : 0))))
+    },
+    schemaValidity: {
+      firstAttempt: round(analyses.filter(analysis => analysis.valid && analysis.responses === 1).length / analyses.length),
+      afterRepair: round(analyses.filter(analysis => analysis.valid).length / analyses.length),
+      analyses: analyses.length
+    },
+    scoreStability: {
+      maxStdDev: Math.max(...results.map(result => result.stability.maxStdDev)),
+      meanStdDev: round(mean(results.map(result => result.stability.maxStdDev)))
+    }
+  };
+}
+
+/**
+ * Print a readable report
+ * @param {Object[]} results - Case results
+ * @param {Object} metrics - Corpus metrics
+ * @param {Object[]} failures - Failed threshold checks
+ */
+function printReport(results, metrics, failures) {
+  const pct = value => `${(value * 100).toFixed(1)}%`;
+  const lines = [
+    `Golden CVs: ${results.length} (${options.runs} run(s) x ${Object.keys(PERTURBATIONS).length + 1} formatting variants, ${options.live ? 'live model' : 'recorded responses'})`,
+    '',
+    `Extraction       precision ${pct(metrics.extraction.precision)}  recall ${pct(metrics.extraction.recall)}`,
+    ...EXTRACTION_FIELDS.map(field => `  ${field.padEnd(15)}precision ${pct(metrics.extraction.fields[field].precision)}  recall ${pct(metrics.extraction.fields[field].recall)}`),
+    `Matching         precision ${pct(metrics.matching.precision)}  recall ${pct(metrics.matching.recall)}`,
+    `Language         accuracy ${pct(metrics.language.accuracy)}`,
+    `Schema validity  first attempt ${pct(metrics.schemaValidity.firstAttempt)}  after repair ${pct(metrics.schemaValidity.afterRepair)} (${metrics.schemaValidity.analyses} analyses)`,
+    `Score stability  max std dev ${metrics.scoreStability.maxStdDev}  mean ${metrics.scoreStability.meanStdDev}`,
+    ''
+  ];
+
+  for (const result of results) {
+    const known = (field, value) => result.knownMisses.find(miss => miss.field === field && normalize(miss.value) === value);
+    const describe = (text, field, value) => (known(field, value) ? `${text} (known: ${known(field, value).reason})` : text);
+    const misses = [
+      ...Object.entries(result.extraction).flatMap(([field, comparison]) => [
+        ...comparison.missed.map(value => describe(`missed ${field} "${value}"`, field, value)),
+        ...comparison.unexpected.map(value => describe(`unexpected ${field} "${value}"`, field, value))
+      ]),
+      ...result.knownMisses
+        .filter(miss => ![...result.extraction[miss.field].missed, ...result.extraction[miss.field].unexpected].includes(normalize(miss.value)))
+        .map(miss => `known miss no longer occurs: ${miss.field} "${miss.value}"`),
+      ...result.matching.flatMap(comparison => [
+        ...comparison.missed.map(value => `missed match "${value}" (${comparison.careerPath})`),
+        ...comparison.unexpected.map(value => `unexpected match "${value}" (${comparison.careerPath})`)
+      ]),
+      ...(result.language.detected !== result.language.expected ? [`language ${result.language.detected} (expected ${result.language.expected})`] : [])
+    ];
+    lines.push(`${result.id}: score std dev ${result.stability.maxStdDev}${misses.length ? '' : ', no misses'}`);
+    misses.forEach(miss => lines.push(`  - ${miss}`));
+  }
+
+  lines.push('');
+  failures.forEach(failure => lines.push(`FAIL ${failure.metric} = ${failure.value} (${failure.bound} ${failure.threshold})`));
+  lines.push(failures.length ? `${failures.length} metric(s) crossed their thresholds` : 'All metrics within thresholds');
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  const corpus = loadCorpus(options.caseId);
+  if (corpus.length === 0) {
+    throw new Error(options.caseId ? `Unknown case: ${options.caseId}` : 'The corpus is empty');
+  }
+
+  // Validation failures are expected from the recordings; the report counts them
+  const consoleError = console.error;
+  if (!options.verbose) console.error = () => {};
+  const results = [];
+  try {
+    for (const testCase of corpus) {
+      results.push(await evaluateCase(testCase, options.runs));
+    }
+  } finally {
+    console.error = consoleError;
+  }
+
+  const metrics = summarize(results);
+  const failures = checkThresholds(metrics, JSON.parse(fs.readFileSync(THRESHOLDS_PATH, 'utf8')));
+
+  if (options.json) {
+    console.log(JSON.stringify({ metrics, failures, cases: results.map(({ analyses, ...result }) => result) }, null, 2));
+  } else {
+    printReport(results, metrics, failures);
+  }
+
+  process.exitCode = failures.length ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(`Evaluation failed: ${error.message}`);
+  process.exitCode = 1;
+});
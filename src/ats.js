@@ -0,0 +1,576 @@
+/**
+ * ATS Readability Audit
+ *
+ * Inspects the uploaded document itself (not just its content) for problems that
+ * stop applicant tracking systems from parsing it: multi-column layouts, text in
+ * images, text boxes or headers/footers, tables, missing standard section headings,
+ * non-standard fonts, unparseable dates, missing contact details and file-name issues.
+ *
+ * The audit is fully deterministic and does not depend on the model, so an
+ * `atsReport` is available even when the AI analysis falls back.
+ *
+ * Layout checks read the document structure directly: DOCX parts via the ZIP
+ * reader, PDF text positions via pdf.js. Checks that cannot run for a format
+ * are reported as 'skipped' and excluded from the score.
+ */
+
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { isZip, readZipEntries, readZipEntry } = require('./zip');
+const { EXTRACTORS, getFileExtension, detectFileType, wordXmlToText } = require('./extraction');
+const { splitSections } = require('./parser');
+
+const STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+  SKIPPED: 'skipped'
+};
+
+// Share of the score carried by each check (sums to 100)
+const CHECK_WEIGHTS = {
+  fileFormat: 5,
+  textLayer: 15,
+  columns: 15,
+  tables: 10,
+  headersFooters: 10,
+  sectionHeadings: 15,
+  fonts: 5,
+  dates: 10,
+  contactDetails: 10,
+  fileName: 5
+};
+
+// Fonts every common ATS and text extractor handles reliably
+const STANDARD_FONTS = [
+  'arial', 'helvetica', 'calibri', 'cambria', 'candara', 'garamond', 'georgia', 'timesnewroman', 'times',
+  'verdana', 'tahoma', 'trebuchetms', 'bookantiqua', 'palatino', 'palatinolinotype', 'centurygothic',
+  'gillsans', 'lato', 'opensans', 'roboto', 'sourcesanspro', 'segoeui', 'aptos', 'liberationsans',
+  'liberationserif', 'dejavusans', 'dejavuserif', 'notosans', 'notoserif', 'couriernew', 'courier',
+  'arialnarrow', 'franklingothic', 'didot', 'baskerville', 'symbol'
+];
+const ICON_FONTS = ['wingdings', 'webdings', 'fontawesome', 'materialicons', 'segoeuisymbol', 'zapfdingbats'];
+
+const REQUIRED_SECTIONS = {
+  work: 'Experience',
+  education: 'Education',
+  skills: 'Skills'
+};
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_PATTERN = /(?:\+?\d[\d\s().-]{7,}\d)/;
+
+// Date styles that ATS date parsers commonly misread
+const UNPARSEABLE_DATE_PATTERNS = [
+  /\b(?:spring|summer|autumn|fall|winter)\s+(?:of\s+)?(?:19|20)\d{2}\b/i,
+  /(?:^|\s)['’]\d{2}\b/,
+  /\bQ[1-4]\s*(?:19|20)\d{2}\b/i,
+  /\b(?:19|20)\d{2}\s*[-–—]\s*\d{2}(?!\d)/
+];
+
+const GENERIC_FILE_NAME_WORDS = /^(?:my|new|updated|latest|final|resume|résumé|cv|curriculum|vitae|document|doc|file|copy|draft|scan|untitled|v?\d+|\s|[-_.()])+$/i;
+const VERSION_MARKERS = /\b(?:final|copy|draft|v\d+|version\s*\d+|updated|new)\b|\(\d+\)/i;
+
+// Layout heuristics for PDFs, relative to the page width
+const COLUMN_MIN_START = 0.35;
+const COLUMN_MIN_WIDTH = 0.2;
+const COLUMN_GAP = 0.04;
+const COLUMN_ROW_RATIO = 0.3;
+const MIN_LAYOUT_ROWS = 5;
+const PAGE_MARGIN_RATIO = 0.06;
+
+/**
+ * Reduce a font name to a comparison key ("ABCDEF+Calibri-Bold" -> "calibri")
+ * @param {string} fontName - Font name as embedded in the document
+ * @returns {string} - Comparison key
+ */
+function normalizeFontName(fontName) {
+  return String(fontName)
+    .replace(/^[A-Z]{6}\+/, '')
+    .replace(/#20/g, '')
+    .replace(/[-,](?:bold|italic|oblique|regular|light|medium|semibold|black|it|bd|bi)\w*$/i, '')
+    .replace(/(?:PSMT|MT|PS)$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Classify the fonts used in a document
+ * @param {string[]} fontNames - Font names
+ * @returns {Object} - { fonts, nonStandard, icon }
+ */
+function classifyFonts(fontNames) {
+  const byKey = new Map();
+  for (const name of fontNames) {
+    const key = normalizeFontName(name);
+    if (key && !byKey.has(key)) byKey.set(key, String(name).replace(/^[A-Z]{6}\+/, ''));
+  }
+  const fonts = [...byKey.values()];
+  const isOneOf = (name, list) => list.some(font => normalizeFontName(name).startsWith(font));
+
+  return {
+    fonts,
+    icon: fonts.filter(name => isOneOf(name, ICON_FONTS)),
+    nonStandard: fonts.filter(name => !isOneOf(name, STANDARD_FONTS) && !isOneOf(name, ICON_FONTS))
+  };
+}
+
+/**
+ * Inspect the structure of a DOCX document
+ * @param {Buffer} fileBuffer - DOCX file buffer
+ * @returns {Object} - Layout findings
+ */
+function inspectDocx(fileBuffer) {
+  if (!isZip(fileBuffer)) {
+    throw new Error('File is not a valid DOCX archive');
+  }
+
+  const entries = readZipEntries(fileBuffer);
+  const readPart = name => {
+    const part = readZipEntry(fileBuffer, name, entries);
+    return part ? part.toString('utf8') : '';
+  };
+
+  const documentXml = readPart('word/document.xml');
+  const bodyText = wordXmlToText(documentXml);
+  const tables = documentXml.match(/<w:tbl>[\s\S]*?<\/w:tbl>/g) || [];
+  const tableText = tables.map(table => wordXmlToText(table)).join('\n');
+  const columnCounts = [...documentXml.matchAll(/<w:cols\b[^>]*w:num="(\d+)"/g)].map(match => Number(match[1]));
+
+  const headerFooterText = [...entries.keys()]
+    .filter(name => /^word\/(?:header|footer)\d*\.xml$/.test(name))
+    .map(name => wordXmlToText(readPart(name)))
+    .join('\n')
+    .trim();
+
+  const fontNames = [
+    ...[...documentXml.matchAll(/<w:rFonts\b[^>]*w:(?:ascii|hAnsi)="([^"]+)"/g)].map(match => match[1]),
+    ...[...readPart('word/styles.xml').matchAll(/<w:rFonts\b[^>]*w:(?:ascii|hAnsi)="([^"]+)"/g)].map(match => match[1]),
+    ...[...readPart('word/theme/theme1.xml').matchAll(/<a:(?:major|minor)Font>\s*<a:latin typeface="([^"]+)"/g)].map(match => match[1])
+  ];
+
+  return {
+    columns: Math.max(1, ...columnCounts),
+    columnRowRatio: null,
+    tableCount: tables.length,
+    tableTextRatio: bodyText.length ? tableText.length / bodyText.length : 0,
+    textBoxCount: (documentXml.match(/<w:txbxContent>/g) || []).length,
+    imageCount: (documentXml.match(/<pic:pic\b|<v:imagedata\b/g) || []).length,
+    headerFooterText,
+    fonts: classifyFonts(fontNames)
+  };
+}
+
+/**
+ * Group a page's text items into rows of horizontally separated segments
+ * @param {Object[]} items - pdf.js text items
+ * @param {number} pageWidth - Page width
+ * @returns {Object[][]} - Rows of { x, width, text } segments, left to right
+ */
+function groupSegmentsByRow(items, pageWidth) {
+  const rows = new Map();
+
+  for (const item of items) {
+    if (!item.str || !item.str.trim()) continue;
+    const y = Math.round(item.transform[5]);
+    if (!rows.has(y)) rows.set(y, []);
+    rows.get(y).push({ x: item.transform[4], width: item.width, text: item.str });
+  }
+
+  return [...rows.values()].map(row => {
+    row.sort((a, b) => a.x - b.x);
+    // Merge items closer than the column gap into one segment
+    const segments = [];
+    for (const item of row) {
+      const last = segments[segments.length - 1];
+      if (last && item.x - (last.x + last.width) < pageWidth * COLUMN_GAP) {
+        last.width = item.x + item.width - last.x;
+        last.text += ` ${item.text}`;
+      } else {
+        segments.push({ ...item });
+      }
+    }
+    return segments;
+  });
+}
+
+/**
+ * Inspect the layout of a PDF's text layer
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @returns {Promise<Object>} - Layout findings
+ */
+async function inspectPdf(fileBuffer) {
+  const pages = [];
+
+  await pdfParse(fileBuffer, {
+    pagerender: async page => {
+      const textContent = await page.getTextContent();
+      const [x0, y0, x1, y1] = page.view;
+      pages.push({ width: x1 - x0, height: y1 - y0, bottom: y0, items: textContent.items });
+      return '';
+    }
+  });
+
+  let rowCount = 0;
+  let columnRows = 0;
+  let tableRows = 0;
+  const marginLines = new Map();
+
+  for (const page of pages) {
+    for (const segments of groupSegmentsByRow(page.items, page.width)) {
+      rowCount++;
+      // Wide blocks of text starting well right of the left margin mean side-by-side columns
+      // (column baselines rarely line up, so rows are not required to have a left-hand block);
+      // short right-aligned segments (dates, locations) do not count
+      const hasColumn = segments.some(segment =>
+        segment.x >= page.width * COLUMN_MIN_START && segment.width >= page.width * COLUMN_MIN_WIDTH
+      );
+      if (hasColumn) columnRows++;
+      if (segments.length >= 3) tableRows++;
+    }
+
+    // Lines repeated in the top or bottom margin of several pages are running headers/footers
+    const margin = page.height * PAGE_MARGIN_RATIO;
+    const seenOnPage = new Set();
+    for (const item of page.items) {
+      const y = item.transform[5] - page.bottom;
+      const text = String(item.str || '').trim();
+      if (!text || (y > margin && y < page.height - margin)) continue;
+      const key = text.replace(/\d+/g, '#');
+      if (seenOnPage.has(key)) continue;
+      seenOnPage.add(key);
+      marginLines.set(key, { text, pages: (marginLines.get(key)?.pages || 0) + 1 });
+    }
+  }
+
+  const raw = fileBuffer.toString('latin1');
+  const fontNames = [...raw.matchAll(/\/BaseFont\s*\/([^\s/<>[\]()]+)/g)].map(match => match[1]);
+
+  return {
+    pageCount: pages.length,
+    columns: rowCount >= MIN_LAYOUT_ROWS && columnRows / rowCount >= COLUMN_ROW_RATIO ? 2 : 1,
+    columnRowRatio: rowCount ? Math.round((columnRows / rowCount) * 100) / 100 : 0,
+    tableCount: tableRows >= 3 ? 1 : 0,
+    tableTextRatio: rowCount ? tableRows / rowCount : 0,
+    textBoxCount: 0,
+    imageCount: (raw.match(/\/Subtype\s*\/Image\b/g) || []).length,
+    headerFooterText: pages.length > 1
+      ? [...marginLines.values()].filter(line => line.pages > 1).map(line => line.text).join('\n')
+      : '',
+    fonts: classifyFonts(fontNames)
+  };
+}
+
+/**
+ * Build a check result
+ * @param {string} id - Check identifier (a CHECK_WEIGHTS key)
+ * @param {string} status - One of STATUS
+ * @param {string} message - What was found
+ * @param {string|null} [fix] - How to fix it
+ * @returns {Object} - Check result
+ */
+function check(id, status, message, fix = null) {
+  return { id, status, message, fix: status === STATUS.PASS || status === STATUS.SKIPPED ? null : fix };
+}
+
+/**
+ * Check the file format
+ * @param {string} extension - File extension
+ * @returns {Object} - Check result
+ */
+function checkFileFormat(extension) {
+  if (['jpg', 'jpeg', 'png'].includes(extension)) {
+    return check('fileFormat', STATUS.FAIL, 'The CV was uploaded as an image, which most ATS cannot read.',
+      'Export your CV from your word processor as a PDF or DOCX file instead of a photo or screenshot.');
+  }
+  if (extension === 'doc') {
+    return check('fileFormat', STATUS.WARN, 'Legacy .doc files are not supported by every ATS.',
+      'Save your CV as .docx or PDF.');
+  }
+  return check('fileFormat', STATUS.PASS, `${extension.toUpperCase()} is widely supported by ATS.`);
+}
+
+/**
+ * Check that the text is machine-readable and not locked in images or text boxes
+ * @param {Object|null} extraction - Extraction result ({ extractor, confidence })
+ * @param {Object|null} layout - Layout findings
+ * @returns {Object} - Check result
+ */
+function checkTextLayer(extraction, layout) {
+  if (extraction && extraction.extractor === EXTRACTORS.VISION_MODEL) {
+    return check('textLayer', STATUS.FAIL, 'The document has no usable text layer; its text had to be read with image recognition.',
+      'Create the CV in a word processor and export it directly to PDF or DOCX rather than scanning or printing to image.');
+  }
+  if (layout && layout.textBoxCount > 0) {
+    return check('textLayer', STATUS.WARN, `Found ${layout.textBoxCount} text box(es); many ATS skip text inside text boxes.`,
+      'Move the content of text boxes into the main body of the document.');
+  }
+  if (layout && layout.imageCount > 0) {
+    return check('textLayer', STATUS.WARN, `Found ${layout.imageCount} image(s); any text inside them is invisible to ATS.`,
+      'Make sure no information (skills charts, logos with text, icons for contact details) exists only as an image.');
+  }
+  if (!extraction) {
+    return check('textLayer', STATUS.FAIL, 'No text could be extracted from the document.',
+      'Re-export the CV as a text-based PDF or DOCX file.');
+  }
+  return check('textLayer', STATUS.PASS, 'All text is stored as selectable text.');
+}
+
+/**
+ * Check for multi-column layouts
+ * @param {Object|null} layout - Layout findings
+ * @returns {Object} - Check result
+ */
+function checkColumns(layout) {
+  if (!layout) {
+    return check('columns', STATUS.SKIPPED, 'Layout could not be inspected for this file type.');
+  }
+  if (layout.columns > 1) {
+    return check('columns', STATUS.FAIL, 'The CV uses a multi-column layout; ATS often read across columns and mix up sections.',
+      'Use a single-column layout. Move sidebar content (skills, contact details, languages) into regular sections.');
+  }
+  return check('columns', STATUS.PASS, 'Single-column layout.');
+}
+
+/**
+ * Check for tables
+ * @param {Object|null} layout - Layout findings
+ * @returns {Object} - Check result
+ */
+function checkTables(layout) {
+  if (!layout) {
+    return check('tables', STATUS.SKIPPED, 'Layout could not be inspected for this file type.');
+  }
+  if (layout.tableCount > 0 && layout.tableTextRatio >= 0.5) {
+    return check('tables', STATUS.FAIL, 'Most of the CV is laid out in tables, which ATS frequently parse out of order.',
+      'Replace layout tables with plain paragraphs and bullet points.');
+  }
+  if (layout.tableCount > 0) {
+    return check('tables', STATUS.WARN, `Found ${layout.tableCount} table(s); table cells may be read out of order.`,
+      'Convert tables (e.g. skill grids) into simple comma-separated lists or bullet points.');
+  }
+  return check('tables', STATUS.PASS, 'No tables found.');
+}
+
+/**
+ * Check for content in page headers and footers
+ * @param {Object|null} layout - Layout findings
+ * @param {string|null} text - Extracted body text
+ * @returns {Object} - Check result
+ */
+function checkHeadersFooters(layout, text) {
+  if (!layout) {
+    return check('headersFooters', STATUS.SKIPPED, 'Layout could not be inspected for this file type.');
+  }
+  if (!layout.headerFooterText) {
+    return check('headersFooters', STATUS.PASS, 'No content in page headers or footers.');
+  }
+
+  const email = layout.headerFooterText.match(EMAIL_PATTERN);
+  const phone = layout.headerFooterText.match(PHONE_PATTERN);
+  const contactOnlyInHeader = (email && !(text || '').includes(email[0])) || (phone && !(text || '').includes(phone[0]));
+
+  if (contactOnlyInHeader) {
+    return check('headersFooters', STATUS.FAIL, 'Contact details are placed in the page header or footer, which many ATS ignore.',
+      'Move your name, email and phone number into the main body at the top of the first page.');
+  }
+  return check('headersFooters', STATUS.WARN, 'The page header or footer contains text that ATS may ignore.',
+    'Keep important information out of headers and footers.');
+}
+
+/**
+ * Check for standard section headings
+ * @param {string|null} text - Extracted CV text
+ * @returns {Object} - Check result
+ */
+function checkSectionHeadings(text) {
+  if (!text) {
+    return check('sectionHeadings', STATUS.SKIPPED, 'No text available to check section headings.');
+  }
+
+  const sections = splitSections(text);
+  const missing = Object.entries(REQUIRED_SECTIONS)
+    .filter(([section]) => !sections[section])
+    .map(([, heading]) => heading);
+
+  if (missing.length === 0) {
+    return check('sectionHeadings', STATUS.PASS, 'Standard section headings found.');
+  }
+  return check('sectionHeadings', missing.length > 1 ? STATUS.FAIL : STATUS.WARN,
+    `No standard heading found for: ${missing.join(', ')}.`,
+    `Use conventional headings such as ${missing.map(heading => `"${heading}"`).join(', ')} so ATS can map your sections.`);
+}
+
+/**
+ * Check that the fonts are standard and embedded as text
+ * @param {Object|null} layout - Layout findings
+ * @returns {Object} - Check result
+ */
+function checkFonts(layout) {
+  if (!layout || layout.fonts.fonts.length === 0) {
+    return check('fonts', STATUS.SKIPPED, 'Fonts could not be determined for this file.');
+  }
+
+  const { icon, nonStandard } = layout.fonts;
+  if (icon.length > 0) {
+    return check('fonts', STATUS.WARN, `Icon fonts in use (${icon.join(', ')}); icons are read as random characters.`,
+      'Replace icons with plain-text labels such as "Email:" and "Phone:".');
+  }
+  if (nonStandard.length > 0) {
+    return check('fonts', STATUS.WARN, `Non-standard fonts in use: ${nonStandard.slice(0, 5).join(', ')}.`,
+      'Use a standard font such as Arial, Calibri, Garamond or Times New Roman.');
+  }
+  return check('fonts', STATUS.PASS, 'Only standard fonts are used.');
+}
+
+/**
+ * Check that employment and education dates are in a parseable format
+ * @param {string|null} text - Extracted CV text
+ * @param {Object|null} parsedCV - Normalized résumé
+ * @returns {Object} - Check result
+ */
+function checkDates(text, parsedCV) {
+  if (!text) {
+    return check('dates', STATUS.SKIPPED, 'No text available to check dates.');
+  }
+
+  const sections = splitSections(text);
+  const datedLines = [...(sections.work || []), ...(sections.education || [])];
+  const unparseable = datedLines.filter(line => UNPARSEABLE_DATE_PATTERNS.some(pattern => pattern.test(line)));
+  const undatedRoles = (parsedCV?.work || []).filter(entry => !entry.startDate);
+
+  if (unparseable.length > 0) {
+    return check('dates', STATUS.FAIL, `Dates in an unusual format: ${unparseable.slice(0, 3).map(line => `"${line}"`).join(', ')}.`,
+      'Write dates as "Month YYYY" or "MM/YYYY" (e.g. "Jan 2020 - Present") consistently.');
+  }
+  if (undatedRoles.length > 0) {
+    return check('dates', STATUS.WARN, `${undatedRoles.length} role(s) have no readable start date.`,
+      'Add start and end dates ("Month YYYY - Month YYYY") to every position.');
+  }
+  return check('dates', STATUS.PASS, 'Dates are in a parseable format.');
+}
+
+/**
+ * Check for contact details
+ * @param {Object|null} parsedCV - Normalized résumé
+ * @returns {Object} - Check result
+ */
+function checkContactDetails(parsedCV) {
+  if (!parsedCV) {
+    return check('contactDetails', STATUS.SKIPPED, 'No text available to check contact details.');
+  }
+
+  const { basics } = parsedCV;
+  const missing = [
+    !basics.name && 'name',
+    !basics.email && 'email address',
+    !basics.phone && 'phone number'
+  ].filter(Boolean);
+
+  if (missing.length === 0) {
+    return check('contactDetails', STATUS.PASS, 'Name, email and phone number found.');
+  }
+  return check('contactDetails', !basics.email && !basics.phone ? STATUS.FAIL : STATUS.WARN,
+    `Missing contact details: ${missing.join(', ')}.`,
+    `Add your ${missing.join(' and ')} as plain text at the top of the CV.`);
+}
+
+/**
+ * Check the file name
+ * @param {string} fileName - Original file name
+ * @param {string} [candidateName] - Candidate's full name
+ * @returns {Object} - Check result
+ */
+function checkFileName(fileName, candidateName) {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  const issues = [];
+
+  if (GENERIC_FILE_NAME_WORDS.test(baseName)) issues.push('it does not identify you');
+  else if (candidateName && !candidateName.toLowerCase().split(/\s+/).some(part => part.length > 1 && baseName.toLowerCase().includes(part))) {
+    issues.push('it does not contain your name');
+  }
+  if (VERSION_MARKERS.test(baseName)) issues.push('it contains version markers');
+  if (/[^\p{L}\p{N} _.-]/u.test(baseName)) issues.push('it contains special characters');
+  if (baseName.length > 60) issues.push('it is very long');
+
+  if (issues.length === 0) {
+    return check('fileName', STATUS.PASS, 'The file name is clear and professional.');
+  }
+
+  const suggestedName = candidateName
+    ? `${candidateName.trim().split(/\s+/).join('-')}-CV.${getFileExtension(fileName)}`
+    : `Firstname-Lastname-CV.${getFileExtension(fileName)}`;
+  return check('fileName', STATUS.WARN, `The file name "${fileName}" is not ideal: ${issues.join(', ')}.`,
+    `Rename the file to something like "${suggestedName}".`);
+}
+
+/**
+ * Audit an uploaded CV for ATS readability
+ * @param {Object} params
+ * @param {Buffer} params.fileBuffer - File buffer
+ * @param {string} params.fileName - Original file name
+ * @param {string|null} [params.text] - Extracted CV text (null if extraction failed)
+ * @param {Object|null} [params.extraction] - Extraction result ({ extractor, confidence })
+ * @param {Object|null} [params.parsedCV] - Normalized résumé
+ * @param {string} [params.candidateName] - Candidate's full name, for the file name check
+ * @returns {Promise<Object>} - ATS report { score, summary, checks, fixes }
+ */
+async function auditDocument({ fileBuffer, fileName, text = null, extraction = null, parsedCV = null, candidateName }) {
+  const extension = detectFileType(fileBuffer, fileName);
+
+  let layout = null;
+  try {
+    if (extension === 'docx') layout = inspectDocx(fileBuffer);
+    if (extension === 'pdf') layout = await inspectPdf(fileBuffer);
+  } catch (error) {
+    console.error('ATS layout inspection error:', error);
+  }
+
+  const checks = [
+    checkFileFormat(extension),
+    checkTextLayer(extraction, layout),
+    checkColumns(layout),
+    checkTables(layout),
+    checkHeadersFooters(layout, text),
+    checkSectionHeadings(text),
+    checkFonts(layout),
+    checkDates(text, parsedCV),
+    checkContactDetails(parsedCV),
+    checkFileName(fileName, candidateName)
+  ];
+
+  // Failed checks lose their full weight, warnings half of it; skipped checks do not count
+  let earned = 0;
+  let possible = 0;
+  for (const result of checks) {
+    if (result.status === STATUS.SKIPPED) continue;
+    const weight = CHECK_WEIGHTS[result.id];
+    possible += weight;
+    earned += result.status === STATUS.PASS ? weight : result.status === STATUS.WARN ? weight / 2 : 0;
+  }
+
+  const count = status => checks.filter(result => result.status === status).length;
+
+  return {
+    score: possible ? Math.round((earned / possible) * 100) : 0,
+    summary: {
+      passed: count(STATUS.PASS),
+      warnings: count(STATUS.WARN),
+      failed: count(STATUS.FAIL),
+      skipped: count(STATUS.SKIPPED)
+    },
+    checks,
+    fixes: [
+      ...checks.filter(result => result.status === STATUS.FAIL),
+      ...checks.filter(result => result.status === STATUS.WARN)
+    ].map(result => result.fix)
+  };
+}
+
+module.exports = {
+  STATUS,
+  CHECK_WEIGHTS,
+  normalizeFontName,
+  inspectDocx,
+  inspectPdf,
+  auditDocument
+};
@@ -0,0 +1,152 @@
+/**
+ * Caller Authorization
+ *
+ * The function runs with a server API key, so it must not act on whatever `talentId` a
+ * request names. A caller (the execution's `x-appwrite-user-id`, or the user a
+ * `x-appwrite-user-jwt` token belongs to) may act on a talent when:
+ *   - it owns the talent document: the document's permissions grant it read or write
+ *     access (`read("user:<id>")`, `write("user:<id>")`), or
+ *   - its Appwrite account carries one of `config.authorization.delegateLabels`
+ *     (e.g. career coaches and admins), which may act on behalf of any talent.
+ *
+ * The talent's owner (getTalentOwnerId) is also the user the function gives access to the files it
+ * stores for the talent; a talent ID is not a user ID.
+ *
+ * Executions without a user identity are rejected, except for job runs the function started
+ * itself (see ./queue).
+ * Project-wide reports (e.g. the usage summary) require one of `config.authorization.adminLabels`.
+ */
+
+const { Query } = require('node-appwrite');
+
+const USER_ID_HEADER = 'x-appwrite-user-id';
+const USER_JWT_HEADER = 'x-appwrite-user-jwt';
+
+/**
+ * Read a request header regardless of its case
+ * @param {Object} req - Appwrite request
+ * @param {string} name - Header name (lower case)
+ * @returns {string|null} - Header value
+ */
+function getHeader(req, name) {
+  const headers = req.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key && headers[key] ? String(headers[key]) : null;
+}
+
+/**
+ * Identify the user an execution runs for
+ * @param {Object} req - Appwrite request
+ * @param {Function} verifyJWT - Resolves a user JWT to its user ID (rejects an invalid token)
+ * @returns {Promise<string|null>} - User ID, or null for executions without a user
+ */
+async function identifyCaller(req, verifyJWT) {
+  const userId = getHeader(req, USER_ID_HEADER);
+  if (userId) {
+    return userId;
+  }
+
+  const jwt = getHeader(req, USER_JWT_HEADER);
+  return jwt ? verifyJWT(jwt) : null;
+}
+
+/**
+ * Check whether a document's permissions grant a user read or write access
+ * @param {Object} document - Appwrite document
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+function isOwnedBy(document, userId) {
+  return (document.$permissions || []).some(permission =>
+    permission === `read("user:${userId}")` || permission === `write("user:${userId}")`);
+}
+
+/**
+ * Get the user who owns a talent document: the user its permissions grant write access, else read access
+ * @param {Object} talent - Talent document
+ * @returns {string|null} - User ID, or null when no user is granted access
+ */
+function getTalentOwnerId(talent) {
+  const permissions = talent.$permissions || [];
+  for (const kind of ['write', 'read']) {
+    const granted = permissions.map(permission => permission.match(new RegExp(`^${kind}\\("user:([^"/]+)"\\)$`))).find(Boolean);
+    if (granted) {
+      return granted[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether a caller may act on a talent
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} users - Appwrite Users service
+ * @param {Object} config - Function configuration (uses talentsCollectionId, authorization.delegateLabels)
+ * @param {string} callerId - Caller's user ID
+ * @param {string} talentId - Talent ID named by the request
+ * @returns {Promise<Object>} - { allowed, role ('owner' | 'delegate' | null), reason }
+ */
+async function authorizeTalentAccess(databases, users, config, callerId, talentId) {
+  const talents = await databases.listDocuments(
+    config.databaseId,
+    config.talentsCollectionId,
+    [Query.equal('talentId', talentId), Query.limit(1)]
+  );
+  const talent = talents.documents[0];
+  if (talent && isOwnedBy(talent, callerId)) {
+    return { allowed: true, role: 'owner', reason: null };
+  }
+
+  let caller;
+  try {
+    caller = await users.get(callerId);
+  } catch (error) {
+    if (error.code === 404) {
+      return { allowed: false, role: null, reason: `user ${callerId} does not exist` };
+    }
+    throw error;
+  }
+
+  const label = (caller.labels || []).find(value => config.authorization.delegateLabels.includes(value));
+  if (label) {
+    return { allowed: true, role: 'delegate', reason: `label "${label}"` };
+  }
+
+  const reason = talent
+    ? `user ${callerId} does not own talent ${talentId} and has no delegate label`
+    : `talent ${talentId} does not exist and user ${callerId} has no delegate label`;
+  return { allowed: false, role: null, reason };
+}
+
+/**
+ * Decide whether a caller may read project-wide reports
+ * @param {Object} users - Appwrite Users service
+ * @param {Object} config - Function configuration (uses authorization.adminLabels)
+ * @param {string} callerId - Caller's user ID
+ * @returns {Promise<Object>} - { allowed, reason }
+ */
+async function authorizeAdmin(users, config, callerId) {
+  let caller;
+  try {
+    caller = await users.get(callerId);
+  } catch (error) {
+    if (error.code === 404) {
+      return { allowed: false, reason: `user ${callerId} does not exist` };
+    }
+    throw error;
+  }
+
+  const label = (caller.labels || []).find(value => config.authorization.adminLabels.includes(value));
+  return label
+    ? { allowed: true, reason: `label "${label}"` }
+    : { allowed: false, reason: `user ${callerId} has no admin label` };
+}
+
+module.exports = {
+  USER_ID_HEADER,
+  USER_JWT_HEADER,
+  identifyCaller,
+  getTalentOwnerId,
+  authorizeTalentAccess,
+  authorizeAdmin
+};
@@ -0,0 +1,257 @@
+/**
+ * Batch Analysis
+ *
+ * Career coaches and institutions analyze a cohort's CVs in one request. Every item runs as its
+ * own request (with the caller's identity, so each talent is authorized and metered separately),
+ * a bounded number at a time; an item that fails is reported as failed without failing the batch.
+ * Items of the same talent run one after another, so that each is checked against the usage
+ * quota the previous ones recorded.
+ *
+ * The cohort report aggregates the items: how many completed, failed or fell back to rule-based
+ * results, score distributions, and the skills and certifications most often missing. Each item
+ * is also a row of the CSV export.
+ */
+
+// Width of the score distribution buckets (the last bucket includes 100)
+const SCORE_BUCKET_SIZE = 20;
+
+const DEFAULT_TOP_MISSING = 10;
+
+const CSV_COLUMNS = [
+  'index',
+  'talentId',
+  'fileName',
+  'status',
+  'statusCode',
+  'error',
+  'usedFallback',
+  'cached',
+  'overallScore',
+  'alignmentScore',
+  'marketabilityScore',
+  'atsScore',
+  'keywordCoverage',
+  'missingSkills',
+  'missingCertifications',
+  'analysisId'
+];
+
+/**
+ * Map items through an async function, running at most `concurrency` calls at a time
+ * @param {Array} items - Items
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} fn - Async function (item, index) that should not reject
+ * @returns {Promise<Array>} - Results, in the order of the items
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Map items through an async function like mapWithConcurrency, running the items that share a key
+ * one after another (in order) and different keys concurrently
+ * @param {Array} items - Items
+ * @param {Function} keyOf - Key of an item (e.g. its talent ID)
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} fn - Async function (item, index) that should not reject
+ * @returns {Promise<Array>} - Results, in the order of the items
+ */
+async function mapWithConcurrencyByKey(items, keyOf, concurrency, fn) {
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  const results = new Array(items.length);
+  await mapWithConcurrency([...groups.values()], concurrency, async indexes => {
+    for (const index of indexes) {
+      results[index] = await fn(items[index], index);
+    }
+  });
+  return results;
+}
+
+/**
+ * Summarize one item's response as a cohort row
+ * @param {number} index - Item position in the batch
+ * @param {Object} item - Batch item ({ talentId, fileName })
+ * @param {Object} response - Captured response ({ body, statusCode })
+ * @returns {Object} - Batch item result
+ */
+function toBatchItem(index, item, response) {
+  const { body, statusCode } = response;
+  const base = {
+    index,
+    talentId: item.talentId || null,
+    fileName: item.fileName || body.metadata?.fileName || null
+  };
+
+  if (!body.success) {
+    return {
+      ...base,
+      status: 'failed',
+      statusCode,
+      error: body.error || 'Analysis failed',
+      usedFallback: false,
+      cached: false,
+      overallScore: null,
+      alignmentScore: null,
+      marketabilityScore: null,
+      atsScore: null,
+      keywordCoverage: null,
+      missingSkills: [],
+      missingCertifications: [],
+      analysisId: null
+    };
+  }
+
+  const { analysis, jobMatch, atsReport, metadata = {} } = body;
+  const alignment = jobMatch ? jobMatch.jobAlignment : analysis.careerPathAlignment;
+
+  return {
+    ...base,
+    status: 'completed',
+    statusCode,
+    error: null,
+    usedFallback: metadata.usedFallback === true,
+    cached: metadata.cached === true,
+    overallScore: analysis?.overallScore ?? null,
+    alignmentScore: alignment?.alignmentScore ?? null,
+    marketabilityScore: analysis?.marketability?.score ?? null,
+    atsScore: atsReport?.score ?? null,
+    keywordCoverage: jobMatch ? jobMatch.keywordCoverage.coverage : null,
+    missingSkills: alignment?.missingSkills || [],
+    missingCertifications: alignment?.missingCertifications || [],
+    analysisId: metadata.analysisId || null
+  };
+}
+
+/**
+ * Describe the distribution of a score across the cohort
+ * @param {number[]} values - Scores (0-100)
+ * @returns {Object|null} - { count, min, max, mean, median, buckets: [{ range, count }] }, or null without scores
+ */
+function describeDistribution(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const buckets = [];
+  for (let start = 0; start < 100; start += SCORE_BUCKET_SIZE) {
+    const end = start + SCORE_BUCKET_SIZE >= 100 ? 100 : start + SCORE_BUCKET_SIZE - 1;
+    buckets.push({ range: `${start}-${end}`, count: sorted.filter(value => value >= start && value <= end).length });
+  }
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2),
+    buckets
+  };
+}
+
+/**
+ * Rank requirements by how many members of the cohort miss them
+ * @param {string[][]} lists - Missing requirements per item
+ * @param {number} cohortSize - Number of items the lists come from
+ * @param {number} limit - Number of requirements to return
+ * @returns {Object[]} - [{ name, count, share (% of the cohort) }]
+ */
+function rankMissing(lists, cohortSize, limit) {
+  const counts = new Map();
+  for (const list of lists) {
+    for (const name of new Set(list)) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count, share: Math.round((count / cohortSize) * 100) }));
+}
+
+/**
+ * Aggregate batch item results into a cohort report
+ * @param {Object[]} items - Results from toBatchItem
+ * @param {Object} [options] - { topMissing }
+ * @returns {Object} - { items: { total, completed, failed, usedFallback, cached }, scores, missingSkills, missingCertifications }
+ */
+function buildCohortReport(items, { topMissing = DEFAULT_TOP_MISSING } = {}) {
+  const completed = items.filter(item => item.status === 'completed');
+  const scores = key => describeDistribution(completed.map(item => item[key]).filter(value => value !== null));
+
+  return {
+    items: {
+      total: items.length,
+      completed: completed.length,
+      failed: items.length - completed.length,
+      usedFallback: completed.filter(item => item.usedFallback).length,
+      cached: completed.filter(item => item.cached).length
+    },
+    scores: {
+      overall: scores('overallScore'),
+      alignment: scores('alignmentScore'),
+      marketability: scores('marketabilityScore'),
+      ats: scores('atsScore'),
+      keywordCoverage: scores('keywordCoverage')
+    },
+    missingSkills: rankMissing(completed.map(item => item.missingSkills), completed.length, topMissing),
+    missingCertifications: rankMissing(completed.map(item => item.missingCertifications), completed.length, topMissing)
+  };
+}
+
+/**
+ * Format a CSV cell (RFC 4180 quoting; formula-like text is prefixed so spreadsheets do not evaluate it)
+ * @param {*} value - Cell value (arrays are joined with "; ")
+ * @returns {string} - CSV cell
+ */
+function toCSVCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export batch item results as CSV, one row per item
+ * @param {Object[]} items - Results from toBatchItem
+ * @returns {string} - CSV text with a header row
+ */
+function toCSV(items) {
+  return [CSV_COLUMNS, ...items.map(item => CSV_COLUMNS.map(column => item[column]))]
+    .map(row => row.map(toCSVCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  mapWithConcurrency,
+  mapWithConcurrencyByKey,
+  toBatchItem,
+  describeDistribution,
+  buildCohortReport,
+  toCSV
+};
@@ -0,0 +1,132 @@
+/**
+ * Bullet Review
+ *
+ * Deterministic review of the bullets in each CV section (work, projects, education)
+ * and of the summary, flagging the weaknesses recruiters and ATS penalize:
+ *   - passive-voice  "Was responsible for...", "Reports were generated by..."
+ *   - no-metrics     no number, percentage, amount or scale
+ *   - vague-verb     "Helped with", "Worked on", "Responsible for", "Involved in"
+ *   - too-long       more than MAX_BULLET_WORDS words
+ *
+ * Flagged bullets are what the rewrite model is asked to improve; bullet ids are stable
+ * for a given CV ("work-0-2" = third bullet of the first work entry).
+ */
+
+const MAX_BULLET_WORDS = 30;
+const MAX_SUMMARY_WORDS = 80;
+const MIN_BULLET_WORDS = 4;
+
+const ISSUES = {
+  PASSIVE_VOICE: 'passive-voice',
+  NO_METRICS: 'no-metrics',
+  VAGUE_VERB: 'vague-verb',
+  TOO_LONG: 'too-long'
+};
+
+const ISSUE_DESCRIPTIONS = {
+  [ISSUES.PASSIVE_VOICE]: 'Uses passive voice; lead with what you did.',
+  [ISSUES.NO_METRICS]: 'Has no measurable result (numbers, percentages, scale).',
+  [ISSUES.VAGUE_VERB]: 'Starts with a vague verb that hides your contribution.',
+  [ISSUES.TOO_LONG]: 'Is too long to scan quickly.'
+};
+
+const VAGUE_OPENINGS = /^(?:i\s+)?(?:was\s+)?(?:responsible\s+for|helped(?:\s+with|\s+to)?|assisted(?:\s+with|\s+in)?|worked\s+(?:on|with)|involved\s+in|participated\s+in|handled|tasked\s+with|duties\s+included|in\s+charge\s+of|did|made|dealt\s+with|supported)\b/i;
+const PASSIVE_VOICE = /\b(?:was|were|been|being|is|are|got)\s+(?:\w+ly\s+)?(?:\w+ed|built|done|made|given|taken|written|chosen|led|run|set|sent|shown|seen|known|held|kept|paid|won)\b/i;
+const METRIC = /\d|%|\b(?:one|two|three|four|five|six|seven|eight|nine|ten|twelve|twenty|fifty|hundred|thousand|million|billion|double[ds]?|tripled?|halved?)\b/i;
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text
+ * @returns {number} - Word count
+ */
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Find the weaknesses of a single bullet
+ * @param {string} text - Bullet text
+ * @param {Object} [options]
+ * @param {boolean} [options.requireMetrics] - Whether a missing metric is a weakness
+ * @param {number} [options.maxWords] - Word limit
+ * @returns {string[]} - Issues (ISSUES values)
+ */
+function reviewBullet(text, { requireMetrics = true, maxWords = MAX_BULLET_WORDS } = {}) {
+  const issues = [];
+
+  if (VAGUE_OPENINGS.test(text.trim())) issues.push(ISSUES.VAGUE_VERB);
+  if (PASSIVE_VOICE.test(text)) issues.push(ISSUES.PASSIVE_VOICE);
+  if (requireMetrics && !METRIC.test(text)) issues.push(ISSUES.NO_METRICS);
+  if (countWords(text) > maxWords) issues.push(ISSUES.TOO_LONG);
+
+  return issues;
+}
+
+/**
+ * List the bullets of a parsed CV with their location
+ * @param {Object} parsedCV - Normalized résumé from parseCV
+ * @returns {Object[]} - { id, section, entry, text }
+ */
+function collectBullets(parsedCV) {
+  const bullets = [];
+
+  if (parsedCV?.basics?.summary) {
+    bullets.push({ id: 'summary-0-0', section: 'summary', entry: null, text: parsedCV.basics.summary });
+  }
+
+  const sections = {
+    work: entry => [entry.position, entry.company].filter(Boolean).join(' at '),
+    projects: entry => entry.name,
+    education: entry => [entry.degree, entry.institution].filter(Boolean).join(', ')
+  };
+
+  for (const [section, describe] of Object.entries(sections)) {
+    (parsedCV?.[section] || []).forEach((entry, entryIndex) => {
+      (entry.highlights || []).forEach((text, bulletIndex) => {
+        if (countWords(text) >= MIN_BULLET_WORDS) {
+          bullets.push({ id: `${section}-${entryIndex}-${bulletIndex}`, section, entry: describe(entry) || null, text });
+        }
+      });
+    });
+  }
+
+  return bullets;
+}
+
+/**
+ * Review every bullet of a parsed CV
+ * @param {Object} parsedCV - Normalized résumé from parseCV
+ * @returns {Object} - { reviewed, flagged: [{ id, section, entry, text, issues }] }
+ */
+function reviewBullets(parsedCV) {
+  const bullets = collectBullets(parsedCV);
+
+  const flagged = bullets
+    .map(bullet => ({
+      ...bullet,
+      issues: bullet.section === 'summary'
+        ? reviewBullet(bullet.text, { requireMetrics: false, maxWords: MAX_SUMMARY_WORDS })
+        : reviewBullet(bullet.text)
+    }))
+    .filter(bullet => bullet.issues.length > 0);
+
+  return { reviewed: bullets.length, flagged };
+}
+
+/**
+ * Describe a bullet's issues in plain language
+ * @param {string[]} issues - Issues (ISSUES values)
+ * @returns {string} - Reason text
+ */
+function describeIssues(issues) {
+  return issues.map(issue => ISSUE_DESCRIPTIONS[issue]).join(' ');
+}
+
+module.exports = {
+  ISSUES,
+  MAX_BULLET_WORDS,
+  reviewBullet,
+  collectBullets,
+  reviewBullets,
+  describeIssues
+};
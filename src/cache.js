@@ -0,0 +1,83 @@
+/**
+ * Analysis Cache
+ *
+ * Avoids re-analyzing an identical CV. The cache key combines:
+ *   - the SHA-256 hash of the decoded file,
+ *   - a snapshot of the talent profile fields used by the analysis (plus its $updatedAt),
+ *   - the selected career path id and its $updatedAt,
+ *   - the requested feedback locale (the detected CV language follows from the file hash),
+ *   - the analysis model and prompt version, skill taxonomy version and scoring rubric version.
+ *
+ * Any change to the profile or career path document therefore produces a new key,
+ * which invalidates previous entries automatically. Cached entries are the analyses
+ * stored in the `cvAnalyses` history collection; fallback results are never reused.
+ */
+
+const crypto = require('crypto');
+const { Query } = require('node-appwrite');
+const { TAXONOMY_VERSION } = require('./matching');
+const { RUBRIC_VERSION } = require('./rubric');
+
+const PROFILE_SNAPSHOT_FIELDS = ['fullname', 'careerStage', 'skills', 'degrees', 'certifications', 'interests', 'selectedPath', 'preferredLocale'];
+
+/**
+ * Build the cache key of an analysis request
+ * @param {Object} params
+ * @param {string} params.fileHash - SHA-256 hash of the CV file
+ * @param {Object} params.talent - Talent profile document
+ * @param {Object|null} params.careerPath - Career path document
+ * @param {string|null} [params.locale] - Requested feedback locale
+ * @param {string} params.model - Analysis model
+ * @param {string|null} [params.promptVersion] - Analysis prompt ('name@version')
+ * @returns {string} - Cache key (hex digest)
+ */
+function buildCacheKey({ fileHash, talent, careerPath, locale = null, model, promptVersion = null }) {
+  const profileSnapshot = Object.fromEntries(PROFILE_SNAPSHOT_FIELDS.map(field => [field, talent[field] ?? null]));
+
+  const keySource = JSON.stringify({
+    fileHash,
+    profile: profileSnapshot,
+    profileUpdatedAt: talent.$updatedAt || null,
+    careerPathId: careerPath?.$id || null,
+    careerPathUpdatedAt: careerPath?.$updatedAt || null,
+    locale,
+    model,
+    promptVersion,
+    taxonomyVersion: TAXONOMY_VERSION,
+    rubricVersion: RUBRIC_VERSION
+  });
+
+  return crypto.createHash('sha256').update(keySource).digest('hex');
+}
+
+/**
+ * Find a fresh cached analysis for a cache key
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration (uses cacheTtlHours)
+ * @param {string} talentId - Talent ID
+ * @param {string} cacheKey - Cache key from buildCacheKey
+ * @returns {Promise<Object|null>} - Cached cvAnalyses document, or null on a miss
+ */
+async function findCachedAnalysis(databases, config, talentId, cacheKey) {
+  const freshSince = new Date(Date.now() - config.cacheTtlHours * 60 * 60 * 1000).toISOString();
+
+  const result = await databases.listDocuments(
+    config.databaseId,
+    config.analysesCollectionId,
+    [
+      Query.equal('talentId', talentId),
+      Query.equal('cacheKey', cacheKey),
+      Query.equal('usedFallback', false),
+      Query.greaterThan('$createdAt', freshSince),
+      Query.orderDesc('$createdAt'),
+      Query.limit(1)
+    ]
+  );
+
+  return result.documents[0] || null;
+}
+
+module.exports = {
+  buildCacheKey,
+  findCachedAnalysis
+};
@@ -0,0 +1,220 @@
+/**
+ * CV Date Parsing
+ *
+ * Parses the date and date-range formats commonly found in CVs
+ * ("Jan 2020", "January 2020", "01/2020", "2020-01", "2020", "Present", "2019-21")
+ * into ISO 8601 partial dates ("2020-01", "2020"), as used by JSON Resume.
+ * French and Portuguese month names and range words are understood too
+ * ("janv. 2020 - aujourd'hui", "março de 2019 a atual").
+ */
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12,
+  // French
+  janv: 1, janvier: 1,
+  févr: 2, fevr: 2, février: 2, fevrier: 2,
+  mars: 3,
+  avr: 4, avril: 4,
+  mai: 5,
+  juin: 6,
+  juil: 7, juillet: 7,
+  août: 8, aout: 8,
+  septembre: 9,
+  octobre: 10,
+  novembre: 11,
+  déc: 12, décembre: 12, decembre: 12,
+  // Portuguese
+  janeiro: 1,
+  fev: 2, fevereiro: 2,
+  março: 3, marco: 3,
+  abr: 4, abril: 4,
+  maio: 5,
+  junho: 6,
+  julho: 7,
+  ago: 8, agosto: 8,
+  set: 9, setembro: 9,
+  out: 10, outubro: 10,
+  dez: 12, dezembro: 12
+};
+
+const PRESENT_WORDS = [
+  'present', 'current', 'now', 'to date', 'today', 'ongoing',
+  "aujourd'hui", 'aujourd’hui', 'présent', 'actuel', 'en cours', 'à ce jour',
+  'atual', 'atualmente', 'presente', 'hoje', 'o momento', 'em curso'
+];
+const PRESENT_PATTERN = new RegExp(`^(${PRESENT_WORDS.join('|')})$`, 'i');
+
+// Month names longest first, so that "june" is preferred over "jun"
+const MONTH_NAME = `(?:${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})\\.?`;
+const SINGLE_DATE = `(?:(?<![\\p{L}\\d])${MONTH_NAME}\\s*,?\\s*(?:de\\s+)?\\d{4}|\\b\\d{1,2}\\s*[/.]\\s*\\d{4}|\\b\\d{4}\\s*[-/]\\s*\\d{1,2}(?!\\d)|\\b(?:19|20)\\d{2}\\b)`;
+const RANGE_SEPARATOR = '(?:\\s*(?:-|–|—|to|until|till)\\s*|\\s+(?:à|au|a|até)\\s+)';
+const END_DATE = `(?:${SINGLE_DATE}|${[...PRESENT_WORDS].sort((a, b) => b.length - a.length).join('|')})`;
+
+const DATE_RANGE_REGEX = new RegExp(`(${SINGLE_DATE})${RANGE_SEPARATOR}(${END_DATE})`, 'iu');
+const SINGLE_DATE_REGEX = new RegExp(`(${SINGLE_DATE})`, 'iu');
+
+// "2019-21", "2019 – 21": a year range with an abbreviated end year ("2018-03" is a month)
+const SHORT_YEAR_RANGE_REGEX = /\b((?:19|20)\d{2})\s*([-–—])\s*(\d{2})(?![\d/.-])/;
+
+/**
+ * Parse a single CV date
+ * @param {string} value - Date text (e.g. "Jan 2020", "03/2018", "2019")
+ * @returns {Object|null} - { year, month } (month may be null), or null if unparseable
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const text = value.trim().toLowerCase().replace(/\.$/, '');
+  let match;
+
+  // "Jan 2020", "January, 2020", "março de 2019"
+  if ((match = text.match(/^(\p{L}+)\.?\s*,?\s*(?:de\s+)?(\d{4})$/u))) {
+    const month = MONTHS[match[1]];
+    return month ? { year: Number(match[2]), month } : null;
+  }
+
+  // "03/2018", "3.2018"
+  if ((match = text.match(/^(\d{1,2})\s*[/.]\s*(\d{4})$/))) {
+    const month = Number(match[1]);
+    return month >= 1 && month <= 12 ? { year: Number(match[2]), month } : null;
+  }
+
+  // "2018-03", "2018/3"
+  if ((match = text.match(/^(\d{4})\s*[-/]\s*(\d{1,2})$/))) {
+    const month = Number(match[2]);
+    return month >= 1 && month <= 12 ? { year: Number(match[1]), month } : null;
+  }
+
+  // "2018"
+  if ((match = text.match(/^(\d{4})$/))) {
+    return { year: Number(match[1]), month: null };
+  }
+
+  return null;
+}
+
+/**
+ * Format a parsed date as an ISO 8601 partial date
+ * @param {Object|null} date - Parsed date
+ * @returns {string|null} - "YYYY-MM" or "YYYY"
+ */
+function toIsoDate(date) {
+  if (!date) {
+    return null;
+  }
+  return date.month ? `${date.year}-${String(date.month).padStart(2, '0')}` : String(date.year);
+}
+
+/**
+ * Convert an ISO 8601 partial date to a month index (year * 12 + month - 1)
+ * @param {string|null} isoDate - "YYYY-MM" or "YYYY"
+ * @param {boolean} [isEnd] - Whether the date ends a range (a bare year then means December)
+ * @returns {number|null} - Month index, or null for a missing or invalid date
+ */
+function toMonthIndex(isoDate, isEnd = false) {
+  const match = String(isoDate || '').match(/^(\d{4})(?:-(\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const month = match[2] ? Number(match[2]) : (isEnd ? 12 : 1);
+  return Number(match[1]) * 12 + month - 1;
+}
+
+/**
+ * Count the months covered by dated entries, counting overlapping periods once
+ * @param {Object[]} entries - Entries with startDate, endDate and isCurrent (e.g. parsed work entries)
+ * @param {Date} [now] - Date that ongoing entries run to
+ * @returns {number} - Months covered
+ */
+function countExperienceMonths(entries, now = new Date()) {
+  const currentMonth = now.getFullYear() * 12 + now.getMonth();
+  const ranges = (entries || [])
+    .map(entry => [toMonthIndex(entry.startDate), entry.isCurrent ? currentMonth : toMonthIndex(entry.endDate, true)])
+    .filter(([start, end]) => start !== null && end !== null && end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let coveredUntil = -Infinity;
+  for (const [start, end] of ranges) {
+    const from = Math.max(start, coveredUntil + 1);
+    if (end >= from) {
+      months += end - from + 1;
+      coveredUntil = end;
+    }
+  }
+
+  return months;
+}
+
+/**
+ * Find and parse the first date range in a line of text
+ * @param {string} line - Line of CV text
+ * @returns {Object|null} - { startDate, endDate, isCurrent, raw } or null if no range is found
+ */
+function findDateRange(line) {
+  const rangeMatch = line.match(DATE_RANGE_REGEX);
+
+  if (rangeMatch) {
+    const isCurrent = PRESENT_PATTERN.test(rangeMatch[2].trim());
+    return {
+      startDate: toIsoDate(parseDate(rangeMatch[1])),
+      endDate: isCurrent ? null : toIsoDate(parseDate(rangeMatch[2])),
+      isCurrent,
+      raw: rangeMatch[0]
+    };
+  }
+
+  const shortMatch = line.match(SHORT_YEAR_RANGE_REGEX);
+  if (shortMatch) {
+    const startYear = Number(shortMatch[1]);
+    const endDigits = Number(shortMatch[3]);
+    let endYear = Math.floor(startYear / 100) * 100 + endDigits;
+    if (endYear < startYear) endYear += 100;
+
+    // With a hyphen, "2018-03" reads as March 2018 unless it cannot be a month
+    const isMonth = shortMatch[2] === '-' && endDigits >= 1 && endDigits <= 12;
+    if (!isMonth && endYear - startYear <= 50) {
+      return {
+        startDate: String(startYear),
+        endDate: String(endYear),
+        isCurrent: false,
+        raw: shortMatch[0]
+      };
+    }
+  }
+
+  const singleMatch = line.match(SINGLE_DATE_REGEX);
+  if (singleMatch) {
+    return {
+      startDate: null,
+      endDate: toIsoDate(parseDate(singleMatch[1])),
+      isCurrent: false,
+      raw: singleMatch[0]
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  MONTHS,
+  parseDate,
+  toIsoDate,
+  toMonthIndex,
+  countExperienceMonths,
+  findDateRange
+};
@@ -0,0 +1,581 @@
+/**
+ * Application Documents
+ *
+ * Builds the tailored CV and cover letter as a small document model (a title and a
+ * list of blocks: heading, subheading, paragraph, bullet) and renders it locally as
+ * Markdown, DOCX and PDF - no document service or extra dependency is involved.
+ *
+ * The layout is deliberately ATS-friendly: one column, standard section headings,
+ * real list paragraphs, no tables, text boxes, images, headers or footers, and
+ * standard fonts (Helvetica in PDF, the default body font in DOCX), so that every
+ * line is found in reading order by an applicant tracking system.
+ *
+ * Facts (names, employers, dates, degrees) always come from the parsed CV; only the
+ * wording of the summary, bullets, skills order and letter comes from the model.
+ * Section headings and the letter date follow the locale the documents are written in.
+ */
+
+const zlib = require('zlib');
+const { createZip } = require('./zip');
+
+const MIME_TYPES = {
+  md: 'text/markdown',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pdf: 'application/pdf'
+};
+
+// A4 in points, with 2cm margins
+const PAGE = { width: 595.28, height: 841.89, margin: 56.69 };
+
+// Font size and spacing per block type (PDF points; DOCX sizes are in half-points)
+const BLOCK_STYLES = {
+  title: { size: 18, bold: true, spaceBefore: 0, spaceAfter: 4 },
+  heading: { size: 12.5, bold: true, spaceBefore: 12, spaceAfter: 4 },
+  subheading: { size: 10.5, bold: true, spaceBefore: 6, spaceAfter: 1 },
+  paragraph: { size: 10.5, bold: false, spaceBefore: 0, spaceAfter: 5 },
+  bullet: { size: 10.5, bold: false, spaceBefore: 0, spaceAfter: 2 }
+};
+
+const LINE_HEIGHT = 1.3;
+const BULLET_INDENT = 14;
+
+// Standard 14 font metrics (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const EXTRA_WIDTHS = { 0x95: 350, 0x96: 556, 0x97: 1000, 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333 };
+
+// Unicode code points with a WinAnsiEncoding code in 0x80-0x9F (Latin-1 covers the rest)
+const WIN_ANSI = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+  0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c, 0x017d: 0x8e, 0x2018: 0x91,
+  0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98,
+  0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b, 0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+};
+
+// Section headings and fixed wording per language (English for unsupported languages)
+const LABELS = {
+  en: { summary: 'Professional Summary', skills: 'Skills', work: 'Work Experience', education: 'Education', certifications: 'Certifications', projects: 'Projects', languages: 'Languages', present: 'Present', degreeField: 'in', cv: 'Curriculum Vitae', coverLetter: 'Cover Letter' },
+  fr: { summary: 'Profil professionnel', skills: 'Compétences', work: 'Expérience professionnelle', education: 'Formation', certifications: 'Certifications', projects: 'Projets', languages: 'Langues', present: "Aujourd'hui", degreeField: 'en', cv: 'Curriculum Vitae', coverLetter: 'Lettre de motivation' },
+  pt: { summary: 'Resumo profissional', skills: 'Competências', work: 'Experiência profissional', education: 'Formação', certifications: 'Certificações', projects: 'Projetos', languages: 'Idiomas', present: 'Atual', degreeField: 'em', cv: 'Currículo', coverLetter: 'Carta de apresentação' },
+  es: { summary: 'Perfil profesional', skills: 'Habilidades', work: 'Experiencia profesional', education: 'Formación', certifications: 'Certificaciones', projects: 'Proyectos', languages: 'Idiomas', present: 'Actualidad', degreeField: 'en', cv: 'Currículum', coverLetter: 'Carta de presentación' }
+};
+
+/**
+ * Get the labels for a locale
+ * @param {string} locale - BCP 47 locale ("fr", "pt-BR")
+ * @returns {Object} - Labels
+ */
+function labelsFor(locale) {
+  return LABELS[String(locale || '').slice(0, 2).toLowerCase()] || LABELS.en;
+}
+
+/**
+ * Create a document block
+ * @param {string} type - 'heading', 'subheading', 'paragraph' or 'bullet'
+ * @param {string} text - Block text
+ * @returns {Object} - Block
+ */
+const block = (type, text) => ({ type, text: String(text).replace(/\s+/g, ' ').trim() });
+
+/**
+ * Format a date range for display
+ * @param {string|null} start - Start date
+ * @param {string|null} end - End date
+ * @param {boolean} [isCurrent] - Whether the role is ongoing
+ * @param {Object} [labels] - Labels from labelsFor
+ * @returns {string} - "Jan 2020 – Present", or '' when no dates are known
+ */
+function formatRange(start, end, isCurrent = false, labels = LABELS.en) {
+  const to = isCurrent ? labels.present : end;
+  if (start && to) return `${start} – ${to}`;
+  return start || to || '';
+}
+
+/**
+ * Build the tailored CV document
+ * @param {Object} parsedCV - Normalized résumé from parseCV
+ * @param {Object} content - Generated CV content ({ headline, summary, work: [{ index, highlights }], skills })
+ * @param {Object} [profile] - Talent profile, used for the name when the CV header has none
+ * @param {string} [locale] - Locale of the section headings
+ * @returns {Object} - Document ({ title, blocks })
+ */
+function buildCVDocument(parsedCV, content, profile = {}, locale = 'en') {
+  const { basics } = parsedCV;
+  const labels = labelsFor(locale);
+  const blocks = [];
+  const rewrittenWork = new Map((content.work || []).map(entry => [entry.index, entry.highlights]));
+
+  const headline = content.headline || basics.label;
+  if (headline) blocks.push(block('paragraph', headline));
+
+  const contact = [basics.email, basics.phone, basics.location, basics.url, ...basics.profiles.map(link => link.url)]
+    .filter(Boolean);
+  if (contact.length) blocks.push(block('paragraph', [...new Set(contact)].join(' | ')));
+
+  const summary = content.summary || basics.summary;
+  if (summary) {
+    blocks.push(block('heading', labels.summary), block('paragraph', summary));
+  }
+
+  const skills = content.skills?.length ? content.skills : parsedCV.skills;
+  if (skills.length) {
+    blocks.push(block('heading', labels.skills), block('paragraph', skills.join(', ')));
+  }
+
+  if (parsedCV.work.length) {
+    blocks.push(block('heading', labels.work));
+    parsedCV.work.forEach((job, index) => {
+      blocks.push(block('subheading', [job.position, job.company].filter(Boolean).join(', ')));
+      const details = [formatRange(job.startDate, job.endDate, job.isCurrent, labels), job.location].filter(Boolean).join(' | ');
+      if (details) blocks.push(block('paragraph', details));
+      (rewrittenWork.get(index) || job.highlights).forEach(highlight => blocks.push(block('bullet', highlight)));
+    });
+  }
+
+  if (parsedCV.education.length) {
+    blocks.push(block('heading', labels.education));
+    for (const entry of parsedCV.education) {
+      const degree = [entry.degree, entry.field].filter(Boolean).join(` ${labels.degreeField} `);
+      blocks.push(block('subheading', [degree, entry.institution].filter(Boolean).join(', ')));
+      const dates = formatRange(entry.startDate, entry.endDate, false, labels);
+      if (dates) blocks.push(block('paragraph', dates));
+    }
+  }
+
+  if (parsedCV.certifications.length) {
+    blocks.push(block('heading', labels.certifications));
+    parsedCV.certifications.forEach(cert => blocks.push(block('bullet',
+      [cert.name, cert.issuer, cert.date].filter(Boolean).join(', '))));
+  }
+
+  if (parsedCV.projects.length) {
+    blocks.push(block('heading', labels.projects));
+    for (const project of parsedCV.projects) {
+      blocks.push(block('subheading', project.name));
+      if (project.description) blocks.push(block('paragraph', project.description));
+      project.highlights.forEach(highlight => blocks.push(block('bullet', highlight)));
+    }
+  }
+
+  if (parsedCV.languages.length) {
+    blocks.push(block('heading', labels.languages), block('paragraph', parsedCV.languages
+      .map(entry => entry.fluency ? `${entry.language} (${entry.fluency})` : entry.language)
+      .join(', ')));
+  }
+
+  return {
+    title: basics.name || profile.fullname || labels.cv,
+    blocks: blocks.filter(entry => entry.text)
+  };
+}
+
+/**
+ * Build the cover letter document
+ * @param {Object} parsedCV - Normalized résumé from parseCV
+ * @param {Object} letter - Generated letter ({ subject, greeting, paragraphs, closing })
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Talent profile, used for the name when the CV header has none
+ * @param {Date} [options.date] - Letter date
+ * @param {string} [options.locale] - Locale of the date and title
+ * @returns {Object} - Document ({ title, blocks })
+ */
+function buildCoverLetterDocument(parsedCV, letter, { profile = {}, date = new Date(), locale = 'en-GB' } = {}) {
+  const { basics } = parsedCV;
+  const labels = labelsFor(locale);
+  const name = basics.name || profile.fullname || '';
+  const contact = [basics.email, basics.phone, basics.location].filter(Boolean);
+
+  const blocks = [
+    block('paragraph', contact.join(' | ')),
+    block('paragraph', date.toLocaleDateString(locale === 'en' ? 'en-GB' : locale, { day: 'numeric', month: 'long', year: 'numeric' })),
+    block('subheading', letter.subject || ''),
+    block('paragraph', letter.greeting),
+    ...letter.paragraphs.map(paragraph => block('paragraph', paragraph)),
+    block('paragraph', letter.closing),
+    block('paragraph', name)
+  ];
+
+  return {
+    title: name || labels.coverLetter,
+    blocks: blocks.filter(entry => entry.text)
+  };
+}
+
+/**
+ * Escape Markdown control characters in text
+ * @param {string} text - Plain text
+ * @returns {string} - Markdown-safe text
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*_<>])/g, '\\$1')
+    .replace(/^([#+-]|\d+\.)(?=\s)/, '\\$1');
+}
+
+/**
+ * Render a document as Markdown
+ * @param {Object} document - Document ({ title, blocks })
+ * @returns {string} - Markdown
+ */
+function renderMarkdown(document) {
+  const lines = [`# ${escapeMarkdown(document.title)}`];
+  let previous = 'title';
+
+  for (const { type, text } of document.blocks) {
+    if (!(type === 'bullet' && previous === 'bullet')) lines.push('');
+
+    const escaped = escapeMarkdown(text);
+    switch (type) {
+      case 'heading':
+        lines.push(`## ${escaped}`);
+        break;
+      case 'subheading':
+        lines.push(`### ${escaped}`);
+        break;
+      case 'bullet':
+        lines.push(`- ${escaped}`);
+        break;
+      default:
+        lines.push(escaped);
+    }
+    previous = type;
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for XML content and attributes (dropping characters XML 1.0 does not allow)
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const DOCX_STYLE_IDS = { title: 'Title', heading: 'Heading1', subheading: 'Heading2', bullet: 'ListBullet' };
+
+/**
+ * Render a document as DOCX (Office Open XML)
+ * @param {Object} document - Document ({ title, blocks })
+ * @returns {Buffer} - DOCX file
+ */
+function renderDocx(document) {
+  const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+  const xml = body => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+  const halfPoints = type => Math.round(BLOCK_STYLES[type].size * 2);
+  const twips = points => Math.round(points * 20);
+
+  const paragraph = ({ type, text }) => {
+    const properties = [
+      DOCX_STYLE_IDS[type] ? `<w:pStyle w:val="${DOCX_STYLE_IDS[type]}"/>` : '',
+      type === 'bullet' ? '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>' : ''
+    ].join('');
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+  };
+
+  const style = (type, styleId, name) => {
+    const { bold, spaceBefore, spaceAfter } = BLOCK_STYLES[type];
+    return `<w:style w:type="paragraph" w:styleId="${styleId}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/>`
+      + `<w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="${twips(spaceBefore)}" w:after="${twips(spaceAfter)}"/>`
+      + `${type === 'heading' ? '<w:outlineLvl w:val="0"/>' : type === 'subheading' ? '<w:outlineLvl w:val="1"/>' : ''}</w:pPr>`
+      + `<w:rPr>${bold ? '<w:b/>' : ''}<w:sz w:val="${halfPoints(type)}"/></w:rPr></w:style>`;
+  };
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+        + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+        + '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>'
+        + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+        + '</Types>')
+    },
+    {
+      name: '_rels/.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+        + '</Relationships>')
+    },
+    {
+      name: 'docProps/core.xml',
+      data: xml('<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" '
+        + 'xmlns:dc="http://purl.org/dc/elements/1.1/">'
+        + `<dc:title>${escapeXml(document.title)}</dc:title><dc:creator>${escapeXml(document.title)}</dc:creator>`
+        + '</cp:coreProperties>')
+    },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>'
+        + '</Relationships>')
+    },
+    {
+      name: 'word/styles.xml',
+      data: xml(`<w:styles ${W}>`
+        + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/>'
+        + `<w:sz w:val="${halfPoints('paragraph')}"/></w:rPr></w:rPrDefault>`
+        + `<w:pPrDefault><w:pPr><w:spacing w:after="${twips(BLOCK_STYLES.paragraph.spaceAfter)}"/></w:pPr></w:pPrDefault></w:docDefaults>`
+        + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+        + style('title', 'Title', 'Title')
+        + style('heading', 'Heading1', 'heading 1')
+        + style('subheading', 'Heading2', 'heading 2')
+        + `<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>`
+        + `<w:pPr><w:spacing w:after="${twips(BLOCK_STYLES.bullet.spaceAfter)}"/><w:ind w:left="${twips(BULLET_INDENT + 6)}" w:hanging="${twips(BULLET_INDENT)}"/></w:pPr></w:style>`
+        + '</w:styles>')
+    },
+    {
+      name: 'word/numbering.xml',
+      data: xml(`<w:numbering ${W}>`
+        + '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/>'
+        + `<w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${twips(BULLET_INDENT + 6)}" w:hanging="${twips(BULLET_INDENT)}"/></w:pPr>`
+        + '</w:lvl></w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>')
+    },
+    {
+      name: 'word/document.xml',
+      data: xml(`<w:document ${W}><w:body>`
+        + [{ type: 'title', text: document.title }, ...document.blocks].map(paragraph).join('')
+        + '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>'
+        + `<w:pgMar w:top="${twips(PAGE.margin)}" w:right="${twips(PAGE.margin)}" w:bottom="${twips(PAGE.margin)}" w:left="${twips(PAGE.margin)}" w:header="708" w:footer="708" w:gutter="0"/>`
+        + '</w:sectPr></w:body></w:document>')
+    }
+  ];
+
+  return createZip(files);
+}
+
+/**
+ * Encode text in WinAnsiEncoding (characters without an equivalent lose their accents or become '?')
+ * @param {string} text - Text
+ * @returns {number[]} - Character codes
+ */
+function toWinAnsi(text) {
+  const codes = [];
+
+  for (const char of text) {
+    const point = char.codePointAt(0);
+    if ((point >= 0x20 && point <= 0x7e) || (point >= 0xa0 && point <= 0xff)) {
+      codes.push(point);
+    } else if (WIN_ANSI[point]) {
+      codes.push(WIN_ANSI[point]);
+    } else {
+      const base = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      codes.push(...(base && base !== char && /^[\x20-\x7e]+$/.test(base) ? [...base].map(c => c.charCodeAt(0)) : [0x3f]));
+    }
+  }
+
+  return codes;
+}
+
+/**
+ * Measure encoded text in points
+ * @param {number[]} codes - WinAnsi character codes
+ * @param {number} size - Font size
+ * @param {boolean} bold - Whether the bold font is used
+ * @returns {number} - Width
+ */
+function measure(codes, size, bold) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = codes.reduce((total, code) =>
+    total + (code >= 32 && code <= 126 ? widths[code - 32] : EXTRA_WIDTHS[code] || 556), 0);
+  return units * size / 1000;
+}
+
+/**
+ * Break text into lines that fit a width (words longer than a line are split)
+ * @param {string} text - Text
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @param {boolean} bold - Whether the bold font is used
+ * @returns {number[][]} - Lines as WinAnsi character codes
+ */
+function wrapText(text, width, size, bold) {
+  const space = toWinAnsi(' ');
+  const lines = [];
+  let line = [];
+
+  for (const word of text.split(' ').filter(Boolean).map(toWinAnsi)) {
+    const candidate = line.length ? [...line, ...space, ...word] : word;
+    if (measure(candidate, size, bold) <= width) {
+      line = candidate;
+      continue;
+    }
+
+    if (line.length) lines.push(line);
+    line = [];
+    for (const code of word) {
+      if (line.length && measure([...line, code], size, bold) > width) {
+        lines.push(line);
+        line = [];
+      }
+      line.push(code);
+    }
+  }
+
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+/**
+ * Write WinAnsi codes as a PDF literal string
+ * @param {number[]} codes - Character codes
+ * @returns {string} - "(...)" in latin1
+ */
+function pdfString(codes) {
+  return `(${codes.map(code => {
+    const char = String.fromCharCode(code);
+    return char === '(' || char === ')' || char === '\\' ? `\\${char}` : char;
+  }).join('')})`;
+}
+
+/**
+ * Render a document as PDF (A4, Helvetica, text layer in reading order)
+ * @param {Object} document - Document ({ title, blocks })
+ * @returns {Buffer} - PDF file
+ */
+function renderPdf(document) {
+  const contentWidth = PAGE.width - 2 * PAGE.margin;
+  const pages = [];
+  let operations = [];
+  let y = PAGE.height - PAGE.margin;
+
+  const newPage = () => {
+    if (operations.length) pages.push(operations.join('\n'));
+    operations = [];
+    y = PAGE.height - PAGE.margin;
+  };
+
+  for (const { type, text } of [{ type: 'title', text: document.title }, ...document.blocks]) {
+    const { size, bold, spaceBefore, spaceAfter } = BLOCK_STYLES[type];
+    const indent = type === 'bullet' ? BULLET_INDENT : 0;
+    const leading = size * LINE_HEIGHT;
+    const lines = wrapText(text, contentWidth - indent, size, bold);
+
+    // Keep headings with the first lines that follow them
+    const needed = leading * (type === 'heading' || type === 'subheading' ? lines.length + 2 : Math.min(lines.length, 2));
+    if (y - spaceBefore - needed < PAGE.margin) {
+      newPage();
+    } else if (operations.length) {
+      y -= spaceBefore;
+    }
+
+    lines.forEach((line, index) => {
+      if (y - leading < PAGE.margin) newPage();
+      y -= leading;
+      const font = bold ? 'F2' : 'F1';
+      if (type === 'bullet' && index === 0) {
+        operations.push(`BT /F1 ${size} Tf ${PAGE.margin.toFixed(2)} ${y.toFixed(2)} Td ${pdfString([0x95, 0x20])} Tj ET`);
+      }
+      operations.push(`BT /${font} ${size} Tf ${(PAGE.margin + indent).toFixed(2)} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+    });
+    y -= spaceAfter;
+
+    // A rule under section headings
+    if (type === 'heading') {
+      operations.push(`0.6 w ${PAGE.margin.toFixed(2)} ${(y + 1).toFixed(2)} m ${(PAGE.width - PAGE.margin).toFixed(2)} ${(y + 1).toFixed(2)} l S`);
+      y -= 2;
+    }
+  }
+  newPage();
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  const font = name => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = font('Helvetica');
+  objects[4] = font('Helvetica-Bold');
+  objects[5] = `<< /Title ${pdfString(toWinAnsi(document.title))} /Author ${pdfString(toWinAnsi(document.title))} /Producer (career4me) >>`;
+
+  pages.forEach((content, index) => {
+    const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+  });
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+
+  for (let id = 1; id < objects.length; id++) {
+    const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+    const object = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets[id] = length;
+    parts.push(object);
+    length += object.length;
+  }
+
+  const xref = [
+    'xref',
+    `0 ${objects.length}`,
+    '0000000000 65535 f ',
+    ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF\n'
+  ].join('\n');
+  parts.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Render a document in every export format
+ * @param {Object} document - Document ({ title, blocks })
+ * @returns {Object} - { markdown, files: [{ format, mimeType, data }] }
+ */
+function renderDocument(document) {
+  const markdown = renderMarkdown(document);
+
+  return {
+    markdown,
+    files: [
+      { format: 'md', mimeType: MIME_TYPES.md, data: Buffer.from(markdown, 'utf8') },
+      { format: 'docx', mimeType: MIME_TYPES.docx, data: renderDocx(document) },
+      { format: 'pdf', mimeType: MIME_TYPES.pdf, data: renderPdf(document) }
+    ]
+  };
+}
+
+module.exports = {
+  MIME_TYPES,
+  buildCVDocument,
+  buildCoverLetterDocument,
+  renderMarkdown,
+  renderDocx,
+  renderPdf,
+  renderDocument
+};
@@ -0,0 +1,314 @@
+/**
+ * Local CV Text Extraction
+ *
+ * Deterministic, offline text extraction for text-based documents:
+ *   - PDF: reads the embedded text layer (pdf-parse)
+ *   - DOCX: unzips the archive and reads paragraphs from word/document.xml
+ *   - DOC: reads the legacy Word binary format (word-extractor)
+ *
+ * Scanned PDFs (no usable text layer) and images are reported as requiring
+ * vision-based extraction, which is handled by the caller.
+ *
+ * The format is detected from the file's magic bytes; the file name's extension is
+ * only used when the content is not recognized.
+ */
+
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const WordExtractor = require('word-extractor');
+const { isZip, readZipEntries, readZipEntry } = require('./zip');
+
+const EXTRACTORS = {
+  PDF_TEXT: 'pdf-text-layer',
+  DOCX_XML: 'docx-xml',
+  DOC_BINARY: 'doc-binary',
+  VISION_MODEL: 'vision-model'
+};
+
+// Relative reliability of each extractor, applied on top of the text quality score
+const EXTRACTOR_RELIABILITY = {
+  [EXTRACTORS.DOCX_XML]: 1,
+  [EXTRACTORS.PDF_TEXT]: 0.95,
+  [EXTRACTORS.DOC_BINARY]: 0.9,
+  [EXTRACTORS.VISION_MODEL]: 0.75
+};
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Leading bytes of each supported format (DOCX is a ZIP archive and is checked separately)
+const FILE_SIGNATURES = [
+  { type: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'doc', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }
+];
+
+// PDF readers accept the %PDF- header anywhere in the first kilobyte
+const PDF_HEADER_SEARCH_BYTES = 1024;
+
+const MIN_TEXT_LENGTH = 50;
+const MIN_PDF_CHARS_PER_PAGE = 100;
+const MIN_LOCAL_CONFIDENCE = 0.5;
+
+/**
+ * Get the lower-cased extension of a file name
+ * @param {string} fileName - File name
+ * @returns {string} - Extension without the dot
+ */
+function getFileExtension(fileName) {
+  return fileName.toLowerCase().split('.').pop();
+}
+
+/**
+ * Detect a file's format from its magic bytes
+ * @param {Buffer} fileBuffer - File buffer
+ * @returns {string|null} - 'pdf', 'docx', 'doc', 'jpg' or 'png', or null if not recognized
+ */
+function sniffFileType(fileBuffer) {
+  if (!Buffer.isBuffer(fileBuffer) || fileBuffer.length < 4) {
+    return null;
+  }
+
+  const signature = FILE_SIGNATURES.find(({ bytes }) =>
+    fileBuffer.length >= bytes.length && bytes.every((byte, index) => fileBuffer[index] === byte));
+  if (signature) {
+    return signature.type;
+  }
+
+  if (fileBuffer.subarray(0, PDF_HEADER_SEARCH_BYTES).includes('%PDF-')) {
+    return 'pdf';
+  }
+
+  if (isZip(fileBuffer)) {
+    try {
+      return readZipEntries(fileBuffer).has('word/document.xml') ? 'docx' : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Determine a file's format, trusting its content over its name
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} fileName - File name
+ * @returns {string} - Format (a MIME_TYPES key when supported)
+ */
+function detectFileType(fileBuffer, fileName) {
+  const extension = getFileExtension(fileName);
+  return sniffFileType(fileBuffer) || (extension === 'jpeg' ? 'jpg' : extension);
+}
+
+/**
+ * Determine MIME type based on file extension
+ * @param {string} fileName - File name
+ * @returns {string} - MIME type
+ */
+function getMimeType(fileName) {
+  const extension = getFileExtension(fileName);
+  return MIME_TYPES[extension === 'jpeg' ? 'jpg' : extension] || 'application/octet-stream';
+}
+
+/**
+ * Decode the XML entities that appear in Office documents
+ * @param {string} text - XML text content
+ * @returns {string} - Decoded text
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert WordprocessingML to plain text, one line per paragraph
+ * @param {string} xml - Contents of a WordprocessingML part (e.g. word/document.xml)
+ * @returns {string} - Plain text
+ */
+function wordXmlToText(xml) {
+  const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [];
+
+  return paragraphs
+    .map(paragraph => {
+      const tokens = paragraph.match(/<w:t(?:\s[^>]*)?>[\s\S]*?<\/w:t>|<w:tab\/>|<w:br\/>/g) || [];
+      return tokens
+        .map(token => {
+          if (token === '<w:tab/>') return '\t';
+          if (token === '<w:br/>') return '\n';
+          return decodeXmlEntities(token.replace(/<[^>]+>/g, ''));
+        })
+        .join('');
+    })
+    .join('\n');
+}
+
+/**
+ * Normalize extracted text: unify line endings, trim lines and collapse blank runs
+ * @param {string} text - Raw extracted text
+ * @returns {string} - Normalized text
+ */
+function normalizeExtractedText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Score how much extracted text looks like readable prose (0-1)
+ * @param {string} text - Extracted text
+ * @returns {number} - Quality score
+ */
+function scoreTextQuality(text) {
+  if (!text || text.length < MIN_TEXT_LENGTH) {
+    return 0;
+  }
+
+  const nonWhitespace = text.replace(/\s/g, '');
+  const letters = (nonWhitespace.match(/\p{L}/gu) || []).length;
+  const replacementChars = (text.match(/\uFFFD/g) || []).length;
+  const letterRatio = letters / nonWhitespace.length;
+  const words = text.split(/\s+/).filter(word => /\p{L}{2,}/u.test(word)).length;
+  const lengthFactor = Math.min(1, words / 150);
+
+  const score = letterRatio * (0.6 + 0.4 * lengthFactor) - replacementChars / nonWhitespace.length;
+  return Math.max(0, Math.min(1, Math.round(score * 100) / 100));
+}
+
+/**
+ * Compute the confidence of an extraction result
+ * @param {string} text - Extracted text
+ * @param {string} extractor - Extractor identifier
+ * @returns {number} - Confidence between 0 and 1
+ */
+function computeConfidence(text, extractor) {
+  const reliability = EXTRACTOR_RELIABILITY[extractor] || 0.5;
+  return Math.round(scoreTextQuality(text) * reliability * 100) / 100;
+}
+
+/**
+ * Extract the text layer of a PDF
+ * @param {Buffer} fileBuffer - PDF file buffer
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromPdf(fileBuffer) {
+  const pdf = await pdfParse(fileBuffer);
+  const text = normalizeExtractedText(pdf.text || '');
+  const pageCount = pdf.numpages || 1;
+  const charsPerPage = text.replace(/\s/g, '').length / pageCount;
+
+  return {
+    text,
+    extractor: EXTRACTORS.PDF_TEXT,
+    confidence: computeConfidence(text, EXTRACTORS.PDF_TEXT),
+    pageCount,
+    // A PDF with (almost) no text layer is most likely a scanned image
+    scanned: charsPerPage < MIN_PDF_CHARS_PER_PAGE
+  };
+}
+
+/**
+ * Extract paragraph text from a DOCX archive
+ * @param {Buffer} fileBuffer - DOCX file buffer
+ * @returns {Object} - Extraction result
+ */
+function extractFromDocx(fileBuffer) {
+  if (!isZip(fileBuffer)) {
+    throw new Error('File is not a valid DOCX archive');
+  }
+
+  const entries = readZipEntries(fileBuffer);
+  const documentXml = readZipEntry(fileBuffer, 'word/document.xml', entries);
+
+  if (!documentXml) {
+    throw new Error('DOCX archive does not contain word/document.xml');
+  }
+
+  const text = normalizeExtractedText(wordXmlToText(documentXml.toString('utf8')));
+
+  return {
+    text,
+    extractor: EXTRACTORS.DOCX_XML,
+    confidence: computeConfidence(text, EXTRACTORS.DOCX_XML)
+  };
+}
+
+/**
+ * Extract text from a legacy Word (.doc) binary file
+ * @param {Buffer} fileBuffer - DOC file buffer
+ * @returns {Promise<Object>} - Extraction result
+ */
+async function extractFromDoc(fileBuffer) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(fileBuffer);
+  const text = normalizeExtractedText(document.getBody() || '');
+
+  return {
+    text,
+    extractor: EXTRACTORS.DOC_BINARY,
+    confidence: computeConfidence(text, EXTRACTORS.DOC_BINARY)
+  };
+}
+
+/**
+ * Extract text locally from a CV file when its format allows it
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} fileName - Original file name
+ * @returns {Promise<Object|null>} - Extraction result, or null if vision extraction is required
+ */
+async function extractTextLocally(fileBuffer, fileName) {
+  let result;
+
+  switch (detectFileType(fileBuffer, fileName)) {
+    case 'pdf':
+      result = await extractFromPdf(fileBuffer);
+      if (result.scanned) {
+        return null;
+      }
+      break;
+    case 'docx':
+      result = extractFromDocx(fileBuffer);
+      break;
+    case 'doc':
+      result = await extractFromDoc(fileBuffer);
+      break;
+    default:
+      // Images always require vision-based extraction
+      return null;
+  }
+
+  if (result.text.length < MIN_TEXT_LENGTH || result.confidence < MIN_LOCAL_CONFIDENCE) {
+    return null;
+  }
+
+  return result;
+}
+
+module.exports = {
+  EXTRACTORS,
+  MIME_TYPES,
+  getFileExtension,
+  sniffFileType,
+  detectFileType,
+  getMimeType,
+  decodeXmlEntities,
+  wordXmlToText,
+  normalizeExtractedText,
+  computeConfidence,
+  extractTextLocally
+};
@@ -0,0 +1,231 @@
+/**
+ * Analysis History
+ *
+ * Persists every CV analysis to the `cvAnalyses` collection and provides
+ * listing and comparison of a talent's past analyses, so users can see how
+ * their CV improved over time.
+ *
+ * Nested objects (analysis, metadata) are stored as JSON strings, since Appwrite
+ * attributes are flat; scores are duplicated into numeric attributes for querying.
+ *
+ * `cvAnalyses` attributes: talentId, careerPathId, fileName, fileHash, cacheKey, model (string),
+ * usedFallback (boolean), overallScore, alignmentScore, marketabilityScore (integer),
+ * analysis, atsReport, parsedCV, metadata (large string). Indexes: talentId + $createdAt, talentId + cacheKey.
+ */
+
+const crypto = require('crypto');
+const { Query, ID } = require('node-appwrite');
+const { similarity } = require('./matching');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// Two weaknesses are considered the same issue above this wording similarity
+const WEAKNESS_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * Compute the SHA-256 hash of a file
+ * @param {Buffer} fileBuffer - File buffer
+ * @returns {string} - Hex digest
+ */
+function hashFile(fileBuffer) {
+  return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+}
+
+/**
+ * Parse a JSON attribute, tolerating missing or corrupt values
+ * @param {string} value - JSON string
+ * @param {*} fallback - Value returned when parsing fails
+ * @returns {*} - Parsed value
+ */
+function parseJSONAttribute(value, fallback = null) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Convert a stored analysis document into its API representation
+ * @param {Object} document - cvAnalyses document
+ * @param {boolean} [includeAnalysis] - Whether to include the full analysis
+ * @returns {Object} - Analysis record
+ */
+function toAnalysisRecord(document, includeAnalysis = false) {
+  const record = {
+    id: document.$id,
+    talentId: document.talentId,
+    careerPathId: document.careerPathId || null,
+    fileName: document.fileName,
+    fileHash: document.fileHash,
+    model: document.model,
+    usedFallback: document.usedFallback,
+    overallScore: document.overallScore,
+    alignmentScore: document.alignmentScore,
+    marketabilityScore: document.marketabilityScore,
+    analyzedAt: document.$createdAt
+  };
+
+  if (includeAnalysis) {
+    record.analysis = parseJSONAttribute(document.analysis);
+    record.atsReport = parseJSONAttribute(document.atsReport);
+    record.parsedCV = parseJSONAttribute(document.parsedCV);
+    record.metadata = parseJSONAttribute(document.metadata, {});
+  }
+
+  return record;
+}
+
+/**
+ * Save an analysis result
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {Object} record - { talentId, careerPathId, fileName, fileHash, cacheKey, model, usedFallback, analysis, atsReport, parsedCV, metadata }
+ * @returns {Promise<Object>} - Created document
+ */
+async function saveAnalysis(databases, config, record) {
+  const { analysis } = record;
+
+  return databases.createDocument(
+    config.databaseId,
+    config.analysesCollectionId,
+    ID.unique(),
+    {
+      talentId: record.talentId,
+      careerPathId: record.careerPathId || null,
+      fileName: record.fileName,
+      fileHash: record.fileHash,
+      cacheKey: record.cacheKey || null,
+      model: record.model,
+      usedFallback: record.usedFallback,
+      overallScore: analysis.overallScore ?? null,
+      alignmentScore: analysis.careerPathAlignment?.alignmentScore ?? null,
+      marketabilityScore: analysis.marketability?.score ?? null,
+      analysis: JSON.stringify(analysis),
+      atsReport: record.atsReport ? JSON.stringify(record.atsReport) : null,
+      parsedCV: record.parsedCV ? JSON.stringify(record.parsedCV) : null,
+      metadata: JSON.stringify(record.metadata || {})
+    }
+  );
+}
+
+/**
+ * List a talent's past analyses, newest first
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string} talentId - Talent ID
+ * @param {Object} [options] - { limit, offset }
+ * @returns {Promise<Object>} - { total, analyses }
+ */
+async function listAnalyses(databases, config, talentId, { limit = DEFAULT_HISTORY_LIMIT, offset = 0 } = {}) {
+  const result = await databases.listDocuments(
+    config.databaseId,
+    config.analysesCollectionId,
+    [
+      Query.equal('talentId', talentId),
+      Query.orderDesc('$createdAt'),
+      Query.limit(Math.min(Math.max(1, Number(limit) || DEFAULT_HISTORY_LIMIT), MAX_HISTORY_LIMIT)),
+      Query.offset(Math.max(0, Number(offset) || 0))
+    ]
+  );
+
+  return {
+    total: result.total,
+    analyses: result.documents.map(document => toAnalysisRecord(document))
+  };
+}
+
+/**
+ * Fetch a single analysis, ensuring it belongs to the given talent
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string} talentId - Talent ID
+ * @param {string} analysisId - Analysis document ID
+ * @returns {Promise<Object|null>} - Analysis record with full analysis, or null if not found
+ */
+async function getAnalysis(databases, config, talentId, analysisId) {
+  try {
+    const document = await databases.getDocument(config.databaseId, config.analysesCollectionId, analysisId);
+    return document.talentId === talentId ? toAnalysisRecord(document, true) : null;
+  } catch (error) {
+    if (error.code === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compute the difference between two numeric scores
+ * @param {number|null} from - Earlier score
+ * @param {number|null} to - Later score
+ * @returns {Object} - { from, to, delta }
+ */
+function scoreDelta(from, to) {
+  return {
+    from: from ?? null,
+    to: to ?? null,
+    delta: typeof from === 'number' && typeof to === 'number' ? to - from : null
+  };
+}
+
+/**
+ * Find items of one list that have no similarly-worded counterpart in another
+ * @param {string[]} items - Items to check
+ * @param {string[]} others - Items to compare against
+ * @returns {string[]} - Unmatched items
+ */
+function unmatchedItems(items, others) {
+  return (items || []).filter(item =>
+    !(others || []).some(other => similarity(item, other) >= WEAKNESS_SIMILARITY_THRESHOLD)
+  );
+}
+
+/**
+ * Compare two analyses of the same talent
+ * @param {Object} base - Earlier analysis record (with analysis)
+ * @param {Object} target - Later analysis record (with analysis)
+ * @returns {Object} - Score deltas, skill and certification movements, resolved and new weaknesses
+ */
+function compareAnalyses(base, target) {
+  const before = base.analysis || {};
+  const after = target.analysis || {};
+  const beforeAlignment = before.careerPathAlignment || {};
+  const afterAlignment = after.careerPathAlignment || {};
+  const intersect = (a, b) => (a || []).filter(item => (b || []).includes(item));
+
+  return {
+    base: { id: base.id, analyzedAt: base.analyzedAt, careerPathId: base.careerPathId },
+    target: { id: target.id, analyzedAt: target.analyzedAt, careerPathId: target.careerPathId },
+    careerPathChanged: base.careerPathId !== target.careerPathId,
+    scoreDeltas: {
+      overallScore: scoreDelta(before.overallScore, after.overallScore),
+      alignmentScore: scoreDelta(beforeAlignment.alignmentScore, afterAlignment.alignmentScore),
+      marketabilityScore: scoreDelta(before.marketability?.score, after.marketability?.score)
+    },
+    skills: {
+      nowMatching: intersect(beforeAlignment.missingSkills, afterAlignment.matchingSkills),
+      noLongerMatching: intersect(beforeAlignment.matchingSkills, afterAlignment.missingSkills),
+      stillMissing: intersect(beforeAlignment.missingSkills, afterAlignment.missingSkills)
+    },
+    certifications: {
+      nowMatching: intersect(beforeAlignment.missingCertifications, afterAlignment.matchingCertifications),
+      noLongerMatching: intersect(beforeAlignment.matchingCertifications, afterAlignment.missingCertifications),
+      stillMissing: intersect(beforeAlignment.missingCertifications, afterAlignment.missingCertifications)
+    },
+    weaknesses: {
+      resolved: unmatchedItems(before.weaknesses, after.weaknesses),
+      new: unmatchedItems(after.weaknesses, before.weaknesses)
+    }
+  };
+}
+
+module.exports = {
+  hashFile,
+  toAnalysisRecord,
+  saveAnalysis,
+  listAnalyses,
+  getAnalysis,
+  compareAnalyses
+};
@@ -0,0 +1,216 @@
+/**
+ * Job Description Matching
+ *
+ * Analyzes a CV against a specific job posting instead of a career path document:
+ *   - extracts the posting's requirements (must-have vs nice-to-have skills,
+ *     certifications, degrees, years of experience, ATS keywords),
+ *   - computes a deterministic alignment in the same shape as `careerPathAlignment`,
+ *   - measures ATS-style keyword coverage of the CV text.
+ *
+ * Requirements are extracted locally from section headings and the skill taxonomy;
+ * model-extracted requirements (when available) are merged on top.
+ */
+
+const { findMentions, mentionsTerm, resolveTerm, computeAlignment } = require('./matching');
+
+// Weights for the job alignment score
+const JOB_ALIGNMENT_WEIGHTS = {
+  mustHave: 0.55,
+  niceToHave: 0.15,
+  certifications: 0.15,
+  degrees: 0.15
+};
+
+const MUST_HAVE_HEADING = /^(requirements|required|qualifications|required qualifications|minimum qualifications|must[- ]haves?|what you(?:'ll)? need|what we(?:'re)? looking for|you have|who you are|skills|key skills|required skills)\b/i;
+const NICE_TO_HAVE_HEADING = /^(nice[- ]to[- ]haves?|preferred|preferred qualifications|bonus(?: points)?|desirable|pluses|good to have|an advantage)\b/i;
+const RESPONSIBILITIES_HEADING = /^(responsibilities|key responsibilities|what you(?:'ll)? do|duties|the role|your role|about the role|role description)\b/i;
+const NICE_TO_HAVE_INLINE = /\b(preferred|a plus|is a plus|nice to have|bonus|desirable|advantageous|an advantage|ideally)\b/i;
+const DEGREE_REQUIREMENT = /\b((?:bachelor|master|doctoral|phd|associate)(?:'s)?(?:\s+degree)?(?:\s+(?:in|of)\s+[A-Za-z ,/&]+?)?|b\.?sc|m\.?sc|mba)(?=[.;,)]|\s+or\b|\s+and\b|$)/gi;
+const YEARS_OF_EXPERIENCE = /(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?(?:years?|yrs?)(?:\s+of)?(?:\s+\w+){0,3}\s+experience/i;
+
+/**
+ * De-duplicate terms by their canonical taxonomy id, keeping the first spelling
+ * @param {string[]} terms - Terms
+ * @param {string} kind - 'skills' or 'certifications'
+ * @returns {string[]} - Unique terms
+ */
+function uniqueTerms(terms, kind = 'skills') {
+  const seen = new Set();
+  return (terms || []).filter(term => {
+    const id = resolveTerm(term, kind).id;
+    if (!term || seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/**
+ * Extract a posting's requirements locally from its text
+ * @param {string} text - Job description text
+ * @returns {Object} - Job requirements
+ */
+function extractJobRequirementsLocally(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const buckets = { mustHave: [], niceToHave: [], responsibilities: [], general: [] };
+  let current = 'general';
+
+  for (const line of lines) {
+    const heading = line.replace(/[:#*]+/g, '').trim();
+    if (heading.length <= 50 && NICE_TO_HAVE_HEADING.test(heading)) {
+      current = 'niceToHave';
+      continue;
+    }
+    if (heading.length <= 50 && MUST_HAVE_HEADING.test(heading)) {
+      current = 'mustHave';
+      continue;
+    }
+    if (heading.length <= 50 && RESPONSIBILITIES_HEADING.test(heading)) {
+      current = 'responsibilities';
+      continue;
+    }
+
+    // Inline qualifiers ("Docker experience is a plus") override the section
+    const bucket = current !== 'responsibilities' && NICE_TO_HAVE_INLINE.test(line) ? 'niceToHave' : current;
+    buckets[bucket].push(line.replace(/^[-•*▪●◦]\s*/, ''));
+  }
+
+  const hasRequirementSections = buckets.mustHave.length > 0 || buckets.niceToHave.length > 0;
+  const mustHaveText = (hasRequirementSections ? buckets.mustHave : [...buckets.general, ...buckets.responsibilities]).join('\n');
+  const niceToHaveText = buckets.niceToHave.join('\n');
+
+  // Requirement lines are about skills throughout, so ambiguous terms ("Go", "R") need no skills section
+  const mustHaveSkills = uniqueTerms(findMentions(mustHaveText, 'skills', { requireContext: false }));
+  const niceToHaveSkills = uniqueTerms(findMentions(niceToHaveText, 'skills', { requireContext: false }))
+    .filter(skill => !mustHaveSkills.includes(skill));
+  const requiredCertifications = uniqueTerms(findMentions(mustHaveText, 'certifications'), 'certifications');
+  const preferredCertifications = uniqueTerms(findMentions(niceToHaveText, 'certifications'), 'certifications')
+    .filter(cert => !requiredCertifications.includes(cert));
+
+  const degrees = [...new Set([...String(text || '').matchAll(DEGREE_REQUIREMENT)].map(match => match[1].trim()))];
+  const yearsMatch = String(text || '').match(YEARS_OF_EXPERIENCE);
+
+  return {
+    title: lines[0] && lines[0].length <= 80 ? lines[0] : null,
+    mustHaveSkills,
+    niceToHaveSkills,
+    requiredCertifications,
+    preferredCertifications,
+    degrees,
+    minYearsExperience: yearsMatch ? Number(yearsMatch[1]) : null,
+    responsibilities: buckets.responsibilities,
+    keywords: uniqueTerms([...mustHaveSkills, ...niceToHaveSkills, ...requiredCertifications, ...preferredCertifications])
+  };
+}
+
+/**
+ * Merge model-extracted requirements into locally extracted ones
+ * @param {Object} local - Requirements from extractJobRequirementsLocally
+ * @param {Object|null} extracted - Requirements extracted by the model
+ * @returns {Object} - Merged requirements
+ */
+function mergeJobRequirements(local, extracted) {
+  if (!extracted) {
+    return local;
+  }
+
+  const mustHaveSkills = uniqueTerms([...local.mustHaveSkills, ...(extracted.mustHaveSkills || [])]);
+  const requiredCertifications = uniqueTerms([...local.requiredCertifications, ...(extracted.requiredCertifications || [])], 'certifications');
+
+  return {
+    title: extracted.title || local.title,
+    mustHaveSkills,
+    niceToHaveSkills: uniqueTerms([...local.niceToHaveSkills, ...(extracted.niceToHaveSkills || [])])
+      .filter(skill => !mustHaveSkills.includes(skill)),
+    requiredCertifications,
+    preferredCertifications: uniqueTerms([...local.preferredCertifications, ...(extracted.preferredCertifications || [])], 'certifications')
+      .filter(cert => !requiredCertifications.includes(cert)),
+    degrees: [...new Set([...local.degrees, ...(extracted.degrees || [])])],
+    minYearsExperience: local.minYearsExperience ?? extracted.minYearsExperience ?? null,
+    responsibilities: local.responsibilities.length ? local.responsibilities : (extracted.responsibilities || []),
+    keywords: uniqueTerms([...local.keywords, ...(extracted.keywords || [])])
+  };
+}
+
+/**
+ * Measure ATS-style keyword coverage: which posting keywords literally appear in the CV
+ * @param {string[]} keywords - Posting keywords
+ * @param {string} cvText - Extracted CV text
+ * @returns {Object} - { coverage (0-100), matchedKeywords, missingKeywords }
+ */
+function computeKeywordCoverage(keywords, cvText) {
+  const mentionedSkills = new Set(findMentions(cvText, 'skills').map(name => resolveTerm(name).id));
+  const mentionedCertifications = new Set(findMentions(cvText, 'certifications').map(name => resolveTerm(name, 'certifications').id));
+
+  const matchedKeywords = [];
+  const missingKeywords = [];
+
+  for (const keyword of keywords || []) {
+    const found = mentionedSkills.has(resolveTerm(keyword).id)
+      || mentionedCertifications.has(resolveTerm(keyword, 'certifications').id)
+      || mentionsTerm(cvText, keyword);
+    (found ? matchedKeywords : missingKeywords).push(keyword);
+  }
+
+  const total = matchedKeywords.length + missingKeywords.length;
+
+  return {
+    coverage: total ? Math.round((matchedKeywords.length / total) * 100) : 0,
+    matchedKeywords,
+    missingKeywords
+  };
+}
+
+/**
+ * Build the deterministic part of a job match
+ * @param {Object} params
+ * @param {Object} params.talent - Talent profile data
+ * @param {Object} params.requirements - Job requirements
+ * @param {Object|null} params.parsedCV - Normalized résumé
+ * @param {string} params.cvText - Extracted CV text
+ * @returns {Object} - { jobAlignment, keywordCoverage, gaps }
+ */
+function buildJobMatch({ talent, requirements, parsedCV, cvText }) {
+  const alignment = computeAlignment({
+    talent,
+    parsedCV,
+    cvText,
+    groups: [
+      { key: 'mustHave', kind: 'skills', requirements: requirements.mustHaveSkills, weight: JOB_ALIGNMENT_WEIGHTS.mustHave },
+      { key: 'niceToHave', kind: 'skills', requirements: requirements.niceToHaveSkills, weight: JOB_ALIGNMENT_WEIGHTS.niceToHave },
+      {
+        key: 'certifications',
+        kind: 'certifications',
+        requirements: [...requirements.requiredCertifications, ...requirements.preferredCertifications],
+        weight: JOB_ALIGNMENT_WEIGHTS.certifications
+      },
+      { key: 'degrees', kind: 'degrees', requirements: requirements.degrees, weight: JOB_ALIGNMENT_WEIGHTS.degrees }
+    ]
+  });
+
+  const missingFrom = (groupKey, list) => alignment.matchDetails[groupKey]
+    .filter(detail => !detail.matched && list.includes(detail.requirement))
+    .map(detail => detail.requirement);
+
+  return {
+    jobAlignment: alignment,
+    keywordCoverage: computeKeywordCoverage(requirements.keywords, cvText),
+    gaps: {
+      mustHave: [
+        ...missingFrom('mustHave', requirements.mustHaveSkills),
+        ...missingFrom('certifications', requirements.requiredCertifications)
+      ],
+      niceToHave: [
+        ...missingFrom('niceToHave', requirements.niceToHaveSkills),
+        ...missingFrom('certifications', requirements.preferredCertifications)
+      ]
+    }
+  };
+}
+
+module.exports = {
+  JOB_ALIGNMENT_WEIGHTS,
+  extractJobRequirementsLocally,
+  mergeJobRequirements,
+  computeKeywordCoverage,
+  buildJobMatch
+};
@@ -0,0 +1,142 @@
+/**
+ * Language Detection & Locales
+ *
+ * Detects the language of extracted CV text from function-word frequencies (English,
+ * French, Portuguese and Spanish - Spanish is scored so that it is not mistaken for
+ * Portuguese), and resolves the locale feedback is written in:
+ *   1. the request's `locale`,
+ *   2. the talent's `preferredLocale` profile attribute,
+ *   3. the CV's detected language,
+ *   4. English.
+ *
+ * Locales are BCP 47 tags ("fr", "pt-BR"); unsupported languages fall back to English.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Function words that are frequent in one language and rare in the others
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    words: ['the', 'and', 'of', 'to', 'for', 'with', 'on', 'at', 'by', 'from', 'is', 'was', 'an', 'my', 'our', 'we', 'have', 'has', 'this', 'that', 'which', 'into', 'over', 'using', 'across']
+  },
+  fr: {
+    name: 'French',
+    words: ['le', 'les', 'des', 'du', 'et', 'un', 'une', 'pour', 'avec', 'dans', 'sur', 'au', 'aux', 'par', 'est', 'été', 'chez', 'ses', 'mes', 'nous', 'je', 'ce', 'cette', 'qui', 'plus', 'leur', 'ainsi']
+  },
+  pt: {
+    name: 'Portuguese',
+    words: ['o', 'os', 'do', 'da', 'dos', 'das', 'e', 'em', 'na', 'nas', 'nos', 'um', 'uma', 'para', 'com', 'pelo', 'pela', 'ao', 'aos', 'meu', 'minha', 'não', 'foi', 'são', 'seu', 'sua', 'como']
+  },
+  es: {
+    name: 'Spanish',
+    words: ['el', 'los', 'las', 'del', 'y', 'un', 'una', 'para', 'con', 'por', 'al', 'mi', 'es', 'fue', 'como', 'su', 'sus', 'también', 'entre', 'sobre']
+  }
+};
+
+// Region names for the locales we serve most often
+const REGIONS = { BR: 'Brazil', PT: 'Portugal', AO: 'Angola', MZ: 'Mozambique', FR: 'France', CA: 'Canada', SN: 'Senegal', CI: "Côte d'Ivoire", GB: 'United Kingdom', US: 'United States' };
+
+const MIN_DETECTION_HITS = 5;
+
+const wordSets = Object.fromEntries(Object.entries(LANGUAGES).map(([code, language]) => [code, new Set(language.words)]));
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Text (e.g. extracted CV text)
+ * @returns {Object} - { language (ISO 639-1 code, or null when undetermined), confidence (0-1), scores }
+ */
+function detectLanguage(text) {
+  // E-mail addresses and URLs contribute tokens such as "com" that are not words
+  const tokens = String(text || '')
+    .replace(/\S+@\S+|https?:\/\/\S+|www\.\S+/gi, ' ')
+    .toLowerCase()
+    .split(/[^\p{L}]+/u)
+    .filter(Boolean);
+
+  const scores = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+  for (const token of tokens) {
+    for (const [code, words] of Object.entries(wordSets)) {
+      if (words.has(token)) scores[code]++;
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, hits]) => sum + hits, 0);
+  const [best, bestHits] = ranked[0];
+
+  if (bestHits < MIN_DETECTION_HITS || bestHits === ranked[1][1]) {
+    return { language: null, confidence: 0, scores };
+  }
+
+  return {
+    language: best,
+    confidence: Math.round((bestHits / total) * 100) / 100,
+    scores
+  };
+}
+
+/**
+ * Normalize a locale tag ("pt_br" -> "pt-BR")
+ * @param {string} tag - Locale tag
+ * @returns {Object|null} - { locale, language, region }, or null for an unsupported or invalid tag
+ */
+function parseLocale(tag) {
+  const match = String(tag || '').trim().match(/^([a-z]{2})(?:[-_]([a-z]{2}))?$/i);
+  if (!match || !LANGUAGES[match[1].toLowerCase()]) {
+    return null;
+  }
+
+  const language = match[1].toLowerCase();
+  const region = match[2] ? match[2].toUpperCase() : null;
+  return { locale: region ? `${language}-${region}` : language, language, region };
+}
+
+/**
+ * Resolve the locale feedback is written in
+ * @param {Object} params
+ * @param {string} [params.requested] - `locale` from the request
+ * @param {string} [params.preferred] - Talent's preferred locale
+ * @param {string|null} [params.detected] - Detected CV language
+ * @returns {Object} - { locale, language, name, source ('request' | 'profile' | 'detected' | 'default') }
+ */
+function resolveLocale({ requested, preferred, detected } = {}) {
+  const candidates = [
+    ['request', requested],
+    ['profile', preferred],
+    ['detected', detected],
+    ['default', DEFAULT_LANGUAGE]
+  ];
+
+  for (const [source, tag] of candidates) {
+    const parsed = parseLocale(tag);
+    if (parsed) {
+      const name = parsed.region && REGIONS[parsed.region]
+        ? `${LANGUAGES[parsed.language].name} (${REGIONS[parsed.region]})`
+        : LANGUAGES[parsed.language].name;
+      return { locale: parsed.locale, language: parsed.language, name, source };
+    }
+  }
+}
+
+/**
+ * Prompt instruction for writing model output in a locale
+ * @param {Object} locale - Resolved locale from resolveLocale
+ * @returns {string} - Instruction ('' for English)
+ */
+function localeInstruction(locale) {
+  if (!locale || locale.language === DEFAULT_LANGUAGE) {
+    return '';
+  }
+
+  return `LANGUAGE: Write every text value in ${locale.name}, whatever the language of the CV. Keep JSON keys, placeholders, and skill, tool and certification names as written.`;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  detectLanguage,
+  parseLocale,
+  resolveLocale,
+  localeInstruction
+};
@@ -1,24 +1,174 @@
 /**
  * General CV Analysis Function
  * 
- * This serverless function receives a CV file (base64), a file name, and a talent ID.
+ * This serverless function receives a CV file (base64 `fileData` + `fileName`, or the `fileId`
+ * (and optional `bucketId`) of a file the client uploaded to Appwrite Storage) and a talent ID.
  * It performs the following steps:
- *   1. Validates input and environment variables.
- *   2. Fetches the talent profile and (optionally) the selected career path from Appwrite Database.
- *   3. Uploads the CV file to Appwrite Storage (temporarily).
- *   4. Extracts text from the CV using Gemini AI (Google Generative AI).
- *   5. Analyzes the extracted text against the user's profile and career path using Gemini AI.
- *   6. Returns a structured JSON analysis with scores, strengths, weaknesses, recommendations, etc.
- *   7. If AI analysis fails, provides a fallback analysis based on available profile data.
- *   8. Cleans up temporary files and returns a detailed response.
+ *   1. Validates input and environment variables. Stored files must be readable by the talent's
+ *      user; the file type is detected from its magic bytes, not its extension.
+ *   2. Fetches the talent profile and (optionally) the career path from Appwrite Database: the
+ *      request's `careerPathId`, else the talent's selected path.
+ *   3. Uploads base64 CV files to Appwrite Storage (temporarily).
+ *   4. Extracts text from the CV locally (PDF text layer, DOCX, DOC), falling back to
+ *      a vision-capable model (Gemini Vision by default) for scanned PDFs and images.
+ *   5. Parses the extracted text into a normalized résumé (JSON Resume compatible). English,
+ *      French and Portuguese CVs are supported: the CV's language is detected
+ *      (`metadata.detectedLanguage`), skills match the taxonomy under their translated names,
+ *      and feedback is written in the request's `locale`, else the talent's `preferredLocale`,
+ *      else the CV's language (`metadata.locale`).
+ *   6. Analyzes the parsed CV against the user's profile and career path using the analysis model,
+ *      validating the response against a JSON Schema and re-prompting to repair it if needed.
+ *      Personal identifiers are redacted before the prompt is built (`config.piiPolicy`) and
+ *      restored in the response; the redacted categories are reported in `metadata.redaction`.
+ *      Talents without a selected career path also get the best-matching paths from the
+ *      whole catalog (`analysis.careerPathRanking`), scored without extra model calls.
+ *   7. Returns a structured JSON analysis with scores, strengths, weaknesses, recommendations, etc.
+ *      `overallScore` and `marketability.score` come from a weighted rubric for the talent's
+ *      career stage (./rubric), explained per dimension in `analysis.scoreBreakdown`.
+ *      `analysis.timeline` orders the CV's roles and studies: years of (relevant) experience,
+ *      employment gaps, overlapping roles, date errors and the seniority the CV reads as,
+ *      compared with the profile's career stage.
+ *   8. If AI analysis fails, provides a fallback analysis based on available profile data.
+ *      Independently of the AI, the uploaded document is audited for ATS readability (`atsReport`).
+ *   9. Stores the result in the talent's analysis history (`cvAnalyses` collection).
+ *      An identical CV for an unchanged profile and career path is served from this
+ *      history instead of being re-analyzed (pass `forceRefresh: true` to bypass).
+ *  10. Cleans up temporary files and returns a detailed response.
+ *
+ * Besides analysis (the default `action`), the function supports:
+ *   - `history`: list a talent's past analyses
+ *   - `compare`: diff two past analyses (score deltas, skills now matching, resolved weaknesses)
+ *   - `discover`: rank the CV against every career path in the catalog (no analysis)
+ *   - `job-match`: analyze the CV against a specific job posting (`jobDescription` text, or
+ *     `jobFileData` + `jobFileName` extracted like the CV) - requirements, alignment,
+ *     ATS keyword coverage, must-have / nice-to-have gaps and tailored bullet suggestions
+ *   - `improve`: flag weak CV bullets (passive voice, no metrics, vague verbs, too long) and
+ *     propose rewrites tuned to the career path's keywords, as before/after pairs with reasons
+ *   - `generate`: write a cover letter and an ATS-friendly rewrite of the CV tailored to the selected
+ *     career path (or a job posting, given like for `job-match`), rendered locally as Markdown, DOCX
+ *     and PDF and stored in `config.exportsBucketId` with read permission for the talent's owner
+ *   - `status`: the state of an asynchronous job, and its result once completed
+ *   - `apply-profile-sync`: add accepted `analysis.profileSync` patches (skills, certifications,
+ *     degrees found in the CV but missing from the profile) to the talent document; idempotent
+ *   - `batch`: analyze a cohort's CVs (`items` of `talentId` with `fileId` or `fileData` + `fileName`) against
+ *     one career path (`careerPathId`) or job posting (given like for `job-match`), a few items at a time
+ *     (`config.batch`). Items are authorized, metered and may fail or fall back independently; the
+ *     response has a row per item, a cohort report (score distributions, most often missing skills and
+ *     certifications) and a CSV export stored in `config.exportsBucketId` for the caller
+ *   - `usage-summary`: recorded model usage per day between `from` and `to` (YYYY-MM-DD, the last
+ *     30 days by default), optionally for one `talentId`; restricted to users with an admin label
+ *
+ * Callers are authorized against the talent (./auth): a request may only name a talent profile
+ * owned by the execution's own user (`x-appwrite-user-id`, or a `x-appwrite-user-jwt` token), i.e.
+ * one whose permissions grant that user read or write access, unless that user carries a delegate
+ * label such as `coach` or `admin`. Denials are logged and answered with 401 (no user identity) or 403.
+ * `run-job` executions must carry the run token the function signed when it queued the job.
+ *
+ * Model-backed actions are metered per talent (./quota): requests and tokens are limited per day
+ * and month by the talent's `plan` (`config.quota.plans`), and exceeding a limit is answered with
+ * 429, the time the limit resets and the remaining quota (analyses served from the cache are not
+ * refused). When usage cannot be read, requests are refused with 503 unless `config.quota.failOpen`.
+ * The tokens each model call used (Gemini's `usageMetadata`) and their estimated cost are recorded
+ * in the `usageRecords` collection and reported in `metadata.usage`; a batch's job posting file is
+ * metered against the caller.
+ *
+ * `analyze`, `discover`, `job-match`, `improve` and `generate` accept `async: true`: the request is queued as a job
+ * (`analysisJobs` collection) and answered with its `jobId` right away. The pipeline then runs
+ * in an asynchronous execution of this function (`run-job`), records its stage and progress on
+ * the job, and calls the optional `webhookUrl` when done (an https URL on a public address, or a
+ * host on `config.webhooks.allowedHosts`).
  * 
  * The function is designed for use in a serverless environment (e.g., Appwrite Functions).
  * 
+ * Model calls go through a provider layer (./providers): Gemini, any OpenAI-compatible
+ * server, or an offline fixture-backed stub, selected per pipeline step via LLM_* env vars.
+ * Model and Appwrite calls have timeouts, retries with backoff and per-service circuit breakers
+ * (`config.resilience`); every attempt is reported in `metadata.attempts`.
+ * Every model prompt (extraction, analysis, job requirements, job match, bullet rewrites and
+ * generation) is a versioned template (./prompts, data/prompts), which may also be served from the
+ * `promptTemplates` collection; live versions of a prompt are A/B tested per talent. The prompt
+ * version and model behind a result are reported in `metadata.promptVersion` and `metadata.model`
+ * (and in `metadata.extraction` for model extraction, and `metadata.job` or `metadata.target` for
+ * the job requirements).
+ * Analysis quality is measured offline against golden CVs with `npm run eval` (eval/run.js).
+ *
  * Key dependencies: node-appwrite, @google/generative-ai
  */
 
-const { Client, Databases, Query, Storage, ID } = require('node-appwrite');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { Account, Client, Databases, Functions, Query, Storage, Users, ID } = require('node-appwrite');
+const { InputFile } = require('node-appwrite/file');
+const {
+  EXTRACTORS,
+  MIME_TYPES,
+  sniffFileType,
+  detectFileType,
+  normalizeExtractedText,
+  computeConfidence,
+  extractTextLocally
+} = require('./extraction');
+const { parseCV, toJsonResume, formatParsedCVForPrompt } = require('./parser');
+const { computeCareerPathAlignment } = require('./matching');
+const { extractJobRequirementsLocally, mergeJobRequirements, buildJobMatch } = require('./jobs');
+const { fetchAllCareerPaths, rankCareerPaths } = require('./ranking');
+const { auditDocument } = require('./ats');
+const {
+  createRedactionContext,
+  redactText,
+  redactParsedCV,
+  rehydrate,
+  summarizeRedactions
+} = require('./pii');
+const {
+  hashFile,
+  toAnalysisRecord,
+  saveAnalysis,
+  listAnalyses,
+  getAnalysis,
+  compareAnalyses
+} = require('./history');
+const { buildCacheKey, findCachedAnalysis } = require('./cache');
+const { mapWithConcurrencyByKey, toBatchItem, buildCohortReport, toCSV } = require('./batch');
+const { identifyCaller, getTalentOwnerId, authorizeTalentAccess, authorizeAdmin } = require('./auth');
+const { buildProfilePatches, applyProfilePatches } = require('./sync');
+const { reviewBullets, describeIssues } = require('./bullets');
+const { scoreCV } = require('./rubric');
+const { buildTimeline } = require('./timeline');
+const { buildCVDocument, buildCoverLetterDocument, renderDocument } = require('./documents');
+const { detectLanguage, parseLocale, resolveLocale, localeInstruction } = require('./language');
+const { getProvider, resolveStep, validateProviderEnvironment } = require('./providers');
+const { withResilience, runWithAttemptLog, getAttempts, summarizeAttempts } = require('./resilience');
+const { loadPromptTemplates, selectPrompt, renderPrompt } = require('./prompts');
+const {
+  resolvePlan,
+  summarizeUsage,
+  checkQuota,
+  recordUsage,
+  resolveSummaryRange,
+  summarizeUsageByDay
+} = require('./quota');
+const {
+  JOB_STATUS,
+  JOB_STAGES,
+  validateWebhookUrl,
+  signJobRun,
+  verifyJobRun,
+  toJobRecord,
+  createJob,
+  updateJob,
+  getJob,
+  claimJob,
+  notifyWebhook
+} = require('./queue');
+const {
+  ANALYSIS_SCHEMA,
+  JOB_REQUIREMENTS_SCHEMA,
+  JOB_MATCH_SCHEMA,
+  BULLET_REWRITE_SCHEMA,
+  APPLICATION_DOCUMENTS_SCHEMA,
+  parseModelJSON,
+  coerceToSchema,
+  validateSchema
+} = require('./schema');
 
 // Initialize Appwrite client
 const client = new Client();
@@ -29,122 +179,412 @@ client
   .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID || '67d074d0001dadc04f94')
   .setKey(process.env.APPWRITE_FUNCTION_API_KEY);
 
-const databases = new Databases(client);
-const storage = new Storage(client);
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // Configuration
 const config = {
   databaseId: 'career4me',
   careerPathsCollectionId: 'careerPaths',
   talentsCollectionId: 'talents',
-  storageId: 'avatars'
+  analysesCollectionId: 'cvAnalyses',
+  jobsCollectionId: 'analysisJobs',
+  usageCollectionId: 'usageRecords',
+  promptsCollectionId: 'promptTemplates',
+  // Bucket for temporary and staged CV uploads; point CV_BUCKET_ID at a dedicated bucket
+  // to give CVs their own retention policy
+  cvBucketId: process.env.CV_BUCKET_ID || 'avatars',
+  // Buckets a CV may be read from by `fileId` (comma-separated CV_INPUT_BUCKET_IDS, plus cvBucketId)
+  cvInputBucketIds: [
+    process.env.CV_BUCKET_ID || 'avatars',
+    ...(process.env.CV_INPUT_BUCKET_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+  ],
+  // Bucket for generated cover letters and CVs (readable by the talent)
+  exportsBucketId: process.env.EXPORTS_BUCKET_ID || process.env.CV_BUCKET_ID || 'avatars',
+  // Default Gemini model per pipeline step (see ./providers for LLM_<STEP>_PROVIDER / LLM_<STEP>_MODEL)
+  models: {
+    extraction: 'gemini-2.0-flash',
+    analysis: 'gemini-2.0-flash',
+    jobRequirements: 'gemini-2.0-flash',
+    jobMatch: 'gemini-2.0-flash',
+    bulletRewrite: 'gemini-2.0-flash',
+    generation: 'gemini-2.0-flash'
+  },
+  // Prompt templates (see ./prompts): bundled in data/prompts, plus the `promptTemplates` collection
+  // with PROMPT_SOURCE=appwrite. PROMPT_VERSIONS pins versions for every talent, e.g. "analysis=1.0.0"
+  // (model-backed requests are answered with 500 while a pinned version does not exist)
+  prompts: {
+    source: process.env.PROMPT_SOURCE || 'files',
+    refreshMinutes: 5,
+    pinned: Object.fromEntries((process.env.PROMPT_VERSIONS || '').split(',')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .filter(([name, version]) => name && version))
+  },
+  cacheTtlHours: 24 * 7,
+  // Cohort batches: items per request, and items analyzed at a time (default and maximum)
+  batch: {
+    maxItems: 50,
+    concurrency: 3,
+    maxConcurrency: 5
+  },
+  careerPathRankingLimit: 5,
+  // PII handling per category before CV content is sent to the model: 'redact', 'remove' or 'keep'
+  piiPolicy: {
+    name: 'redact',
+    email: 'redact',
+    phone: 'redact',
+    url: 'redact',
+    address: 'redact',
+    location: 'keep',
+    dateOfBirth: 'remove',
+    nationalId: 'remove'
+  },
+  maxRepairAttempts: 2,
+  // Users whose account carries one of these labels may act on behalf of any talent
+  // (comma-separated AUTH_DELEGATE_LABELS)
+  authorization: {
+    delegateLabels: (process.env.AUTH_DELEGATE_LABELS || 'admin,coach').split(',').map(label => label.trim()).filter(Boolean),
+    // Labels allowed to read project-wide reports such as `usage-summary` (comma-separated AUTH_ADMIN_LABELS)
+    adminLabels: (process.env.AUTH_ADMIN_LABELS || 'admin').split(',').map(label => label.trim()).filter(Boolean)
+  },
+  // Secret that signs the `run-job` executions the function starts for queued jobs (JOB_RUN_SECRET,
+  // or the function's API key)
+  jobs: {
+    runSecret: process.env.JOB_RUN_SECRET || process.env.APPWRITE_FUNCTION_API_KEY || null
+  },
+  // Webhook hosts trusted for job notifications, e.g. "hooks.example.com,*.example.org" (comma-separated
+  // WEBHOOK_ALLOWED_HOSTS); other hosts must be public and get a single delivery attempt (see ./queue)
+  webhooks: {
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+  },
+  // Per-talent limits on model-backed requests and tokens by plan (the talent's `plan` attribute);
+  // null is unlimited. Pricing is in USD per million tokens, for cost accounting (see ./quota)
+  quota: {
+    defaultPlan: process.env.QUOTA_DEFAULT_PLAN || 'free',
+    // When usage cannot be read, requests are refused (503) unless QUOTA_FAIL_OPEN=true
+    failOpen: process.env.QUOTA_FAIL_OPEN === 'true',
+    plans: {
+      free: { day: { requests: 5, tokens: 150000 }, month: { requests: 30, tokens: 1000000 } },
+      pro: { day: { requests: 30, tokens: 1000000 }, month: { requests: 500, tokens: 15000000 } },
+      enterprise: { day: { requests: 200, tokens: null }, month: { requests: null, tokens: null } }
+    },
+    pricing: {
+      'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+      'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+      'gpt-4o-mini': { input: 0.15, output: 0.60 },
+      stub: { input: 0, output: 0 }
+    }
+  },
+  // Timeouts, retries with backoff, and circuit breaking for external calls (see ./resilience)
+  resilience: {
+    llm: { timeoutMs: 60000, retries: 2, baseDelayMs: 1000, maxDelayMs: 10000, maxRetryAfterMs: 20000 },
+    appwrite: { timeoutMs: 10000, retries: 2, baseDelayMs: 250, maxDelayMs: 2000, maxRetryAfterMs: 5000 },
+    webhook: { timeoutMs: 10000, retries: 3, baseDelayMs: 1000, maxDelayMs: 8000, maxRetryAfterMs: 10000 },
+    circuitBreaker: { failureThreshold: 5, resetTimeoutMs: 30000 }
+  }
+};
+
+const databases = withResilience(new Databases(client), {
+  name: 'appwrite:databases',
+  methods: ['listDocuments', 'getDocument', 'createDocument', 'updateDocument', 'deleteDocument'],
+  nonIdempotent: ['createDocument'],
+  policy: config.resilience.appwrite,
+  breaker: config.resilience.circuitBreaker
+});
+
+const storage = withResilience(new Storage(client), {
+  name: 'appwrite:storage',
+  methods: ['createFile', 'getFile', 'getFileDownload', 'deleteFile'],
+  nonIdempotent: ['createFile'],
+  policy: config.resilience.appwrite,
+  breaker: config.resilience.circuitBreaker
+});
+
+const users = withResilience(new Users(client), {
+  name: 'appwrite:users',
+  methods: ['get'],
+  policy: config.resilience.appwrite,
+  breaker: config.resilience.circuitBreaker
+});
+
+const functions = withResilience(new Functions(client), {
+  name: 'appwrite:functions',
+  methods: ['createExecution'],
+  nonIdempotent: ['createExecution'],
+  policy: config.resilience.appwrite,
+  breaker: config.resilience.circuitBreaker
+});
+
+/**
+ * Resolve a user JWT to its user ID
+ * @param {string} jwt - JWT from the `x-appwrite-user-jwt` header
+ * @returns {Promise<string>} - User ID
+ */
+async function verifyUserJWT(jwt) {
+  const userClient = new Client()
+    .setEndpoint(endpoint)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID || '67d074d0001dadc04f94')
+    .setJWT(jwt);
+
+  const account = await new Account(userClient).get();
+  return account.$id;
+}
+
+/**
+ * Get the provider for a pipeline step, with timeouts, retries and a circuit breaker per provider
+ * @param {string} step - Pipeline step
+ * @returns {Object} - Provider
+ */
+function getResilientProvider(step) {
+  const provider = getProvider(step, config.models);
+  return withResilience(provider, {
+    name: `llm:${provider.name}`,
+    methods: ['generateText', 'generateJSON', 'extractFromDocument'],
+    policy: config.resilience.llm,
+    breaker: config.resilience.circuitBreaker,
+    details: { step, model: provider.model }
+  });
+}
+
+/**
+ * Total the tokens the current request's model calls used, for response metadata
+ * @returns {Object} - Usage from summarizeUsage
+ */
+function requestUsage() {
+  return summarizeUsage(getAttempts(), config.quota.pricing);
+}
+
+// Seconds a client should wait to retry when the quota cannot be checked
+const QUOTA_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Get the version of a prompt assigned to a talent
+ * @param {string} name - Prompt name
+ * @param {string|null} talentId - Talent the prompt is for (null gets the default variant)
+ * @returns {Promise<Object>} - { template, assignment } from selectPrompt
+ */
+async function getPrompt(name, talentId) {
+  const registry = await loadPromptTemplates(databases, config);
+  return selectPrompt(registry, name, talentId, config.prompts.pinned);
+}
+
+// Prompts each action uses besides extraction and analysis, resolved up front by handleRequest
+const ACTION_PROMPTS = {
+  'job-match': ['job-requirements', 'job-match'],
+  improve: ['bullet-rewrite'],
+  generate: ['job-requirements', 'generation']
 };
 
 /**
- * Extract and clean JSON from AI response
- * @param {string} text - Raw AI response text
- * @returns {string} - Cleaned JSON string
+ * Check a talent's usage quota before a model-backed pipeline runs
+ * @param {Object} talent - Talent profile document
+ * @param {Object} res - Appwrite response
+ * @param {Function} log - Logger
+ * @param {Function} error - Error logger
+ * @returns {Promise<Object|null>} - Refusal (429 over quota, 503 when the quota cannot be checked), or null when allowed
  */
-function extractAndCleanJSON(text) {
+async function enforceQuota(talent, res, log, error) {
+  let quota;
   try {
-    // Remove markdown code blocks
-    let cleaned = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    
-    // Find JSON object boundaries
-    const startIndex = cleaned.indexOf('{');
-    const lastIndex = cleaned.lastIndexOf('}');
-    
-    if (startIndex === -1 || lastIndex === -1 || startIndex >= lastIndex) {
-      throw new Error('No valid JSON object found in response');
+    quota = await checkQuota(databases, config, talent);
+  } catch (quotaError) {
+    if (config.quota.failOpen) {
+      log(`Warning: ${quotaError.message}, continuing without a quota check (quota.failOpen)`);
+      return null;
     }
-    
-    // Extract JSON portion
-    cleaned = cleaned.substring(startIndex, lastIndex + 1)
-      .replace(/,(\s*[}\]])/g, '$1')  // Remove trailing commas
-      .replace(/([{,]\s*)(\w+):/g, '$1"$2":')  // Quote unquoted keys
-      .replace(/:\s*'([^']*)'/g, ': "$1"')  // Convert single to double quotes
-      .replace(/\n/g, ' ')  // Replace newlines with spaces
-      .replace(/\s+/g, ' ')  // Normalize whitespace
-      .trim();
-    
-    return cleaned;
-  } catch (error) {
-    throw new Error(`Failed to clean JSON: ${error.message}`);
+    error(quotaError.message);
+    return res.json({
+      success: false,
+      error: 'The usage quota could not be checked, please try again later',
+      statusCode: 503
+    }, 503, {
+      'Retry-After': String(QUOTA_RETRY_AFTER_SECONDS)
+    });
+  }
+
+  if (quota.allowed) {
+    return null;
+  }
+
+  const period = quota.exceeded.period === 'day' ? 'daily' : 'monthly';
+  error(`Quota exceeded: talent ${talent.talentId} reached the ${period} ${quota.exceeded.limit} limit of the ${quota.plan} plan`);
+  return res.json({
+    success: false,
+    error: `The ${period} usage quota of the ${quota.plan} plan has been reached`,
+    statusCode: 429,
+    quota: {
+      plan: quota.plan,
+      exceeded: quota.exceeded,
+      resetAt: quota.resetAt,
+      remaining: quota.remaining
+    }
+  }, 429, {
+    'Retry-After': String(Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000))
+  });
+}
+
+/**
+ * Resolve the plan of a caller's own talent profile, for usage that is not any item's
+ * @param {string} callerId - Caller's user ID
+ * @param {Function} log - Logger
+ * @returns {Promise<string>} - Plan ID (the default plan when the caller has no talent profile)
+ */
+async function resolveCallerPlan(callerId, log) {
+  try {
+    const result = await databases.listDocuments(
+      config.databaseId,
+      config.talentsCollectionId,
+      [Query.equal('talentId', callerId), Query.limit(1)]
+    );
+    return resolvePlan(config, result.documents[0] || {}).id;
+  } catch (planError) {
+    log(`Warning: Could not fetch the plan of ${callerId}: ${planError.message}`);
+    return config.quota.defaultPlan;
+  }
+}
+
+// Accepted upload formats (detected from the content, not the file name) and size limit
+const allowedFileTypes = ['pdf', 'jpg', 'png', 'doc', 'docx'];
+const maxSizeBytes = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Validate an uploaded file's type and size
+ * @param {Buffer} fileBuffer - File content
+ * @returns {string|null} - Error message, or null when the file is acceptable
+ */
+function validateUpload(fileBuffer) {
+  if (!allowedFileTypes.includes(sniffFileType(fileBuffer))) {
+    return 'Unsupported file type. Please upload PDF, DOC, DOCX, JPG, or PNG files.';
+  }
+
+  if (fileBuffer.length > maxSizeBytes) {
+    return 'File size too large. Please upload files smaller than 5MB.';
   }
+
+  return null;
+}
+
+/**
+ * Check whether a user may read a Storage file
+ * @param {Object} file - Storage file
+ * @param {string|null} userId - User ID (the talent's owner, from getTalentOwnerId)
+ * @returns {boolean}
+ */
+function canUserReadFile(file, userId) {
+  return Boolean(userId) && (file.$permissions || []).some(permission =>
+    permission === `read("user:${userId}")` || permission.startsWith(`read("user:${userId}/`));
+}
+
+/**
+ * Storage permissions for a file the function creates on a user's behalf
+ * @param {string|null} userId - User ID (the talent's owner, or a batch's caller)
+ * @param {string[]} kinds - Permission kinds, e.g. ['read', 'delete']
+ * @returns {string[]} - Permissions (none when there is no user)
+ */
+function userFilePermissions(userId, kinds) {
+  return userId ? kinds.map(kind => `${kind}("user:${userId}")`) : [];
+}
+
+/**
+ * Download a CV the client already uploaded to Appwrite Storage.
+ * The file must be readable by the talent's owner through its own (file-level) permissions.
+ * @param {string} bucketId - Bucket ID (one of config.cvInputBucketIds)
+ * @param {string} fileId - File ID
+ * @param {string|null} ownerId - User who owns the talent (from getTalentOwnerId)
+ * @returns {Promise<Object>} - { fileBuffer, fileName }, or { error, statusCode } when the file cannot be used
+ */
+async function loadStoredFile(bucketId, fileId, ownerId) {
+  if (!config.cvInputBucketIds.includes(bucketId)) {
+    return { error: `Unsupported bucket: ${bucketId}`, statusCode: 400 };
+  }
+
+  let file;
+  try {
+    file = await storage.getFile(bucketId, fileId);
+  } catch (storageError) {
+    if (storageError.code === 404) {
+      return { error: 'File not found', statusCode: 404 };
+    }
+    throw storageError;
+  }
+
+  if (!canUserReadFile(file, ownerId)) {
+    return { error: 'This file is not accessible to the talent', statusCode: 403 };
+  }
+
+  if (file.sizeOriginal > maxSizeBytes) {
+    return { error: 'File size too large. Please upload files smaller than 5MB.', statusCode: 400 };
+  }
+
+  const fileBuffer = Buffer.from(await storage.getFileDownload(bucketId, fileId));
+  return { fileBuffer, fileName: file.name };
 }
 
 /**
- * Extract text content from CV file using Gemini Vision
+ * Extract text content from CV file using a vision-capable model
  * @param {Buffer} fileBuffer - File buffer
  * @param {string} fileName - Original file name
- * @returns {Promise<string>} - Extracted text content
+ * @param {string|null} [talentId] - Talent the CV belongs to (selects the prompt variant)
+ * @returns {Promise<Object>} - { text, model, promptVersion }
  */
-async function extractTextFromCV(fileBuffer, fileName) {
-  try {
-    const model = genAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
-    });
+async function extractTextWithModel(fileBuffer, fileName, talentId = null) {
+  const provider = getResilientProvider('extraction');
+  const { template } = await getPrompt('extraction', talentId);
 
-    // Convert buffer to base64 for Gemini
-    const base64Data = fileBuffer.toString('base64');
-    
-    // Determine MIME type based on file extension
-    const extension = fileName.toLowerCase().split('.').pop();
-    let mimeType;
-    
-    switch (extension) {
-      case 'pdf':
-        mimeType = 'application/pdf';
-        break;
-      case 'jpg':
-      case 'jpeg':
-        mimeType = 'image/jpeg';
-        break;
-      case 'png':
-        mimeType = 'image/png';
-        break;
-      case 'doc':
-        mimeType = 'application/msword';
-        break;
-      case 'docx':
-        mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-        break;
-      default:
-        mimeType = 'application/octet-stream';
-    }
-
-    const prompt = `Extract all text content from this CV/Resume document. Please provide a complete extraction of:
-
-- Personal information and contact details
-- Education background
-- Work experience and employment history
-- Technical and soft skills
-- Certifications and licenses
-- Projects and achievements
-- Any other relevant professional information
-
-Return only the extracted text content, maintaining the logical structure where possible. Do not add any commentary or analysis.`;
-
-    const result = await model.generateContent([
-      prompt,
-      {
-        inlineData: {
-          data: base64Data,
-          mimeType: mimeType
-        }
+  const result = await provider.extractFromDocument({
+    prompt: renderPrompt(template, { fileName }),
+    data: fileBuffer,
+    mimeType: MIME_TYPES[detectFileType(fileBuffer, fileName)] || 'application/octet-stream',
+    fileName
+  });
+
+  return {
+    text: normalizeExtractedText(result.text),
+    model: provider.model,
+    promptVersion: template.id
+  };
+}
+
+/**
+ * Extract text content from CV file.
+ * Text-based PDF, DOCX and DOC files are parsed locally; scanned PDFs and images
+ * (or documents whose local extraction is unusable) are sent to the extraction model.
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} fileName - Original file name
+ * @param {Function} [log] - Logger
+ * @param {string|null} [talentId] - Talent the CV belongs to (selects the extraction prompt variant)
+ * @returns {Promise<Object>} - Extracted text with the extractor used and its confidence, and the
+ *   model and prompt version (null when extracted locally)
+ */
+async function extractTextFromCV(fileBuffer, fileName, log = () => {}, talentId = null) {
+  try {
+    try {
+      const localResult = await extractTextLocally(fileBuffer, fileName);
+      if (localResult) {
+        return {
+          text: localResult.text,
+          extractor: localResult.extractor,
+          confidence: localResult.confidence,
+          model: null,
+          promptVersion: null
+        };
       }
-    ]);
+      log('Local extraction not possible for this document, using the extraction model');
+    } catch (localError) {
+      log(`Warning: Local extraction failed, using the extraction model: ${localError.message}`);
+    }
 
-    const extractedText = result.response.text();
+    const { text: extractedText, model, promptVersion } = await extractTextWithModel(fileBuffer, fileName, talentId);
     
     if (!extractedText || extractedText.trim().length < 50) {
       throw new Error('Insufficient text extracted from document');
     }
 
-    return extractedText;
+    return {
+      text: extractedText,
+      extractor: EXTRACTORS.VISION_MODEL,
+      confidence: computeConfidence(extractedText, EXTRACTORS.VISION_MODEL),
+      model,
+      promptVersion
+    };
     
   } catch (error) {
     console.error('Text extraction error:', error);
@@ -153,265 +593,1631 @@ Return only the extracted text content, maintaining the logical structure where
 }
 
 /**
- * Analyze CV content using Gemini AI
+ * Generate a JSON response and validate it against a schema.
+ * On validation failure the model is re-prompted with the errors, a bounded number of times.
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Prompt text
+ * @param {Object} schema - JSON Schema the response must satisfy
+ * @param {Object} [options] - Generation options ({ maxOutputTokens, temperature })
+ * @returns {Promise<Object>} - Validated (and type-coerced) response object
+ */
+async function generateValidatedJSON(provider, prompt, schema, options = {}) {
+  let value = null;
+  let responseText = '';
+  let errors = [];
+
+  for (let attempt = 0; attempt <= config.maxRepairAttempts; attempt++) {
+    const request = attempt === 0 ? prompt : `${prompt}
+
+Your previous response did not match the required JSON schema.
+
+PREVIOUS RESPONSE:
+${responseText}
+
+VALIDATION ERRORS:
+${errors.map(message => `- ${message}`).join('\n')}
+
+Return ONLY the corrected JSON object.`;
+
+    const result = await provider.generateJSON({ prompt: request, schema, ...options });
+    responseText = result.text;
+
+    try {
+      value = coerceToSchema(parseModelJSON(responseText), schema);
+      errors = validateSchema(value, schema);
+    } catch (parseError) {
+      value = null;
+      errors = [parseError.message];
+    }
+
+    if (errors.length === 0) {
+      return value;
+    }
+
+    console.error(`Response failed ${schema.title} schema validation (attempt ${attempt + 1}):`, errors);
+  }
+
+  throw new Error(`Response failed ${schema.title} schema validation: ${errors.slice(0, 5).join('; ')}`);
+}
+
+/**
+ * Detect a CV's language and resolve the locale feedback is written in
  * @param {string} cvText - Extracted CV text
+ * @param {Object} requestData - Parsed request body ({ locale })
+ * @param {Object} talent - Talent profile data ({ preferredLocale })
+ * @returns {Object} - { detection (from detectLanguage), locale (from resolveLocale) }
+ */
+function resolveFeedbackLocale(cvText, requestData, talent) {
+  const detection = detectLanguage(cvText);
+  const locale = resolveLocale({
+    requested: requestData.locale,
+    preferred: talent.preferredLocale,
+    detected: detection.language
+  });
+  return { detection, locale };
+}
+
+/**
+ * Redact a parsed CV and the talent's name for use in a prompt
+ * @param {Object} parsedCV - Normalized résumé from parseCV
  * @param {Object} talent - Talent profile data
+ * @returns {Object} - { redaction, promptCV, promptTalent }
+ */
+function redactForPrompt(parsedCV, talent) {
+  const redaction = createRedactionContext(config.piiPolicy, [{ category: 'name', value: talent.fullname }]);
+  const promptCV = redactParsedCV(redaction, parsedCV);
+
+  return {
+    redaction,
+    promptCV,
+    promptTalent: { ...talent, fullname: redactText(redaction, talent.fullname || '') }
+  };
+}
+
+/**
+ * Analyze CV content using the analysis model
+ * @param {Object} parsedCV - Normalized résumé from parseCV (redacted)
+ * @param {Object} talent - Talent profile data (with a redacted name)
  * @param {Object} careerPath - Career path data (optional)
+ * @param {Object} insights - Pre-computed, rule-based findings the analysis must agree with
+ * @param {Object|null} insights.alignment - Career path alignment from computeCareerPathAlignment
+ * @param {Object} insights.scoreBreakdown - Rubric scores from scoreCV
+ * @param {Object} insights.timeline - Experience timeline from buildTimeline
+ * @param {Object|null} [insights.ranking] - Best-matching career paths from rankCareerPaths (when no path is selected)
+ * @param {Object|null} [insights.locale] - Locale to write the analysis in, from resolveLocale
+ * @param {Object|null} [prompt] - Analysis prompt from getPrompt (defaults to the talent's variant)
  * @returns {Promise<Object>} - Analysis results
  */
-async function analyzeCVContent(cvText, talent, careerPath) {
+async function analyzeCVContent(parsedCV, talent, careerPath, { alignment, scoreBreakdown, timeline, ranking = null, locale = null }, prompt = null) {
   try {
-    const model = genAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash",
-      generationConfig: { 
-        maxOutputTokens: 3000, 
-        temperature: 0.5 
+    const provider = getResilientProvider('analysis');
+    const { template } = prompt || await getPrompt('analysis', talent.talentId || null);
+
+    const promptText = renderPrompt(template, {
+      cvText: formatParsedCVForPrompt(parsedCV),
+      locale: locale ? { ...locale, instruction: localeInstruction(locale) } : null,
+      talent: {
+        fullname: talent.fullname,
+        careerStage: talent.careerStage,
+        skills: talent.skills || [],
+        degrees: talent.degrees || [],
+        certifications: talent.certifications || [],
+        interests: talent.interests || []
+      },
+      careerPath: careerPath ? {
+        title: careerPath.title,
+        requiredSkills: careerPath.requiredSkills || [],
+        requiredCertifications: careerPath.requiredCertifications || [],
+        suggestedDegrees: careerPath.suggestedDegrees || [],
+        toolsAndTechnologies: careerPath.toolsAndTechnologies || []
+      } : null,
+      ranking: ranking && ranking.rankings.length
+        ? ranking.rankings.map(entry => `${entry.rank}. ${entry.title} (alignment ${entry.alignmentScore}) - missing skills: ${entry.missingSkills.length ? entry.missingSkills.slice(0, 5).join(', ') : 'None'}`).join('\n')
+        : null,
+      alignment,
+      scores: {
+        rubric: scoreBreakdown.careerStage.label,
+        candidate: scoreBreakdown.careerStage.label.toLowerCase(),
+        overall: scoreBreakdown.overall.score,
+        marketability: scoreBreakdown.marketability.score,
+        dimensions: scoreBreakdown.overall.components.map(component => `- ${component.label}: ${component.score === null ? 'not scored' : `${component.score}/100`} - ${component.evidence.join(' ')}`).join('\n')
+      },
+      timeline: {
+        totalYears: timeline.totalYears,
+        relevantYears: timeline.relevantYears,
+        seniority: timeline.seniority.message,
+        gaps: timeline.gaps.map(gap => `${gap.startDate} to ${gap.endDate || 'now'} (${gap.months} months)`).join('; '),
+        overlaps: timeline.overlaps.map(overlap => `${overlap.entries.join(' and ')} (${overlap.months} months)`).join('; '),
+        dateErrors: timeline.dateErrors.map(dateError => `${dateError.entry}: ${dateError.message}`).join('; ')
       }
     });
 
-    // Prepare talent profile data
-    const talentSkills = talent.skills || [];
-    const talentDegrees = talent.degrees || [];
-    const talentCertifications = talent.certifications || [];
-    const talentInterests = talent.interests || [];
+    const analysis = await generateValidatedJSON(provider, promptText, ANALYSIS_SCHEMA, {
+      maxOutputTokens: 3000,
+      temperature: 0.5
+    });
 
-    // Prepare career path data
-    const careerPathInfo = careerPath ? {
-      title: careerPath.title,
-      requiredSkills: careerPath.requiredSkills || [],
-      requiredCertifications: careerPath.requiredCertifications || [],
-      suggestedDegrees: careerPath.suggestedDegrees || [],
-      toolsAndTechnologies: careerPath.toolsAndTechnologies || []
-    } : null;
-
-    const prompt = `Analyze this CV content comprehensively against the user's profile and career path requirements. Provide detailed, actionable insights.
-
-CV CONTENT:
-${cvText}
-
-USER PROFILE INFORMATION:
-- Name: ${talent.fullname}
-- Career Stage: ${talent.careerStage}
-- Skills Listed in Profile: ${talentSkills.length ? talentSkills.join(', ') : 'None listed'}
-- Educational Background in Profile: ${talentDegrees.length ? talentDegrees.join(', ') : 'None listed'}
-- Certifications in Profile: ${talentCertifications.length ? talentCertifications.join(', ') : 'None listed'}
-- Interests in Profile: ${talentInterests.length ? talentInterests.join(', ') : 'None listed'}
-
-${careerPathInfo ? `SELECTED CAREER PATH:
-- Career Title: ${careerPathInfo.title}
-- Required Skills: ${careerPathInfo.requiredSkills.length ? careerPathInfo.requiredSkills.join(', ') : 'Not specified'}
-- Required Certifications: ${careerPathInfo.requiredCertifications.length ? careerPathInfo.requiredCertifications.join(', ') : 'Not specified'}
-- Suggested Educational Background: ${careerPathInfo.suggestedDegrees.length ? careerPathInfo.suggestedDegrees.join(', ') : 'Not specified'}
-- Key Tools & Technologies: ${careerPathInfo.toolsAndTechnologies.length ? careerPathInfo.toolsAndTechnologies.join(', ') : 'Not specified'}` : 'NO CAREER PATH SELECTED - Provide general analysis'}
-
-Please analyze and return ONLY a valid JSON object with this exact structure:
-
-{
-  "overallScore": 85,
-  "strengths": [
-    "Strong technical foundation with relevant programming languages",
-    "Excellent educational background aligned with career goals",
-    "Demonstrated project experience with real-world applications"
-  ],
-  "weaknesses": [
-    "Missing key industry certifications",
-    "Limited leadership or management experience",
-    "Lack of specific technology mentioned in career requirements"
-  ],
-  "profileVsCvGaps": {
-    "missingFromCV": [
-      "JavaScript programming mentioned in profile",
-      "Project management skills listed in interests"
+    // Rule-based matching is authoritative; the model only contributes commentary
+    if (alignment) {
+      analysis.careerPathAlignment = {
+        ...alignment,
+        relevantExperience: analysis.careerPathAlignment?.relevantExperience || [],
+        additionalRequirements: analysis.careerPathAlignment?.additionalRequirements || []
+      };
+    }
+
+    // Scores come from the rubric, so that they can be explained
+    analysis.overallScore = scoreBreakdown.overall.score;
+    analysis.marketability.score = scoreBreakdown.marketability.score;
+    analysis.scoreBreakdown = scoreBreakdown;
+    
+    return analysis;
+    
+  } catch (error) {
+    console.error('CV analysis error:', error);
+    throw new Error(`Failed to analyze CV content: ${error.message}`);
+  }
+}
+
+/**
+ * Generate fallback analysis when AI analysis fails
+ * @param {Object} talent - Talent profile data
+ * @param {Object} careerPath - Career path data (optional)
+ * @param {Object|null} alignment - Rule-based career path alignment from computeCareerPathAlignment
+ * @param {Object|null} [scoreBreakdown] - Rubric scores from scoreCV (when the CV could be parsed)
+ * @returns {Object} - Fallback analysis
+ */
+function generateFallbackAnalysis(talent, careerPath, alignment, scoreBreakdown = null) {
+  const baseScore = 65;
+  
+  return {
+    overallScore: scoreBreakdown ? scoreBreakdown.overall.score : baseScore,
+    strengths: [
+      "Profile shows clear career direction and purpose",
+      `Appropriate skill set for ${talent.careerStage} career stage`,
+      "Demonstrates commitment to professional development"
     ],
-    "missingFromProfile": [
-      "Python development experience shown in CV",
-      "AWS certification displayed in CV"
+    weaknesses: [
+      "Unable to fully analyze CV content due to technical limitations",
+      "Limited visibility into detailed work experience",
+      "Cannot verify consistency between profile and CV"
     ],
-    "inconsistencies": [
-      "Experience level appears higher in CV than profile suggests",
-      "Different skill emphasis between profile and CV"
-    ]
-  },
-  "careerPathAlignment": {
-    "alignmentScore": 75,
-    "matchingSkills": ["React", "Node.js", "Database Management"],
-    "missingSkills": ["Docker", "Kubernetes", "Microservices"],
-    "matchingCertifications": ["AWS Developer Associate"],
-    "missingCertifications": ["AWS Solutions Architect", "Docker Certified Associate"],
-    "relevantExperience": [
-      "2+ years in full-stack development",
-      "Experience with agile development processes"
+    profileVsCvGaps: {
+      missingFromCV: ["Analysis temporarily unavailable"],
+      missingFromProfile: ["Analysis temporarily unavailable"],
+      inconsistencies: ["Could not perform detailed comparison at this time"]
+    },
+    careerPathAlignment: alignment ? {
+      ...alignment,
+      relevantExperience: ["Analysis based on profile information only"],
+      additionalRequirements: ["Complete detailed CV analysis for comprehensive insights"]
+    } : {
+      alignmentScore: 0,
+      matchingSkills: [],
+      missingSkills: [],
+      matchingCertifications: [],
+      missingCertifications: [],
+      relevantExperience: ["No career path selected for comparison"],
+      additionalRequirements: ["Select a career path for targeted guidance"]
+    },
+    recommendations: [
+      "Ensure CV is in a clear, readable format (PDF recommended)",
+      "Update your profile with complete and accurate information",
+      careerPath ? `Focus on developing required skills for ${careerPath.title}` : "Consider selecting a career path for targeted recommendations",
+      "Try re-uploading your CV if the format may have caused issues"
     ],
-    "additionalRequirements": [
-      "Need more backend architecture experience",
-      "Recommended to gain cloud deployment experience"
-    ]
-  },
-  "recommendations": [
-    "Update your profile to include Python skills evident in your CV",
-    "Consider obtaining Docker and Kubernetes certifications for career advancement",
-    "Highlight your project management experience more prominently in both profile and CV",
-    "Add specific examples of leadership or mentoring roles if available"
-  ],
-  "nextSteps": [
-    "Synchronize profile information with CV content for consistency",
-    "Pursue missing certifications identified for your career path",
-    "Gain hands-on experience with identified skill gaps through projects or training",
-    "Consider adding quantifiable achievements to strengthen CV impact"
-  ],
-  "marketability": {
-    "score": 78,
-    "summary": "Strong technical foundation with good career trajectory, but needs strategic skill development in key areas to maximize market competitiveness",
-    "competitiveAdvantages": [
-      "Solid educational foundation",
-      "Relevant project portfolio",
-      "Clear career progression"
+    nextSteps: [
+      "Re-attempt CV upload with optimized file format",
+      "Complete all sections of your professional profile",
+      "Review and update your skills and certifications list",
+      "Consider career path selection for personalized guidance"
     ],
-    "improvementAreas": [
-      "Industry-standard certifications",
-      "Leadership and soft skills demonstration",
-      "Advanced technical specializations"
-    ]
+    marketability: {
+      score: scoreBreakdown ? scoreBreakdown.marketability.score : 55,
+      summary: "Basic assessment available - complete CV analysis needed for detailed insights",
+      competitiveAdvantages: [
+        "Professional profile information available",
+        "Clear career stage identification"
+      ],
+      improvementAreas: [
+        "Need comprehensive CV analysis",
+        "Profile optimization required",
+        "Detailed skill verification needed"
+      ]
+    },
+    scoreBreakdown
+  };
+}
+
+/**
+ * Rank the whole career path catalog for a talent, without model calls
+ * @param {Object} talent - Talent profile data
+ * @param {Object|null} parsedCV - Normalized résumé
+ * @param {string|null} cvText - Extracted CV text
+ * @param {number} [limit] - Number of paths to return
+ * @returns {Promise<Object>} - { evaluated, rankings }
+ */
+async function discoverCareerPaths(talent, parsedCV, cvText, limit = config.careerPathRankingLimit) {
+  try {
+    const careerPaths = await fetchAllCareerPaths(databases, config);
+    return rankCareerPaths({ talent, careerPaths, parsedCV, cvText, limit });
+  } catch (error) {
+    console.error('Career path discovery error:', error);
+    throw new Error(`Failed to rank career paths: ${error.message}`);
+  }
+}
+
+/**
+ * Extract a job posting's requirements using the job requirements model
+ * @param {string} jobText - Job description text
+ * @param {Object|null} [prompt] - Job requirements prompt from getPrompt (defaults to the default variant)
+ * @returns {Promise<Object>} - Job requirements
+ */
+async function extractJobRequirementsWithModel(jobText, prompt = null) {
+  try {
+    const provider = getResilientProvider('jobRequirements');
+    const { template } = prompt || await getPrompt('job-requirements', null);
+
+    const promptText = renderPrompt(template, { jobText });
+
+    return await generateValidatedJSON(provider, promptText, JOB_REQUIREMENTS_SCHEMA, {
+      maxOutputTokens: 1500,
+      temperature: 0.2
+    });
+
+  } catch (error) {
+    console.error('Job requirements extraction error:', error);
+    throw new Error(`Failed to extract job requirements: ${error.message}`);
+  }
+}
+
+/**
+ * Generate tailored bullet suggestions and alignment commentary for a job posting using the job match model
+ * @param {Object} parsedCV - Normalized résumé from parseCV (redacted)
+ * @param {Object} requirements - Job requirements
+ * @param {Object} jobMatch - Deterministic job match from buildJobMatch
+ * @param {Object|null} [locale] - Locale to write the commentary in, from resolveLocale
+ * @param {Object|null} [prompt] - Job match prompt from getPrompt (defaults to the default variant)
+ * @returns {Promise<Object>} - { tailoredBullets, relevantExperience, additionalRequirements }
+ */
+async function generateJobMatchCommentary(parsedCV, requirements, jobMatch, locale = null, prompt = null) {
+  try {
+    const provider = getResilientProvider('jobMatch');
+    const { template } = prompt || await getPrompt('job-match', null);
+
+    const promptText = renderPrompt(template, {
+      cvText: formatParsedCVForPrompt(parsedCV),
+      locale: locale ? { ...locale, instruction: localeInstruction(locale) } : null,
+      job: {
+        title: requirements.title,
+        mustHaveSkills: requirements.mustHaveSkills,
+        niceToHaveSkills: requirements.niceToHaveSkills,
+        certifications: [...requirements.requiredCertifications, ...requirements.preferredCertifications],
+        degrees: requirements.degrees,
+        minYearsExperience: requirements.minYearsExperience,
+        responsibilities: requirements.responsibilities
+      },
+      matching: {
+        matchingSkills: jobMatch.jobAlignment.matchingSkills,
+        missingMustHaves: jobMatch.gaps.mustHave,
+        missingNiceToHaves: jobMatch.gaps.niceToHave,
+        missingKeywords: jobMatch.keywordCoverage.missingKeywords
+      }
+    });
+
+    return await generateValidatedJSON(provider, promptText, JOB_MATCH_SCHEMA, {
+      maxOutputTokens: 2000,
+      temperature: 0.5
+    });
+
+  } catch (error) {
+    console.error('Job match commentary error:', error);
+    throw new Error(`Failed to generate job match commentary: ${error.message}`);
+  }
+}
+
+/**
+ * Rewrite weak CV bullets using the bullet rewrite model
+ * @param {Object[]} flagged - Flagged bullets from reviewBullets (redacted)
+ * @param {Object|null} careerPath - Career path data (optional)
+ * @param {Object|null} [locale] - Locale to write the rewrites in, from resolveLocale
+ * @param {Object|null} [prompt] - Bullet rewrite prompt from getPrompt (defaults to the default variant)
+ * @returns {Promise<Object>} - { rewrites: [{ id, suggested, reason, targetKeywords }] }
+ */
+async function generateBulletRewrites(flagged, careerPath, locale = null, prompt = null) {
+  try {
+    const provider = getResilientProvider('bulletRewrite');
+    const { template } = prompt || await getPrompt('bullet-rewrite', null);
+
+    const promptText = renderPrompt(template, {
+      locale: locale ? { ...locale, instruction: localeInstruction(locale) } : null,
+      careerPath: careerPath ? {
+        title: careerPath.title,
+        keywords: [...new Set([...(careerPath.requiredSkills || []), ...(careerPath.toolsAndTechnologies || [])])]
+      } : null,
+      bullets: flagged.map(bullet => `${bullet.id} | ${bullet.section}${bullet.entry ? ` (${bullet.entry})` : ''} | ${bullet.issues.join(', ')} | ${bullet.text}`).join('\n')
+    });
+
+    return await generateValidatedJSON(provider, promptText, BULLET_REWRITE_SCHEMA, {
+      maxOutputTokens: 3000,
+      temperature: 0.4
+    });
+
+  } catch (error) {
+    console.error('Bullet rewrite error:', error);
+    throw new Error(`Failed to rewrite CV bullets: ${error.message}`);
+  }
+}
+
+/**
+ * Write a tailored cover letter and ATS-friendly CV content using the generation model
+ * @param {Object} parsedCV - Normalized résumé from parseCV (redacted)
+ * @param {Object} talent - Talent profile data (with a redacted name)
+ * @param {Object} target - { type: 'job' | 'career-path', title, keywords, responsibilities }
+ * @param {Object|null} [locale] - Locale to write the documents in, from resolveLocale
+ * @param {Object|null} [prompt] - Generation prompt from getPrompt (defaults to the default variant)
+ * @returns {Promise<Object>} - { coverLetter, cv, targetKeywords }
+ */
+async function generateApplicationDocuments(parsedCV, talent, target, locale = null, prompt = null) {
+  try {
+    const provider = getResilientProvider('generation');
+    const { template } = prompt || await getPrompt('generation', null);
+
+    const promptText = renderPrompt(template, {
+      cvText: formatParsedCVForPrompt(parsedCV),
+      locale: locale ? { ...locale, instruction: localeInstruction(locale) } : null,
+      target: {
+        kind: target.type === 'job' ? 'JOB POSTING' : 'CAREER PATH',
+        title: target.title,
+        keywords: target.keywords,
+        responsibilities: target.responsibilities
+      },
+      talent: {
+        fullname: talent.fullname,
+        careerStage: talent.careerStage,
+        skills: talent.skills || []
+      },
+      workEntries: parsedCV.work.map((job, index) => `${index} | ${[job.position, job.company].filter(Boolean).join(' at ')}`).join('\n')
+    });
+
+    return await generateValidatedJSON(provider, promptText, APPLICATION_DOCUMENTS_SCHEMA, {
+      maxOutputTokens: 4000,
+      temperature: 0.5
+    });
+
+  } catch (error) {
+    console.error('Application documents generation error:', error);
+    throw new Error(`Failed to generate application documents: ${error.message}`);
+  }
+}
+
+/**
+ * Rank a CV against every career path in the catalog
+ * @param {Object} params
+ * @param {Object} params.requestData - Parsed request body ({ fileData, fileName, limit })
+ * @param {Object} params.talent - Talent profile document
+ * @param {number} params.startTime - Request start timestamp
+ * @param {Object} params.res - Appwrite response
+ * @param {Function} params.log - Logger
+ * @param {Function} params.error - Error logger
+ * @param {Function} params.onProgress - Called with each completed pipeline stage
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleDiscoverAction({ requestData, talent, startTime, res, log, error, onProgress }) {
+  const { fileData, fileName, limit } = requestData;
+
+  let extraction;
+  try {
+    log('Extracting text content from CV...');
+    extraction = await extractTextFromCV(Buffer.from(fileData, 'base64'), fileName, log, talent.talentId);
+    log(`Successfully extracted ${extraction.text.length} characters from CV using ${extraction.extractor} (confidence ${extraction.confidence})`);
+  } catch (extractionError) {
+    error(`Text extraction failed: ${extractionError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to extract text from the uploaded CV',
+      statusCode: 422
+    }, 422);
+  }
+
+  await onProgress('extracted');
+  const parsedCV = parseCV(extraction.text);
+  const { detection } = resolveFeedbackLocale(extraction.text, requestData, talent);
+
+  let ranking;
+  try {
+    ranking = await discoverCareerPaths(talent, parsedCV, extraction.text, limit || config.careerPathRankingLimit);
+  } catch (rankingError) {
+    error(`Career path discovery failed: ${rankingError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to rank career paths',
+      statusCode: 500
+    }, 500);
+  }
+
+  await onProgress('analyzed');
+  const executionTime = Date.now() - startTime;
+  log(`=== Career Path Discovery Completed (${ranking.evaluated} paths evaluated) ===`);
+
+  return res.json({
+    success: true,
+    statusCode: 200,
+    careerPathRanking: ranking,
+    parsedCV: parsedCV,
+    jsonResume: toJsonResume(parsedCV),
+    metadata: {
+      talent: {
+        id: talent.$id,
+        fullname: talent.fullname,
+        careerStage: talent.careerStage
+      },
+      fileName: fileName,
+      extraction: {
+        extractor: extraction.extractor,
+        confidence: extraction.confidence,
+        model: extraction.model,
+        promptVersion: extraction.promptVersion
+      },
+      detectedLanguage: detection.language,
+      languageConfidence: detection.confidence,
+      analyzedAt: new Date().toISOString(),
+      executionTime: executionTime,
+      attempts: summarizeAttempts(),
+      usage: requestUsage()
+    }
+  });
+}
+
+/**
+ * Analyze a CV against a specific job posting
+ * @param {Object} params
+ * @param {Object} params.requestData - Parsed request body ({ fileData, fileName, jobDescription | jobFileData + jobFileName })
+ * @param {Object} params.talent - Talent profile document
+ * @param {Object} params.prompts - The action's prompts from getPrompt, by name (see ACTION_PROMPTS)
+ * @param {number} params.startTime - Request start timestamp
+ * @param {Object} params.res - Appwrite response
+ * @param {Function} params.log - Logger
+ * @param {Function} params.error - Error logger
+ * @param {Function} params.onProgress - Called with each completed pipeline stage
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleJobMatchAction({ requestData, talent, prompts, startTime, res, log, error, onProgress }) {
+  const { fileData, fileName, jobDescription, jobFileData, jobFileName } = requestData;
+
+  // Extract the job posting and the CV through the same pipeline
+  let jobText;
+  let jobExtraction = null;
+  let extraction;
+  try {
+    if (jobDescription) {
+      jobText = normalizeExtractedText(String(jobDescription));
+    } else {
+      log(`Extracting text content from job posting: ${jobFileName}`);
+      jobExtraction = await extractTextFromCV(Buffer.from(jobFileData, 'base64'), jobFileName, log, talent.talentId);
+      jobText = jobExtraction.text;
+    }
+
+    log('Extracting text content from CV...');
+    extraction = await extractTextFromCV(Buffer.from(fileData, 'base64'), fileName, log, talent.talentId);
+    log(`Successfully extracted ${extraction.text.length} characters from CV using ${extraction.extractor} (confidence ${extraction.confidence})`);
+  } catch (extractionError) {
+    error(`Text extraction failed: ${extractionError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to extract text from the uploaded documents',
+      statusCode: 422
+    }, 422);
+  }
+
+  if (jobText.length < 50) {
+    return res.json({
+      success: false,
+      error: 'Job description is too short to analyze',
+      statusCode: 400
+    }, 400);
+  }
+
+  await onProgress('extracted');
+  const cvText = extraction.text;
+  const parsedCV = parseCV(cvText);
+  const { detection, locale } = resolveFeedbackLocale(cvText, requestData, talent);
+  log(`CV language: ${detection.language || 'undetermined'}, feedback locale: ${locale.locale} (${locale.source})`);
+  let usedFallback = false;
+
+  // Local extraction is always available; model-extracted requirements are merged on top
+  let extractedRequirements = null;
+  try {
+    extractedRequirements = await extractJobRequirementsWithModel(jobText, prompts['job-requirements']);
+  } catch (requirementsError) {
+    log(`Warning: Using locally extracted job requirements only: ${requirementsError.message}`);
+    usedFallback = true;
+  }
+  const requirements = mergeJobRequirements(extractJobRequirementsLocally(jobText), extractedRequirements);
+  log(`Job requirements: ${requirements.mustHaveSkills.length} must-have, ${requirements.niceToHaveSkills.length} nice-to-have skills`);
+
+  const jobMatch = buildJobMatch({ talent, requirements, parsedCV, cvText });
+  const { redaction, promptCV } = redactForPrompt(parsedCV, talent);
+
+  let commentary = { tailoredBullets: [], relevantExperience: [], additionalRequirements: [] };
+  let commentaryGenerated = false;
+  try {
+    commentary = rehydrate(redaction, await generateJobMatchCommentary(promptCV, requirements, jobMatch, locale, prompts['job-match']));
+    commentaryGenerated = true;
+  } catch (commentaryError) {
+    error(`Job match commentary failed: ${commentaryError.message}`);
+    usedFallback = true;
+  }
+
+  await onProgress('analyzed');
+  const jobMatchStep = resolveStep('jobMatch', config.models);
+  const executionTime = Date.now() - startTime;
+  log(`=== Job Match Completed (alignment ${jobMatch.jobAlignment.alignmentScore}, keyword coverage ${jobMatch.keywordCoverage.coverage}%) ===`);
+
+  return res.json({
+    success: true,
+    statusCode: 200,
+    jobMatch: {
+      requirements,
+      jobAlignment: {
+        ...jobMatch.jobAlignment,
+        relevantExperience: commentary.relevantExperience,
+        additionalRequirements: commentary.additionalRequirements
+      },
+      keywordCoverage: jobMatch.keywordCoverage,
+      gaps: jobMatch.gaps,
+      tailoredBullets: commentary.tailoredBullets
+    },
+    parsedCV: parsedCV,
+    jsonResume: toJsonResume(parsedCV),
+    metadata: {
+      talent: {
+        id: talent.$id,
+        fullname: talent.fullname,
+        careerStage: talent.careerStage
+      },
+      job: {
+        title: requirements.title,
+        source: jobDescription ? 'text' : 'file',
+        fileName: jobDescription ? null : jobFileName,
+        promptVersion: extractedRequirements ? prompts['job-requirements'].template.id : null,
+        extraction: jobExtraction ? {
+          extractor: jobExtraction.extractor,
+          confidence: jobExtraction.confidence,
+          model: jobExtraction.model,
+          promptVersion: jobExtraction.promptVersion
+        } : null
+      },
+      fileName: fileName,
+      extraction: {
+        extractor: extraction.extractor,
+        confidence: extraction.confidence,
+        model: extraction.model,
+        promptVersion: extraction.promptVersion
+      },
+      detectedLanguage: detection.language,
+      languageConfidence: detection.confidence,
+      locale: locale.locale,
+      provider: jobMatchStep.provider,
+      model: jobMatchStep.model,
+      promptVersion: commentaryGenerated ? prompts['job-match'].template.id : null,
+      analyzedAt: new Date().toISOString(),
+      executionTime: executionTime,
+      usedFallback: usedFallback,
+      redaction: summarizeRedactions(redaction),
+      attempts: summarizeAttempts(),
+      usage: requestUsage()
+    }
+  });
+}
+
+/**
+ * Review a CV's bullets and suggest rewrites for the weak ones
+ * @param {Object} params
+ * @param {Object} params.requestData - Parsed request body ({ fileData, fileName })
+ * @param {Object} params.talent - Talent profile document
+ * @param {Object|null} params.careerPath - Selected career path document
+ * @param {Object} params.prompts - The action's prompts from getPrompt, by name (see ACTION_PROMPTS)
+ * @param {number} params.startTime - Request start timestamp
+ * @param {Object} params.res - Appwrite response
+ * @param {Function} params.log - Logger
+ * @param {Function} params.error - Error logger
+ * @param {Function} params.onProgress - Called with each completed pipeline stage
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleImproveAction({ requestData, talent, careerPath, prompts, startTime, res, log, error, onProgress }) {
+  const { fileData, fileName } = requestData;
+
+  let extraction;
+  try {
+    log('Extracting text content from CV...');
+    extraction = await extractTextFromCV(Buffer.from(fileData, 'base64'), fileName, log, talent.talentId);
+    log(`Successfully extracted ${extraction.text.length} characters from CV using ${extraction.extractor} (confidence ${extraction.confidence})`);
+  } catch (extractionError) {
+    error(`Text extraction failed: ${extractionError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to extract text from the uploaded CV',
+      statusCode: 422
+    }, 422);
+  }
+
+  await onProgress('extracted');
+  const parsedCV = parseCV(extraction.text);
+  const { detection, locale } = resolveFeedbackLocale(extraction.text, requestData, talent);
+  const review = reviewBullets(parsedCV);
+  log(`Reviewed ${review.reviewed} bullets, ${review.flagged.length} flagged`);
+
+  const { redaction } = redactForPrompt(parsedCV, talent);
+  let rewrites = new Map();
+  let usedFallback = false;
+  if (review.flagged.length > 0) {
+    try {
+      const redactedBullets = review.flagged.map(bullet => ({ ...bullet, text: redactText(redaction, bullet.text) }));
+      const result = rehydrate(redaction, await generateBulletRewrites(redactedBullets, careerPath, locale, prompts['bullet-rewrite']));
+      rewrites = new Map(result.rewrites.map(rewrite => [rewrite.id, rewrite]));
+    } catch (rewriteError) {
+      error(`Bullet rewrite failed: ${rewriteError.message}`);
+      usedFallback = true;
+    }
+  }
+
+  // Every flagged bullet is returned; `after` is null when no rewrite is available
+  const suggestions = review.flagged.map(bullet => {
+    const rewrite = rewrites.get(bullet.id);
+    return {
+      id: bullet.id,
+      section: bullet.section,
+      entry: bullet.entry,
+      before: bullet.text,
+      after: rewrite ? rewrite.suggested : null,
+      reason: rewrite ? rewrite.reason : describeIssues(bullet.issues),
+      issues: bullet.issues,
+      targetKeywords: rewrite ? rewrite.targetKeywords : []
+    };
+  });
+
+  await onProgress('analyzed');
+  const rewriteStep = resolveStep('bulletRewrite', config.models);
+  const executionTime = Date.now() - startTime;
+  log(`=== CV Improvement Completed (${suggestions.filter(suggestion => suggestion.after).length} rewrites) ===`);
+
+  return res.json({
+    success: true,
+    statusCode: 200,
+    improvements: {
+      reviewed: review.reviewed,
+      flagged: review.flagged.length,
+      suggestions
+    },
+    parsedCV: parsedCV,
+    jsonResume: toJsonResume(parsedCV),
+    metadata: {
+      talent: {
+        id: talent.$id,
+        fullname: talent.fullname,
+        careerStage: talent.careerStage
+      },
+      careerPath: careerPath ? {
+        id: careerPath.$id,
+        title: careerPath.title
+      } : null,
+      fileName: fileName,
+      extraction: {
+        extractor: extraction.extractor,
+        confidence: extraction.confidence,
+        model: extraction.model,
+        promptVersion: extraction.promptVersion
+      },
+      detectedLanguage: detection.language,
+      languageConfidence: detection.confidence,
+      locale: locale.locale,
+      provider: rewriteStep.provider,
+      model: rewriteStep.model,
+      promptVersion: rewrites.size > 0 ? prompts['bullet-rewrite'].template.id : null,
+      analyzedAt: new Date().toISOString(),
+      executionTime: executionTime,
+      usedFallback: usedFallback,
+      redaction: summarizeRedactions(redaction),
+      attempts: summarizeAttempts(),
+      usage: requestUsage()
+    }
+  });
+}
+
+/**
+ * Turn a name into a file name prefix ("Zoë Smith" -> "zoe-smith")
+ * @param {string} text - Name
+ * @returns {string} - Slug
+ */
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * Upload rendered documents to the exports bucket, readable by one user
+ * @param {string|null} userId - User the files are readable by (the talent's owner, or a batch's caller)
+ * @param {string} baseName - File name without extension
+ * @param {Object[]} files - Rendered files ({ format, mimeType, data })
+ * @param {string[]} storedFileIds - Receives the ID of every file created, for cleanup on failure
+ * @returns {Promise<Object[]>} - { format, bucketId, fileId, fileName, mimeType, sizeBytes }
+ */
+async function storeGeneratedFiles(userId, baseName, files, storedFileIds) {
+  const stored = [];
+
+  for (const { format, mimeType, data } of files) {
+    const fileName = `${baseName}.${format}`;
+    const file = await storage.createFile(
+      config.exportsBucketId,
+      ID.unique(),
+      InputFile.fromBuffer(data, fileName),
+      userFilePermissions(userId, ['read'])
+    );
+    storedFileIds.push(file.$id);
+    stored.push({
+      format,
+      bucketId: config.exportsBucketId,
+      fileId: file.$id,
+      fileName,
+      mimeType,
+      sizeBytes: data.length
+    });
+  }
+
+  return stored;
+}
+
+/**
+ * Generate a tailored cover letter and ATS-friendly CV for the selected career path or a job posting,
+ * exported as Markdown, DOCX and PDF to Storage
+ * @param {Object} params
+ * @param {Object} params.requestData - Parsed request body ({ fileData, fileName, jobDescription | jobFileData + jobFileName })
+ * @param {Object} params.talent - Talent profile document
+ * @param {Object|null} params.careerPath - Selected career path document
+ * @param {Object} params.prompts - The action's prompts from getPrompt, by name (see ACTION_PROMPTS)
+ * @param {number} params.startTime - Request start timestamp
+ * @param {Object} params.res - Appwrite response
+ * @param {Function} params.log - Logger
+ * @param {Function} params.error - Error logger
+ * @param {Function} params.onProgress - Called with each completed pipeline stage
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleGenerateAction({ requestData, talent, careerPath, prompts, startTime, res, log, error, onProgress }) {
+  const { talentId, fileData, fileName, jobDescription, jobFileData, jobFileName } = requestData;
+  const hasJob = Boolean(jobDescription || jobFileData);
+
+  if (!hasJob && !careerPath) {
+    return res.json({
+      success: false,
+      error: 'Select a career path or provide a job description to generate documents',
+      statusCode: 400
+    }, 400);
+  }
+
+  // Extract the job posting (if any) and the CV through the same pipeline
+  let jobText = null;
+  let jobExtraction = null;
+  let extraction;
+  try {
+    if (jobDescription) {
+      jobText = normalizeExtractedText(String(jobDescription));
+    } else if (jobFileData) {
+      log(`Extracting text content from job posting: ${jobFileName}`);
+      jobExtraction = await extractTextFromCV(Buffer.from(jobFileData, 'base64'), jobFileName, log, talent.talentId);
+      jobText = jobExtraction.text;
+    }
+
+    log('Extracting text content from CV...');
+    extraction = await extractTextFromCV(Buffer.from(fileData, 'base64'), fileName, log, talent.talentId);
+    log(`Successfully extracted ${extraction.text.length} characters from CV using ${extraction.extractor} (confidence ${extraction.confidence})`);
+  } catch (extractionError) {
+    error(`Text extraction failed: ${extractionError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to extract text from the uploaded documents',
+      statusCode: 422
+    }, 422);
+  }
+
+  if (hasJob && jobText.length < 50) {
+    return res.json({
+      success: false,
+      error: 'Job description is too short to analyze',
+      statusCode: 400
+    }, 400);
+  }
+
+  await onProgress('extracted');
+  const parsedCV = parseCV(extraction.text);
+  const { detection, locale } = resolveFeedbackLocale(extraction.text, requestData, talent);
+  let usedFallback = false;
+
+  // The job posting takes precedence over the selected career path
+  let target;
+  let requirementsPromptVersion = null;
+  if (hasJob) {
+    let extractedRequirements = null;
+    try {
+      extractedRequirements = await extractJobRequirementsWithModel(jobText, prompts['job-requirements']);
+      requirementsPromptVersion = prompts['job-requirements'].template.id;
+    } catch (requirementsError) {
+      log(`Warning: Using locally extracted job requirements only: ${requirementsError.message}`);
+      usedFallback = true;
+    }
+    const requirements = mergeJobRequirements(extractJobRequirementsLocally(jobText), extractedRequirements);
+    target = {
+      type: 'job',
+      title: requirements.title,
+      keywords: [...new Set([...requirements.mustHaveSkills, ...requirements.keywords, ...requirements.niceToHaveSkills])],
+      responsibilities: requirements.responsibilities.slice(0, 10)
+    };
+  } else {
+    target = {
+      type: 'career-path',
+      title: careerPath.title,
+      keywords: [...new Set([...(careerPath.requiredSkills || []), ...(careerPath.toolsAndTechnologies || [])])],
+      responsibilities: []
+    };
+  }
+
+  const { redaction, promptCV, promptTalent } = redactForPrompt(parsedCV, talent);
+  let generated;
+  try {
+    generated = rehydrate(redaction, await generateApplicationDocuments(promptCV, promptTalent, target, locale, prompts.generation));
+  } catch (generationError) {
+    error(`Application documents generation failed: ${generationError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to generate application documents',
+      statusCode: 500
+    }, 500);
+  }
+
+  await onProgress('analyzed');
+  const coverLetter = renderDocument(buildCoverLetterDocument(parsedCV, generated.coverLetter, { profile: talent, locale: locale.locale }));
+  const cv = renderDocument(buildCVDocument(parsedCV, generated.cv, talent, locale.locale));
+
+  // Store every format; a partial export is removed rather than returned
+  const baseName = slugify(parsedCV.basics.name || talent.fullname) || 'talent';
+  const storedFileIds = [];
+  let files;
+  try {
+    files = {
+      coverLetter: await storeGeneratedFiles(getTalentOwnerId(talent), `${baseName}-cover-letter`, coverLetter.files, storedFileIds),
+      cv: await storeGeneratedFiles(getTalentOwnerId(talent), `${baseName}-cv`, cv.files, storedFileIds)
+    };
+    log(`Stored ${storedFileIds.length} generated files in bucket ${config.exportsBucketId}`);
+  } catch (storageError) {
+    error(`Failed to store generated documents: ${storageError.message}`);
+    for (const fileId of storedFileIds) {
+      await storage.deleteFile(config.exportsBucketId, fileId)
+        .catch(deleteError => error(`Failed to delete generated file: ${deleteError.message}`));
+    }
+    return res.json({
+      success: false,
+      error: 'Failed to store generated documents',
+      statusCode: 500
+    }, 500);
+  }
+
+  const generationStep = resolveStep('generation', config.models);
+  const executionTime = Date.now() - startTime;
+  log(`=== Application Documents Generated (${target.type}: ${target.title || 'untitled'}) ===`);
+
+  return res.json({
+    success: true,
+    statusCode: 200,
+    documents: {
+      coverLetter: {
+        markdown: coverLetter.markdown,
+        files: files.coverLetter
+      },
+      cv: {
+        markdown: cv.markdown,
+        files: files.cv
+      },
+      targetKeywords: generated.targetKeywords || []
+    },
+    parsedCV: parsedCV,
+    jsonResume: toJsonResume(parsedCV),
+    metadata: {
+      talent: {
+        id: talent.$id,
+        fullname: talent.fullname,
+        careerStage: talent.careerStage
+      },
+      target: {
+        type: target.type,
+        title: target.title || null,
+        careerPathId: target.type === 'career-path' ? careerPath.$id : null,
+        source: target.type === 'job' ? (jobDescription ? 'text' : 'file') : null,
+        fileName: target.type === 'job' && !jobDescription ? jobFileName : null,
+        promptVersion: requirementsPromptVersion,
+        extraction: jobExtraction ? {
+          extractor: jobExtraction.extractor,
+          confidence: jobExtraction.confidence,
+          model: jobExtraction.model,
+          promptVersion: jobExtraction.promptVersion
+        } : null
+      },
+      fileName: fileName,
+      extraction: {
+        extractor: extraction.extractor,
+        confidence: extraction.confidence,
+        model: extraction.model,
+        promptVersion: extraction.promptVersion
+      },
+      detectedLanguage: detection.language,
+      languageConfidence: detection.confidence,
+      locale: locale.locale,
+      provider: generationStep.provider,
+      model: generationStep.model,
+      promptVersion: prompts.generation.template.id,
+      generatedAt: new Date().toISOString(),
+      executionTime: executionTime,
+      usedFallback: usedFallback,
+      redaction: summarizeRedactions(redaction),
+      attempts: summarizeAttempts(),
+      usage: requestUsage()
+    }
+  });
+}
+
+/**
+ * List a talent's past analyses
+ * @param {Object} requestData - Parsed request body ({ talentId, limit, offset })
+ * @param {Object} res - Appwrite response
+ * @param {Function} log - Logger
+ * @param {Function} error - Error logger
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleHistoryAction(requestData, res, log, error) {
+  const { talentId, limit, offset } = requestData;
+
+  try {
+    const history = await listAnalyses(databases, config, talentId, { limit, offset });
+    log(`Fetched ${history.analyses.length} of ${history.total} past analyses for talent: ${talentId}`);
+    return res.json({
+      success: true,
+      statusCode: 200,
+      total: history.total,
+      analyses: history.analyses
+    });
+  } catch (dbError) {
+    error(`Database error fetching analysis history: ${dbError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to fetch analysis history',
+      statusCode: 500
+    }, 500);
+  }
+}
+
+/**
+ * Compare two of a talent's past analyses
+ * @param {Object} requestData - Parsed request body ({ talentId, baseAnalysisId, targetAnalysisId })
+ * @param {Object} res - Appwrite response
+ * @param {Function} log - Logger
+ * @param {Function} error - Error logger
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleCompareAction(requestData, res, log, error) {
+  const { talentId, baseAnalysisId, targetAnalysisId } = requestData;
+
+  if (!baseAnalysisId || !targetAnalysisId) {
+    return res.json({
+      success: false,
+      error: 'Missing required parameters: baseAnalysisId, targetAnalysisId',
+      statusCode: 400
+    }, 400);
+  }
+
+  let base;
+  let target;
+  try {
+    [base, target] = await Promise.all([
+      getAnalysis(databases, config, talentId, baseAnalysisId),
+      getAnalysis(databases, config, talentId, targetAnalysisId)
+    ]);
+  } catch (dbError) {
+    error(`Database error fetching analyses to compare: ${dbError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to fetch analyses',
+      statusCode: 500
+    }, 500);
+  }
+
+  if (!base || !target) {
+    return res.json({
+      success: false,
+      error: 'Analysis not found',
+      statusCode: 404
+    }, 404);
+  }
+
+  log(`Comparing analyses ${base.id} and ${target.id} for talent: ${talentId}`);
+  return res.json({
+    success: true,
+    statusCode: 200,
+    comparison: compareAnalyses(base, target)
+  });
+}
+
+/**
+ * Apply accepted profile sync patches from a past analysis to the talent document.
+ * Patches whose value is already on the profile are skipped, so repeating the call is harmless.
+ * @param {Object} requestData - Parsed request body ({ talentId, analysisId, patchIds })
+ * @param {Object} res - Appwrite response
+ * @param {Function} log - Logger
+ * @param {Function} error - Error logger
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleApplyProfileSyncAction(requestData, res, log, error) {
+  const { talentId, analysisId, patchIds } = requestData;
+
+  if (!analysisId) {
+    return res.json({
+      success: false,
+      error: 'Missing required parameter: analysisId',
+      statusCode: 400
+    }, 400);
+  }
+
+  if (patchIds !== undefined && !Array.isArray(patchIds)) {
+    return res.json({
+      success: false,
+      error: 'patchIds must be an array of patch ids',
+      statusCode: 400
+    }, 400);
+  }
+
+  let record;
+  let talent;
+  try {
+    record = await getAnalysis(databases, config, talentId, analysisId);
+    const talentQuery = await databases.listDocuments(
+      config.databaseId,
+      config.talentsCollectionId,
+      [Query.equal('talentId', talentId)]
+    );
+    talent = talentQuery.documents[0];
+  } catch (dbError) {
+    error(`Database error fetching profile sync data: ${dbError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to fetch analysis',
+      statusCode: 500
+    }, 500);
+  }
+
+  if (!record || !talent) {
+    return res.json({
+      success: false,
+      error: !talent ? 'Talent profile not found' : 'Analysis not found',
+      statusCode: 404
+    }, 404);
+  }
+
+  // Only patches produced by the analysis can be applied; ids default to all of them
+  const available = record.analysis?.profileSync?.patches || [];
+  const requestedIds = patchIds || available.map(patch => patch.id);
+  const accepted = available.filter(patch => requestedIds.includes(patch.id));
+  const unknown = requestedIds
+    .filter(id => !available.some(patch => patch.id === id))
+    .map(id => ({ id, reason: 'not-found' }));
+
+  const { changes, applied, skipped } = applyProfilePatches(talent, accepted);
+
+  if (Object.keys(changes).length > 0) {
+    try {
+      await databases.updateDocument(config.databaseId, config.talentsCollectionId, talent.$id, changes);
+    } catch (dbError) {
+      error(`Database error applying profile sync: ${dbError.message}`);
+      return res.json({
+        success: false,
+        error: 'Failed to update talent profile',
+        statusCode: 500
+      }, 500);
+    }
+  }
+
+  log(`Profile sync for talent ${talentId}: ${applied.length} applied, ${skipped.length + unknown.length} skipped`);
+  return res.json({
+    success: true,
+    statusCode: 200,
+    applied,
+    skipped: [...skipped, ...unknown],
+    profile: {
+      skills: changes.skills || talent.skills || [],
+      certifications: changes.certifications || talent.certifications || [],
+      degrees: changes.degrees || talent.degrees || []
+    }
+  });
+}
+
+/**
+ * Queue an analysis to run asynchronously and return its job id
+ * @param {Object} params
+ * @param {Object} params.requestData - Parsed request body (with `async: true` and an optional `webhookUrl`)
+ * @param {Object} params.talent - Talent profile document
+ * @param {Object} params.res - Appwrite response
+ * @param {Function} params.log - Logger
+ * @param {Function} params.error - Error logger
+ * @returns {Promise<Object>} - Function response (202 with the job id)
+ */
+async function handleEnqueueAction({ requestData, talent, res, log, error }) {
+  const { action = 'analyze', talentId, fileData, jobFileData, webhookUrl } = requestData;
+  const functionId = process.env.APPWRITE_FUNCTION_ID;
+
+  if (!functionId || !config.jobs.runSecret) {
+    error('APPWRITE_FUNCTION_ID and JOB_RUN_SECRET (or APPWRITE_FUNCTION_API_KEY) environment variables are required for async mode');
+    return res.json({
+      success: false,
+      error: 'Server configuration error',
+      statusCode: 500
+    }, 500);
+  }
+
+  let job;
+  const stagedFileIds = [];
+  try {
+    job = await createJob(databases, config, { talentId, action, request: requestData, webhookUrl });
+    log(`Created analysis job ${job.$id} for talent: ${talent.fullname}`);
+
+    // Stage uploaded files for the asynchronous execution
+    const stage = async data => {
+      const file = await storage.createFile(
+        config.cvBucketId,
+        ID.unique(),
+        Buffer.from(data, 'base64'),
+        userFilePermissions(getTalentOwnerId(talent), ['read', 'delete'])
+      );
+      stagedFileIds.push(file.$id);
+      return file.$id;
+    };
+
+    // CVs referenced by `fileId` are read from their own bucket when the job runs
+    const fileId = requestData.fileId ? null : await stage(fileData);
+    const jobFileId = jobFileData ? await stage(jobFileData) : null;
+    await updateJob(databases, config, job.$id, { stage: 'uploaded', fileId, jobFileId });
+
+    await functions.createExecution(functionId, JSON.stringify({
+      action: 'run-job',
+      jobId: job.$id,
+      runToken: signJobRun(config.jobs.runSecret, job.$id)
+    }), true);
+    log(`Queued analysis job ${job.$id}`);
+  } catch (queueError) {
+    error(`Failed to queue analysis job: ${queueError.message}`);
+
+    if (job) {
+      await updateJob(databases, config, job.$id, { status: JOB_STATUS.FAILED, error: 'Failed to queue job' })
+        .catch(updateError => error(`Failed to mark job as failed: ${updateError.message}`));
+    }
+    for (const fileId of stagedFileIds) {
+      await storage.deleteFile(config.cvBucketId, fileId)
+        .catch(deleteError => error(`Failed to delete staged file: ${deleteError.message}`));
+    }
+
+    return res.json({
+      success: false,
+      error: 'Failed to queue analysis job',
+      statusCode: 500
+    }, 500);
+  }
+
+  return res.json({
+    success: true,
+    statusCode: 202,
+    jobId: job.$id,
+    status: JOB_STATUS.QUEUED,
+    stage: 'uploaded',
+    progress: JOB_STAGES.uploaded
+  }, 202);
+}
+
+/**
+ * Run a queued job (invoked by the asynchronous execution created in handleEnqueueAction)
+ * @param {Object} requestData - Parsed request body ({ jobId })
+ * @param {Object} res - Appwrite response
+ * @param {Function} log - Logger
+ * @param {Function} error - Error logger
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleRunJobAction(requestData, res, log, error) {
+  const { jobId } = requestData;
+
+  // A job runs once; repeated executions for the same job are ignored
+  const { document, claimed } = await claimJob(databases, config, jobId);
+  if (!document) {
+    return res.json({
+      success: false,
+      error: 'Job not found',
+      statusCode: 404
+    }, 404);
+  }
+
+  if (!claimed) {
+    log(`Skipping analysis job ${jobId}: already ${document.status}`);
+    return res.json({
+      success: false,
+      error: `Job is already ${document.status}`,
+      statusCode: 409
+    }, 409);
+  }
+
+  const job = toJobRecord(document, true);
+  log(`Running analysis job ${jobId} (${job.action})`);
+
+  const onProgress = async stage => {
+    try {
+      await updateJob(databases, config, jobId, { stage });
+    } catch (progressError) {
+      log(`Warning: Could not record job progress (${stage}): ${progressError.message}`);
+    }
+  };
+
+  // The pipeline responds through `res.json`; capture its response instead of sending it
+  const capture = { json: (body, statusCode = 200) => ({ body, statusCode }) };
+
+  let response;
+  try {
+    const download = async fileId => Buffer.from(await storage.getFileDownload(config.cvBucketId, fileId)).toString('base64');
+    const body = {
+      ...job.request,
+      ...(job.fileId ? { fileData: await download(job.fileId) } : {}),
+      ...(job.jobFileId ? { jobFileData: await download(job.jobFileId) } : {})
+    };
+
+    response = await handleRequest({ req: { body }, res: capture, log, error, onProgress, stagedFileId: job.fileId, trusted: true });
+  } catch (runError) {
+    error(`Analysis job ${jobId} failed: ${runError.message}`);
+    response = capture.json({ success: false, error: 'Failed to read the staged files', statusCode: 500 }, 500);
+  } finally {
+    for (const fileId of [job.fileId, job.jobFileId].filter(Boolean)) {
+      await storage.deleteFile(config.cvBucketId, fileId)
+        .catch(deleteError => error(`Failed to delete staged file: ${deleteError.message}`));
+    }
+  }
+
+  const completed = response.body.success === true;
+  const status = completed ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED;
+  await updateJob(databases, config, jobId, completed
+    ? { status, stage: 'stored', result: response.body }
+    : { status, error: response.body.error || 'Analysis failed' });
+  log(`Analysis job ${jobId} ${status}`);
+
+  if (job.webhookUrl) {
+    let webhookStatus = 'delivered';
+    try {
+      await notifyWebhook(job.webhookUrl, {
+        jobId,
+        talentId: job.talentId,
+        action: job.action,
+        status,
+        result: completed ? response.body : null,
+        error: completed ? null : response.body.error || 'Analysis failed'
+      }, config.resilience.webhook, config.webhooks.allowedHosts);
+    } catch (webhookError) {
+      error(`Webhook delivery failed for job ${jobId}: ${webhookError.message}`);
+      webhookStatus = 'failed';
+    }
+    await updateJob(databases, config, jobId, { webhookStatus })
+      .catch(updateError => error(`Failed to record webhook status: ${updateError.message}`));
+  }
+
+  return res.json({
+    success: true,
+    statusCode: 200,
+    jobId,
+    status
+  });
+}
+
+/**
+ * Return an analysis job's status, and its result once completed
+ * @param {Object} requestData - Parsed request body ({ talentId, jobId })
+ * @param {Object} res - Appwrite response
+ * @param {Function} log - Logger
+ * @param {Function} error - Error logger
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleStatusAction(requestData, res, log, error) {
+  const { talentId, jobId } = requestData;
+
+  if (!jobId) {
+    return res.json({
+      success: false,
+      error: 'Missing required parameter: jobId',
+      statusCode: 400
+    }, 400);
+  }
+
+  let document;
+  try {
+    document = await getJob(databases, config, jobId);
+  } catch (dbError) {
+    error(`Database error fetching job: ${dbError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to fetch job',
+      statusCode: 500
+    }, 500);
+  }
+
+  // Jobs of other talents are reported as missing
+  if (!document || document.talentId !== talentId) {
+    return res.json({
+      success: false,
+      error: 'Job not found',
+      statusCode: 404
+    }, 404);
+  }
+
+  const { request, fileId, jobFileId, webhookUrl, result, ...job } = toJobRecord(document, true);
+  log(`Job ${jobId} is ${job.status} (${job.stage}, ${job.progress}%)`);
+
+  return res.json({
+    success: true,
+    statusCode: 200,
+    job,
+    result: job.status === JOB_STATUS.COMPLETED ? result : null
+  });
+}
+
+/**
+ * Analyze a cohort's CVs against one career path or job posting.
+ * Every item runs through handleRequest with the caller's identity, so it is authorized,
+ * metered and cached like a single request; a failing item does not fail the batch.
+ * @param {Object} params
+ * @param {Object} params.requestData - Parsed request body ({ items: [{ talentId, fileId, bucketId, fileData, fileName }],
+ *   careerPathId, or jobDescription / jobFileData + jobFileName, locale, forceRefresh, concurrency, includeResults })
+ * @param {Object} params.req - Appwrite request (its user headers are passed to every item)
+ * @param {string} params.callerId - Caller's user ID (the CSV export is readable by this user)
+ * @param {string} params.callerPlan - Caller's plan, for the job posting extraction metered against the caller
+ * @param {number} params.startTime - Request start timestamp
+ * @param {Object} params.res - Appwrite response
+ * @param {Function} params.log - Logger
+ * @param {Function} params.error - Error logger
+ * @returns {Promise<Object>} - Function response
+ */
+async function handleBatchAction({ requestData, req, callerId, callerPlan, startTime, res, log, error }) {
+  const { items, careerPathId, jobFileData, jobFileName, locale, forceRefresh = false, includeResults = false } = requestData;
+  let { jobDescription } = requestData;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.json({
+      success: false,
+      error: 'Missing required parameter: items',
+      statusCode: 400
+    }, 400);
   }
-}
 
-Scoring Guidelines:
-- Overall Score: 0-100 based on completeness, relevance, and market readiness
-- Alignment Score: 0-100 based on how well CV matches career path requirements
-- Marketability Score: 0-100 based on competitive positioning in job market
+  if (items.length > config.batch.maxItems) {
+    return res.json({
+      success: false,
+      error: `A batch takes at most ${config.batch.maxItems} items`,
+      statusCode: 400
+    }, 400);
+  }
 
-Ensure all arrays contain specific, actionable items and scores are realistic and well-justified.`;
+  if (items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    return res.json({
+      success: false,
+      error: 'Every batch item must be an object with talentId, and fileId or fileData and fileName',
+      statusCode: 400
+    }, 400);
+  }
 
-    const result = await model.generateContent(prompt);
-    const responseText = result.response.text();
-    
-    // Clean and parse JSON response
-    const cleanedJson = extractAndCleanJSON(responseText);
-    const analysis = JSON.parse(cleanedJson);
-    
-    // Validate required fields exist
-    const requiredFields = [
-      'overallScore', 'strengths', 'weaknesses', 'profileVsCvGaps', 
-      'recommendations', 'nextSteps', 'marketability'
-    ];
-    
-    for (const field of requiredFields) {
-      if (!analysis[field]) {
-        throw new Error(`Missing required field in analysis: ${field}`);
+  if (locale && !parseLocale(locale)) {
+    return res.json({
+      success: false,
+      error: `Unsupported locale: ${locale}`,
+      statusCode: 400
+    }, 400);
+  }
+
+  // Resolve the shared target once: a job posting (extracted once for every item), a career path,
+  // or else each talent's selected career path
+  let target;
+  if (jobDescription || jobFileData) {
+    if (!jobDescription) {
+      if (!jobFileName) {
+        return res.json({
+          success: false,
+          error: 'Missing job description: provide jobDescription, or jobFileData and jobFileName',
+          statusCode: 400
+        }, 400);
+      }
+
+      const jobBuffer = Buffer.from(jobFileData, 'base64');
+      const jobUploadError = validateUpload(jobBuffer);
+      if (jobUploadError) {
+        return res.json({
+          success: false,
+          error: jobUploadError,
+          statusCode: 400
+        }, 400);
+      }
+
+      // The extraction may call a model, which counts against the caller's plan
+      const refusal = await enforceQuota({ talentId: callerId, plan: callerPlan }, res, log, error);
+      if (refusal) {
+        return refusal;
       }
-    }
 
-    // Validate score ranges
-    if (analysis.overallScore < 0 || analysis.overallScore > 100) {
-      analysis.overallScore = Math.max(0, Math.min(100, analysis.overallScore));
+      try {
+        jobDescription = (await extractTextFromCV(jobBuffer, jobFileName, log)).text;
+      } catch (extractionError) {
+        error(`Text extraction failed: ${extractionError.message}`);
+        return res.json({
+          success: false,
+          error: 'Failed to extract text from the job posting',
+          statusCode: 422
+        }, 422);
+      }
     }
-    
-    if (analysis.marketability?.score < 0 || analysis.marketability?.score > 100) {
-      analysis.marketability.score = Math.max(0, Math.min(100, analysis.marketability.score || 50));
+    target = { type: 'job', source: jobFileData && !requestData.jobDescription ? 'file' : 'text', careerPath: null };
+  } else if (careerPathId) {
+    let careerPath;
+    try {
+      careerPath = await databases.getDocument(config.databaseId, config.careerPathsCollectionId, careerPathId);
+    } catch (pathError) {
+      if (pathError.code !== 404) {
+        error(`Database error fetching career path: ${pathError.message}`);
+      }
+      return res.json({
+        success: false,
+        error: pathError.code === 404 ? 'Career path not found' : 'Failed to fetch career path',
+        statusCode: pathError.code === 404 ? 404 : 500
+      }, pathError.code === 404 ? 404 : 500);
     }
+    target = { type: 'career-path', source: null, careerPath: { id: careerPath.$id, title: careerPath.title } };
+  } else {
+    target = { type: 'selected-path', source: null, careerPath: null };
+  }
 
-    if (analysis.careerPathAlignment?.alignmentScore < 0 || analysis.careerPathAlignment?.alignmentScore > 100) {
-      if (analysis.careerPathAlignment) {
-        analysis.careerPathAlignment.alignmentScore = Math.max(0, Math.min(100, analysis.careerPathAlignment.alignmentScore));
-      }
+  const action = target.type === 'job' ? 'job-match' : 'analyze';
+  const concurrency = Math.min(Math.max(1, Math.floor(Number(requestData.concurrency)) || config.batch.concurrency), config.batch.maxConcurrency);
+  log(`Batch of ${items.length} ${action} requests by ${callerId} (${target.type}, concurrency ${concurrency})`);
+
+  // The pipeline responds through `res.json`; capture each item's response instead of sending it
+  const capture = { json: (body, statusCode = 200) => ({ body, statusCode }) };
+
+  // Items of one talent run in turn, so each sees the usage the previous ones recorded
+  const results = await mapWithConcurrencyByKey(items, item => item.talentId, concurrency, async (item, index) => {
+    const label = `[batch ${index + 1}/${items.length}]`;
+    const body = {
+      action,
+      talentId: item.talentId,
+      fileId: item.fileId,
+      bucketId: item.bucketId,
+      fileData: item.fileData,
+      fileName: item.fileName,
+      locale,
+      forceRefresh,
+      ...(action === 'job-match' ? { jobDescription } : { careerPathId })
+    };
+
+    let response;
+    try {
+      // Each item gets its own attempt log, so its metadata and metered usage are its own
+      response = await runWithAttemptLog(() => handleRequest({
+        req: { body, headers: req.headers },
+        res: capture,
+        log: message => log(`${label} ${message}`),
+        error: (message, ...details) => error(`${label} ${message}`, ...details)
+      }));
+    } catch (itemError) {
+      error(`${label} Unexpected error: ${itemError.message}`);
+      response = capture.json({ success: false, error: 'Internal server error occurred during analysis', statusCode: 500 }, 500);
     }
-    
-    return analysis;
-    
-  } catch (error) {
-    console.error('CV analysis error:', error);
-    throw new Error(`Failed to analyze CV content: ${error.message}`);
+
+    const result = toBatchItem(index, item, response);
+    log(`${label} ${result.status} (${result.statusCode})`);
+    return includeResults ? { ...result, result: response.body } : result;
+  });
+
+  const report = { target, ...buildCohortReport(results) };
+  const csv = toCSV(results);
+
+  let csvFile = null;
+  try {
+    [csvFile] = await storeGeneratedFiles(
+      callerId,
+      `cohort-report-${new Date().toISOString().slice(0, 10)}`,
+      [{ format: 'csv', mimeType: 'text/csv', data: Buffer.from(csv) }],
+      []
+    );
+  } catch (storageError) {
+    error(`Failed to store the cohort CSV: ${storageError.message}`);
   }
+
+  const executionTime = Date.now() - startTime;
+  log(`=== Batch Completed: ${report.items.completed} of ${report.items.total} items (${report.items.failed} failed, ${report.items.usedFallback} fallback) ===`);
+
+  return res.json({
+    success: true,
+    statusCode: 200,
+    report,
+    items: results,
+    csv: {
+      content: csv,
+      file: csvFile
+    },
+    metadata: {
+      action,
+      concurrency,
+      executionTime,
+      attempts: summarizeAttempts(),
+      usage: requestUsage()
+    }
+  });
 }
 
 /**
- * Generate fallback analysis when AI analysis fails
- * @param {Object} talent - Talent profile data
- * @param {Object} careerPath - Career path data (optional)
- * @returns {Object} - Fallback analysis
+ * Summarize recorded model usage per day (admins only)
+ * @param {Object} requestData - Parsed request body ({ from, to, talentId })
+ * @param {Object} res - Appwrite response
+ * @param {Function} log - Logger
+ * @param {Function} error - Error logger
+ * @returns {Promise<Object>} - Function response
  */
-function generateFallbackAnalysis(talent, careerPath) {
-  const baseScore = 65;
-  
-  return {
-    overallScore: baseScore,
-    strengths: [
-      "Profile shows clear career direction and purpose",
-      `Appropriate skill set for ${talent.careerStage} career stage`,
-      "Demonstrates commitment to professional development"
-    ],
-    weaknesses: [
-      "Unable to fully analyze CV content due to technical limitations",
-      "Limited visibility into detailed work experience",
-      "Cannot verify consistency between profile and CV"
-    ],
-    profileVsCvGaps: {
-      missingFromCV: ["Analysis temporarily unavailable"],
-      missingFromProfile: ["Analysis temporarily unavailable"],
-      inconsistencies: ["Could not perform detailed comparison at this time"]
-    },
-    careerPathAlignment: careerPath ? {
-      alignmentScore: 50,
-      matchingSkills: talent.skills?.filter(skill => 
-        careerPath.requiredSkills?.includes(skill)) || [],
-      missingSkills: careerPath.requiredSkills?.filter(skill => 
-        !talent.skills?.includes(skill)) || [],
-      matchingCertifications: talent.certifications?.filter(cert => 
-        careerPath.requiredCertifications?.includes(cert)) || [],
-      missingCertifications: careerPath.requiredCertifications?.filter(cert => 
-        !talent.certifications?.includes(cert)) || [],
-      relevantExperience: ["Analysis based on profile information only"],
-      additionalRequirements: ["Complete detailed CV analysis for comprehensive insights"]
-    } : {
-      alignmentScore: 0,
-      matchingSkills: [],
-      missingSkills: [],
-      matchingCertifications: [],
-      missingCertifications: [],
-      relevantExperience: ["No career path selected for comparison"],
-      additionalRequirements: ["Select a career path for targeted guidance"]
-    },
-    recommendations: [
-      "Ensure CV is in a clear, readable format (PDF recommended)",
-      "Update your profile with complete and accurate information",
-      careerPath ? `Focus on developing required skills for ${careerPath.title}` : "Consider selecting a career path for targeted recommendations",
-      "Try re-uploading your CV if the format may have caused issues"
-    ],
-    nextSteps: [
-      "Re-attempt CV upload with optimized file format",
-      "Complete all sections of your professional profile",
-      "Review and update your skills and certifications list",
-      "Consider career path selection for personalized guidance"
-    ],
-    marketability: {
-      score: 55,
-      summary: "Basic assessment available - complete CV analysis needed for detailed insights",
-      competitiveAdvantages: [
-        "Professional profile information available",
-        "Clear career stage identification"
-      ],
-      improvementAreas: [
-        "Need comprehensive CV analysis",
-        "Profile optimization required",
-        "Detailed skill verification needed"
-      ]
-    }
-  };
+async function handleUsageSummaryAction(requestData, res, log, error) {
+  const range = resolveSummaryRange(requestData);
+  if (range.error) {
+    return res.json({
+      success: false,
+      error: range.error,
+      statusCode: 400
+    }, 400);
+  }
+
+  try {
+    const summary = await summarizeUsageByDay(databases, config, range, requestData.talentId || null);
+    log(`Usage ${summary.from} to ${summary.to}: ${summary.totals.requests} requests, ${summary.totals.totalTokens} tokens`);
+    return res.json({
+      success: true,
+      statusCode: 200,
+      ...summary
+    });
+  } catch (dbError) {
+    error(`Database error summarizing usage: ${dbError.message}`);
+    return res.json({
+      success: false,
+      error: 'Failed to summarize usage',
+      statusCode: 500
+    }, 500);
+  }
 }
 
 /**
- * Main function handler
+ * Handle a request
+ * @param {Object} context - Appwrite function context ({ req, res, log, error })
+ * @param {Function} [context.onProgress] - Called with each completed pipeline stage (async jobs)
+ * @param {string} [context.stagedFileId] - Storage file already holding the CV (async jobs)
+ * @returns {Promise<Object>} - Function response
  */
-module.exports = async function({ req, res, log, error }) {
+async function handleRequest({ req, res, log, error, onProgress = async () => {}, stagedFileId = null, trusted = false }) {
   const startTime = Date.now();
   let uploadedFileId = null;
+  // Talent, plan and action the request's model usage is recorded for
+  let metering = null;
   
   try {
     log('=== CV Analysis Function Started ===');
     
-    // Validate environment variables
-    if (!process.env.GEMINI_API_KEY) {
-      error('GEMINI_API_KEY environment variable is required');
+    // Validate environment variables for the configured LLM providers
+    const providerErrors = validateProviderEnvironment(config.models);
+    if (providerErrors.length > 0) {
+      providerErrors.forEach(message => error(message));
       return res.json({ 
         success: false, 
         error: 'Server configuration error', 
@@ -432,128 +2238,475 @@ module.exports = async function({ req, res, log, error }) {
       }, 400);
     }
 
-    const { talentId, fileData, fileName } = requestData;
-    log(`Processing request for talent: ${talentId}, file: ${fileName}`);
+    const { action = 'analyze', talentId, fileId, bucketId = config.cvBucketId, forceRefresh = false } = requestData;
+    let { fileData, fileName } = requestData;
+
+    // Identify the user the execution runs for (job runs were authorized when queued)
+    let callerId = null;
+    if (!trusted) {
+      try {
+        callerId = await identifyCaller(req, verifyUserJWT);
+      } catch (jwtError) {
+        error(`Authorization denied: invalid user JWT (${jwtError.message})`);
+        return res.json({
+          success: false,
+          error: 'Invalid user token',
+          statusCode: 401
+        }, 401);
+      }
+    }
+
+    if (action === 'run-job') {
+      if (!requestData.jobId) {
+        return res.json({
+          success: false,
+          error: 'Missing required parameter: jobId',
+          statusCode: 400
+        }, 400);
+      }
+      // Only the executions the function starts carry a valid run token
+      if (callerId || !verifyJobRun(config.jobs.runSecret, requestData.jobId, requestData.runToken)) {
+        error(`Authorization denied: ${callerId ? `user ${callerId}` : 'execution without a valid run token'} tried to run job ${requestData.jobId}`);
+        return res.json({
+          success: false,
+          error: 'Jobs can only be run by the function itself',
+          statusCode: 403
+        }, 403);
+      }
+      return await handleRunJobAction(requestData, res, log, error);
+    }
+
+    if (action === 'batch') {
+      if (!callerId) {
+        error('Authorization denied: unauthenticated batch request');
+        return res.json({
+          success: false,
+          error: 'Authentication required',
+          statusCode: 401
+        }, 401);
+      }
+      // Items are metered separately; a job posting file is extracted once for the whole batch,
+      // so that model usage is recorded against the caller
+      const callerPlan = await resolveCallerPlan(callerId, log);
+      metering = { talentId: callerId, plan: callerPlan, action };
+      return await handleBatchAction({ requestData, req, callerId, callerPlan, startTime, res, log, error });
+    }
+
+    if (action === 'usage-summary') {
+      if (!callerId) {
+        error('Authorization denied: unauthenticated usage-summary request');
+        return res.json({
+          success: false,
+          error: 'Authentication required',
+          statusCode: 401
+        }, 401);
+      }
+
+      let access;
+      try {
+        access = await authorizeAdmin(users, config, callerId);
+      } catch (authError) {
+        error(`Failed to verify caller permissions for ${callerId}: ${authError.message}`);
+        return res.json({
+          success: false,
+          error: 'Failed to verify caller permissions',
+          statusCode: 500
+        }, 500);
+      }
+
+      if (!access.allowed) {
+        error(`Authorization denied: ${access.reason} (action: ${action})`);
+        return res.json({
+          success: false,
+          error: 'Usage summaries are restricted to admins',
+          statusCode: 403
+        }, 403);
+      }
+      return await handleUsageSummaryAction(requestData, res, log, error);
+    }
+
+    // Only the talent's own user, or a delegate (coach, admin), may act on a talent
+    if (!trusted && talentId) {
+      if (!callerId) {
+        error(`Authorization denied: unauthenticated ${action} request for talent ${talentId}`);
+        return res.json({
+          success: false,
+          error: 'Authentication required',
+          statusCode: 401
+        }, 401);
+      }
+
+      let access;
+      try {
+        access = await authorizeTalentAccess(databases, users, config, callerId, talentId);
+      } catch (authError) {
+        error(`Failed to verify caller permissions for ${callerId}: ${authError.message}`);
+        return res.json({
+          success: false,
+          error: 'Failed to verify caller permissions',
+          statusCode: 500
+        }, 500);
+      }
+
+      if (!access.allowed) {
+        error(`Authorization denied: ${access.reason} (action: ${action})`);
+        return res.json({
+          success: false,
+          error: 'Not allowed to act on this talent',
+          statusCode: 403
+        }, 403);
+      }
+      if (access.role === 'delegate') {
+        log(`User ${callerId} is acting on behalf of talent ${talentId} (${access.reason})`);
+      }
+    }
+
+    if (['history', 'compare', 'status', 'apply-profile-sync'].includes(action)) {
+      if (!talentId) {
+        return res.json({ 
+          success: false, 
+          error: 'Missing required parameter: talentId', 
+          statusCode: 400 
+        }, 400);
+      }
+      if (action === 'status') {
+        return await handleStatusAction(requestData, res, log, error);
+      }
+      if (action === 'apply-profile-sync') {
+        return await handleApplyProfileSyncAction(requestData, res, log, error);
+      }
+      return action === 'history'
+        ? await handleHistoryAction(requestData, res, log, error)
+        : await handleCompareAction(requestData, res, log, error);
+    }
+
+    if (!['analyze', 'discover', 'job-match', 'improve', 'generate'].includes(action)) {
+      return res.json({ 
+        success: false, 
+        error: `Unsupported action: ${action}`, 
+        statusCode: 400 
+      }, 400);
+    }
+
+    log(`Processing request for talent: ${talentId}, file: ${fileId ? `${bucketId}/${fileId}` : fileName}`);
     
     // Validate required parameters
-    if (!talentId || !fileData || !fileName) {
+    if (!talentId || !(fileId || (fileData && fileName))) {
       return res.json({ 
         success: false, 
-        error: 'Missing required parameters: talentId, fileData, fileName', 
+        error: 'Missing required parameters: talentId, and fileId or fileData and fileName', 
         statusCode: 400 
       }, 400);
     }
 
-    // Validate file type
-    const allowedExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.doc', '.docx'];
-    const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
-    
-    if (!allowedExtensions.includes(fileExtension)) {
+    // Validate job posting input (optional for generation, which falls back to the career path)
+    if (action === 'job-match' || (action === 'generate' && (requestData.jobDescription || requestData.jobFileData))) {
+      const { jobDescription, jobFileData, jobFileName } = requestData;
+
+      if (!jobDescription && !(jobFileData && jobFileName)) {
+        return res.json({
+          success: false,
+          error: 'Missing job description: provide jobDescription, or jobFileData and jobFileName',
+          statusCode: 400
+        }, 400);
+      }
+
+      const jobUploadError = !jobDescription ? validateUpload(Buffer.from(jobFileData, 'base64')) : null;
+      if (jobUploadError) {
+        return res.json({
+          success: false,
+          error: jobUploadError,
+          statusCode: 400
+        }, 400);
+      }
+    }
+
+    // Validate the requested feedback locale
+    if (requestData.locale && !parseLocale(requestData.locale)) {
       return res.json({
         success: false,
-        error: 'Unsupported file type. Please upload PDF, DOC, DOCX, JPG, or PNG files.',
+        error: `Unsupported locale: ${requestData.locale}`,
         statusCode: 400
       }, 400);
     }
 
-    // Validate file size (base64 length approximation)
-    const fileSizeBytes = (fileData.length * 3) / 4; // Approximate original size
-    const maxSizeBytes = 5 * 1024 * 1024; // 5MB
-    
-    if (fileSizeBytes > maxSizeBytes) {
+    // Validate async mode input
+    if (requestData.webhookUrl) {
+      const webhookError = !requestData.async
+        ? 'webhookUrl requires async: true'
+        : await validateWebhookUrl(requestData.webhookUrl, config.webhooks.allowedHosts);
+      if (webhookError) {
+        return res.json({
+          success: false,
+          error: webhookError,
+          statusCode: 400
+        }, 400);
+      }
+    }
+
+    // Fetch talent information
+    let talent;
+    try {
+      log(`Fetching talent with ID: ${talentId}`);
+      const talentQuery = await databases.listDocuments(
+        config.databaseId,
+        config.talentsCollectionId,
+        [Query.equal('talentId', talentId)]
+      );
+
+      if (talentQuery.documents.length === 0) {
+        log(`Talent not found with ID: ${talentId}`);
+        return res.json({ 
+          success: false, 
+          error: 'Talent profile not found', 
+          statusCode: 404 
+        }, 404);
+      }
+
+      talent = talentQuery.documents[0];
+      log(`Successfully fetched talent: ${talent.fullname} (${talent.careerStage})`);
+    } catch (dbError) {
+      error('Database error fetching talent:', dbError);
+      return res.json({ 
+        success: false, 
+        error: 'Failed to fetch talent information', 
+        statusCode: 500 
+      }, 500);
+    }
+
+    // Download a CV already uploaded to Storage
+    let fileBuffer;
+    if (fileId) {
+      let storedFile;
+      try {
+        storedFile = await loadStoredFile(bucketId, fileId, getTalentOwnerId(talent));
+      } catch (storageError) {
+        error(`Storage error fetching CV file: ${storageError.message}`);
+        return res.json({
+          success: false,
+          error: 'Failed to fetch the uploaded file',
+          statusCode: 500
+        }, 500);
+      }
+
+      if (storedFile.error) {
+        return res.json({
+          success: false,
+          error: storedFile.error,
+          statusCode: storedFile.statusCode
+        }, storedFile.statusCode);
+      }
+
+      fileBuffer = storedFile.fileBuffer;
+      fileName = fileName || storedFile.fileName;
+      fileData = fileBuffer.toString('base64');
+      requestData = { ...requestData, fileData, fileName };
+    } else {
+      fileBuffer = Buffer.from(fileData, 'base64');
+    }
+
+    // Validate file type and size
+    const uploadError = validateUpload(fileBuffer);
+    if (uploadError) {
       return res.json({
         success: false,
-        error: 'File size too large. Please upload files smaller than 5MB.',
+        error: uploadError,
         statusCode: 400
       }, 400);
     }
 
-    // Fetch talent information
-    // Fetch talent information
-let talent;
-try {
-  log(`Fetching talent with ID: ${talentId}`);
-  const talentQuery = await databases.listDocuments(
-    config.databaseId,
-    config.talentsCollectionId,
-    [Query.equal('talentId', talentId)] // Changed from Query.equal('$id', talentId)
-  );
-
-  if (talentQuery.documents.length === 0) {
-    log(`Talent not found with ID: ${talentId}`);
-    return res.json({ 
-      success: false, 
-      error: 'Talent profile not found', 
-      statusCode: 404 
-    }, 404);
-  }
+    // Resolve the talent's prompts up front, so that a prompt misconfiguration (e.g. a pinned
+    // version that does not exist) is reported as such rather than as a failed pipeline step
+    let analysisPrompt;
+    const prompts = {};
+    try {
+      await getPrompt('extraction', talentId);
+      analysisPrompt = await getPrompt('analysis', talentId);
+      for (const name of ACTION_PROMPTS[action] || []) {
+        prompts[name] = await getPrompt(name, talentId);
+      }
+    } catch (promptError) {
+      error(`Prompt configuration error: ${promptError.message}`);
+      return res.json({
+        success: false,
+        error: `Server configuration error: ${promptError.message}`,
+        statusCode: 500
+      }, 500);
+    }
 
-  talent = talentQuery.documents[0];
-  log(`Successfully fetched talent: ${talent.fullname} (${talent.careerStage})`);
-  
-} catch (dbError) {
-  error('Database error fetching talent:', dbError);
-  return res.json({ 
-    success: false, 
-    error: 'Failed to fetch talent information', 
-    statusCode: 500 
-  }, 500);
-}
+    // Model-backed requests count against the talent's plan (job runs were checked when queued).
+    // Analyses are checked after the cache lookup, since a cached result uses no model.
+    if (!trusted && (action !== 'analyze' || requestData.async)) {
+      const refusal = await enforceQuota(talent, res, log, error);
+      if (refusal) {
+        return refusal;
+      }
+    }
+    metering = { talentId, plan: resolvePlan(config, talent).id, action };
+
+    // Async mode: queue the request and return its job id right away
+    if (requestData.async) {
+      return await handleEnqueueAction({ requestData, talent, res, log, error });
+    }
+
+    // Job matching and discovery do not use the selected career path
+    if (action === 'job-match') {
+      return await handleJobMatchAction({ requestData, talent, prompts, startTime, res, log, error, onProgress });
+    }
+
+    if (action === 'discover') {
+      return await handleDiscoverAction({ requestData, talent, startTime, res, log, error, onProgress });
+    }
 
-    // Fetch career path if selected
+    // Fetch the requested career path, else the talent's selected one
     let careerPath = null;
-    if (talent.selectedPath) {
+    const careerPathId = requestData.careerPathId || talent.selectedPath;
+    if (careerPathId) {
       try {
-        log(`Fetching career path: ${talent.selectedPath}`);
+        log(`Fetching career path: ${careerPathId}`);
         careerPath = await databases.getDocument(
           config.databaseId,
           config.careerPathsCollectionId,
-          talent.selectedPath
+          careerPathId
         );
         log(`Successfully fetched career path: ${careerPath.title}`);
       } catch (pathError) {
-        log(`Warning: Could not fetch career path (${talent.selectedPath}): ${pathError.message}`);
+        log(`Warning: Could not fetch career path (${careerPathId}): ${pathError.message}`);
         // Continue without career path - this is not a critical error
       }
     } else {
       log('No career path selected for this talent');
     }
 
+    if (action === 'improve') {
+      return await handleImproveAction({ requestData, talent, careerPath, prompts, startTime, res, log, error, onProgress });
+    }
+
+    if (action === 'generate') {
+      return await handleGenerateAction({ requestData, talent, careerPath, prompts, startTime, res, log, error, onProgress });
+    }
+
     // Perform CV analysis
     let analysis;
+    let extraction = null;
+    let parsedCV = null;
+    let cvText = null;
+    let ranking = null;
+    let redaction = null;
+    let language = null;
+    let scoreBreakdown = null;
     let usedFallback = false;
 
-    try {
-      // Convert base64 to buffer
-      const fileBuffer = Buffer.from(fileData, 'base64');
-      log(`File buffer created: ${fileBuffer.length} bytes`);
+    const fileHash = hashFile(fileBuffer);
+    log(`File buffer created: ${fileBuffer.length} bytes (sha256 ${fileHash})`);
 
-      // Create temporary file in storage for processing
+    // Serve an identical prior analysis if the profile and career path are unchanged
+    const analysisStep = resolveStep('analysis', config.models);
+    log(`Analysis prompt: ${analysisPrompt.template.id} (${analysisPrompt.assignment})`);
+    const cacheKey = buildCacheKey({
+      fileHash,
+      talent,
+      careerPath,
+      locale: parseLocale(requestData.locale)?.locale || null,
+      model: `${analysisStep.provider}/${analysisStep.model}`,
+      promptVersion: analysisPrompt.template.id
+    });
+    if (!forceRefresh) {
       try {
-        const tempFile = await storage.createFile(
-          config.storageId,
-          ID.unique(),
-          fileBuffer,
-          [
-            `read("user:${talentId}")`,
-            `delete("user:${talentId}")`
-          ]
-        );
+        const cachedDocument = await findCachedAnalysis(databases, config, talentId, cacheKey);
+        if (cachedDocument) {
+          const cached = toAnalysisRecord(cachedDocument, true);
+          const executionTime = Date.now() - startTime;
+          log(`=== CV Analysis Served From Cache (${cached.id}) ===`);
+          return res.json({
+            success: true,
+            statusCode: 200,
+            analysis: cached.analysis,
+            atsReport: cached.atsReport,
+            parsedCV: cached.parsedCV,
+            jsonResume: cached.parsedCV ? toJsonResume(cached.parsedCV) : null,
+            metadata: {
+              ...cached.metadata,
+              fileName: fileName,
+              executionTime: executionTime,
+              analysisId: cached.id,
+              cached: true,
+              cachedAt: cached.analyzedAt,
+              attempts: summarizeAttempts(),
+              usage: requestUsage()
+            }
+          });
+        }
+      } catch (cacheError) {
+        log(`Warning: Cache lookup failed, analyzing CV: ${cacheError.message}`);
+      }
+    } else {
+      log('Cache bypassed: forceRefresh requested');
+    }
+
+    if (!trusted) {
+      const refusal = await enforceQuota(talent, res, log, error);
+      if (refusal) {
+        return refusal;
+      }
+    }
+
+    try {
+      // Create temporary file in storage for processing (unless the CV is already in storage)
+      if (stagedFileId || fileId) {
+        log(`Using stored file: ${stagedFileId || `${bucketId}/${fileId}`}`);
+      } else {
+        try {
+          const tempFile = await storage.createFile(
+            config.cvBucketId,
+            ID.unique(),
+            fileBuffer,
+            userFilePermissions(getTalentOwnerId(talent), ['read', 'delete'])
+          );
         
-        uploadedFileId = tempFile.$id;
-        log(`Temporary file uploaded: ${uploadedFileId}`);
-      } catch (uploadError) {
-        log(`Warning: Could not upload to storage, proceeding with buffer: ${uploadError.message}`);
+          uploadedFileId = tempFile.$id;
+          log(`Temporary file uploaded: ${uploadedFileId}`);
+        } catch (uploadError) {
+          log(`Warning: Could not upload to storage, proceeding with buffer: ${uploadError.message}`);
+        }
       }
 
       // Extract text from CV
       log('Extracting text content from CV...');
-      const cvText = await extractTextFromCV(fileBuffer, fileName);
-      log(`Successfully extracted ${cvText.length} characters from CV`);
+      extraction = await extractTextFromCV(fileBuffer, fileName, log, talentId);
+      cvText = extraction.text;
+      log(`Successfully extracted ${cvText.length} characters from CV using ${extraction.extractor} (confidence ${extraction.confidence})`);
+      await onProgress('extracted');
+
+      // Parse CV into a normalized résumé
+      parsedCV = parseCV(cvText);
+      log(`Parsed CV: ${parsedCV.work.length} work entries, ${parsedCV.education.length} education entries, ${parsedCV.skills.length} skills`);
+      language = resolveFeedbackLocale(cvText, requestData, talent);
+      log(`CV language: ${language.detection.language || 'undetermined'}, feedback locale: ${language.locale.locale} (${language.locale.source})`);
 
       // Analyze CV content with AI
       log('Starting AI analysis of CV content...');
-      analysis = await analyzeCVContent(cvText, talent, careerPath);
+      const alignment = computeCareerPathAlignment({ talent, careerPath, parsedCV, cvText });
+      if (!careerPath) {
+        try {
+          ranking = await discoverCareerPaths(talent, parsedCV, cvText);
+          log(`Ranked ${ranking.evaluated} career paths for discovery`);
+        } catch (rankingError) {
+          log(`Warning: ${rankingError.message}`);
+        }
+      }
+      scoreBreakdown = scoreCV({ talent, careerPath, parsedCV, cvText, alignment });
+      log(`Rubric scores (${scoreBreakdown.careerStage.stage}): overall ${scoreBreakdown.overall.score}, marketability ${scoreBreakdown.marketability.score}`);
+      const redacted = redactForPrompt(parsedCV, talent);
+      redaction = redacted.redaction;
+      analysis = rehydrate(redaction, await analyzeCVContent(redacted.promptCV, redacted.promptTalent, careerPath, {
+        alignment,
+        scoreBreakdown,
+        // Built from the redacted CV, so that entry labels carry placeholders too
+        timeline: buildTimeline({ parsedCV: redacted.promptCV, talent, careerPath }),
+        ranking,
+        locale: language.locale
+      }, analysisPrompt));
       log('AI analysis completed successfully');
 
     } catch (analysisError) {
@@ -561,14 +2714,25 @@ try {
       log('Falling back to basic analysis...');
       
       // Generate fallback analysis
-      analysis = generateFallbackAnalysis(talent, careerPath);
+      const alignment = computeCareerPathAlignment({ talent, careerPath, parsedCV, cvText });
+      if (parsedCV && !scoreBreakdown) {
+        scoreBreakdown = scoreCV({ talent, careerPath, parsedCV, cvText, alignment });
+      }
+      analysis = generateFallbackAnalysis(talent, careerPath, alignment, scoreBreakdown);
+      if (!careerPath && !ranking && parsedCV) {
+        try {
+          ranking = await discoverCareerPaths(talent, parsedCV, cvText);
+        } catch (rankingError) {
+          log(`Warning: ${rankingError.message}`);
+        }
+      }
       usedFallback = true;
       log('Fallback analysis generated');
     } finally {
       // Clean up temporary file
       if (uploadedFileId) {
         try {
-          await storage.deleteFile(config.storageId, uploadedFileId);
+          await storage.deleteFile(config.cvBucketId, uploadedFileId);
           log(`Temporary file deleted: ${uploadedFileId}`);
         } catch (deleteError) {
           error(`Failed to delete temporary file: ${deleteError.message}`);
@@ -576,12 +2740,40 @@ try {
       }
     }
 
+    if (ranking) {
+      analysis.careerPathRanking = ranking;
+    }
+    if (parsedCV) {
+      analysis.timeline = buildTimeline({ parsedCV, talent, careerPath });
+      analysis.profileSync = buildProfilePatches({ talent, parsedCV, cvText });
+    }
+    await onProgress('analyzed');
+
+    // Audit the document for ATS readability (does not depend on the AI analysis)
+    let atsReport = null;
+    try {
+      atsReport = await auditDocument({
+        fileBuffer,
+        fileName,
+        text: cvText,
+        extraction,
+        parsedCV,
+        candidateName: talent.fullname
+      });
+      log(`ATS audit completed: score ${atsReport.score} (${atsReport.summary.failed} failed, ${atsReport.summary.warnings} warnings)`);
+    } catch (auditError) {
+      error(`ATS audit failed: ${auditError.message}`);
+    }
+
     // Prepare response
     const executionTime = Date.now() - startTime;
     const response = {
       success: true,
       statusCode: 200,
       analysis: analysis,
+      atsReport: atsReport,
+      parsedCV: parsedCV,
+      jsonResume: parsedCV ? toJsonResume(parsedCV) : null,
       metadata: {
         talent: {
           id: talent.$id,
@@ -593,12 +2785,51 @@ try {
           title: careerPath.title
         } : null,
         fileName: fileName,
+        extraction: extraction ? {
+          extractor: extraction.extractor,
+          confidence: extraction.confidence,
+          model: extraction.model,
+          promptVersion: extraction.promptVersion
+        } : null,
+        fileHash: fileHash,
+        detectedLanguage: language ? language.detection.language : null,
+        languageConfidence: language ? language.detection.confidence : null,
+        locale: language ? language.locale.locale : null,
+        provider: usedFallback ? null : analysisStep.provider,
+        model: usedFallback ? null : analysisStep.model,
+        promptVersion: usedFallback ? null : analysisPrompt.template.id,
         analyzedAt: new Date().toISOString(),
         executionTime: executionTime,
-        usedFallback: usedFallback
+        usedFallback: usedFallback,
+        redaction: redaction ? summarizeRedactions(redaction) : null,
+        analysisId: null,
+        cached: false,
+        attempts: summarizeAttempts(),
+        usage: requestUsage()
       }
     };
 
+    // Store the result in the talent's analysis history
+    try {
+      const savedAnalysis = await saveAnalysis(databases, config, {
+        talentId,
+        careerPathId: careerPath?.$id,
+        fileName,
+        fileHash,
+        cacheKey,
+        model: response.metadata.model || 'fallback',
+        usedFallback,
+        analysis,
+        atsReport,
+        parsedCV,
+        metadata: response.metadata
+      });
+      response.metadata.analysisId = savedAnalysis.$id;
+      log(`Analysis saved to history: ${savedAnalysis.$id}`);
+    } catch (saveError) {
+      error(`Failed to save analysis history: ${saveError.message}`);
+    }
+
     log(`=== CV Analysis Completed Successfully ===`);
     log(`Execution time: ${executionTime}ms`);
     log(`Analysis method: ${usedFallback ? 'Fallback' : 'AI-powered'}`);
@@ -613,7 +2844,7 @@ try {
     // Clean up temporary file if it exists
     if (uploadedFileId) {
       try {
-        await storage.deleteFile(config.storageId, uploadedFileId);
+        await storage.deleteFile(config.cvBucketId, uploadedFileId);
         log(`Cleaned up temporary file after error: ${uploadedFileId}`);
       } catch (deleteError) {
         error(`Failed to cleanup temporary file: ${deleteError.message}`);
@@ -626,5 +2857,31 @@ try {
       statusCode: 500,
       executionTime: executionTime
     }, 500);
+  } finally {
+    // Record the tokens the request's model calls used against the talent's quota
+    if (metering) {
+      const usage = requestUsage();
+      if (usage.calls > 0) {
+        try {
+          await recordUsage(databases, config, { ...metering, usage });
+          log(`Recorded usage: ${usage.totalTokens} tokens in ${usage.calls} model call(s), $${usage.costUsd}`);
+        } catch (usageError) {
+          error(`Failed to record usage: ${usageError.message}`);
+        }
+      }
+    }
   }
-};
\ No newline at end of file
+}
+
+/**
+ * Main function handler
+ */
+module.exports = async function(context) {
+  // Each request gets its own log of external call attempts
+  return runWithAttemptLog(() => handleRequest(context));
+};
+
+// Configuration and analysis steps reused by the offline evaluation harness (eval/run.js)
+module.exports.config = config;
+module.exports.redactForPrompt = redactForPrompt;
+module.exports.analyzeCVContent = analyzeCVContent;
@@ -0,0 +1,570 @@
+/**
+ * Skill & Certification Matching Engine
+ *
+ * Deterministic matching of a talent's skills, certifications and degrees against
+ * career path requirements, backed by a versioned taxonomy (data/skills-taxonomy.json)
+ * of canonical names, aliases, abbreviations, translations (French and Portuguese) and
+ * parent/child relations - so "gestion de projet" in a French CV matches a career path
+ * that requires "Project Management".
+ *
+ * Matching order for each requirement:
+ *   1. exact    - same canonical entry (e.g. "NodeJS" and "Node.js")
+ *   2. implied  - the candidate has a more specific child (e.g. React implies JavaScript)
+ *   3. fuzzy    - normalized string similarity above a threshold, for terms outside the taxonomy
+ *
+ * In CV text, skills whose name is one or two letters or a common word ("C", "R", "Go", "Swift")
+ * only count in a skills or technology context - the skills section, or a "Tools:" style list -
+ * and never when joined to other words ("R&D", "Go-to-market").
+ *
+ * The same inputs always produce the same alignment lists and rule-based score.
+ */
+
+const taxonomy = require('./data/skills-taxonomy.json');
+const { splitSections } = require('./parser');
+
+const TAXONOMY_VERSION = taxonomy.version;
+
+const MATCH_CREDIT = {
+  exact: 1,
+  implied: 0.8
+};
+
+const FUZZY_THRESHOLD = 0.85;
+const MATCH_THRESHOLD = 0.5;
+
+// Category weights for the rule-based alignment score
+const ALIGNMENT_WEIGHTS = {
+  skills: 0.45,
+  tools: 0.2,
+  certifications: 0.2,
+  degrees: 0.15
+};
+
+const DEGREE_LEVEL_WORDS = new Set([
+  'bachelor', 'bachelors', 'master', 'masters', 'bsc', 'ba', 'bs', 'msc', 'ma', 'ms', 'mba', 'phd', 'doctorate',
+  'beng', 'meng', 'btech', 'bcom', 'diploma', 'degree', 'associate', 'associates', 'hnd', 'certificate', 'honours', 'hons'
+]);
+const STOP_WORDS = new Set(['of', 'in', 'and', 'the', 'for', 'a', 'an', 'science', 'arts', 'with']);
+
+// Labelled tool or technology lists outside the skills section ("Tools: ...", "Tech stack | ...")
+const TOOL_LIST_PATTERN = /^(?:[-•*▪●◦‣·–]\s*)?(?:(?:technical |key |core )?skills|tools|technologies|tech stack|stack|environment|frameworks|programming languages|outils|compétences techniques|ferramentas|tecnologias|competências técnicas)\s*[:|]/iu;
+
+/**
+ * Normalize a term to a compact comparison key ("Node.js" -> "nodejs", "C#" -> "csharp")
+ * @param {string} term - Skill, certification or degree name
+ * @returns {string} - Compact key
+ */
+function normalizeTerm(term) {
+  return String(term || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/c#/g, 'csharp')
+    .replace(/c\+\+/g, 'cpp')
+    .replace(/\+/g, 'plus')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a term into normalized word tokens
+ * @param {string} term - Term
+ * @returns {string[]} - Tokens
+ */
+function tokenize(term) {
+  return String(term || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two terms (0-1): the better of edit-distance and token-overlap similarity
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @returns {number} - Similarity
+ */
+function similarity(a, b) {
+  const keyA = normalizeTerm(a);
+  const keyB = normalizeTerm(b);
+
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  const editSimilarity = 1 - levenshtein(keyA, keyB) / Math.max(keyA.length, keyB.length);
+
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+  const intersection = [...tokensA].filter(token => tokensB.has(token)).length;
+  const union = new Set([...tokensA, ...tokensB]).size;
+  const tokenSimilarity = union ? intersection / union : 0;
+
+  return Math.round(Math.max(editSimilarity, tokenSimilarity) * 100) / 100;
+}
+
+/**
+ * List every written form of a taxonomy entry: name, aliases and translations
+ * @param {Object} entry - Taxonomy entry
+ * @returns {string[]} - Forms
+ */
+function entryForms(entry) {
+  return [entry.name, ...(entry.aliases || []), ...Object.values(entry.translations || {}).flat()];
+}
+
+/**
+ * Build lookup indexes for a taxonomy kind
+ * @param {Object[]} entries - Taxonomy entries
+ * @returns {Object} - { byId, byKey }
+ */
+function buildIndex(entries) {
+  const byId = new Map();
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    byId.set(entry.id, entry);
+    for (const form of [entry.id, ...entryForms(entry)]) {
+      const key = normalizeTerm(form);
+      if (key && !byKey.has(key)) {
+        byKey.set(key, entry);
+      }
+    }
+  }
+
+  return { byId, byKey };
+}
+
+const indexes = {
+  skills: buildIndex(taxonomy.skills),
+  certifications: buildIndex(taxonomy.certifications)
+};
+
+/**
+ * Resolve a term to its canonical taxonomy entry
+ * @param {string} term - Skill or certification name as written
+ * @param {string} kind - 'skills' or 'certifications'
+ * @returns {Object} - { id, name, known } (unknown terms use their normalized key as id)
+ */
+function resolveTerm(term, kind = 'skills') {
+  const key = normalizeTerm(term);
+  const entry = indexes[kind].byKey.get(key);
+
+  if (entry) {
+    return { id: entry.id, name: entry.name, known: true };
+  }
+
+  // Tolerate small spelling differences against known names and aliases
+  if (key.length >= 5) {
+    for (const [candidateKey, candidate] of indexes[kind].byKey) {
+      if (candidateKey.length >= 5 && similarity(key, candidateKey) >= FUZZY_THRESHOLD) {
+        return { id: candidate.id, name: candidate.name, known: true };
+      }
+    }
+  }
+
+  return { id: key, name: String(term).trim(), known: false };
+}
+
+/**
+ * Collect all ancestors of a taxonomy entry (parents, grandparents, ...)
+ * @param {string} id - Entry id
+ * @param {string} kind - 'skills' or 'certifications'
+ * @returns {Set<string>} - Ancestor ids
+ */
+function getAncestors(id, kind = 'skills') {
+  const ancestors = new Set();
+  const queue = [...(indexes[kind].byId.get(id)?.parents || [])];
+
+  while (queue.length) {
+    const parentId = queue.shift();
+    if (ancestors.has(parentId)) continue;
+    ancestors.add(parentId);
+    queue.push(...(indexes[kind].byId.get(parentId)?.parents || []));
+  }
+
+  return ancestors;
+}
+
+/**
+ * Build the regular expressions used to find mentions of a term in free text
+ * @param {Object} entry - Taxonomy entry
+ * @returns {Object} - { patterns (match anywhere), contextPatterns (match in a skills context only) }
+ */
+function buildMentionPatterns(entry) {
+  // Straight and typographic apostrophes are interchangeable ("d'intrusion", "d’intrusion")
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/'/g, "['’]");
+  const wrap = (form, flags) => new RegExp(`(?<![\\p{L}\\p{N}])${escape(form)}(?![\\p{L}\\p{N}+#])`, flags);
+  // Ambiguous words must stand alone: not "R&D", "Go-to-market" or "C-level"
+  const wrapStandalone = (form, flags) => new RegExp(`(?<![\\p{L}\\p{N}&-])${escape(form)}(?![\\p{L}\\p{N}+#&-])`, flags);
+
+  const patterns = [];
+  const contextPatterns = [];
+  for (const form of entryForms(entry)) {
+    const isSingleWord = /^[a-z]+$/i.test(form);
+    // Short or ambiguous single words ("Go", "R", "Swift") only count with their canonical casing
+    if (isSingleWord && (entry.ambiguous || form.length <= 4)) {
+      const variants = [...new Set([form === entry.name ? form : null, form.toUpperCase(), entry.name])]
+        .filter(variant => variant && /^[a-z]+$/i.test(variant));
+      // ... and, when they are one or two letters or common words, only in a skills context
+      if (entry.ambiguous || form.length <= 2) {
+        contextPatterns.push(...variants.map(variant => wrapStandalone(variant, 'u')));
+      } else {
+        patterns.push(...variants.map(variant => wrap(variant, 'u')));
+      }
+    } else {
+      patterns.push(wrap(form, 'iu'));
+    }
+  }
+
+  return { patterns, contextPatterns };
+}
+
+const mentionPatterns = {
+  skills: taxonomy.skills.map(entry => ({ entry, ...buildMentionPatterns(entry) })),
+  certifications: taxonomy.certifications.map(entry => ({ entry, ...buildMentionPatterns(entry) }))
+};
+
+/**
+ * Extract the lines of a CV that list skills or technologies: the skills section and labelled tool lists
+ * @param {string} text - CV text
+ * @returns {string} - Skills context lines
+ */
+function skillsContext(text) {
+  const sections = splitSections(text);
+  const toolLists = text.split('\n').map(line => line.trim()).filter(line => TOOL_LIST_PATTERN.test(line));
+  return [...(sections.skills || []), ...toolLists].join('\n');
+}
+
+/**
+ * Find taxonomy entries mentioned in free text (e.g. CV text)
+ * @param {string} text - Text to scan
+ * @param {string} kind - 'skills' or 'certifications'
+ * @param {Object} [options]
+ * @param {boolean} [options.requireContext] - Count ambiguous terms only in a skills context (false for
+ *   text that is entirely about skills, such as a job posting's requirements)
+ * @returns {string[]} - Canonical names of the mentioned entries
+ */
+function findMentions(text, kind = 'skills', { requireContext = true } = {}) {
+  if (!text) return [];
+
+  const context = requireContext ? skillsContext(text) : text;
+  return mentionPatterns[kind]
+    .filter(({ patterns, contextPatterns }) => patterns.some(pattern => pattern.test(text))
+      || contextPatterns.some(pattern => pattern.test(context)))
+    .map(({ entry }) => entry.name);
+}
+
+/**
+ * Check whether a term outside the taxonomy is mentioned in free text
+ * @param {string} text - Text to scan
+ * @param {string} term - Term as written
+ * @returns {boolean} - True if mentioned
+ */
+function mentionsTerm(text, term) {
+  if (!text || !term || term.trim().length < 3) return false;
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * Expand candidate terms to canonical ids, including everything they imply
+ * @param {Object[]} candidates - { term, source } evidence items
+ * @param {string} kind - 'skills' or 'certifications'
+ * @returns {Object} - { direct: Map<id, evidence>, implied: Map<id, evidence> }
+ */
+function expandCandidates(candidates, kind) {
+  const direct = new Map();
+  const implied = new Map();
+
+  for (const candidate of candidates) {
+    const resolved = resolveTerm(candidate.term, kind);
+    if (!direct.has(resolved.id)) {
+      direct.set(resolved.id, { ...candidate, resolved });
+    }
+    for (const ancestorId of getAncestors(resolved.id, kind)) {
+      if (!implied.has(ancestorId)) {
+        implied.set(ancestorId, { ...candidate, resolved });
+      }
+    }
+  }
+
+  return { direct, implied };
+}
+
+/**
+ * Match requirements against candidate evidence
+ * @param {string[]} requirements - Required terms as written in the career path
+ * @param {Object[]} candidates - { term, source } evidence items
+ * @param {string} kind - 'skills' or 'certifications'
+ * @returns {Object} - { matching, missing, details, coverage }
+ */
+function matchRequirements(requirements, candidates, kind = 'skills') {
+  const { direct, implied } = expandCandidates(candidates, kind);
+  const details = [];
+
+  for (const requirement of requirements || []) {
+    const resolved = resolveTerm(requirement, kind);
+    let match = null;
+
+    if (direct.has(resolved.id)) {
+      const evidence = direct.get(resolved.id);
+      match = { matchType: 'exact', score: MATCH_CREDIT.exact, matchedBy: evidence.term, source: evidence.source };
+    } else if (implied.has(resolved.id)) {
+      const evidence = implied.get(resolved.id);
+      match = { matchType: 'implied', score: MATCH_CREDIT.implied, matchedBy: evidence.term, source: evidence.source };
+    } else if (!resolved.known) {
+      let best = null;
+      for (const evidence of direct.values()) {
+        const score = similarity(requirement, evidence.term);
+        if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) {
+          best = { matchType: 'fuzzy', score, matchedBy: evidence.term, source: evidence.source };
+        }
+      }
+      match = best;
+    }
+
+    details.push({
+      requirement,
+      canonical: resolved.name,
+      matched: Boolean(match && match.score >= MATCH_THRESHOLD),
+      matchType: match?.matchType || 'none',
+      score: match?.score || 0,
+      matchedBy: match?.matchedBy || null,
+      source: match?.source || null
+    });
+  }
+
+  const totalScore = details.reduce((sum, detail) => sum + detail.score, 0);
+
+  return {
+    matching: details.filter(detail => detail.matched).map(detail => detail.requirement),
+    missing: details.filter(detail => !detail.matched).map(detail => detail.requirement),
+    details,
+    coverage: details.length ? Math.round((totalScore / details.length) * 100) / 100 : null
+  };
+}
+
+/**
+ * Similarity between two degree descriptions, comparing the field of study
+ * ("BSc Computer Science" vs "Bachelor of Science in Computer Science")
+ * @param {string} a - First degree
+ * @param {string} b - Second degree
+ * @returns {number} - Similarity (0-1)
+ */
+function degreeSimilarity(a, b) {
+  const fieldTokens = degree => new Set(tokenize(degree).filter(token => !DEGREE_LEVEL_WORDS.has(token) && !STOP_WORDS.has(token)));
+  const tokensA = fieldTokens(a);
+  const tokensB = fieldTokens(b);
+
+  if (!tokensA.size || !tokensB.size) {
+    return similarity(a, b);
+  }
+
+  const intersection = [...tokensA].filter(token => tokensB.has(token)).length;
+  return Math.round((intersection / Math.min(tokensA.size, tokensB.size)) * 100) / 100;
+}
+
+/**
+ * Match suggested degrees against the talent's degrees
+ * @param {string[]} suggestedDegrees - Degrees suggested by the career path
+ * @param {Object[]} candidates - { term, source } degree evidence
+ * @returns {Object} - { matching, missing, details, coverage }
+ */
+function matchDegrees(suggestedDegrees, candidates) {
+  const details = (suggestedDegrees || []).map(requirement => {
+    let best = null;
+    for (const candidate of candidates) {
+      const score = degreeSimilarity(requirement, candidate.term);
+      if (!best || score > best.score) {
+        best = { score, matchedBy: candidate.term, source: candidate.source };
+      }
+    }
+    const matched = Boolean(best && best.score >= MATCH_THRESHOLD);
+    return {
+      requirement,
+      matched,
+      matchType: matched ? (best.score === 1 ? 'exact' : 'fuzzy') : 'none',
+      score: matched ? best.score : 0,
+      matchedBy: matched ? best.matchedBy : null,
+      source: matched ? best.source : null
+    };
+  });
+
+  // A talent only needs one of the suggested degrees
+  const coverage = details.length ? Math.max(...details.map(detail => detail.score)) : null;
+
+  return {
+    matching: details.filter(detail => detail.matched).map(detail => detail.requirement),
+    missing: details.filter(detail => !detail.matched).map(detail => detail.requirement),
+    details,
+    coverage
+  };
+}
+
+/**
+ * Gather skill, certification and degree evidence from the profile and the parsed CV
+ * @param {Object} talent - Talent profile data
+ * @param {Object|null} parsedCV - Normalized résumé (optional)
+ * @param {string|null} cvText - Extracted CV text (optional)
+ * @returns {Object} - { skills, certifications, degrees } evidence lists
+ */
+function collectEvidence(talent, parsedCV, cvText) {
+  const fromProfile = terms => (terms || []).filter(Boolean).map(term => ({ term, source: 'profile' }));
+  const fromCV = terms => (terms || []).filter(Boolean).map(term => ({ term, source: 'cv' }));
+
+  return {
+    skills: [
+      ...fromProfile(talent.skills),
+      ...fromCV(parsedCV?.skills),
+      ...fromCV(findMentions(cvText, 'skills'))
+    ],
+    certifications: [
+      ...fromProfile(talent.certifications),
+      ...fromCV(parsedCV?.certifications?.map(cert => cert.name)),
+      ...fromCV(findMentions(cvText, 'certifications'))
+    ],
+    degrees: [
+      ...fromProfile(talent.degrees),
+      ...fromCV(parsedCV?.education?.map(entry => [entry.degree, entry.field].filter(Boolean).join(' ')))
+    ]
+  };
+}
+
+/**
+ * Add CV mentions of requirements outside the taxonomy to the evidence list
+ * @param {Object[]} evidence - Evidence list
+ * @param {string[]} requirements - Required terms
+ * @param {string} kind - 'skills' or 'certifications'
+ * @param {string|null} cvText - Extracted CV text
+ * @returns {Object[]} - Evidence including free-text mentions
+ */
+function withUnknownMentions(evidence, requirements, kind, cvText) {
+  const mentioned = (requirements || [])
+    .filter(requirement => !resolveTerm(requirement, kind).known && mentionsTerm(cvText, requirement))
+    .map(requirement => ({ term: requirement, source: 'cv' }));
+  return [...evidence, ...mentioned];
+}
+
+/**
+ * Compute a deterministic, weighted alignment against groups of requirements
+ * @param {Object} params
+ * @param {Object} params.talent - Talent profile data
+ * @param {Object[]} params.groups - Requirement groups { key, kind ('skills'|'certifications'|'degrees'), requirements, weight }
+ * @param {Object|null} [params.parsedCV] - Normalized résumé
+ * @param {string|null} [params.cvText] - Extracted CV text
+ * @param {Object} [params.evidence] - Pre-collected evidence from collectEvidence, when scoring many targets
+ * @returns {Object} - Alignment with matching/missing lists, per-group coverage and match details
+ */
+function computeAlignment({ talent, groups, parsedCV = null, cvText = null, evidence = collectEvidence(talent, parsedCV, cvText) }) {
+  const results = {};
+
+  for (const group of groups) {
+    results[group.key] = group.kind === 'degrees'
+      ? matchDegrees(group.requirements || [], evidence.degrees)
+      : matchRequirements(
+        group.requirements || [],
+        withUnknownMentions(evidence[group.kind], group.requirements, group.kind, cvText),
+        group.kind
+      );
+  }
+
+  // Weighted average over the groups that actually specify requirements
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const group of groups) {
+    const { coverage } = results[group.key];
+    if (coverage !== null) {
+      weightedSum += coverage * group.weight;
+      totalWeight += group.weight;
+    }
+  }
+
+  const collect = (kind, list) => groups
+    .filter(group => group.kind === kind)
+    .flatMap(group => results[group.key][list]);
+
+  return {
+    alignmentScore: totalWeight ? Math.round((weightedSum / totalWeight) * 100) : 0,
+    matchingSkills: collect('skills', 'matching'),
+    missingSkills: collect('skills', 'missing'),
+    matchingCertifications: collect('certifications', 'matching'),
+    missingCertifications: collect('certifications', 'missing'),
+    matchingDegrees: collect('degrees', 'matching'),
+    missingDegrees: collect('degrees', 'missing'),
+    relevantExperience: [],
+    additionalRequirements: [],
+    coverage: Object.fromEntries(groups.map(group => [group.key, results[group.key].coverage])),
+    matchDetails: Object.fromEntries(groups.map(group => [group.key, results[group.key].details])),
+    method: 'rule-based',
+    taxonomyVersion: TAXONOMY_VERSION
+  };
+}
+
+/**
+ * Compute the deterministic career path alignment for a talent
+ * @param {Object} params
+ * @param {Object} params.talent - Talent profile data
+ * @param {Object|null} params.careerPath - Career path data
+ * @param {Object|null} [params.parsedCV] - Normalized résumé
+ * @param {string|null} [params.cvText] - Extracted CV text
+ * @param {Object} [params.evidence] - Pre-collected evidence from collectEvidence
+ * @returns {Object|null} - Alignment, or null if no career path is selected
+ */
+function computeCareerPathAlignment({ talent, careerPath, parsedCV = null, cvText = null, evidence }) {
+  if (!careerPath) {
+    return null;
+  }
+
+  return computeAlignment({
+    talent,
+    parsedCV,
+    cvText,
+    evidence,
+    groups: [
+      { key: 'skills', kind: 'skills', requirements: careerPath.requiredSkills, weight: ALIGNMENT_WEIGHTS.skills },
+      { key: 'tools', kind: 'skills', requirements: careerPath.toolsAndTechnologies, weight: ALIGNMENT_WEIGHTS.tools },
+      { key: 'certifications', kind: 'certifications', requirements: careerPath.requiredCertifications, weight: ALIGNMENT_WEIGHTS.certifications },
+      { key: 'degrees', kind: 'degrees', requirements: careerPath.suggestedDegrees, weight: ALIGNMENT_WEIGHTS.degrees }
+    ]
+  });
+}
+
+module.exports = {
+  TAXONOMY_VERSION,
+  ALIGNMENT_WEIGHTS,
+  normalizeTerm,
+  similarity,
+  resolveTerm,
+  getAncestors,
+  findMentions,
+  mentionsTerm,
+  matchRequirements,
+  matchDegrees,
+  collectEvidence,
+  computeAlignment,
+  computeCareerPathAlignment
+};
@@ -0,0 +1,561 @@
+/**
+ * Structured CV Parsing
+ *
+ * Turns extracted CV text into a normalized résumé document:
+ *   - basics (name, headline, contact details, profiles, summary)
+ *   - work entries with start and end dates
+ *   - education, skills, certifications, projects and languages
+ *
+ * Parsing is deterministic and heuristic: sections are detected from their headings,
+ * entries from date ranges and bullet markers. The normalized document can be
+ * exported to the JSON Resume schema (https://jsonresume.org/schema).
+ */
+
+const { findDateRange } = require('./dates');
+
+// Section headings (lower-cased, without trailing colon) mapped to normalized section keys.
+// English, French and Portuguese headings are recognized.
+const SECTION_HEADINGS = {
+  summary: [
+    'summary', 'profile', 'professional summary', 'career summary', 'about me', 'objective', 'career objective', 'personal statement',
+    'profil', 'profil professionnel', 'résumé', 'résumé professionnel', 'à propos', 'à propos de moi', 'objectif', 'objectif professionnel',
+    'perfil', 'perfil profissional', 'resumo', 'resumo profissional', 'sobre mim', 'objetivo', 'objetivo profissional'
+  ],
+  work: [
+    'experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'relevant experience',
+    'expérience', 'expériences', 'expérience professionnelle', 'expériences professionnelles', 'parcours professionnel',
+    'experiência', 'experiências', 'experiência profissional', 'experiências profissionais', 'histórico profissional'
+  ],
+  education: [
+    'education', 'academic background', 'education and training', 'academic qualifications', 'qualifications',
+    'formation', 'formations', 'formation académique', 'études', 'diplômes', 'éducation',
+    'formação', 'formação acadêmica', 'formação académica', 'educação', 'escolaridade'
+  ],
+  skills: [
+    'skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies', 'expertise', 'tools and technologies', 'technologies',
+    'compétences', 'compétences techniques', 'compétences clés', 'savoir-faire', 'outils et technologies',
+    'competências', 'competências técnicas', 'habilidades', 'habilidades técnicas', 'conhecimentos', 'ferramentas e tecnologias'
+  ],
+  certifications: [
+    'certifications', 'certificates', 'licenses', 'licenses and certifications', 'certifications and licenses', 'professional certifications', 'courses',
+    'certificats', 'certifications professionnelles',
+    'certificações', 'certificados', 'cursos', 'cursos e certificações'
+  ],
+  projects: [
+    'projects', 'personal projects', 'key projects', 'selected projects', 'portfolio',
+    'projets', 'projets personnels', 'principaux projets',
+    'projetos', 'projetos pessoais', 'portfólio'
+  ],
+  languages: [
+    'languages', 'language skills',
+    'langues', 'compétences linguistiques',
+    'idiomas', 'línguas'
+  ],
+  other: [
+    'interests', 'hobbies', 'references', 'awards', 'achievements', 'volunteering', 'volunteer experience', 'publications',
+    "centres d'intérêt", 'loisirs', 'références', 'distinctions', 'bénévolat',
+    'interesses', 'referências', 'prémios', 'prêmios', 'voluntariado', 'publicações'
+  ]
+};
+
+const BULLET_PATTERN = /^[-•*▪●◦‣·–]\s*/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_PATTERN = /(?:\+?\d[\d\s().-]{7,}\d)/;
+const URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?[\w-]+(?:\.[\w-]+)+(?:\/[^\s,|()]*)?/gi;
+const WEB_DOMAIN_PATTERN = /^(?:https?:\/\/|www\.)|\.(?:com|org|net|io|dev|me|co|app|ai|info|tech|site)(?:\/|$)/i;
+const DEGREE_PATTERN = /\b(ph\.?d|doctorate|master(?:'s)?|m\.?sc|m\.?a\b|mba|m\.?eng|bachelor(?:'s)?|b\.?sc|b\.?a\b|b\.?eng|b\.?tech|b\.?com|associate(?:'s)?|diploma|certificate|higher national diploma|hnd|licence|licenciatura|bacharel(?:ado)?|mestrado|doutorado|doctorat|dipl[oô]me|bts|dut)\b/i;
+const FLUENCY_PATTERN = /\b(native|mother tongue|bilingual|fluent|proficient|advanced|intermediate|conversational|basic|beginner|elementary|langue maternelle|maternelle|courant|bilingue|intermédiaire|débutant|notions|natif|língua materna|fluente|nativo|nativa|avançado|intermediário|básico|[abc][12])\b/i;
+
+/**
+ * Find the URLs in a piece of text, ignoring look-alikes such as "Node.js" or version numbers
+ * @param {string} text - Text to search
+ * @returns {string[]} - URLs
+ */
+function findUrls(text) {
+  return (text.match(URL_PATTERN) || []).filter(url => WEB_DOMAIN_PATTERN.test(url));
+}
+
+/**
+ * Identify a section heading line
+ * @param {string} line - Line of CV text
+ * @returns {string|null} - Normalized section key, or null if the line is not a heading
+ */
+function detectSectionHeading(line) {
+  const normalized = line.toLowerCase().replace(/^[#*_\s]+|[*_\s]+$/g, '').replace(/[:|]+$/, '').replace(/&/g, 'and').replace(/\s+/g, ' ').trim();
+
+  if (!normalized || normalized.length > 40) {
+    return null;
+  }
+
+  for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+    if (headings.includes(normalized)) {
+      return section;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split CV text into the header block and named sections
+ * @param {string} text - Extracted CV text
+ * @returns {Object} - Lines keyed by section ('header' holds lines before the first heading)
+ */
+function splitSections(text) {
+  const sections = { header: [] };
+  let current = 'header';
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const heading = detectSectionHeading(line);
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+      continue;
+    }
+
+    sections[current].push(line);
+  }
+
+  return sections;
+}
+
+/**
+ * Split a comma/pipe/semicolon separated line into trimmed items
+ * @param {string} line - Line of text
+ * @returns {string[]} - Items
+ */
+function splitList(line) {
+  return line
+    .split(/[,;|•·]|\s{2,}|\t/)
+    .map(item => item.replace(BULLET_PATTERN, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Remove a date range (and the separators around it) from a line
+ * @param {string} line - Line of text
+ * @param {Object|null} range - Date range found in the line
+ * @returns {string} - Line without the date text
+ */
+function stripDateRange(line, range) {
+  if (!range) return line;
+  return line
+    .replace(range.raw, '')
+    .replace(/[()]/g, '')
+    .replace(/\s*[|,–—-]\s*$/, '')
+    .replace(/^\s*[|,–—-]\s*/, '')
+    .trim();
+}
+
+/**
+ * Group section lines into entries: header lines, an optional date range and bullet highlights
+ * @param {string[]} lines - Section lines
+ * @returns {Object[]} - Raw entries { headerLines, dates, highlights }
+ */
+function groupEntries(lines) {
+  const entries = [];
+  let entry = null;
+
+  const startEntry = () => {
+    entry = { headerLines: [], dates: null, highlights: [] };
+    entries.push(entry);
+  };
+
+  for (const line of lines) {
+    if (BULLET_PATTERN.test(line)) {
+      if (!entry) startEntry();
+      entry.highlights.push(line.replace(BULLET_PATTERN, '').trim());
+      continue;
+    }
+
+    const range = findDateRange(line);
+    const remainder = stripDateRange(line, range);
+
+    if (range) {
+      // A dated line after highlights, or a second date range, starts a new entry
+      if (!entry || entry.dates || (entry.highlights.length > 0 && remainder)) {
+        startEntry();
+      }
+      entry.dates = range;
+      if (remainder) entry.headerLines.push(remainder);
+      continue;
+    }
+
+    if (!entry || (entry.dates && entry.highlights.length > 0)) {
+      startEntry();
+      entry.headerLines.push(line);
+    } else if (!entry.dates && entry.headerLines.length < 2) {
+      entry.headerLines.push(line);
+    } else if (entry.dates && entry.headerLines.length < 2 && line.length <= 60 && !/[.!?]$/.test(line)) {
+      entry.headerLines.push(line);
+    } else {
+      entry.highlights.push(line);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Split an entry header into its two main parts (e.g. position and company)
+ * @param {string[]} headerLines - Entry header lines
+ * @returns {string[]} - [first, second, location]
+ */
+function splitHeader(headerLines) {
+  if (headerLines.length >= 2) {
+    const [second, location] = headerLines[1].split(/\s*[|,]\s*/);
+    return [headerLines[0], second || null, location || null];
+  }
+
+  const header = headerLines[0] || '';
+  const parts = header.split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/).filter(Boolean);
+  return [parts[0] || null, parts[1] || null, parts[2] || null];
+}
+
+/**
+ * Parse basics (name, headline, contact details and profiles) from the header block
+ * @param {string[]} headerLines - Lines before the first section heading
+ * @param {string[]} summaryLines - Summary section lines
+ * @returns {Object} - Basics
+ */
+function parseBasics(headerLines, summaryLines = []) {
+  const allText = headerLines.join('\n');
+  const email = allText.match(EMAIL_PATTERN)?.[0] || null;
+  const phone = allText.match(PHONE_PATTERN)?.[0]?.trim() || null;
+
+  const urls = findUrls(allText.replace(EMAIL_PATTERN, ''));
+  const profiles = [];
+  let website = null;
+
+  for (const url of urls) {
+    const network = url.match(/linkedin|github|gitlab|behance|dribbble|twitter|x\.com|stackoverflow/i)?.[0];
+    if (network) {
+      profiles.push({ network: network.replace(/\.com$/i, '').toLowerCase(), url });
+    } else if (!website) {
+      website = url;
+    }
+  }
+
+  // Lines that are not contact details, e.g. name, headline and location
+  const descriptiveLines = headerLines.filter(line =>
+    !EMAIL_PATTERN.test(line) && !PHONE_PATTERN.test(line) && findUrls(line).length === 0
+  );
+
+  const locationLine = headerLines
+    .map(line => line.split(/\s*[|•·]\s*/).find(part => /^[\p{L} .'-]+,\s*[\p{L} .'-]+$/u.test(part)))
+    .find(Boolean) || null;
+
+  return {
+    name: descriptiveLines[0] || null,
+    label: descriptiveLines[1] && descriptiveLines[1] !== locationLine ? descriptiveLines[1] : null,
+    email,
+    phone,
+    url: website,
+    location: locationLine,
+    profiles,
+    summary: summaryLines.length ? summaryLines.join(' ') : null
+  };
+}
+
+/**
+ * Parse work experience entries
+ * @param {string[]} lines - Work section lines
+ * @returns {Object[]} - Work entries
+ */
+function parseWork(lines) {
+  return groupEntries(lines)
+    .filter(entry => entry.headerLines.length || entry.dates)
+    .map(entry => {
+      const [position, company, location] = splitHeader(entry.headerLines);
+      return {
+        position,
+        company,
+        location,
+        startDate: entry.dates?.startDate || null,
+        endDate: entry.dates?.endDate || null,
+        isCurrent: entry.dates?.isCurrent || false,
+        highlights: entry.highlights
+      };
+    });
+}
+
+/**
+ * Parse education entries
+ * @param {string[]} lines - Education section lines
+ * @returns {Object[]} - Education entries
+ */
+function parseEducation(lines) {
+  return groupEntries(lines)
+    .filter(entry => entry.headerLines.length)
+    .map(entry => {
+      const headerText = entry.headerLines.join(', ');
+      const parts = headerText.split(/\s*[|,–—]\s*|\s+-\s+/).filter(Boolean);
+      const degreePart = parts.find(part => DEGREE_PATTERN.test(part)) || null;
+      const institution = parts.find(part => part !== degreePart && /universit[yéeà]|universidade|college|coll[eè]ge|school|[ée]cole|escola|faculdade|facult[ée]|institut[eo]?|academy|polytechnic/i.test(part))
+        || parts.find(part => part !== degreePart)
+        || null;
+
+      let degree = degreePart;
+      let field = null;
+      const fieldMatch = degreePart?.match(/^(.*?)\s+(?:in|of|en|em)\s+(.+)$/i);
+      if (fieldMatch) {
+        degree = fieldMatch[1].trim();
+        field = fieldMatch[2].trim();
+      } else if (degreePart) {
+        const degreeMatch = degreePart.match(DEGREE_PATTERN);
+        const rest = degreePart.slice(degreeMatch.index + degreeMatch[0].length).replace(/^[\s.]+/, '').trim();
+        if (rest) {
+          degree = degreePart.slice(0, degreeMatch.index + degreeMatch[0].length).trim();
+          field = rest;
+        }
+      }
+
+      return {
+        institution,
+        degree,
+        field,
+        startDate: entry.dates?.startDate || null,
+        endDate: entry.dates?.endDate || null,
+        highlights: entry.highlights
+      };
+    });
+}
+
+/**
+ * Parse skills into a de-duplicated list
+ * @param {string[]} lines - Skills section lines
+ * @returns {string[]} - Skill names
+ */
+function parseSkills(lines) {
+  const skills = [];
+  const seen = new Set();
+
+  for (const line of lines) {
+    // Drop category prefixes such as "Languages: ..." or "Tools - ..."
+    const content = line.replace(BULLET_PATTERN, '').replace(/^[^:]{1,30}:\s*/, '');
+
+    for (const item of splitList(content)) {
+      const skill = item.replace(/[.]$/, '').trim();
+      const key = skill.toLowerCase();
+      if (skill && skill.length <= 50 && !seen.has(key)) {
+        seen.add(key);
+        skills.push(skill);
+      }
+    }
+  }
+
+  return skills;
+}
+
+/**
+ * Parse certifications
+ * @param {string[]} lines - Certification section lines
+ * @returns {Object[]} - Certifications { name, issuer, date }
+ */
+function parseCertifications(lines) {
+  return lines
+    .map(line => line.replace(BULLET_PATTERN, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const range = findDateRange(line);
+      const withoutDate = stripDateRange(line, range);
+      const [name, issuer] = withoutDate.split(/\s+(?:by|from)\s+|\s*[|,]\s*/);
+      return {
+        name: name?.trim() || withoutDate,
+        issuer: issuer?.trim() || null,
+        date: range?.endDate || range?.startDate || null
+      };
+    });
+}
+
+/**
+ * Parse projects
+ * @param {string[]} lines - Project section lines
+ * @returns {Object[]} - Projects
+ */
+function parseProjects(lines) {
+  return groupEntries(lines)
+    .filter(entry => entry.headerLines.length)
+    .map(entry => {
+      const [name, ...descriptionParts] = entry.headerLines[0].split(/\s*[:–—|]\s*|\s+-\s+/);
+      const url = findUrls(entry.headerLines.concat(entry.highlights).join(' '))[0] || null;
+      return {
+        name: name.trim(),
+        description: [descriptionParts.join(' - '), ...entry.headerLines.slice(1)].filter(Boolean).join(' ') || null,
+        url,
+        startDate: entry.dates?.startDate || null,
+        endDate: entry.dates?.endDate || null,
+        highlights: entry.highlights
+      };
+    });
+}
+
+/**
+ * Parse spoken languages and fluency levels
+ * @param {string[]} lines - Language section lines
+ * @returns {Object[]} - Languages { language, fluency }
+ */
+function parseLanguages(lines) {
+  const items = lines.flatMap(line => splitList(line.replace(BULLET_PATTERN, '')));
+
+  return items.map(item => {
+    const fluency = item.match(FLUENCY_PATTERN)?.[0] || null;
+    const language = item
+      .replace(/\(.*?\)/g, '')
+      .replace(FLUENCY_PATTERN, '')
+      .replace(/[:\-–—]+\s*$/, '')
+      .trim();
+    return { language: language || item, fluency };
+  });
+}
+
+/**
+ * Parse extracted CV text into a normalized résumé document
+ * @param {string} text - Extracted CV text
+ * @returns {Object} - Normalized résumé
+ */
+function parseCV(text) {
+  const sections = splitSections(text || '');
+
+  // Without any recognizable headings, keep the body text so nothing is lost downstream
+  const hasSections = Object.keys(sections).length > 1;
+  const other = hasSections ? (sections.other || []) : sections.header.slice(2);
+
+  return {
+    basics: parseBasics(sections.header, sections.summary),
+    work: parseWork(sections.work || []),
+    education: parseEducation(sections.education || []),
+    skills: parseSkills(sections.skills || []),
+    certifications: parseCertifications(sections.certifications || []),
+    projects: parseProjects(sections.projects || []),
+    languages: parseLanguages(sections.languages || []),
+    other
+  };
+}
+
+/**
+ * Export a normalized résumé to the JSON Resume schema
+ * @param {Object} parsedCV - Normalized résumé from parseCV
+ * @returns {Object} - JSON Resume document
+ */
+function toJsonResume(parsedCV) {
+  const { basics } = parsedCV;
+  const [city, region] = (basics.location || '').split(/\s*,\s*/);
+
+  return {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: {
+      name: basics.name || undefined,
+      label: basics.label || undefined,
+      email: basics.email || undefined,
+      phone: basics.phone || undefined,
+      url: basics.url || undefined,
+      summary: basics.summary || undefined,
+      location: basics.location ? { city: city || undefined, region: region || undefined } : undefined,
+      profiles: basics.profiles.map(profile => ({ network: profile.network, url: profile.url }))
+    },
+    work: parsedCV.work.map(job => ({
+      name: job.company || undefined,
+      position: job.position || undefined,
+      location: job.location || undefined,
+      startDate: job.startDate || undefined,
+      endDate: job.endDate || undefined,
+      highlights: job.highlights
+    })),
+    education: parsedCV.education.map(entry => ({
+      institution: entry.institution || undefined,
+      studyType: entry.degree || undefined,
+      area: entry.field || undefined,
+      startDate: entry.startDate || undefined,
+      endDate: entry.endDate || undefined
+    })),
+    skills: parsedCV.skills.map(name => ({ name })),
+    certificates: parsedCV.certifications.map(cert => ({
+      name: cert.name,
+      issuer: cert.issuer || undefined,
+      date: cert.date || undefined
+    })),
+    projects: parsedCV.projects.map(project => ({
+      name: project.name,
+      description: project.description || undefined,
+      url: project.url || undefined,
+      startDate: project.startDate || undefined,
+      endDate: project.endDate || undefined,
+      highlights: project.highlights
+    })),
+    languages: parsedCV.languages.map(entry => ({
+      language: entry.language,
+      fluency: entry.fluency || undefined
+    }))
+  };
+}
+
+/**
+ * Render a normalized résumé as structured text for AI prompts
+ * @param {Object} parsedCV - Normalized résumé
+ * @returns {string} - Prompt-ready CV content
+ */
+function formatParsedCVForPrompt(parsedCV) {
+  const lines = [];
+  const { basics } = parsedCV;
+  const range = (start, end, isCurrent) => [start || '?', isCurrent ? 'Present' : (end || '?')].join(' - ');
+
+  if (basics.label) lines.push(`Headline: ${basics.label}`);
+  if (basics.location) lines.push(`Location: ${basics.location}`);
+  if (basics.summary) lines.push(`Summary: ${basics.summary}`);
+
+  if (parsedCV.work.length) {
+    lines.push('', 'WORK EXPERIENCE:');
+    for (const job of parsedCV.work) {
+      lines.push(`- ${[job.position, job.company].filter(Boolean).join(' at ')} (${range(job.startDate, job.endDate, job.isCurrent)})`);
+      job.highlights.forEach(highlight => lines.push(`    * ${highlight}`));
+    }
+  }
+
+  if (parsedCV.education.length) {
+    lines.push('', 'EDUCATION:');
+    for (const entry of parsedCV.education) {
+      const degree = [entry.degree, entry.field].filter(Boolean).join(' in ');
+      lines.push(`- ${[degree, entry.institution].filter(Boolean).join(', ')} (${range(entry.startDate, entry.endDate)})`);
+    }
+  }
+
+  if (parsedCV.skills.length) {
+    lines.push('', `SKILLS: ${parsedCV.skills.join(', ')}`);
+  }
+
+  if (parsedCV.certifications.length) {
+    lines.push('', 'CERTIFICATIONS:');
+    parsedCV.certifications.forEach(cert => lines.push(`- ${cert.name}${cert.issuer ? ` (${cert.issuer})` : ''}${cert.date ? `, ${cert.date}` : ''}`));
+  }
+
+  if (parsedCV.projects.length) {
+    lines.push('', 'PROJECTS:');
+    for (const project of parsedCV.projects) {
+      lines.push(`- ${project.name}${project.description ? `: ${project.description}` : ''}`);
+      project.highlights.forEach(highlight => lines.push(`    * ${highlight}`));
+    }
+  }
+
+  if (parsedCV.languages.length) {
+    lines.push('', `LANGUAGES: ${parsedCV.languages.map(entry => entry.fluency ? `${entry.language} (${entry.fluency})` : entry.language).join(', ')}`);
+  }
+
+  if (parsedCV.other.length) {
+    lines.push('', 'OTHER:', ...parsedCV.other);
+  }
+
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  SECTION_HEADINGS,
+  detectSectionHeading,
+  splitSections,
+  parseCV,
+  toJsonResume,
+  formatParsedCVForPrompt
+};
@@ -0,0 +1,300 @@
+/**
+ * PII Detection & Redaction
+ *
+ * Replaces personal identifiers in CV content with placeholders before it is sent
+ * to the model, and restores them in the model's response.
+ *
+ * Each category has a policy:
+ *   - 'redact' - replace with a stable placeholder ("[EMAIL_1]"); the same value always
+ *                gets the same placeholder within a request and is re-hydrated in the response
+ *   - 'remove' - replace with a marker ("[DOB REMOVED]") that is never re-hydrated
+ *   - 'keep'   - send as-is
+ *
+ * Known values (the talent's name, the parsed contact details) are replaced first;
+ * pattern detection then catches identifiers elsewhere in the text (references,
+ * personal details sections, free-form summaries).
+ *
+ * Note: documents that need Gemini Vision extraction are sent as files and cannot be redacted.
+ */
+
+const PII_CATEGORIES = {
+  name: 'NAME',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  url: 'URL',
+  address: 'ADDRESS',
+  location: 'LOCATION',
+  dateOfBirth: 'DOB',
+  nationalId: 'ID'
+};
+
+const POLICIES = ['redact', 'remove', 'keep'];
+
+const DEFAULT_PII_POLICY = {
+  name: 'redact',
+  email: 'redact',
+  phone: 'redact',
+  url: 'redact',
+  address: 'redact',
+  location: 'keep',
+  dateOfBirth: 'remove',
+  nationalId: 'remove'
+};
+
+const DATE_VALUE = '(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}(?:st|nd|rd|th)?\\s+[A-Za-z]{3,9}\\.?,?\\s+\\d{4}|[A-Za-z]{3,9}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})';
+
+// Match a lower-case label in any case, in a pattern that is otherwise case-sensitive
+const anyCase = label => label.replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+
+const ID_NUMBER_LABEL = anyCase('(?:no\\.?|number)');
+
+// Labels of numbers that are neither phone numbers nor personal identifiers ("Employee number: 123456789")
+const REFERENCE_NUMBER_LABEL = /\b(?:employee|staff|student|member|customer|account|order|invoice|reference|ref|policy|badge|licen[cs]e|registration)\s*(?:id|no\.?|number|#)?\s*[:#-]?\s*$/i;
+
+// Detectors run in order; `value` is the part of the match that is replaced. `accept(value, preceding)`
+// can reject a match, given the text just before it.
+const DETECTORS = [
+  {
+    category: 'dateOfBirth',
+    pattern: new RegExp(`\\b(?:date of birth|birth ?date|d\\.?o\\.?b\\.?|born(?: on)?)\\s*[:-]?\\s*(?<value>${DATE_VALUE})`, 'gi')
+  },
+  {
+    category: 'nationalId',
+    // Descriptive labels in any case ("Passport No: ..."); the short labels ID, NI and TIN only in
+    // capitals and followed by no./number/#, so "ID - Identity governance" or "Ni - Nickel" are prose.
+    // The value is upper-case letters and digits, with at least one digit.
+    pattern: new RegExp(
+      `\\b(?:${anyCase('(?:passport|national id(?:entity)?|id card|identity (?:card|number)|ssn|social security|national insurance|nin|tax id|aadhaar|nric)')}` +
+      `(?:\\s*(?:${ID_NUMBER_LABEL}|#))?\\s*[:-]|(?:ID|NI|TIN)\\s*(?:${ID_NUMBER_LABEL}|#)\\s*[:-]?)` +
+      '\\s*(?<value>[A-Z0-9]+\\b(?:[ -][A-Z0-9]+\\b)*)',
+      'g'
+    ),
+    accept: value => /\d/.test(value) && value.length >= 6 && value.length <= 22
+  },
+  {
+    category: 'nationalId',
+    // US social security and UK national insurance numbers
+    pattern: /(?<value>\b\d{3}-\d{2}-\d{4}\b|\b[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b)/g
+  },
+  {
+    category: 'email',
+    pattern: /(?<value>[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g
+  },
+  {
+    category: 'url',
+    // Personal profile links; company and project websites are kept
+    pattern: /(?<value>(?:https?:\/\/)?(?:[\w-]+\.)?(?:linkedin\.com\/in|github\.com|gitlab\.com|behance\.net|dribbble\.com|twitter\.com|x\.com|stackoverflow\.com\/users|medium\.com\/@?)\/?[\w.%-]+\/?)/gi
+  },
+  {
+    category: 'address',
+    // Only labelled lines ("Address: ..."), so "IP address - ..." in prose is not matched
+    pattern: /(?:^|[|•·]\s*)(?:home |postal |mailing |residential )?address\s*[:-]\s*(?<value>[^\n|•·]{5,100})/gim
+  },
+  {
+    category: 'address',
+    pattern: /(?<value>\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][\w.'-]*\s+){1,4}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|close|crescent|square|sq)\b\.?(?:,?\s*(?:apt|apartment|suite|unit|flat)\.?\s*\w+)?|\bP\.?\s?O\.?\s+Box\s+\d+)/g
+  },
+  {
+    category: 'phone',
+    pattern: /(?<value>(?:\+|\b)\d[\d\s().-]{7,}\d\b)/g,
+    // Digit runs that are not phone numbers: date ranges ("2019.01 - 2021.03"), short numbers
+    accept: (value, preceding) => {
+      if (REFERENCE_NUMBER_LABEL.test(preceding)) {
+        return false;
+      }
+      const digits = value.replace(/\D/g, '');
+      const isDateRange = !/^[+(]/.test(value) && /\b(?:19|20)\d{2}\b.*\D(?:19|20)\d{2}\b/.test(value);
+      return digits.length >= 9 && digits.length <= 15 && !isDateRange;
+    }
+  }
+];
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[?\\b((?:${Object.values(PII_CATEGORIES).join('|')})_\\d+)\\b\\]?`, 'g');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create the redaction state for one request
+ * @param {Object} [policy] - Policy per category ('redact', 'remove' or 'keep'); missing categories use the default
+ * @param {Object[]} [knownValues] - Values known to be PII: { category, value }
+ * @returns {Object} - Redaction context
+ */
+function createRedactionContext(policy = {}, knownValues = []) {
+  const resolvedPolicy = { ...DEFAULT_PII_POLICY };
+  for (const [category, value] of Object.entries(policy || {})) {
+    if (PII_CATEGORIES[category] && POLICIES.includes(value)) {
+      resolvedPolicy[category] = value;
+    }
+  }
+
+  return {
+    policy: resolvedPolicy,
+    // Longest first, so a full name is replaced before any shorter value it contains
+    knownValues: knownValues
+      .filter(known => known && PII_CATEGORIES[known.category] && typeof known.value === 'string' && known.value.trim().length >= 3)
+      .map(known => ({ category: known.category, value: known.value.trim() }))
+      .sort((a, b) => b.value.length - a.value.length),
+    placeholders: new Map(),
+    byValue: new Map(),
+    counters: {},
+    counts: {}
+  };
+}
+
+/**
+ * Get the replacement for a detected value, according to the category's policy
+ * @param {Object} context - Redaction context
+ * @param {string} category - PII category
+ * @param {string} value - Detected value
+ * @returns {string} - Placeholder, removal marker, or the value itself
+ */
+function replacementFor(context, category, value) {
+  const policy = context.policy[category];
+  if (policy === 'keep') {
+    return value;
+  }
+
+  const label = PII_CATEGORIES[category];
+  const key = `${category}:${value.toLowerCase().replace(/\s+/g, ' ')}`;
+
+  if (!context.byValue.has(key)) {
+    context.counts[category] = (context.counts[category] || 0) + 1;
+    if (policy === 'remove') {
+      context.byValue.set(key, `[${label} REMOVED]`);
+    } else {
+      context.counters[category] = (context.counters[category] || 0) + 1;
+      const placeholder = `[${label}_${context.counters[category]}]`;
+      context.byValue.set(key, placeholder);
+      context.placeholders.set(placeholder.slice(1, -1), value);
+    }
+  }
+
+  return context.byValue.get(key);
+}
+
+/**
+ * Redact the PII in a piece of text
+ * @param {Object} context - Redaction context
+ * @param {string} text - Text to redact
+ * @returns {string} - Redacted text
+ */
+function redactText(context, text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  let result = text;
+
+  for (const known of context.knownValues) {
+    if (context.policy[known.category] === 'keep') continue;
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(known.value).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+    result = result.replace(pattern, match => replacementFor(context, known.category, match));
+  }
+
+  for (const detector of DETECTORS) {
+    if (context.policy[detector.category] === 'keep') continue;
+    result = result.replace(detector.pattern, (...args) => {
+      const match = args[0];
+      const { value } = args[args.length - 1];
+      const offset = args[args.length - 3];
+      const preceding = args[args.length - 2].slice(Math.max(0, offset - 40), offset);
+      if (!value || /^\[[A-Z]+(?:_\d+| REMOVED)\]$/.test(value) || (detector.accept && !detector.accept(value, preceding))) {
+        return match;
+      }
+      const start = match.indexOf(value);
+      return match.slice(0, start) + replacementFor(context, detector.category, value.trim()) + match.slice(start + value.length);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Redact every string in a value (object, array or string)
+ * @param {Object} context - Redaction context
+ * @param {*} value - Value to redact
+ * @returns {*} - Redacted copy
+ */
+function redactValue(context, value) {
+  if (typeof value === 'string') return redactText(context, value);
+  if (Array.isArray(value)) return value.map(item => redactValue(context, item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(context, item)]));
+  }
+  return value;
+}
+
+/**
+ * Redact a parsed CV, registering its contact details as known values first
+ * @param {Object} context - Redaction context
+ * @param {Object} parsedCV - Normalized résumé from parseCV
+ * @returns {Object} - Redacted copy of the résumé
+ */
+function redactParsedCV(context, parsedCV) {
+  const { basics } = parsedCV;
+  const known = [
+    { category: 'name', value: basics.name },
+    { category: 'email', value: basics.email },
+    { category: 'phone', value: basics.phone },
+    { category: 'url', value: basics.url },
+    { category: 'location', value: basics.location },
+    ...(basics.profiles || []).map(profile => ({ category: 'url', value: profile.url }))
+  ];
+
+  for (const { category, value } of known) {
+    if (typeof value === 'string' && value.trim().length >= 3 && !context.knownValues.some(entry => entry.value === value.trim())) {
+      context.knownValues.push({ category, value: value.trim() });
+    }
+  }
+  context.knownValues.sort((a, b) => b.value.length - a.value.length);
+
+  return redactValue(context, parsedCV);
+}
+
+/**
+ * Restore redacted values in a model response
+ * @param {Object} context - Redaction context
+ * @param {*} value - Response value (object, array or string)
+ * @returns {*} - Value with placeholders replaced by the original values
+ */
+function rehydrate(context, value) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (match, token) => context.placeholders.get(token) ?? match);
+  }
+  if (Array.isArray(value)) return value.map(item => rehydrate(context, item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rehydrate(context, item)]));
+  }
+  return value;
+}
+
+/**
+ * Summarize what was redacted, for response metadata (never includes the values)
+ * @param {Object} context - Redaction context
+ * @returns {Object} - { redactedCategories, counts, policy }
+ */
+function summarizeRedactions(context) {
+  return {
+    redactedCategories: Object.keys(context.counts),
+    counts: { ...context.counts },
+    policy: { ...context.policy }
+  };
+}
+
+module.exports = {
+  PII_CATEGORIES,
+  DEFAULT_PII_POLICY,
+  createRedactionContext,
+  redactText,
+  redactValue,
+  redactParsedCV,
+  rehydrate,
+  summarizeRedactions
+};
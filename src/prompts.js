@@ -0,0 +1,322 @@
+/**
+ * Prompt Registry
+ *
+ * Model prompts are named, versioned templates, so that their wording can change without
+ * changing code:
+ *   - templates ship in data/prompts (manifest.json lists them, each body is a text file) and,
+ *     with `config.prompts.source` 'appwrite', are added to or overridden (same name and
+ *     version) by the documents of the `promptTemplates` collection, reloaded every
+ *     `config.prompts.refreshMinutes`
+ *   - each template declares its variables and their types ('string', 'number', 'boolean',
+ *     'object' or 'array'; a trailing '?' allows null), checked when it is rendered
+ *   - the versions of a prompt with a positive `weight` are its live variants: each talent is
+ *     assigned one by a stable hash of its ID, in proportion to the weights (A/B tests). Other
+ *     versions are only used when pinned (`config.prompts.pinned`, e.g. to roll back). A pin that
+ *     names no loaded template fails the registry load, so a misconfiguration is reported as such
+ *
+ * Template syntax: {{path}} inserts a variable (dotted paths; lists are joined with ", "),
+ * {{path|text}} inserts the text instead of an empty value, {{#path}}...{{/path}} keeps its content
+ * only when the value is not empty and {{^path}}...{{/path}} only when it is. A section tag alone
+ * on its line takes the line with it.
+ *
+ * `promptTemplates` attributes: name, version (string), template (string), variables (string,
+ * JSON object of types), weight (float).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Query } = require('node-appwrite');
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, 'data', 'prompts');
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+
+const TEMPLATE_PAGE_SIZE = 100;
+
+const SECTION_REGEX = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/;
+const STANDALONE_TAG_REGEX = /^[ \t]*(\{\{[#^/]\s*[\w.]+\s*\}\})[ \t]*\r?\n/gm;
+const TAG_REGEX = /\{\{\s*([#^/]?)\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Registry loaded from the configured sources, and when
+let cached = null;
+
+/**
+ * Compare two dotted version numbers
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Negative, zero or positive, like a sort comparator
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Validate a template definition
+ * @param {Object} definition - { name, version, template, variables, weight }
+ * @param {string} source - Where the template comes from ('file' or 'appwrite')
+ * @returns {Object} - Template { id ('name@version'), name, version, template, variables, weight, source }
+ */
+function compileTemplate({ name, version, template, variables = {}, weight = 0 }, source) {
+  const id = `${name}@${version}`;
+  if (!name || !/^\d+(\.\d+)*$/.test(version || '')) {
+    throw new Error(`Prompt ${id}: a template needs a name and a dotted version number`);
+  }
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new Error(`Prompt ${id}: the template is empty`);
+  }
+
+  for (const [variable, type] of Object.entries(variables)) {
+    if (!VARIABLE_TYPES.includes(type.replace(/\?$/, ''))) {
+      throw new Error(`Prompt ${id}: variable ${variable} has an unknown type "${type}"`);
+    }
+  }
+  for (const [, , variablePath] of template.matchAll(TAG_REGEX)) {
+    if (!(variablePath.split('.')[0] in variables)) {
+      throw new Error(`Prompt ${id}: {{${variablePath}}} uses an undeclared variable`);
+    }
+  }
+
+  let unnested = template;
+  while (SECTION_REGEX.test(unnested)) {
+    unnested = unnested.replace(SECTION_REGEX, '$3');
+  }
+  if (/\{\{\s*[#^/]/.test(unnested)) {
+    throw new Error(`Prompt ${id}: a section is not closed, or closed without being opened`);
+  }
+
+  return { id, name, version, template, variables, weight: Number(weight) || 0, source };
+}
+
+/**
+ * Load the templates bundled with the function
+ * @param {string} [dir] - Directory with manifest.json and the template bodies
+ * @returns {Object[]} - Templates
+ */
+function loadFileTemplates(dir = DEFAULT_PROMPTS_DIR) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+
+  return manifest.templates.map(({ file, ...definition }) => compileTemplate({
+    ...definition,
+    template: fs.readFileSync(path.join(dir, file), 'utf8').replace(/\r?\n$/, '')
+  }, 'file'));
+}
+
+/**
+ * Load the templates stored in the prompt templates collection. Invalid documents are skipped.
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @returns {Promise<Object[]>} - Templates
+ */
+async function fetchCollectionTemplates(databases, config) {
+  const documents = [];
+  let total = Infinity;
+
+  while (documents.length < total) {
+    const result = await databases.listDocuments(
+      config.databaseId,
+      config.promptsCollectionId,
+      [Query.limit(TEMPLATE_PAGE_SIZE), Query.offset(documents.length)]
+    );
+    documents.push(...result.documents);
+    total = result.total;
+    if (result.documents.length === 0) break;
+  }
+
+  return documents.flatMap(document => {
+    try {
+      return [compileTemplate({
+        name: document.name,
+        version: document.version,
+        template: document.template,
+        variables: document.variables ? JSON.parse(document.variables) : {},
+        weight: document.weight
+      }, 'appwrite')];
+    } catch (error) {
+      console.error(`Skipping prompt template ${document.$id}:`, error.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Check that every pinned prompt version exists in a registry
+ * @param {Map} registry - Prompt name -> templates
+ * @param {Object} pinned - Prompt name -> version
+ */
+function checkPinnedVersions(registry, pinned) {
+  const missing = Object.entries(pinned)
+    .filter(([name, version]) => !(registry.get(name) || []).some(template => template.version === version))
+    .map(([name, version]) => `${name}@${version}`);
+  if (missing.length > 0) {
+    throw new Error(`Pinned prompt versions do not exist: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Load the prompt registry (cached for `config.prompts.refreshMinutes`).
+ * When the collection cannot be read, the bundled templates are used until the next load.
+ * Fails when a pinned version does not exist.
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration (uses prompts.source, prompts.refreshMinutes, prompts.pinned)
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<Map>} - Prompt name -> templates, by ascending version
+ */
+async function loadPromptTemplates(databases, config, now = Date.now()) {
+  if (cached && now - cached.loadedAt < config.prompts.refreshMinutes * 60000) {
+    return cached.registry;
+  }
+
+  const templates = new Map(loadFileTemplates().map(template => [template.id, template]));
+  let complete = true;
+  if (config.prompts.source === 'appwrite') {
+    try {
+      for (const template of await fetchCollectionTemplates(databases, config)) {
+        templates.set(template.id, template);
+      }
+    } catch (error) {
+      console.error('Error loading prompt templates, using the bundled templates:', error);
+      complete = false;
+    }
+  }
+
+  const registry = new Map();
+  for (const template of [...templates.values()].sort((a, b) => compareVersions(a.version, b.version))) {
+    if (!registry.has(template.name)) registry.set(template.name, []);
+    registry.get(template.name).push(template);
+  }
+  checkPinnedVersions(registry, config.prompts.pinned || {});
+
+  cached = complete ? { registry, loadedAt: now } : null;
+  return registry;
+}
+
+/**
+ * Map a subject to a stable point in [0, 1) for one prompt
+ * @param {string} name - Prompt name
+ * @param {string} subjectId - Subject (talent) ID
+ * @returns {number}
+ */
+function assignmentPoint(name, subjectId) {
+  const digest = crypto.createHash('sha256').update(`${name}:${subjectId}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Choose the version of a prompt a subject gets
+ * @param {Map} registry - Registry from loadPromptTemplates
+ * @param {string} name - Prompt name
+ * @param {string|null} subjectId - Talent ID the variant is assigned to
+ * @param {Object} [pinned] - Prompt name -> version used for every subject
+ * @returns {Object} - { template, assignment ('pinned' | 'variant' | 'default') }
+ */
+function selectPrompt(registry, name, subjectId, pinned = {}) {
+  const templates = registry.get(name);
+  if (!templates || templates.length === 0) {
+    throw new Error(`No template for prompt ${name}`);
+  }
+
+  if (pinned[name]) {
+    const template = templates.find(candidate => candidate.version === pinned[name]);
+    if (!template) {
+      throw new Error(`Pinned prompt ${name}@${pinned[name]} does not exist`);
+    }
+    return { template, assignment: 'pinned' };
+  }
+
+  const variants = templates.filter(template => template.weight > 0);
+  if (variants.length <= 1) {
+    return { template: variants[0] || templates[templates.length - 1], assignment: 'default' };
+  }
+
+  const totalWeight = variants.reduce((sum, template) => sum + template.weight, 0);
+  let point = assignmentPoint(name, subjectId || '') * totalWeight;
+  const template = variants.find(candidate => (point -= candidate.weight) < 0) || variants[variants.length - 1];
+  return { template, assignment: 'variant' };
+}
+
+/**
+ * Read a dotted path from the variables
+ * @param {Object} variables - Template variables
+ * @param {string} variablePath - Dotted path
+ * @returns {*} - Value, or undefined
+ */
+function lookup(variables, variablePath) {
+  return variablePath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), variables);
+}
+
+const isEmpty = value => value === null || value === undefined || value === false || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Format a value for the prompt text
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Check variables against the types a template declares
+ * @param {Object} template - Template
+ * @param {Object} variables - Template variables
+ */
+function checkVariables(template, variables) {
+  for (const [variable, declared] of Object.entries(template.variables)) {
+    const optional = declared.endsWith('?');
+    const type = declared.replace(/\?$/, '');
+    const value = variables[variable];
+
+    if (value === null || value === undefined) {
+      if (!optional) {
+        throw new Error(`Prompt ${template.id}: variable ${variable} is required`);
+      }
+      continue;
+    }
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== type) {
+      throw new Error(`Prompt ${template.id}: variable ${variable} must be ${type === 'array' ? 'an' : 'a'} ${type}, got ${actual}`);
+    }
+  }
+}
+
+/**
+ * Render a template
+ * @param {Object} template - Template from selectPrompt
+ * @param {Object} variables - Values of the template's variables
+ * @returns {string} - Prompt text
+ */
+function renderPrompt(template, variables) {
+  checkVariables(template, variables);
+
+  let text = template.template.replace(STANDALONE_TAG_REGEX, '$1');
+  let section;
+  while ((section = SECTION_REGEX.exec(text))) {
+    const [tag, kind, variablePath, content] = section;
+    const keep = isEmpty(lookup(variables, variablePath)) === (kind === '^');
+    text = text.slice(0, section.index) + (keep ? content : '') + text.slice(section.index + tag.length);
+  }
+
+  return text.replace(TAG_REGEX, (tag, kind, variablePath, fallback) => {
+    const value = lookup(variables, variablePath);
+    return isEmpty(value) && fallback !== undefined ? fallback : formatValue(value);
+  });
+}
+
+module.exports = {
+  compareVersions,
+  loadFileTemplates,
+  loadPromptTemplates,
+  selectPrompt,
+  renderPrompt
+};
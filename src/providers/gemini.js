@@ -0,0 +1,87 @@
+/**
+ * Gemini Provider
+ *
+ * Adapter for Google Generative AI. Structured output uses `responseSchema`
+ * (converted to Gemini's OpenAPI subset); documents and images are sent inline.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { toGeminiSchema } = require('../schema');
+
+/**
+ * List the environment variables the Gemini provider needs
+ * @param {Object} env - Environment variables
+ * @returns {string[]} - Names of missing variables
+ */
+function checkEnvironment(env) {
+  return env.GEMINI_API_KEY ? [] : ['GEMINI_API_KEY'];
+}
+
+/**
+ * Normalize Gemini usage metadata
+ * @param {Object} response - Gemini response
+ * @returns {Object} - { promptTokens, outputTokens, totalTokens }
+ */
+function toUsage(response) {
+  const usage = response.usageMetadata || {};
+  return {
+    promptTokens: usage.promptTokenCount || 0,
+    outputTokens: usage.candidatesTokenCount || 0,
+    totalTokens: usage.totalTokenCount || 0
+  };
+}
+
+/**
+ * Create a Gemini provider
+ * @param {Object} options
+ * @param {string} options.model - Model name (e.g. 'gemini-2.0-flash')
+ * @param {string} [options.apiKey] - API key (defaults to GEMINI_API_KEY)
+ * @returns {Object} - Provider
+ */
+function createGeminiProvider({ model, apiKey = process.env.GEMINI_API_KEY }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  async function generate(contents, generationConfig) {
+    const result = await genAI.getGenerativeModel({ model, generationConfig }).generateContent(contents);
+    return {
+      text: result.response.text() || '',
+      usage: toUsage(result.response)
+    };
+  }
+
+  return {
+    name: 'gemini',
+    model,
+
+    generateText({ prompt, maxOutputTokens, temperature }) {
+      return generate(prompt, { maxOutputTokens, temperature });
+    },
+
+    generateJSON({ prompt, schema, maxOutputTokens, temperature }) {
+      return generate(prompt, {
+        maxOutputTokens,
+        temperature,
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(schema)
+      });
+    },
+
+    extractFromDocument({ prompt, data, mimeType }) {
+      return generate([
+        prompt,
+        {
+          inlineData: {
+            data: data.toString('base64'),
+            mimeType: mimeType
+          }
+        }
+      ]);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL: 'gemini-2.0-flash',
+  checkEnvironment,
+  createProvider: createGeminiProvider
+};
@@ -0,0 +1,106 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every model call goes through a provider with the same interface:
+ *   - generateText({ prompt, maxOutputTokens, temperature })
+ *   - generateJSON({ prompt, schema, maxOutputTokens, temperature })   (structured output)
+ *   - extractFromDocument({ prompt, data, mimeType, fileName })        (multimodal extraction)
+ * Each resolves to { text, usage: { promptTokens, outputTokens, totalTokens } }.
+ *
+ * Provider and model are chosen per pipeline step from the environment:
+ *   LLM_PROVIDER                 - default provider for every step ('gemini', 'openai' or 'stub')
+ *   LLM_<STEP>_PROVIDER          - provider for one step, e.g. LLM_ANALYSIS_PROVIDER=openai
+ *   LLM_<STEP>_MODEL             - model for one step, e.g. LLM_EXTRACTION_MODEL=gemini-1.5-pro
+ * Steps: EXTRACTION, ANALYSIS, JOB_REQUIREMENTS, JOB_MATCH, BULLET_REWRITE, GENERATION.
+ */
+
+const gemini = require('./gemini');
+const openai = require('./openai');
+const stub = require('./stub');
+
+const PROVIDERS = { gemini, openai, stub };
+
+// Pipeline step -> environment variable infix
+const PIPELINE_STEPS = {
+  extraction: 'EXTRACTION',
+  analysis: 'ANALYSIS',
+  jobRequirements: 'JOB_REQUIREMENTS',
+  jobMatch: 'JOB_MATCH',
+  bulletRewrite: 'BULLET_REWRITE',
+  generation: 'GENERATION'
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const instances = new Map();
+
+/**
+ * Resolve the provider and model configured for a pipeline step
+ * @param {string} step - Pipeline step (a PIPELINE_STEPS key)
+ * @param {Object} defaultModels - Default Gemini model per step
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} - { provider, model }
+ */
+function resolveStep(step, defaultModels, env = process.env) {
+  const infix = PIPELINE_STEPS[step];
+  if (!infix) {
+    throw new Error(`Unknown pipeline step: ${step}`);
+  }
+
+  const provider = (env[`LLM_${infix}_PROVIDER`] || env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown LLM provider for ${step}: ${provider}`);
+  }
+
+  const model = env[`LLM_${infix}_MODEL`]
+    || (provider === DEFAULT_PROVIDER ? defaultModels[step] : null)
+    || PROVIDERS[provider].DEFAULT_MODEL;
+
+  return { provider, model };
+}
+
+/**
+ * Get the provider for a pipeline step (instances are reused across invocations)
+ * @param {string} step - Pipeline step (a PIPELINE_STEPS key)
+ * @param {Object} defaultModels - Default Gemini model per step
+ * @returns {Object} - Provider
+ */
+function getProvider(step, defaultModels) {
+  const { provider, model } = resolveStep(step, defaultModels);
+  const key = `${provider}:${model}`;
+
+  if (!instances.has(key)) {
+    instances.set(key, PROVIDERS[provider].createProvider({ model }));
+  }
+
+  return instances.get(key);
+}
+
+/**
+ * Check that every pipeline step has a known provider with the environment it needs
+ * @param {Object} defaultModels - Default Gemini model per step
+ * @param {Object} [env] - Environment variables
+ * @returns {string[]} - Configuration errors (empty when valid)
+ */
+function validateProviderEnvironment(defaultModels, env = process.env) {
+  const errors = new Set();
+
+  for (const step of Object.keys(PIPELINE_STEPS)) {
+    try {
+      const { provider } = resolveStep(step, defaultModels, env);
+      PROVIDERS[provider].checkEnvironment(env)
+        .forEach(name => errors.add(`${name} environment variable is required for the ${provider} provider`));
+    } catch (configError) {
+      errors.add(configError.message);
+    }
+  }
+
+  return [...errors];
+}
+
+module.exports = {
+  PIPELINE_STEPS,
+  resolveStep,
+  getProvider,
+  validateProviderEnvironment
+};
@@ -0,0 +1,114 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Adapter for any server implementing the OpenAI Chat Completions API
+ * (OpenAI itself, or a local server such as vLLM, llama.cpp or Ollama).
+ *
+ * Environment: OPENAI_BASE_URL (default https://api.openai.com/v1) and OPENAI_API_KEY
+ * (required for api.openai.com, optional for local servers). Structured output uses
+ * `response_format: json_schema`; set OPENAI_JSON_MODE=json_object for servers that
+ * only support plain JSON mode.
+ */
+
+const { toJSONSchema } = require('../schema');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * List the environment variables the OpenAI-compatible provider needs
+ * @param {Object} env - Environment variables
+ * @returns {string[]} - Names of missing variables
+ */
+function checkEnvironment(env) {
+  const baseUrl = env.OPENAI_BASE_URL || DEFAULT_BASE_URL;
+  return baseUrl === DEFAULT_BASE_URL && !env.OPENAI_API_KEY ? ['OPENAI_API_KEY'] : [];
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} options
+ * @param {string} options.model - Model name
+ * @param {string} [options.baseUrl] - API base URL (defaults to OPENAI_BASE_URL)
+ * @param {string} [options.apiKey] - API key (defaults to OPENAI_API_KEY)
+ * @param {string} [options.jsonMode] - 'json_schema' or 'json_object' (defaults to OPENAI_JSON_MODE)
+ * @returns {Object} - Provider
+ */
+function createOpenAIProvider({
+  model,
+  baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY,
+  jsonMode = process.env.OPENAI_JSON_MODE || 'json_schema'
+}) {
+  async function complete(content, { maxOutputTokens, temperature, responseFormat } = {}) {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content }],
+        max_tokens: maxOutputTokens,
+        temperature,
+        response_format: responseFormat
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const requestError = new Error(`OpenAI-compatible request failed (${response.status}): ${body.slice(0, 200)}`);
+      requestError.status = response.status;
+      requestError.headers = response.headers;
+      throw requestError;
+    }
+
+    const result = await response.json();
+    const usage = result.usage || {};
+
+    return {
+      text: result.choices?.[0]?.message?.content || '',
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      }
+    };
+  }
+
+  return {
+    name: 'openai',
+    model,
+
+    generateText({ prompt, maxOutputTokens, temperature }) {
+      return complete(prompt, { maxOutputTokens, temperature });
+    },
+
+    generateJSON({ prompt, schema, maxOutputTokens, temperature }) {
+      const responseFormat = jsonMode === 'json_object'
+        ? { type: 'json_object' }
+        : {
+          type: 'json_schema',
+          json_schema: {
+            name: schema.$id.replace(/\.schema\.json$/, '').replace(/[^\w-]/g, '_'),
+            schema: toJSONSchema(schema)
+          }
+        };
+      return complete(prompt, { maxOutputTokens, temperature, responseFormat });
+    },
+
+    extractFromDocument({ prompt, data, mimeType, fileName }) {
+      const dataUrl = `data:${mimeType};base64,${data.toString('base64')}`;
+      const part = mimeType.startsWith('image/')
+        ? { type: 'image_url', image_url: { url: dataUrl } }
+        : { type: 'file', file: { filename: fileName || 'document', file_data: dataUrl } };
+      return complete([{ type: 'text', text: prompt }, part]);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL: 'gpt-4o-mini',
+  checkEnvironment,
+  createProvider: createOpenAIProvider
+};
@@ -0,0 +1,92 @@
+/**
+ * Stub Provider
+ *
+ * Deterministic, offline provider backed by fixtures, for tests and CI.
+ * Structured output is looked up by the schema's `$id`, so every pipeline step
+ * receives a response that passes validation without network access.
+ *
+ * Fixtures default to data/stub-fixtures.json; set STUB_FIXTURES_PATH to use another file
+ * with the same shape ({ text, extraction, schemas: { [$id]: response } }).
+ *
+ * A schema's fixture may also be a list of recorded responses, served in turn (and then
+ * from the start again); string entries are returned verbatim, so recordings of malformed
+ * model output exercise the validation and repair path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', 'data', 'stub-fixtures.json');
+
+/**
+ * List the environment variables the stub provider needs
+ * @returns {string[]} - Names of missing variables (always none)
+ */
+function checkEnvironment() {
+  return [];
+}
+
+/**
+ * Estimate token usage deterministically (about four characters per token)
+ * @param {string} prompt - Prompt text
+ * @param {string} text - Response text
+ * @returns {Object} - { promptTokens, outputTokens, totalTokens }
+ */
+function estimateUsage(prompt, text) {
+  const promptTokens = Math.ceil(String(prompt).length / 4);
+  const outputTokens = Math.ceil(text.length / 4);
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+}
+
+/**
+ * Create a stub provider
+ * @param {Object} options
+ * @param {string} [options.model] - Model name reported in metadata
+ * @param {string} [options.fixturesPath] - Fixtures file (defaults to STUB_FIXTURES_PATH)
+ * @returns {Object} - Provider
+ */
+function createStubProvider({ model = 'stub', fixturesPath = process.env.STUB_FIXTURES_PATH || DEFAULT_FIXTURES_PATH }) {
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  // Next recorded response per schema
+  const cursors = {};
+
+  const nextFixture = id => {
+    const fixture = fixtures.schemas?.[id];
+    if (!Array.isArray(fixture)) {
+      return fixture;
+    }
+    const index = cursors[id] || 0;
+    cursors[id] = (index + 1) % fixture.length;
+    return fixture[index];
+  };
+
+  return {
+    name: 'stub',
+    model,
+
+    async generateText({ prompt }) {
+      const text = fixtures.text || '';
+      return { text, usage: estimateUsage(prompt, text) };
+    },
+
+    async generateJSON({ prompt, schema }) {
+      const fixture = nextFixture(schema.$id);
+      if (!fixture) {
+        throw new Error(`No stub fixture for schema ${schema.$id}`);
+      }
+      const text = typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+      return { text, usage: estimateUsage(prompt, text) };
+    },
+
+    async extractFromDocument({ prompt }) {
+      const text = fixtures.extraction || '';
+      return { text, usage: estimateUsage(prompt, text) };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MODEL: 'stub',
+  checkEnvironment,
+  createProvider: createStubProvider
+};
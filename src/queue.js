@@ -0,0 +1,394 @@
+/**
+ * Analysis Jobs
+ *
+ * Asynchronous mode for slow analyses: the request creates a job document in the
+ * `analysisJobs` collection and returns its id right away, the pipeline runs in an
+ * asynchronous execution of this function and records its progress on the job, and
+ * the result is read back with the `status` action (or pushed to an optional webhook).
+ *
+ * Uploaded files are staged in Storage while the job is pending, since document
+ * attributes cannot hold them; the stored request never contains file content.
+ *
+ * Webhook URLs come from callers, so the function must not become a proxy into its own
+ * network: a webhook host must resolve to public addresses only (checked when the job is
+ * created, and again when connecting, without following redirects) and is called once.
+ * Hosts on `config.webhooks.allowedHosts` are trusted: they skip the address check and
+ * deliveries to them are retried.
+ *
+ * Only the function itself may run a job: the `run-job` execution it starts carries a token that
+ * signs the job ID with `config.jobs.runSecret`, which callers cannot forge.
+ *
+ * An execution claims a queued job before running it, since an execution may be started twice for
+ * the same job: it writes its own `runnerId`, waits for competing claims to land, and runs the job
+ * only if its claim is the one stored.
+ *
+ * `analysisJobs` attributes: talentId, action, status, stage (string), progress (integer),
+ * fileId, jobFileId, webhookUrl, webhookStatus, runnerId, error (string), request, result (large string).
+ * Index: talentId + $createdAt.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { ID } = require('node-appwrite');
+const { callWithResilience } = require('./resilience');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Pipeline stage -> progress percentage
+const JOB_STAGES = {
+  validated: 10,
+  uploaded: 20,
+  extracted: 50,
+  analyzed: 80,
+  stored: 100
+};
+
+// Addresses a webhook may not reach: unspecified, private, carrier-grade NAT, loopback, link-local
+// (including cloud metadata endpoints such as 169.254.169.254), multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Time for a competing execution that read the job as queued to write its own claim
+const CLAIM_SETTLE_MS = 2000;
+
+// Request fields that are never persisted on the job
+const TRANSIENT_REQUEST_FIELDS = ['fileData', 'jobFileData', 'async', 'webhookUrl'];
+
+/**
+ * Parse a JSON attribute, tolerating missing or corrupt values
+ * @param {string} value - JSON string
+ * @param {*} fallback - Value returned when parsing fails
+ * @returns {*} - Parsed value
+ */
+function parseJSONAttribute(value, fallback = null) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Check whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Get the host name of a URL, without the brackets of an IPv6 literal
+ * @param {URL} url - URL
+ * @returns {string}
+ */
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+/**
+ * Check whether a host is on the webhook allow-list
+ * @param {string} host - Host name
+ * @param {string[]} allowedHosts - Host names, or '*.' suffix patterns such as '*.example.com'
+ * @returns {boolean}
+ */
+function isAllowedHost(host, allowedHosts) {
+  return allowedHosts.some(allowed => (allowed.startsWith('*.')
+    ? host.endsWith(allowed.slice(1).toLowerCase())
+    : host === allowed.toLowerCase()));
+}
+
+/**
+ * DNS lookup for webhook connections that fails when the host resolves to a blocked address
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Validate a webhook URL: https, and a host on the allow-list or resolving to public addresses only
+ * @param {string} webhookUrl - Webhook URL
+ * @param {string[]} [allowedHosts] - Trusted hosts (config.webhooks.allowedHosts)
+ * @param {Function} [lookup] - Resolves a host name to its addresses ([{ address }])
+ * @returns {Promise<string|null>} - Error message, or null when the URL is acceptable
+ */
+async function validateWebhookUrl(webhookUrl, allowedHosts = [], lookup = host => dns.promises.lookup(host, { all: true })) {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return 'webhookUrl is not a valid URL';
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'webhookUrl must use https';
+  }
+
+  const host = hostOf(url);
+  if (isAllowedHost(host, allowedHosts)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await lookup(host);
+  } catch (error) {
+    return `webhookUrl host ${host} cannot be resolved`;
+  }
+
+  return addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))
+    ? 'webhookUrl must point to a public address'
+    : null;
+}
+
+/**
+ * Sign a job ID for the `run-job` execution that runs it
+ * @param {string} secret - Signing secret (config.jobs.runSecret)
+ * @param {string} jobId - Job document ID
+ * @returns {string} - Run token
+ */
+function signJobRun(secret, jobId) {
+  return crypto.createHmac('sha256', secret).update(`run-job:${jobId}`).digest('hex');
+}
+
+/**
+ * Check the run token of a `run-job` execution
+ * @param {string} secret - Signing secret (config.jobs.runSecret)
+ * @param {string} jobId - Job document ID
+ * @param {string} token - Run token from the request
+ * @returns {boolean}
+ */
+function verifyJobRun(secret, jobId, token) {
+  if (!secret || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signJobRun(secret, jobId));
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Convert a job document into its API representation
+ * @param {Object} document - analysisJobs document
+ * @param {boolean} [includeResult] - Whether to include the request and result
+ * @returns {Object} - Job record
+ */
+function toJobRecord(document, includeResult = false) {
+  const record = {
+    id: document.$id,
+    talentId: document.talentId,
+    action: document.action,
+    status: document.status,
+    stage: document.stage,
+    progress: document.progress,
+    error: document.error || null,
+    webhookStatus: document.webhookStatus || null,
+    createdAt: document.$createdAt,
+    updatedAt: document.$updatedAt
+  };
+
+  if (includeResult) {
+    record.fileId = document.fileId || null;
+    record.jobFileId = document.jobFileId || null;
+    record.webhookUrl = document.webhookUrl || null;
+    record.request = parseJSONAttribute(document.request, {});
+    record.result = parseJSONAttribute(document.result);
+  }
+
+  return record;
+}
+
+/**
+ * Create a queued job
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {Object} job - { talentId, action, request, webhookUrl }
+ * @returns {Promise<Object>} - Created document
+ */
+async function createJob(databases, config, { talentId, action, request, webhookUrl }) {
+  const storedRequest = Object.fromEntries(
+    Object.entries(request).filter(([key]) => !TRANSIENT_REQUEST_FIELDS.includes(key))
+  );
+
+  return databases.createDocument(
+    config.databaseId,
+    config.jobsCollectionId,
+    ID.unique(),
+    {
+      talentId,
+      action,
+      status: JOB_STATUS.QUEUED,
+      stage: 'validated',
+      progress: JOB_STAGES.validated,
+      fileId: null,
+      jobFileId: null,
+      webhookUrl: webhookUrl || null,
+      webhookStatus: null,
+      runnerId: null,
+      error: null,
+      request: JSON.stringify(storedRequest),
+      result: null
+    }
+  );
+}
+
+/**
+ * Update a job (the result is serialized; a stage sets the matching progress)
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string} jobId - Job document ID
+ * @param {Object} changes - Attributes to update
+ * @returns {Promise<Object>} - Updated document
+ */
+async function updateJob(databases, config, jobId, changes) {
+  const data = { ...changes };
+
+  if (data.stage && data.progress === undefined) {
+    data.progress = JOB_STAGES[data.stage];
+  }
+  if (data.result !== undefined) {
+    data.result = data.result === null ? null : JSON.stringify(data.result);
+  }
+
+  return databases.updateDocument(config.databaseId, config.jobsCollectionId, jobId, data);
+}
+
+/**
+ * Fetch a job
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string} jobId - Job document ID
+ * @returns {Promise<Object|null>} - Job document, or null when it does not exist
+ */
+async function getJob(databases, config, jobId) {
+  try {
+    return await databases.getDocument(config.databaseId, config.jobsCollectionId, jobId);
+  } catch (error) {
+    if (error.code === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Claim a queued job for one execution
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string} jobId - Job document ID
+ * @param {number} [settleMs] - Delay before the claim is confirmed
+ * @returns {Promise<Object>} - { document (null when the job does not exist), claimed }
+ */
+async function claimJob(databases, config, jobId, settleMs = CLAIM_SETTLE_MS) {
+  const document = await getJob(databases, config, jobId);
+  if (!document || document.status !== JOB_STATUS.QUEUED) {
+    return { document, claimed: false };
+  }
+
+  const runnerId = ID.unique();
+  await updateJob(databases, config, jobId, { status: JOB_STATUS.RUNNING, runnerId });
+  await new Promise(resolve => setTimeout(resolve, settleMs));
+
+  const confirmed = await getJob(databases, config, jobId);
+  return { document: confirmed, claimed: Boolean(confirmed) && confirmed.runnerId === runnerId };
+}
+
+/**
+ * POST a JSON body over https (redirects are not followed)
+ * @param {URL} url - Target URL
+ * @param {Object} payload - Body
+ * @param {Object} options - { lookup (DNS lookup, or null for the default), timeoutMs }
+ * @returns {Promise<Object>} - { status, headers }
+ */
+function postJSON(url, payload, { lookup, timeoutMs }) {
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: timeoutMs,
+      ...(lookup ? { lookup } : {})
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * POST a job's outcome to its webhook. Deliveries to hosts off the allow-list are not retried.
+ * @param {string} webhookUrl - Webhook URL (validated with validateWebhookUrl)
+ * @param {Object} payload - { jobId, talentId, action, status, result, error }
+ * @param {Object} [policy] - Retry policy (see ./resilience)
+ * @param {string[]} [allowedHosts] - Trusted hosts (config.webhooks.allowedHosts)
+ * @returns {Promise<void>}
+ */
+async function notifyWebhook(webhookUrl, payload, policy = {}, allowedHosts = []) {
+  const url = new URL(webhookUrl);
+  const host = hostOf(url);
+  const trusted = isAllowedHost(host, allowedHosts);
+
+  if (!trusted && net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error(`Webhook host ${host} is not a public address`);
+  }
+
+  await callWithResilience('webhook.post', async () => {
+    const response = await postJSON(url, payload, {
+      lookup: trusted ? null : publicLookup,
+      timeoutMs: policy.timeoutMs
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      const webhookError = new Error(`Webhook responded with ${response.status}`);
+      webhookError.status = response.status;
+      webhookError.headers = response.headers;
+      throw webhookError;
+    }
+  }, { policy: trusted ? policy : { ...policy, retries: 0 } });
+}
+
+module.exports = {
+  JOB_STATUS,
+  JOB_STAGES,
+  validateWebhookUrl,
+  signJobRun,
+  verifyJobRun,
+  toJobRecord,
+  createJob,
+  updateJob,
+  getJob,
+  claimJob,
+  notifyWebhook
+};
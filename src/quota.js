@@ -0,0 +1,369 @@
+/**
+ * Usage Quotas
+ *
+ * Model calls cost money, so the model-backed actions are metered per talent and limited per
+ * UTC day and month by the talent's plan (its `plan` attribute, else `config.quota.defaultPlan`):
+ *   - every request that called a model is recorded in the `usageRecords` collection with the
+ *     tokens each pipeline step used, as reported by the provider (Gemini's `usageMetadata`),
+ *     and their estimated cost (`config.quota.pricing`, USD per million tokens)
+ *   - before a pipeline runs, the requests and tokens recorded for the talent this day and
+ *     month are checked against the plan's limits (a null limit is unlimited). Requests are
+ *     counted from the query total, and tokens are summed only until the limit is reached, so a
+ *     check costs a few queries however much the talent has used; unlimited metrics are not read
+ *
+ * Requests that make no model call (cache hits, locally extracted CVs on `discover`) are not recorded.
+ *
+ * `usageRecords` attributes: talentId, plan, action, day ('YYYY-MM-DD'), month ('YYYY-MM') (string),
+ * calls, promptTokens, outputTokens, totalTokens (integer), costUsd (float), steps (string, JSON).
+ * Indexes: talentId + day, talentId + month, day.
+ */
+
+const { Query, ID } = require('node-appwrite');
+
+const PERIODS = ['day', 'month'];
+
+const USAGE_PAGE_SIZE = 100;
+
+const USAGE_ATTRIBUTES = ['talentId', 'plan', 'action', 'day', 'month', 'calls', 'promptTokens', 'outputTokens', 'totalTokens', 'costUsd'];
+
+// Longest range the usage summary covers
+const MAX_SUMMARY_DAYS = 366;
+
+const DAY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Resolve a talent's plan and its limits
+ * @param {Object} config - Function configuration (uses quota.plans, quota.defaultPlan)
+ * @param {Object} talent - Talent profile data ({ plan })
+ * @returns {Object} - { id, limits: { day: { requests, tokens }, month: { requests, tokens } } }
+ */
+function resolvePlan(config, talent) {
+  const { plans, defaultPlan } = config.quota;
+  const id = talent.plan && plans[talent.plan] ? talent.plan : defaultPlan;
+  return { id, limits: plans[id] };
+}
+
+/**
+ * Get the UTC day and month a time falls in, and when each period resets
+ * @param {Date} now - Current time
+ * @returns {Object} - { day, month, resetAt: { day, month } (ISO timestamps) }
+ */
+function getPeriods(now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+
+  return {
+    day: now.toISOString().slice(0, 10),
+    month: now.toISOString().slice(0, 7),
+    resetAt: {
+      day: new Date(Date.UTC(year, month, date + 1)).toISOString(),
+      month: new Date(Date.UTC(year, month + 1, 1)).toISOString()
+    }
+  };
+}
+
+/**
+ * Estimate the cost of a model call
+ * @param {Object} usage - { promptTokens, outputTokens }
+ * @param {string} model - Model name
+ * @param {Object} pricing - USD per million tokens by model ({ input, output })
+ * @returns {number|null} - Cost in USD, or null for a model without a price
+ */
+function estimateCost(usage, model, pricing) {
+  const price = pricing[model];
+  if (!price) {
+    return null;
+  }
+  return (usage.promptTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+const roundCost = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Total the token usage of a request's model calls, per pipeline step
+ * @param {Object[]} attempts - Attempt records from getAttempts
+ * @param {Object} pricing - USD per million tokens by model
+ * @returns {Object} - { calls, promptTokens, outputTokens, totalTokens, costUsd, steps: { [step]: { model, calls, ..., costUsd } } }
+ */
+function summarizeUsage(attempts, pricing) {
+  const totals = { calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, steps: {} };
+
+  for (const attempt of attempts) {
+    if (!attempt.usage) continue;
+
+    const step = attempt.step || 'other';
+    const entry = totals.steps[step] || (totals.steps[step] = {
+      model: attempt.model || null,
+      calls: 0,
+      promptTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      costUsd: 0
+    });
+    const cost = estimateCost(attempt.usage, attempt.model, pricing) || 0;
+
+    for (const target of [totals, entry]) {
+      target.calls += 1;
+      target.promptTokens += attempt.usage.promptTokens;
+      target.outputTokens += attempt.usage.outputTokens;
+      target.totalTokens += attempt.usage.totalTokens;
+      target.costUsd += cost;
+    }
+  }
+
+  totals.costUsd = roundCost(totals.costUsd);
+  Object.values(totals.steps).forEach(entry => { entry.costUsd = roundCost(entry.costUsd); });
+  return totals;
+}
+
+/**
+ * Load every usage record matching some queries, page by page
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string[]} queries - Filters
+ * @returns {Promise<Object[]>} - Usage documents (summary attributes only)
+ */
+async function fetchUsageRecords(databases, config, queries) {
+  const records = [];
+  let total = Infinity;
+
+  while (records.length < total) {
+    const result = await databases.listDocuments(
+      config.databaseId,
+      config.usageCollectionId,
+      [
+        ...queries,
+        Query.select(USAGE_ATTRIBUTES),
+        Query.orderAsc('$createdAt'),
+        Query.limit(USAGE_PAGE_SIZE),
+        Query.offset(records.length)
+      ]
+    );
+
+    records.push(...result.documents);
+    total = result.total;
+
+    if (result.documents.length === 0) break;
+  }
+
+  return records;
+}
+
+/**
+ * Count the usage records matching some queries
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string[]} queries - Filters
+ * @returns {Promise<number>}
+ */
+async function countUsageRecords(databases, config, queries) {
+  const result = await databases.listDocuments(
+    config.databaseId,
+    config.usageCollectionId,
+    [...queries, Query.select(['$id']), Query.limit(1)]
+  );
+  return result.total;
+}
+
+/**
+ * Sum the tokens of the usage records matching some queries, stopping once a limit is reached
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {string[]} queries - Filters
+ * @param {number} limit - Token limit
+ * @returns {Promise<number>} - Tokens used (at least the limit when it is reached)
+ */
+async function sumUsageTokens(databases, config, queries, limit) {
+  let tokens = 0;
+  let offset = 0;
+
+  while (tokens < limit) {
+    const result = await databases.listDocuments(
+      config.databaseId,
+      config.usageCollectionId,
+      [
+        ...queries,
+        Query.select(['totalTokens']),
+        Query.orderAsc('$createdAt'),
+        Query.limit(USAGE_PAGE_SIZE),
+        Query.offset(offset)
+      ]
+    );
+
+    tokens += result.documents.reduce((sum, record) => sum + (record.totalTokens || 0), 0);
+    offset += result.documents.length;
+
+    if (result.documents.length < USAGE_PAGE_SIZE) break;
+  }
+
+  return tokens;
+}
+
+/**
+ * Check whether a talent may make another model-backed request
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {Object} talent - Talent profile data ({ talentId, plan })
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - { allowed, plan, exceeded ({ period, limit } or null), resetAt (of the exceeded period), remaining }
+ */
+async function checkQuota(databases, config, talent, now = new Date()) {
+  try {
+    const plan = resolvePlan(config, talent);
+    const periods = getPeriods(now);
+
+    // Only the limited metrics are read
+    const used = {};
+    for (const period of PERIODS) {
+      const queries = [Query.equal('talentId', talent.talentId), Query.equal(period, periods[period])];
+      const { requests, tokens } = plan.limits[period];
+      used[period] = {
+        requests: requests === null ? 0 : await countUsageRecords(databases, config, queries),
+        tokens: tokens === null ? 0 : await sumUsageTokens(databases, config, queries, tokens)
+      };
+    }
+
+    let exceeded = null;
+    const remaining = {};
+    for (const period of PERIODS) {
+      remaining[period] = {};
+      for (const limit of ['requests', 'tokens']) {
+        const max = plan.limits[period][limit];
+        remaining[period][limit] = max === null ? null : Math.max(0, max - used[period][limit]);
+        // The month is reported over the day, since it resets later
+        if (max !== null && used[period][limit] >= max) {
+          exceeded = { period, limit };
+        }
+      }
+    }
+
+    return {
+      allowed: !exceeded,
+      plan: plan.id,
+      exceeded,
+      resetAt: exceeded ? periods.resetAt[exceeded.period] : null,
+      remaining
+    };
+  } catch (error) {
+    console.error('Error checking usage quota:', error);
+    throw new Error(`Failed to check usage quota: ${error.message}`);
+  }
+}
+
+/**
+ * Record the usage of a request
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {Object} record - { talentId, plan, action, usage (from summarizeUsage) }
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - Created document
+ */
+async function recordUsage(databases, config, { talentId, plan, action, usage }, now = new Date()) {
+  const periods = getPeriods(now);
+
+  return databases.createDocument(
+    config.databaseId,
+    config.usageCollectionId,
+    ID.unique(),
+    {
+      talentId,
+      plan,
+      action,
+      day: periods.day,
+      month: periods.month,
+      calls: usage.calls,
+      promptTokens: usage.promptTokens,
+      outputTokens: usage.outputTokens,
+      totalTokens: usage.totalTokens,
+      costUsd: usage.costUsd,
+      steps: JSON.stringify(usage.steps)
+    }
+  );
+}
+
+/**
+ * Validate the day range of a usage summary (defaults to the last 30 days)
+ * @param {Object} range - { from, to } ('YYYY-MM-DD', inclusive)
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { from, to }, or { error } for an invalid range
+ */
+function resolveSummaryRange({ from, to } = {}, now = new Date()) {
+  const end = to || now.toISOString().slice(0, 10);
+  const start = from || new Date(Date.parse(end) - 29 * 86400000).toISOString().slice(0, 10);
+
+  if (!DAY_REGEX.test(start) || !DAY_REGEX.test(end) || Number.isNaN(Date.parse(start)) || Number.isNaN(Date.parse(end))) {
+    return { error: 'from and to must be dates formatted as YYYY-MM-DD' };
+  }
+  if (start > end) {
+    return { error: 'from must not be after to' };
+  }
+  if ((Date.parse(end) - Date.parse(start)) / 86400000 >= MAX_SUMMARY_DAYS) {
+    return { error: `The usage summary covers at most ${MAX_SUMMARY_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Total recorded usage per day
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @param {Object} range - { from, to } from resolveSummaryRange
+ * @param {string} [talentId] - Restrict the summary to one talent
+ * @returns {Promise<Object>} - { from, to, days: [{ day, requests, talents, calls, ..., costUsd, byAction, byPlan }], totals }
+ */
+async function summarizeUsageByDay(databases, config, { from, to }, talentId = null) {
+  try {
+    const records = await fetchUsageRecords(databases, config, [
+      Query.greaterThanEqual('day', from),
+      Query.lessThanEqual('day', to),
+      ...(talentId ? [Query.equal('talentId', talentId)] : [])
+    ]);
+
+    const newBucket = () => ({ requests: 0, talents: new Set(), calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, byAction: {}, byPlan: {} });
+    const totals = newBucket();
+    const days = new Map();
+
+    for (const record of records) {
+      if (!days.has(record.day)) days.set(record.day, newBucket());
+
+      for (const bucket of [totals, days.get(record.day)]) {
+        bucket.requests += 1;
+        bucket.talents.add(record.talentId);
+        bucket.calls += record.calls || 0;
+        bucket.promptTokens += record.promptTokens || 0;
+        bucket.outputTokens += record.outputTokens || 0;
+        bucket.totalTokens += record.totalTokens || 0;
+        bucket.costUsd += record.costUsd || 0;
+        bucket.byAction[record.action] = (bucket.byAction[record.action] || 0) + 1;
+        bucket.byPlan[record.plan] = (bucket.byPlan[record.plan] || 0) + 1;
+      }
+    }
+
+    const toSummary = bucket => ({ ...bucket, talents: bucket.talents.size, costUsd: roundCost(bucket.costUsd) });
+
+    return {
+      from,
+      to,
+      days: [...days.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, bucket]) => ({ day, ...toSummary(bucket) })),
+      totals: toSummary(totals)
+    };
+  } catch (error) {
+    console.error('Error summarizing usage:', error);
+    throw new Error(`Failed to summarize usage: ${error.message}`);
+  }
+}
+
+module.exports = {
+  resolvePlan,
+  getPeriods,
+  estimateCost,
+  summarizeUsage,
+  checkQuota,
+  recordUsage,
+  resolveSummaryRange,
+  summarizeUsageByDay
+};
@@ -0,0 +1,115 @@
+/**
+ * Career Path Discovery
+ *
+ * Scores a CV against every document in the career paths collection and returns
+ * the best-aligned paths, for talents who have not selected a path yet.
+ *
+ * Each path is scored with the same rule-based alignment used for the selected
+ * path (requiredSkills, toolsAndTechnologies, requiredCertifications, suggestedDegrees).
+ * Evidence is collected from the profile and CV once per request, so ranking the
+ * whole catalog costs a few taxonomy lookups per path and no model calls.
+ */
+
+const { Query } = require('node-appwrite');
+const { collectEvidence, computeCareerPathAlignment } = require('./matching');
+
+const CATALOG_PAGE_SIZE = 100;
+const DEFAULT_RANKING_LIMIT = 5;
+const MAX_RANKING_LIMIT = 20;
+
+const CAREER_PATH_ATTRIBUTES = ['$id', '$updatedAt', 'title', 'requiredSkills', 'requiredCertifications', 'suggestedDegrees', 'toolsAndTechnologies'];
+
+/**
+ * Load every career path document, page by page
+ * @param {Object} databases - Appwrite Databases service
+ * @param {Object} config - Function configuration
+ * @returns {Promise<Object[]>} - Career path documents (matching attributes only)
+ */
+async function fetchAllCareerPaths(databases, config) {
+  const careerPaths = [];
+  let total = Infinity;
+
+  while (careerPaths.length < total) {
+    const result = await databases.listDocuments(
+      config.databaseId,
+      config.careerPathsCollectionId,
+      [
+        Query.select(CAREER_PATH_ATTRIBUTES),
+        Query.orderAsc('$id'),
+        Query.limit(CATALOG_PAGE_SIZE),
+        Query.offset(careerPaths.length)
+      ]
+    );
+
+    careerPaths.push(...result.documents);
+    total = result.total;
+
+    if (result.documents.length === 0) break;
+  }
+
+  return careerPaths;
+}
+
+/**
+ * Count the requirements a career path specifies
+ * @param {Object} careerPath - Career path document
+ * @returns {number} - Number of requirements
+ */
+function countRequirements(careerPath) {
+  return ['requiredSkills', 'toolsAndTechnologies', 'requiredCertifications', 'suggestedDegrees']
+    .reduce((count, field) => count + (careerPath[field] || []).length, 0);
+}
+
+/**
+ * Rank career paths by rule-based alignment with a talent's profile and CV
+ * @param {Object} params
+ * @param {Object} params.talent - Talent profile data
+ * @param {Object[]} params.careerPaths - Career path documents
+ * @param {Object|null} [params.parsedCV] - Normalized résumé
+ * @param {string|null} [params.cvText] - Extracted CV text
+ * @param {number} [params.limit] - Number of paths to return
+ * @returns {Object} - { evaluated, rankings } with per-path alignment breakdowns, best first
+ */
+function rankCareerPaths({ talent, careerPaths, parsedCV = null, cvText = null, limit = DEFAULT_RANKING_LIMIT }) {
+  const evidence = collectEvidence(talent, parsedCV, cvText);
+  const topN = Math.min(Math.max(1, Number(limit) || DEFAULT_RANKING_LIMIT), MAX_RANKING_LIMIT);
+
+  // Paths without any requirements cannot be scored meaningfully
+  const scorable = careerPaths.filter(careerPath => countRequirements(careerPath) > 0);
+
+  const rankings = scorable
+    .map(careerPath => {
+      const alignment = computeCareerPathAlignment({ talent, careerPath, parsedCV, cvText, evidence });
+      return {
+        careerPathId: careerPath.$id,
+        title: careerPath.title,
+        alignmentScore: alignment.alignmentScore,
+        coverage: alignment.coverage,
+        matchingSkills: alignment.matchingSkills,
+        missingSkills: alignment.missingSkills,
+        matchingCertifications: alignment.matchingCertifications,
+        missingCertifications: alignment.missingCertifications,
+        matchingDegrees: alignment.matchingDegrees,
+        missingDegrees: alignment.missingDegrees,
+        requirementCount: countRequirements(careerPath)
+      };
+    })
+    // Best score first; among equal scores, prefer paths with more evidence behind them
+    .sort((a, b) => b.alignmentScore - a.alignmentScore
+      || b.matchingSkills.length - a.matchingSkills.length
+      || String(a.title).localeCompare(String(b.title)))
+    .slice(0, topN)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return {
+    evaluated: scorable.length,
+    rankings
+  };
+}
+
+module.exports = {
+  DEFAULT_RANKING_LIMIT,
+  MAX_RANKING_LIMIT,
+  fetchAllCareerPaths,
+  rankCareerPaths
+};
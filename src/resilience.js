@@ -0,0 +1,395 @@
+/**
+ * Resilience
+ *
+ * Timeouts, retries and circuit breaking around calls to external services
+ * (LLM providers and Appwrite):
+ *   - every call is bounded by a timeout
+ *   - transient failures (timeouts, network errors, 408/429/5xx) are retried with
+ *     exponential backoff and jitter, waiting at least as long as the service's retry-after.
+ *     Non-idempotent calls (creating a document, file or execution) are only retried when the
+ *     failure proves the request was not applied (429, connection refused, DNS failure): after a
+ *     5xx or a dropped connection the first attempt may have landed, and a retry would duplicate it
+ *   - each service has a circuit breaker that fails fast after repeated transient failures
+ *     and lets a single trial call through once its cool-down has elapsed
+ *
+ * Every attempt is recorded in the attempt log of the current request (see runWithAttemptLog),
+ * so callers can report retries and failures without threading a log through every function.
+ * Successful calls that report token usage (LLM providers) keep it on their record.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const RETRYABLE_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_SOCKET'
+]);
+
+// Failures that prove the service never applied the request, so that even non-idempotent calls
+// can be retried: rate limiting, and connections that were never established
+const NOT_APPLIED_STATUS = new Set([429]);
+const NOT_APPLIED_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULT_POLICY = {
+  timeoutMs: 30000,
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 20000,
+  idempotent: true
+};
+
+const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+const attemptStore = new AsyncLocalStorage();
+const breakers = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a function with a fresh attempt log for everything it calls
+ * @param {Function} fn - Async function
+ * @returns {Promise<*>} - The function's result
+ */
+function runWithAttemptLog(fn) {
+  return attemptStore.run([], fn);
+}
+
+/**
+ * Get the attempts recorded so far for the current request
+ * @returns {Object[]} - Attempt records (empty outside runWithAttemptLog)
+ */
+function getAttempts() {
+  return [...(attemptStore.getStore() || [])];
+}
+
+/**
+ * Summarize the current request's attempts for response metadata
+ * @returns {Object} - { total, retries, failures, calls }
+ */
+function summarizeAttempts() {
+  const calls = getAttempts();
+  return {
+    total: calls.length,
+    retries: calls.filter(call => call.attempt > 1).length,
+    failures: calls.filter(call => call.outcome !== 'success').length,
+    calls
+  };
+}
+
+/**
+ * Get the HTTP status of an error from any of the clients in use
+ * (Appwrite uses `code`, Gemini and the OpenAI adapter use `status`)
+ * @param {Error} error - Error
+ * @returns {number|null} - HTTP status
+ */
+function getErrorStatus(error) {
+  if (!error) return null;
+  if (Number.isInteger(error.status)) return error.status;
+  if (Number.isInteger(error.code)) return error.code;
+  if (Number.isInteger(error.response?.status)) return error.response.status;
+
+  const match = String(error.message || '').match(/\[(\d{3})\b/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Whether an error is transient and the call worth retrying
+ * @param {Error} error - Error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error || error.circuitOpen) return false;
+  if (error.timeout) return true;
+
+  const status = getErrorStatus(error);
+  if (status !== null) return RETRYABLE_STATUS.has(status);
+
+  const code = error.code || error.cause?.code;
+  if (RETRYABLE_CODES.has(code)) return true;
+
+  // Node's fetch rejects with a bare TypeError on network failures
+  return error.name === 'TypeError' && /fetch failed/i.test(error.message);
+}
+
+/**
+ * Whether an error proves the request was not applied, so a non-idempotent call may be retried
+ * @param {Error} error - Error
+ * @returns {boolean}
+ */
+function isNotAppliedError(error) {
+  if (!error || error.timeout) return false;
+
+  const status = getErrorStatus(error);
+  if (status !== null) return NOT_APPLIED_STATUS.has(status);
+
+  return NOT_APPLIED_CODES.has(error.code || error.cause?.code);
+}
+
+/**
+ * Parse a retry-after value (seconds, an HTTP date, or a duration such as "12s")
+ * @param {*} value - Header or error detail value
+ * @returns {number|null} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  const duration = text.match(/^(\d+(?:\.\d+)?)s?$/);
+  if (duration) return Math.round(Number(duration[1]) * 1000);
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the delay a service asked for before retrying
+ * @param {Error} error - Error
+ * @returns {number|null} - Delay in milliseconds
+ */
+function getRetryAfterMs(error) {
+  if (!error) return null;
+  if (Number.isFinite(error.retryAfterMs)) return error.retryAfterMs;
+
+  const headers = error.headers || error.response?.headers;
+  const header = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const fromHeader = parseRetryAfter(header);
+  if (fromHeader !== null) return fromHeader;
+
+  // Gemini reports quota back-off as a google.rpc.RetryInfo detail
+  const retryInfo = (error.errorDetails || []).find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+  return retryInfo ? parseRetryAfter(retryInfo.retryDelay) : null;
+}
+
+/**
+ * Compute the backoff before a retry: exponential, capped, with jitter over its upper half
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} - Delay in milliseconds
+ */
+function computeBackoff(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Run a function with a time limit
+ * @param {Function} fn - Async function
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @param {string} operation - Operation name for the error message
+ * @returns {Promise<*>} - The function's result
+ */
+async function withTimeout(fn, timeoutMs, operation) {
+  if (!timeoutMs) return fn();
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const timeoutError = new Error(`${operation} timed out after ${timeoutMs}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      timeoutError.timeout = true;
+      reject(timeoutError);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get the circuit breaker for a service (breakers persist across invocations)
+ * @param {string} name - Service name, e.g. 'llm:gemini' or 'appwrite'
+ * @param {Object} [options] - { failureThreshold, resetTimeoutMs }
+ * @returns {Object} - Circuit breaker
+ */
+function getCircuitBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      name,
+      ...DEFAULT_BREAKER_OPTIONS,
+      ...options,
+      state: CIRCUIT_STATES.CLOSED,
+      failures: 0,
+      openedAt: null,
+      trialInFlight: false
+    });
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Check whether a breaker lets a call through, moving it to half-open after its cool-down
+ * @param {Object} breaker - Circuit breaker
+ * @returns {boolean}
+ */
+function acquireBreaker(breaker) {
+  if (breaker.state === CIRCUIT_STATES.CLOSED) return true;
+
+  if (breaker.state === CIRCUIT_STATES.OPEN) {
+    if (Date.now() - breaker.openedAt < breaker.resetTimeoutMs) return false;
+    breaker.state = CIRCUIT_STATES.HALF_OPEN;
+    breaker.trialInFlight = false;
+  }
+
+  // Half-open: a single trial call at a time
+  if (breaker.trialInFlight) return false;
+  breaker.trialInFlight = true;
+  return true;
+}
+
+/**
+ * Record a call's outcome on a breaker
+ * @param {Object} breaker - Circuit breaker
+ * @param {boolean} transientFailure - Whether the call failed transiently
+ */
+function recordBreakerResult(breaker, transientFailure) {
+  breaker.trialInFlight = false;
+
+  if (!transientFailure) {
+    breaker.state = CIRCUIT_STATES.CLOSED;
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    return;
+  }
+
+  breaker.failures += 1;
+  if (breaker.state === CIRCUIT_STATES.HALF_OPEN || breaker.failures >= breaker.failureThreshold) {
+    breaker.state = CIRCUIT_STATES.OPEN;
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Call an external service with a timeout, retries and a circuit breaker.
+ * Non-idempotent calls (e.g. document creation) are only retried after failures that prove
+ * the request was not applied (see isNotAppliedError).
+ * @param {string} operation - Operation name recorded in the attempt log
+ * @param {Function} fn - Async function performing the call
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Retry policy (see DEFAULT_POLICY)
+ * @param {Object} [options.breaker] - Circuit breaker from getCircuitBreaker
+ * @param {Object} [options.details] - Extra fields for the call's attempt records (e.g. { step, model })
+ * @returns {Promise<*>} - The call's result
+ */
+async function callWithResilience(operation, fn, { policy = {}, breaker = null, details = {} } = {}) {
+  const resolved = { ...DEFAULT_POLICY, ...policy };
+  const attempts = attemptStore.getStore();
+  const record = entry => attempts && attempts.push({ operation, ...details, ...entry });
+
+  for (let attempt = 1; ; attempt++) {
+    if (breaker && !acquireBreaker(breaker)) {
+      record({ attempt, outcome: 'circuit-open', durationMs: 0 });
+      const circuitError = new Error(`${operation} skipped: circuit open for ${breaker.name}`);
+      circuitError.circuitOpen = true;
+      throw circuitError;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await withTimeout(fn, resolved.timeoutMs, operation);
+      if (breaker) recordBreakerResult(breaker, false);
+      record({
+        attempt,
+        outcome: 'success',
+        durationMs: Date.now() - startedAt,
+        ...(result && result.usage ? { usage: result.usage } : {})
+      });
+      return result;
+    } catch (error) {
+      const transient = isRetryableError(error);
+      if (breaker) recordBreakerResult(breaker, transient);
+
+      const entry = {
+        attempt,
+        outcome: error.timeout ? 'timeout' : 'error',
+        durationMs: Date.now() - startedAt,
+        status: getErrorStatus(error),
+        error: String(error.message || error).slice(0, 200)
+      };
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const canRetry = transient
+        && attempt <= resolved.retries
+        && (resolved.idempotent || isNotAppliedError(error))
+        && !(retryAfterMs !== null && retryAfterMs > resolved.maxRetryAfterMs);
+
+      if (!canRetry) {
+        record(entry);
+        throw error;
+      }
+
+      const delayMs = Math.max(computeBackoff(attempt, resolved), retryAfterMs || 0);
+      record({ ...entry, retryInMs: delayMs });
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Wrap selected methods of a client so each call goes through callWithResilience.
+ * Other methods and properties are inherited from the client unchanged.
+ * @param {Object} service - Client instance (e.g. Appwrite Databases or an LLM provider)
+ * @param {Object} options
+ * @param {string} options.name - Name used for operations and the circuit breaker
+ * @param {string[]} options.methods - Methods to wrap
+ * @param {string[]} [options.nonIdempotent] - Methods only retried when the request was not applied
+ * @param {Object} [options.policy] - Retry policy
+ * @param {Object} [options.breaker] - Circuit breaker options
+ * @param {Object} [options.details] - Extra fields for the attempt records of every call
+ * @returns {Object} - Wrapped client
+ */
+function withResilience(service, { name, methods, nonIdempotent = [], policy = {}, breaker = {}, details = {} }) {
+  const wrapped = Object.create(service);
+  const circuitBreaker = getCircuitBreaker(name, breaker);
+
+  methods.forEach(method => {
+    wrapped[method] = (...args) => callWithResilience(
+      `${name}.${method}`,
+      () => service[method](...args),
+      {
+        policy: { ...policy, idempotent: !nonIdempotent.includes(method) },
+        breaker: circuitBreaker,
+        details
+      }
+    );
+  });
+
+  return wrapped;
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  DEFAULT_POLICY,
+  runWithAttemptLog,
+  getAttempts,
+  summarizeAttempts,
+  getErrorStatus,
+  isRetryableError,
+  isNotAppliedError,
+  getRetryAfterMs,
+  computeBackoff,
+  withTimeout,
+  getCircuitBreaker,
+  callWithResilience,
+  withResilience
+};
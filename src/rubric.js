@@ -0,0 +1,397 @@
+/**
+ * Scoring Rubric
+ *
+ * The documented, career-stage-aware rubric behind `overallScore` and `marketability.score`.
+ * Six dimensions are scored 0-100 from the parsed CV and the rule-based career path alignment,
+ * each with the evidence behind its sub-score:
+ *   - experienceRelevance  years of dated experience against the stage's expectation, and the
+ *                          share of roles that use the career path's skills and tools
+ *   - skillCoverage        required skills and tools matched (or skills shown, without a path)
+ *   - quantifiedImpact     share of bullets with a measurable result, against the stage's target
+ *   - educationFit         suggested degrees matched (or a degree listed, without a path)
+ *   - certifications       required certifications matched (or any listed, without a path)
+ *   - presentation         standard sections present and bullets in active, specific wording
+ *
+ * The talent's `careerStage` selects the weights (points out of 100) of the overall score:
+ *
+ *   dimension             early  mid  senior  changer
+ *   experienceRelevance     15    30     35      20
+ *   skillCoverage           25    25     15      30
+ *   quantifiedImpact        10    20     30      15
+ *   educationFit            25     5      5      10
+ *   certifications          10    10      5      15
+ *   presentation            15    10     10      10
+ *
+ * Marketability uses fixed weights (what recruiters screen for first); the stage still applies
+ * through the expectations each sub-score is measured against. A dimension with no basis
+ * (e.g. certifications, when the path requires none and the CV lists none) is not applicable
+ * and its weight is shared among the others. Bump RUBRIC_VERSION when weights or
+ * expectations change: it is part of the analysis cache key.
+ */
+
+const { countExperienceMonths } = require('./dates');
+const { ALIGNMENT_WEIGHTS, findMentions, mentionsTerm } = require('./matching');
+const { ISSUES, collectBullets, reviewBullet } = require('./bullets');
+
+const RUBRIC_VERSION = '1.0.0';
+
+const DIMENSIONS = {
+  experienceRelevance: 'Experience relevance',
+  skillCoverage: 'Skill coverage',
+  quantifiedImpact: 'Quantified impact',
+  educationFit: 'Education fit',
+  certifications: 'Certifications',
+  presentation: 'Presentation'
+};
+
+// Expectations and overall weights per career stage; `pattern` matches the profile's careerStage
+const CAREER_STAGES = {
+  early: {
+    label: 'Early career',
+    pattern: /student|graduate|intern|entry|junior|beginner|early|pathfinder/i,
+    expectedYears: 1,
+    expectedSkills: 6,
+    quantifiedShare: 0.2,
+    weights: { experienceRelevance: 15, skillCoverage: 25, quantifiedImpact: 10, educationFit: 25, certifications: 10, presentation: 15 }
+  },
+  mid: {
+    label: 'Mid-career',
+    pattern: /mid|intermediate|experienced|professional|trailblazer/i,
+    expectedYears: 3,
+    expectedSkills: 10,
+    quantifiedShare: 0.4,
+    weights: { experienceRelevance: 30, skillCoverage: 25, quantifiedImpact: 20, educationFit: 5, certifications: 10, presentation: 10 }
+  },
+  senior: {
+    label: 'Senior',
+    pattern: /senior|lead|principal|staff|manager|director|head|executive|expert/i,
+    expectedYears: 8,
+    expectedSkills: 12,
+    quantifiedShare: 0.5,
+    weights: { experienceRelevance: 35, skillCoverage: 15, quantifiedImpact: 30, educationFit: 5, certifications: 5, presentation: 10 }
+  },
+  changer: {
+    label: 'Career changer',
+    pattern: /chang|switch|transition|return|horizon/i,
+    expectedYears: 2,
+    expectedSkills: 8,
+    quantifiedShare: 0.3,
+    weights: { experienceRelevance: 20, skillCoverage: 30, quantifiedImpact: 15, educationFit: 10, certifications: 15, presentation: 10 }
+  }
+};
+
+const DEFAULT_STAGE = 'mid';
+
+// Checked in order, so that "Career changer" is not read as an early-career stage
+const STAGE_ORDER = ['changer', 'senior', 'early', 'mid'];
+
+const MARKETABILITY_WEIGHTS = {
+  experienceRelevance: 25,
+  skillCoverage: 25,
+  quantifiedImpact: 20,
+  educationFit: 5,
+  certifications: 10,
+  presentation: 15
+};
+
+/**
+ * Map a profile's career stage to a rubric stage
+ * @param {string|null} careerStage - `talent.careerStage`
+ * @returns {Object} - { stage (CAREER_STAGES key), label, profileValue, recognized }
+ */
+function resolveCareerStage(careerStage) {
+  const value = String(careerStage || '');
+  const stage = value ? STAGE_ORDER.find(key => CAREER_STAGES[key].pattern.test(value)) : null;
+
+  return {
+    stage: stage || DEFAULT_STAGE,
+    label: CAREER_STAGES[stage || DEFAULT_STAGE].label,
+    profileValue: careerStage || null,
+    recognized: Boolean(stage)
+  };
+}
+
+/**
+ * Build a dimension result
+ * @param {string} id - Dimension identifier (a DIMENSIONS key)
+ * @param {number|null} score - Sub-score (0-1), or null when the dimension is not applicable
+ * @param {string[]} evidence - What the sub-score is based on
+ * @returns {Object} - Dimension result
+ */
+function dimension(id, score, evidence) {
+  return {
+    id,
+    label: DIMENSIONS[id],
+    score: score === null ? null : Math.round(Math.min(1, Math.max(0, score)) * 100),
+    evidence
+  };
+}
+
+const percent = value => `${Math.round(value * 100)}%`;
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Score experience relevance
+ * @param {Object} parsedCV - Normalized résumé
+ * @param {string[]} keywords - Career path skills and tools
+ * @param {Object} stage - CAREER_STAGES entry
+ * @returns {Object} - Dimension result
+ */
+function scoreExperience(parsedCV, keywords, stage) {
+  const work = parsedCV.work || [];
+  const evidence = [];
+
+  if (!work.length) {
+    const projects = (parsedCV.projects || []).length;
+    evidence.push('No work experience listed.');
+    if (projects) {
+      evidence.push(`${plural(projects, 'project')} listed, counted as partial experience.`);
+    }
+    // Projects stand in for work experience early on, much less later
+    const projectCredit = stage === CAREER_STAGES.early ? Math.min(0.6, 0.2 * projects) : Math.min(0.3, 0.1 * projects);
+    return dimension('experienceRelevance', projectCredit, evidence);
+  }
+
+  const years = countExperienceMonths(work) / 12;
+  const tenure = Math.min(1, years / stage.expectedYears);
+  evidence.push(`About ${Math.round(years * 10) / 10} years of dated experience (${stage.label.toLowerCase()} expectation: ${stage.expectedYears}+).`);
+
+  if (!keywords.length) {
+    return dimension('experienceRelevance', tenure, evidence);
+  }
+
+  const relevant = work.filter(job => {
+    const text = [job.position, job.summary, ...(job.highlights || [])].filter(Boolean).join('\n');
+    return keywords.some(keyword => mentionsTerm(text, keyword));
+  });
+  evidence.push(`Roles using the career path's skills or tools: ${relevant.length} of ${work.length}${relevant.length
+    ? ` (${relevant.map(job => job.position).filter(Boolean).slice(0, 3).join(', ')})`
+    : ''}.`);
+
+  return dimension('experienceRelevance', 0.5 * tenure + 0.5 * (relevant.length / work.length), evidence);
+}
+
+/**
+ * Describe the coverage of one alignment group
+ * @param {Object} alignment - Rule-based alignment
+ * @param {string} key - Group key ('skills', 'tools', 'certifications', 'degrees')
+ * @returns {string} - Evidence text
+ */
+function describeCoverage(alignment, key) {
+  const details = alignment.matchDetails[key] || [];
+  const missing = details.filter(detail => !detail.matched).map(detail => detail.requirement);
+  return `Matches ${details.length - missing.length} of ${details.length} ${key === 'degrees' ? 'suggested' : 'required'} ${key}${missing.length
+    ? `; missing: ${missing.slice(0, 5).join(', ')}`
+    : ''}.`;
+}
+
+/**
+ * Score skill coverage
+ * @param {Object} parsedCV - Normalized résumé
+ * @param {string} cvText - Extracted CV text
+ * @param {Object|null} alignment - Rule-based career path alignment
+ * @param {Object} stage - CAREER_STAGES entry
+ * @returns {Object} - Dimension result
+ */
+function scoreSkills(parsedCV, cvText, alignment, stage) {
+  const { skills, tools } = alignment?.coverage || {};
+
+  if (skills != null || tools != null) {
+    const groups = [['skills', skills], ['tools', tools]].filter(([, coverage]) => coverage != null);
+    const weight = groups.reduce((sum, [key]) => sum + ALIGNMENT_WEIGHTS[key], 0);
+    const score = groups.reduce((sum, [key, coverage]) => sum + coverage * ALIGNMENT_WEIGHTS[key], 0) / weight;
+    return dimension('skillCoverage', score, groups.map(([key]) => describeCoverage(alignment, key)));
+  }
+
+  const shown = new Set([...(parsedCV.skills || []), ...findMentions(cvText, 'skills')].map(skill => skill.toLowerCase()));
+  return dimension('skillCoverage', shown.size / stage.expectedSkills, [
+    `${plural(shown.size, 'skill')} shown in the CV (${stage.label.toLowerCase()} expectation: ${stage.expectedSkills}); no career path to match against.`
+  ]);
+}
+
+/**
+ * Score quantified impact
+ * @param {Object[]} bullets - Experience and project bullets from collectBullets
+ * @param {Object} stage - CAREER_STAGES entry
+ * @returns {Object} - Dimension result
+ */
+function scoreImpact(bullets, stage) {
+  if (!bullets.length) {
+    return dimension('quantifiedImpact', 0, ['No experience or project bullets to show results.']);
+  }
+
+  const quantified = bullets.filter(bullet => !reviewBullet(bullet.text).includes(ISSUES.NO_METRICS)).length;
+  const share = quantified / bullets.length;
+  return dimension('quantifiedImpact', share / stage.quantifiedShare, [
+    `Bullets with a measurable result: ${quantified} of ${bullets.length} (${percent(share)}; ${stage.label.toLowerCase()} target: ${percent(stage.quantifiedShare)}).`
+  ]);
+}
+
+/**
+ * Score education fit
+ * @param {Object} parsedCV - Normalized résumé
+ * @param {Object|null} alignment - Rule-based career path alignment
+ * @param {Object} stage - CAREER_STAGES entry
+ * @returns {Object} - Dimension result
+ */
+function scoreEducation(parsedCV, alignment, stage) {
+  const education = parsedCV.education || [];
+  const degrees = education.filter(entry => entry.degree);
+
+  if (alignment?.coverage?.degrees != null) {
+    const matched = alignment.matchingDegrees;
+    return dimension('educationFit', alignment.coverage.degrees, [matched.length
+      ? `Matches the suggested degree: ${matched.join(', ')}.`
+      : `No suggested degree matched (suggested: ${alignment.missingDegrees.slice(0, 3).join(', ')}).`]);
+  }
+
+  if (degrees.length) {
+    const degree = degrees[0];
+    return dimension('educationFit', 1, [`Degree listed: ${[degree.degree, degree.field].filter(Boolean).join(' ')}${degree.institution ? `, ${degree.institution}` : ''}.`]);
+  }
+  if (education.length) {
+    return dimension('educationFit', 0.7, ['Education listed without a recognizable degree.']);
+  }
+  return dimension('educationFit', stage === CAREER_STAGES.early ? 0.1 : 0.4, ['No education listed.']);
+}
+
+/**
+ * Score certifications
+ * @param {Object} parsedCV - Normalized résumé
+ * @param {string} cvText - Extracted CV text
+ * @param {Object|null} alignment - Rule-based career path alignment
+ * @returns {Object} - Dimension result
+ */
+function scoreCertifications(parsedCV, cvText, alignment) {
+  if (alignment?.coverage?.certifications != null) {
+    return dimension('certifications', alignment.coverage.certifications, [describeCoverage(alignment, 'certifications')]);
+  }
+
+  const listed = new Set([...(parsedCV.certifications || []).map(cert => cert.name), ...findMentions(cvText, 'certifications')]);
+  if (!listed.size) {
+    return dimension('certifications', null, ['No certifications listed or required; not scored.']);
+  }
+  return dimension('certifications', 1, [`${plural(listed.size, 'certification')} listed: ${[...listed].slice(0, 3).join(', ')}.`]);
+}
+
+/**
+ * Score presentation
+ * @param {Object} parsedCV - Normalized résumé
+ * @param {Object[]} bullets - Experience and project bullets from collectBullets
+ * @returns {Object} - Dimension result
+ */
+function scorePresentation(parsedCV, bullets) {
+  const { basics } = parsedCV;
+  const sections = {
+    'contact details': Boolean(basics.email || basics.phone),
+    summary: Boolean(basics.summary),
+    experience: parsedCV.work.length > 0 || parsedCV.projects.length > 0,
+    education: parsedCV.education.length > 0,
+    skills: parsedCV.skills.length > 0
+  };
+  const missing = Object.keys(sections).filter(section => !sections[section]);
+  const sectionShare = (Object.keys(sections).length - missing.length) / Object.keys(sections).length;
+  const evidence = [missing.length ? `Missing: ${missing.join(', ')}.` : 'All standard sections are present.'];
+
+  if (!bullets.length) {
+    return dimension('presentation', sectionShare, evidence);
+  }
+
+  const wordingIssues = [ISSUES.PASSIVE_VOICE, ISSUES.VAGUE_VERB, ISSUES.TOO_LONG];
+  const clear = bullets.filter(bullet => !reviewBullet(bullet.text).some(issue => wordingIssues.includes(issue))).length;
+  evidence.push(`Bullets in active, specific and concise wording: ${clear} of ${bullets.length}.`);
+
+  return dimension('presentation', 0.5 * sectionShare + 0.5 * (clear / bullets.length), evidence);
+}
+
+/**
+ * Combine dimension sub-scores with weights
+ * @param {Object[]} dimensions - Dimension results
+ * @param {Object} weights - Points per dimension (sums to 100)
+ * @returns {Object} - { score, components: [{ id, label, score, weight, points, evidence }] }
+ */
+function combine(dimensions, weights) {
+  const applicable = dimensions.filter(result => result.score !== null);
+  const totalWeight = applicable.reduce((sum, result) => sum + weights[result.id], 0);
+
+  const components = dimensions.map(result => {
+    const weight = result.score === null || !totalWeight ? 0 : Math.round((weights[result.id] / totalWeight) * 1000) / 10;
+    return {
+      ...result,
+      weight,
+      points: result.score === null ? 0 : Math.round(result.score * weight) / 100
+    };
+  });
+
+  return {
+    score: totalWeight
+      ? Math.round(applicable.reduce((sum, result) => sum + result.score * weights[result.id], 0) / totalWeight)
+      : 0,
+    components
+  };
+}
+
+/**
+ * Break the rule-based alignment score down by requirement group
+ * @param {Object} alignment - Rule-based alignment
+ * @returns {Object} - { score, components: [{ id, label, score, weight, points, evidence }] }
+ */
+function alignmentBreakdown(alignment) {
+  const dimensions = Object.keys(ALIGNMENT_WEIGHTS).map(key => {
+    const coverage = alignment.coverage[key];
+    return {
+      id: key,
+      label: key.charAt(0).toUpperCase() + key.slice(1),
+      score: coverage == null ? null : Math.round(coverage * 100),
+      evidence: [coverage == null ? `No ${key} required; not scored.` : describeCoverage(alignment, key)]
+    };
+  });
+  const weights = Object.fromEntries(Object.entries(ALIGNMENT_WEIGHTS).map(([key, weight]) => [key, weight * 100]));
+
+  return { ...combine(dimensions, weights), score: alignment.alignmentScore };
+}
+
+/**
+ * Score a CV with the rubric for the talent's career stage
+ * @param {Object} params
+ * @param {Object} params.talent - Talent profile data
+ * @param {Object|null} params.careerPath - Career path data
+ * @param {Object} params.parsedCV - Normalized résumé
+ * @param {string} params.cvText - Extracted CV text
+ * @param {Object|null} params.alignment - Rule-based career path alignment from computeCareerPathAlignment
+ * @returns {Object} - Score breakdown { rubricVersion, careerStage, overall, marketability, alignment }
+ */
+function scoreCV({ talent, careerPath, parsedCV, cvText, alignment }) {
+  const careerStage = resolveCareerStage(talent.careerStage);
+  const stage = CAREER_STAGES[careerStage.stage];
+  const keywords = careerPath
+    ? [...(careerPath.requiredSkills || []), ...(careerPath.toolsAndTechnologies || [])].filter(Boolean)
+    : [];
+  const bullets = collectBullets(parsedCV).filter(bullet => bullet.section === 'work' || bullet.section === 'projects');
+
+  const dimensions = [
+    scoreExperience(parsedCV, keywords, stage),
+    scoreSkills(parsedCV, cvText, alignment, stage),
+    scoreImpact(bullets, stage),
+    scoreEducation(parsedCV, alignment, stage),
+    scoreCertifications(parsedCV, cvText, alignment),
+    scorePresentation(parsedCV, bullets)
+  ];
+
+  return {
+    rubricVersion: RUBRIC_VERSION,
+    careerStage,
+    overall: combine(dimensions, stage.weights),
+    marketability: combine(dimensions, MARKETABILITY_WEIGHTS),
+    alignment: alignment ? alignmentBreakdown(alignment) : null
+  };
+}
+
+module.exports = {
+  RUBRIC_VERSION,
+  DIMENSIONS,
+  CAREER_STAGES,
+  MARKETABILITY_WEIGHTS,
+  resolveCareerStage,
+  scoreCV
+};
@@ -0,0 +1,445 @@
+/**
+ * Model Output Schemas
+ *
+ * Formal JSON Schemas for the structured results returned by the model (CV analysis,
+ * job requirements, job match commentary, bullet rewrites, application documents), together with:
+ *   - a string-aware JSON extractor for model responses,
+ *   - type coercion for common model mistakes (scores as strings, single strings instead of arrays),
+ *   - a small validator covering the JSON Schema keywords used here,
+ *   - conversion to the OpenAPI subset accepted by Gemini's `responseSchema`,
+ *     and to plain JSON Schema for OpenAI-compatible `response_format`.
+ */
+
+const stringArray = (minItems = 0) => ({
+  type: 'array',
+  items: { type: 'string' },
+  minItems
+});
+
+const score = {
+  type: 'integer',
+  minimum: 0,
+  maximum: 100
+};
+
+const ANALYSIS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'cv-analysis.schema.json',
+  title: 'CV Analysis',
+  type: 'object',
+  required: ['overallScore', 'strengths', 'weaknesses', 'profileVsCvGaps', 'recommendations', 'nextSteps', 'marketability'],
+  properties: {
+    overallScore: score,
+    strengths: stringArray(1),
+    weaknesses: stringArray(1),
+    profileVsCvGaps: {
+      type: 'object',
+      required: ['missingFromCV', 'missingFromProfile', 'inconsistencies'],
+      properties: {
+        missingFromCV: stringArray(),
+        missingFromProfile: stringArray(),
+        inconsistencies: stringArray()
+      }
+    },
+    careerPathAlignment: {
+      type: 'object',
+      required: ['alignmentScore', 'relevantExperience', 'additionalRequirements'],
+      properties: {
+        alignmentScore: score,
+        matchingSkills: stringArray(),
+        missingSkills: stringArray(),
+        matchingCertifications: stringArray(),
+        missingCertifications: stringArray(),
+        relevantExperience: stringArray(),
+        additionalRequirements: stringArray()
+      }
+    },
+    recommendations: stringArray(1),
+    nextSteps: stringArray(1),
+    marketability: {
+      type: 'object',
+      required: ['score', 'summary', 'competitiveAdvantages', 'improvementAreas'],
+      properties: {
+        score,
+        summary: { type: 'string', minLength: 1 },
+        competitiveAdvantages: stringArray(),
+        improvementAreas: stringArray()
+      }
+    }
+  }
+};
+
+const JOB_REQUIREMENTS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'job-requirements.schema.json',
+  title: 'Job Requirements',
+  type: 'object',
+  required: ['mustHaveSkills', 'niceToHaveSkills', 'requiredCertifications', 'preferredCertifications', 'degrees', 'keywords'],
+  properties: {
+    title: { type: 'string' },
+    mustHaveSkills: stringArray(),
+    niceToHaveSkills: stringArray(),
+    requiredCertifications: stringArray(),
+    preferredCertifications: stringArray(),
+    degrees: stringArray(),
+    minYearsExperience: { type: 'integer', minimum: 0, maximum: 50, nullable: true },
+    responsibilities: stringArray(),
+    keywords: stringArray()
+  }
+};
+
+const JOB_MATCH_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'job-match.schema.json',
+  title: 'Job Match Commentary',
+  type: 'object',
+  required: ['tailoredBullets', 'relevantExperience', 'additionalRequirements'],
+  properties: {
+    tailoredBullets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['suggested', 'targetKeywords'],
+        properties: {
+          original: { type: 'string', nullable: true },
+          suggested: { type: 'string', minLength: 1 },
+          targetKeywords: stringArray()
+        }
+      }
+    },
+    relevantExperience: stringArray(),
+    additionalRequirements: stringArray()
+  }
+};
+
+const BULLET_REWRITE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'bullet-rewrite.schema.json',
+  title: 'Bullet Rewrites',
+  type: 'object',
+  required: ['rewrites'],
+  properties: {
+    rewrites: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'suggested', 'reason', 'targetKeywords'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          suggested: { type: 'string', minLength: 1 },
+          reason: { type: 'string', minLength: 1 },
+          targetKeywords: stringArray()
+        }
+      }
+    }
+  }
+};
+
+const APPLICATION_DOCUMENTS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'application-documents.schema.json',
+  title: 'Application Documents',
+  type: 'object',
+  required: ['coverLetter', 'cv'],
+  properties: {
+    coverLetter: {
+      type: 'object',
+      required: ['subject', 'greeting', 'paragraphs', 'closing'],
+      properties: {
+        subject: { type: 'string', minLength: 1 },
+        greeting: { type: 'string', minLength: 1 },
+        paragraphs: stringArray(2),
+        closing: { type: 'string', minLength: 1 }
+      }
+    },
+    cv: {
+      type: 'object',
+      required: ['headline', 'summary', 'work', 'skills'],
+      properties: {
+        headline: { type: 'string', minLength: 1 },
+        summary: { type: 'string', minLength: 1 },
+        work: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['index', 'highlights'],
+            properties: {
+              index: { type: 'integer', minimum: 0 },
+              highlights: stringArray(1)
+            }
+          }
+        },
+        skills: stringArray(1)
+      }
+    },
+    targetKeywords: stringArray()
+  }
+};
+
+// Keywords understood by Gemini's responseSchema (an OpenAPI 3.0 subset)
+const GEMINI_SCHEMA_KEYWORDS = new Set(['type', 'format', 'description', 'nullable', 'items', 'enum', 'properties', 'required']);
+
+/**
+ * Convert a JSON Schema into the subset accepted by Gemini's `responseSchema`
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const result = {};
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYWORDS.has(keyword)) continue;
+
+    if (keyword === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, propertySchema]) => [name, toGeminiSchema(propertySchema)])
+      );
+    } else if (keyword === 'items') {
+      result.items = toGeminiSchema(value);
+    } else {
+      result[keyword] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert a schema into plain JSON Schema for OpenAI-style `response_format`:
+ * `nullable` becomes a union with 'null' and the draft metadata keywords are dropped
+ * @param {Object} schema - JSON Schema (with OpenAPI `nullable`)
+ * @returns {Object} - Plain JSON Schema
+ */
+function toJSONSchema(schema) {
+  const result = {};
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (keyword === '$schema' || keyword === '$id' || keyword === 'nullable') continue;
+
+    if (keyword === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, propertySchema]) => [name, toJSONSchema(propertySchema)])
+      );
+    } else if (keyword === 'items') {
+      result.items = toJSONSchema(value);
+    } else {
+      result[keyword] = value;
+    }
+  }
+
+  if (schema.nullable && schema.type) {
+    result.type = [schema.type, 'null'];
+  }
+
+  return result;
+}
+
+/**
+ * Extract the outermost JSON object from a model response and repair common syntax issues.
+ * Unlike plain regex replacement, string contents (apostrophes, colons, newlines) are left intact.
+ * @param {string} text - Raw AI response text
+ * @returns {string} - JSON string
+ */
+function extractJSON(text) {
+  const withoutFences = String(text || '').replace(/```(?:json)?/gi, '');
+  const startIndex = withoutFences.indexOf('{');
+  const lastIndex = withoutFences.lastIndexOf('}');
+
+  if (startIndex === -1 || lastIndex === -1 || startIndex >= lastIndex) {
+    throw new Error('No valid JSON object found in response');
+  }
+
+  const source = withoutFences.substring(startIndex, lastIndex + 1);
+  let output = '';
+  let inString = false;
+  let quote = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (char === '\\') {
+        output += char + (source[i + 1] || '');
+        i++;
+      } else if (char === quote) {
+        output += '"';
+        inString = false;
+      } else if (char === '"' && quote === "'") {
+        output += '\\"';
+      } else if (char === '\n') {
+        output += '\\n';
+      } else if (char === '\r' || char === '\t') {
+        output += ' ';
+      } else {
+        output += char;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      inString = true;
+      quote = char;
+      output += '"';
+    } else if (char === ',') {
+      // Drop trailing commas before a closing bracket
+      const next = source.slice(i + 1).match(/^\s*(.)/);
+      if (!next || (next[1] !== '}' && next[1] !== ']')) {
+        output += char;
+      }
+    } else if (/[A-Za-z_$]/.test(char) && /[{,]\s*$/.test(output)) {
+      // Quote bare object keys
+      const key = source.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+      const after = source.slice(i + key.length).match(/^\s*:/);
+      output += after ? `"${key}"` : key;
+      i += key.length - 1;
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Parse a model response into an object
+ * @param {string} text - Raw AI response text
+ * @returns {Object} - Parsed object
+ */
+function parseModelJSON(text) {
+  try {
+    return JSON.parse(String(text).trim());
+  } catch (directError) {
+    try {
+      return JSON.parse(extractJSON(text));
+    } catch (error) {
+      throw new Error(`Failed to parse JSON: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Coerce a value towards a schema: numeric strings to numbers, scalars to arrays, etc.
+ * @param {*} value - Value to coerce
+ * @param {Object} schema - JSON Schema
+ * @returns {*} - Coerced value (invalid values are returned unchanged for the validator to report)
+ */
+function coerceToSchema(value, schema) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      let number = value;
+      if (typeof value === 'string') {
+        // "85", "85%", "85/100"
+        const match = value.match(/-?\d+(?:\.\d+)?/);
+        number = match ? Number(match[0]) : value;
+      }
+      if (typeof number !== 'number' || Number.isNaN(number)) {
+        return value;
+      }
+      if (schema.type === 'integer') number = Math.round(number);
+      if (schema.minimum !== undefined) number = Math.max(schema.minimum, number);
+      if (schema.maximum !== undefined) number = Math.min(schema.maximum, number);
+      return number;
+    }
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      if (typeof value === 'string') return value.trim();
+      return value;
+    case 'array': {
+      if (value === null || value === undefined) return [];
+      const items = Array.isArray(value) ? value : [value];
+      return items
+        .map(item => (schema.items ? coerceToSchema(item, schema.items) : item))
+        .filter(item => item !== '' && item !== null && item !== undefined);
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+      const result = { ...value };
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        if (name in result) {
+          result[name] = coerceToSchema(result[name], propertySchema);
+        } else if (propertySchema.type === 'array' && (schema.required || []).includes(name)) {
+          result[name] = [];
+        }
+      }
+      return result;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (type, required, properties, items, minimum, maximum, minItems, minLength)
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (value === null && schema.nullable) {
+    return errors;
+  }
+
+  const typeMatches = schema.type === 'integer'
+    ? Number.isInteger(value)
+    : schema.type === 'number'
+      ? typeof value === 'number' && !Number.isNaN(value)
+      : actualType === schema.type;
+
+  if (schema.type && !typeMatches) {
+    errors.push(`${path}: expected ${schema.type}, got ${actualType}`);
+    return errors;
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name}: is required`);
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        errors.push(...validateSchema(value[name], propertySchema, `${path}.${name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  JOB_REQUIREMENTS_SCHEMA,
+  JOB_MATCH_SCHEMA,
+  BULLET_REWRITE_SCHEMA,
+  APPLICATION_DOCUMENTS_SCHEMA,
+  toGeminiSchema,
+  toJSONSchema,
+  extractJSON,
+  parseModelJSON,
+  coerceToSchema,
+  validateSchema
+};
@@ -0,0 +1,197 @@
+/**
+ * Profile Sync
+ *
+ * Turns what the CV shows but the profile lacks into machine-applicable patches
+ * to the `talents` document: skills, certifications and degrees to add, each mapped
+ * to its canonical taxonomy name and backed by the CV line it was found on.
+ *
+ * Patch ids are derived from the field and canonical value, so the same CV always
+ * yields the same ids, and applying a patch whose value is already on the profile
+ * is a no-op - applying the same patches twice leaves the document unchanged.
+ */
+
+const {
+  TAXONOMY_VERSION,
+  normalizeTerm,
+  resolveTerm,
+  findMentions,
+  mentionsTerm
+} = require('./matching');
+
+const SYNC_FIELDS = ['skills', 'certifications', 'degrees'];
+
+// Degree levels as written in CVs -> the short form used on profiles (more specific forms first)
+const DEGREE_LEVELS = [
+  { name: 'PhD', pattern: /^(?:ph\.?\s?d\.?|doctorate|doctor\s+of\s+philosophy)(?![a-z])/i },
+  { name: 'MBA', pattern: /^(?:mba|master(?:'s)?\s+(?:of\s+)?business\s+administration)(?![a-z])/i },
+  { name: 'MEng', pattern: /^(?:m\.?\s?eng|master(?:'s)?\s+(?:of\s+)?engineering)(?![a-z])/i },
+  { name: 'MA', pattern: /^(?:m\.?a\.?|master(?:'s)?\s+(?:of\s+)?arts)(?![a-z])/i },
+  { name: 'MSc', pattern: /^(?:m\.?\s?sc|m\.?s\.?|master(?:'s)?(?:\s+(?:of\s+)?science)?)(?![a-z])/i },
+  { name: 'BEng', pattern: /^(?:b\.?\s?eng|bachelor(?:'s)?\s+(?:of\s+)?engineering)(?![a-z])/i },
+  { name: 'BTech', pattern: /^(?:b\.?\s?tech|bachelor(?:'s)?\s+(?:of\s+)?technology)(?![a-z])/i },
+  { name: 'BCom', pattern: /^(?:b\.?\s?com|bachelor(?:'s)?\s+(?:of\s+)?commerce)(?![a-z])/i },
+  { name: 'BA', pattern: /^(?:b\.?a\.?|bachelor(?:'s)?\s+(?:of\s+)?arts)(?![a-z])/i },
+  { name: 'BSc', pattern: /^(?:b\.?\s?sc|b\.?s\.?|bachelor(?:'s)?(?:\s+(?:of\s+)?science)?)(?![a-z])/i },
+  { name: 'HND', pattern: /^(?:hnd|higher\s+national\s+diploma)(?![a-z])/i }
+];
+
+/**
+ * Rewrite a degree in its canonical profile form ("Bachelor of Science in Computer Science" -> "BSc Computer Science")
+ * @param {string} text - Degree as written
+ * @returns {string} - Canonical degree
+ */
+function canonicalDegree(text) {
+  const degree = String(text || '').trim();
+
+  for (const level of DEGREE_LEVELS) {
+    const match = degree.match(level.pattern);
+    if (match) {
+      const field = degree.slice(match[0].length).replace(/^[\s.,:-]*(?:(?:in|of)\s+)?/i, '').trim();
+      return field ? `${level.name} ${field}` : level.name;
+    }
+  }
+
+  return degree;
+}
+
+/**
+ * Find the CV line that best evidences a term
+ * @param {string[]} lines - CV lines
+ * @param {Function} matches - Predicate over a line
+ * @param {string} fallback - Evidence used when no line matches
+ * @returns {string} - Evidence text
+ */
+function findEvidence(lines, matches, fallback) {
+  const line = lines.find(matches);
+  return line ? line.replace(/^[-•*▪●◦‣·–]\s*/, '').slice(0, 200) : fallback;
+}
+
+/**
+ * Create a patch
+ * @param {string} field - Talent field
+ * @param {string} value - Canonical value to add
+ * @param {Object} details - { original, evidence, source, known }
+ * @returns {Object} - Patch
+ */
+function createPatch(field, value, { original, evidence, source, known }) {
+  return {
+    id: `${field}:${normalizeTerm(value)}`,
+    op: 'add',
+    field,
+    value,
+    original,
+    evidence,
+    source,
+    known
+  };
+}
+
+/**
+ * Check whether a profile already holds a value (by canonical identity, not spelling)
+ * @param {Object} talent - Talent profile data
+ * @param {string} field - 'skills', 'certifications' or 'degrees'
+ * @param {string} value - Value
+ * @returns {boolean}
+ */
+function profileHasValue(talent, field, value) {
+  const current = (talent[field] || []).filter(Boolean);
+
+  if (field === 'degrees') {
+    const key = normalizeTerm(canonicalDegree(value));
+    return current.some(term => normalizeTerm(canonicalDegree(term)) === key);
+  }
+
+  const id = resolveTerm(value, field).id;
+  return current.some(term => resolveTerm(term, field).id === id);
+}
+
+/**
+ * Build the patches that would bring a talent's profile in line with their CV
+ * @param {Object} params
+ * @param {Object} params.talent - Talent profile data
+ * @param {Object} params.parsedCV - Normalized résumé
+ * @param {string} params.cvText - Extracted CV text
+ * @returns {Object} - { patches, taxonomyVersion }
+ */
+function buildProfilePatches({ talent, parsedCV, cvText }) {
+  const lines = String(cvText || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const patches = new Map();
+
+  const add = (field, term, source, matches) => {
+    const kind = field === 'degrees' ? null : field;
+    const resolved = kind ? resolveTerm(term, kind) : { name: term, known: false };
+    const value = resolved.name;
+    const patch = createPatch(field, value, {
+      original: String(term).trim(),
+      evidence: findEvidence(lines, matches || (line => mentionsTerm(line, term)), String(term).trim()),
+      source,
+      known: resolved.known
+    });
+
+    if (!patches.has(patch.id) && !profileHasValue(talent, field, value)) {
+      patches.set(patch.id, patch);
+    }
+  };
+
+  for (const skill of parsedCV?.skills || []) {
+    add('skills', skill, 'skills-section');
+  }
+  for (const name of findMentions(cvText, 'skills')) {
+    add('skills', name, 'cv-text', line => findMentions(line, 'skills', { requireContext: false }).includes(name));
+  }
+
+  for (const certification of parsedCV?.certifications || []) {
+    add('certifications', certification.name, 'certifications-section');
+  }
+  for (const name of findMentions(cvText, 'certifications')) {
+    add('certifications', name, 'cv-text', line => findMentions(line, 'certifications').includes(name));
+  }
+
+  for (const entry of parsedCV?.education || []) {
+    if (entry.degree) {
+      const degree = canonicalDegree([entry.degree, entry.field].filter(Boolean).join(' '));
+      add('degrees', degree, 'education-section', line => mentionsTerm(line, entry.degree));
+    }
+  }
+
+  return {
+    patches: [...patches.values()],
+    taxonomyVersion: TAXONOMY_VERSION
+  };
+}
+
+/**
+ * Apply accepted patches to a talent's profile fields
+ * @param {Object} talent - Talent profile data
+ * @param {Object[]} patches - Patches from buildProfilePatches
+ * @returns {Object} - { changes (fields to write, only those that changed), applied, skipped }
+ */
+function applyProfilePatches(talent, patches) {
+  const fields = Object.fromEntries(SYNC_FIELDS.map(field => [field, [...(talent[field] || [])]]));
+  const applied = [];
+  const skipped = [];
+
+  for (const patch of patches) {
+    if (patch.op !== 'add' || !SYNC_FIELDS.includes(patch.field)) {
+      skipped.push({ id: patch.id, reason: 'unsupported' });
+    } else if (profileHasValue(fields, patch.field, patch.value)) {
+      skipped.push({ id: patch.id, reason: 'already-present' });
+    } else {
+      fields[patch.field].push(patch.value);
+      applied.push(patch.id);
+    }
+  }
+
+  const changes = Object.fromEntries(SYNC_FIELDS
+    .filter(field => fields[field].length !== (talent[field] || []).length)
+    .map(field => [field, fields[field]]));
+
+  return { changes, applied, skipped };
+}
+
+module.exports = {
+  SYNC_FIELDS,
+  canonicalDegree,
+  buildProfilePatches,
+  applyProfilePatches
+};
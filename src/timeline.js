@@ -0,0 +1,304 @@
+/**
+ * Experience Timeline
+ *
+ * Orders the dated work and education entries of a parsed CV and reasons about them:
+ *   - total years of experience (concurrent roles counted once) and relevant years
+ *     (roles that use the career path's skills or tools)
+ *   - employment gaps of GAP_THRESHOLD_MONTHS or more (time in education is not a gap)
+ *   - roles that overlap for more than OVERLAP_THRESHOLD_MONTHS
+ *   - date errors: end before start, dates in the future, roles without dates
+ *   - a seniority level inferred from job titles (or years), compared with `talent.careerStage`
+ *
+ * Year-only dates ("2019") are read as January when they start a period and December when
+ * they end one, so gaps are never overstated; overlaps of a year or less between year-only
+ * dates are ignored for the same reason.
+ */
+
+const { toMonthIndex, countExperienceMonths } = require('./dates');
+const { mentionsTerm } = require('./matching');
+const { resolveCareerStage } = require('./rubric');
+
+const GAP_THRESHOLD_MONTHS = 6;
+const OVERLAP_THRESHOLD_MONTHS = 2;
+
+// Seniority levels, lowest first, with the rubric stage each corresponds to
+const SENIORITY_LEVELS = ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'];
+const SENIORITY_STAGES = { entry: 'early', junior: 'early', mid: 'mid', senior: 'senior', lead: 'senior', executive: 'senior' };
+
+// Job title signals, most senior first (English, French, Portuguese)
+const TITLE_LEVELS = [
+  { level: 'executive', pattern: /\b(?:chief|c[etfoi]o|vp|vice[\s-]president|director|head\s+of|directeur|directrice|diretor|diretora|founder|co-?founder)\b/i },
+  { level: 'lead', pattern: /\b(?:lead|principal|staff|manager|responsable|chef|cheffe|gerente|coordenador|coordenadora|supervisor)\b/i },
+  { level: 'senior', pattern: /\b(?:senior|sr\.?|s[eé]nior|architect|confirm[eé]e?|pleno)\b/i },
+  { level: 'junior', pattern: /\b(?:junior|jr\.?|j[uú]nior|assistant|assistante|associate|graduate|d[eé]butant)\b/i },
+  { level: 'entry', pattern: /\b(?:intern|internship|trainee|apprentice|stagiaire|stage|alternant|estagi[aá]ri[oa]|aprendiz)\b/i }
+];
+
+/**
+ * Infer a seniority level from years of experience alone
+ * @param {number} years - Years of experience
+ * @returns {string} - SENIORITY_LEVELS value
+ */
+function levelFromYears(years) {
+  if (years < 1) return 'entry';
+  if (years < 3) return 'junior';
+  if (years < 6) return 'mid';
+  if (years < 10) return 'senior';
+  return 'lead';
+}
+
+/**
+ * Infer a seniority level from a job title
+ * @param {string|null} title - Job title
+ * @returns {string|null} - SENIORITY_LEVELS value, or null when the title carries no signal
+ */
+function levelFromTitle(title) {
+  const match = TITLE_LEVELS.find(({ pattern }) => pattern.test(title || ''));
+  return match ? match.level : null;
+}
+
+/**
+ * Check whether a role uses any of a set of skills or tools
+ * @param {Object} job - Parsed work entry
+ * @param {string[]} keywords - Skills and tools
+ * @returns {boolean}
+ */
+function usesKeywords(job, keywords) {
+  const text = [job.position, job.summary, ...(job.highlights || [])].filter(Boolean).join('\n');
+  return keywords.some(keyword => mentionsTerm(text, keyword));
+}
+
+/**
+ * Format a month index as an ISO 8601 partial date
+ * @param {number} index - Month index from toMonthIndex
+ * @returns {string} - "YYYY-MM"
+ */
+function fromMonthIndex(index) {
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Turn a parsed work or education entry into a timeline entry
+ * @param {Object} entry - Parsed entry
+ * @param {string} type - 'work' or 'education'
+ * @param {number} currentMonth - Month index of today
+ * @returns {Object} - Timeline entry with its month range (start and end are null when unknown)
+ */
+function toTimelineEntry(entry, type, currentMonth) {
+  const start = toMonthIndex(entry.startDate);
+  const end = entry.isCurrent ? currentMonth : toMonthIndex(entry.endDate, true);
+
+  return {
+    type,
+    title: type === 'work' ? entry.position || null : [entry.degree, entry.field].filter(Boolean).join(' ') || null,
+    organization: type === 'work' ? entry.company || null : entry.institution || null,
+    startDate: entry.startDate || null,
+    endDate: entry.endDate || null,
+    isCurrent: Boolean(entry.isCurrent),
+    months: start !== null && end !== null && end >= start ? end - start + 1 : null,
+    start,
+    end,
+    yearOnly: /^\d{4}$/.test(entry.startDate || '') || /^\d{4}$/.test(entry.endDate || '')
+  };
+}
+
+/**
+ * Describe a timeline entry ("Analyst at Acme")
+ * @param {Object} entry - Timeline entry
+ * @returns {string} - Label
+ */
+function describeEntry(entry) {
+  return [entry.title, entry.organization].filter(Boolean).join(entry.type === 'work' ? ' at ' : ', ') || 'Untitled entry';
+}
+
+/**
+ * Find dating mistakes
+ * @param {Object[]} entries - Timeline entries
+ * @param {number} currentMonth - Month index of today
+ * @returns {Object[]} - { entry, issue, message }
+ */
+function findDateErrors(entries, currentMonth) {
+  const errors = [];
+  const add = (entry, issue, message) => errors.push({ entry: describeEntry(entry), issue, message });
+
+  for (const entry of entries) {
+    if (entry.start !== null && entry.end !== null && entry.end < entry.start) {
+      add(entry, 'end-before-start', `Ends (${entry.endDate}) before it starts (${entry.startDate}).`);
+    } else if (!entry.isCurrent && entry.end !== null && entry.end > currentMonth && entry.type === 'work') {
+      add(entry, 'future-date', `Ends in the future (${entry.endDate}) without being marked as current.`);
+    }
+    if (entry.start !== null && entry.start > currentMonth) {
+      add(entry, 'future-date', `Starts in the future (${entry.startDate}).`);
+    }
+    if (entry.type === 'work' && entry.start === null) {
+      add(entry, 'missing-dates', entry.end === null ? 'Has no dates.' : 'Has an end date but no start date.');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Find employment gaps, treating time in education as covered
+ * @param {Object[]} work - Dated work entries
+ * @param {Object[]} education - Dated education entries
+ * @param {number} currentMonth - Month index of today
+ * @returns {Object[]} - { startDate, endDate (null while ongoing), months, after, before }
+ */
+function findGaps(work, education, currentMonth) {
+  const periods = [...work, ...education].sort((a, b) => a.start - b.start);
+  const gaps = [];
+  let coveredUntil = null;
+  let previous = null;
+
+  for (const period of periods) {
+    if (coveredUntil !== null && period.start - coveredUntil - 1 >= GAP_THRESHOLD_MONTHS && period.type === 'work') {
+      gaps.push({
+        startDate: fromMonthIndex(coveredUntil + 1),
+        endDate: fromMonthIndex(period.start - 1),
+        months: period.start - coveredUntil - 1,
+        after: describeEntry(previous),
+        before: describeEntry(period)
+      });
+    }
+    if (coveredUntil === null || period.end > coveredUntil) {
+      coveredUntil = period.end;
+      previous = period;
+    }
+  }
+
+  // Time since the last role, when nothing is current
+  if (work.length && coveredUntil !== null && currentMonth - coveredUntil >= GAP_THRESHOLD_MONTHS) {
+    gaps.push({
+      startDate: fromMonthIndex(coveredUntil + 1),
+      endDate: null,
+      months: currentMonth - coveredUntil,
+      after: describeEntry(previous),
+      before: null
+    });
+  }
+
+  return gaps;
+}
+
+/**
+ * Find roles that overlap
+ * @param {Object[]} work - Dated work entries
+ * @returns {Object[]} - { startDate, endDate, months, entries }
+ */
+function findOverlaps(work) {
+  const overlaps = [];
+
+  work.forEach((first, index) => {
+    for (const second of work.slice(index + 1)) {
+      const start = Math.max(first.start, second.start);
+      const end = Math.min(first.end, second.end);
+      const months = end - start + 1;
+      const threshold = first.yearOnly || second.yearOnly ? 12 : OVERLAP_THRESHOLD_MONTHS;
+      if (months > threshold) {
+        overlaps.push({
+          startDate: fromMonthIndex(start),
+          endDate: first.isCurrent && second.isCurrent ? null : fromMonthIndex(end),
+          months,
+          entries: [describeEntry(first), describeEntry(second)]
+        });
+      }
+    }
+  });
+
+  return overlaps;
+}
+
+/**
+ * Infer the candidate's seniority and compare it with their profile's career stage
+ * @param {Object[]} work - Timeline work entries, most recent first
+ * @param {number} years - Total years of experience
+ * @param {string|null} careerStage - `talent.careerStage`
+ * @returns {Object} - { level, basis, evidence, profileStage, inferredStage, consistent, message }
+ */
+function assessSeniority(work, years, careerStage) {
+  const latest = work[0] || null;
+  const titleLevel = latest ? levelFromTitle(latest.title) : null;
+  const yearsLevel = levelFromYears(years);
+  const level = titleLevel || yearsLevel;
+  const evidence = titleLevel
+    ? `Most recent title "${latest.title}" reads as ${titleLevel}; ${Math.round(years * 10) / 10} years of experience read as ${yearsLevel}.`
+    : `${Math.round(years * 10) / 10} years of experience read as ${yearsLevel}.`;
+
+  const profile = resolveCareerStage(careerStage);
+  const inferredStage = SENIORITY_STAGES[level];
+  let consistent = null;
+  let message;
+
+  if (!profile.recognized) {
+    message = careerStage
+      ? `The profile's career stage "${careerStage}" could not be compared.`
+      : 'The profile has no career stage to compare with.';
+  } else if (profile.stage === 'changer') {
+    message = 'The profile is a career changer, so seniority in previous roles is not compared.';
+  } else {
+    consistent = profile.stage === inferredStage;
+    message = consistent
+      ? `The CV reads as ${level}, consistent with the profile's career stage (${careerStage}).`
+      : `The CV reads as ${level}, but the profile's career stage is ${careerStage} (${profile.label.toLowerCase()}).`;
+  }
+
+  return {
+    level,
+    basis: titleLevel ? 'title' : 'years',
+    evidence,
+    profileStage: profile.recognized ? profile.stage : null,
+    inferredStage,
+    consistent,
+    message
+  };
+}
+
+/**
+ * Build the experience timeline of a parsed CV
+ * @param {Object} params
+ * @param {Object} params.parsedCV - Normalized résumé
+ * @param {Object} [params.talent] - Talent profile data (for careerStage)
+ * @param {Object|null} [params.careerPath] - Career path data (for relevant experience)
+ * @param {Date} [params.now] - Current date
+ * @returns {Object} - Timeline { entries, totalYears, relevantYears, gaps, overlaps, dateErrors, seniority }
+ */
+function buildTimeline({ parsedCV, talent = {}, careerPath = null, now = new Date() }) {
+  const currentMonth = now.getFullYear() * 12 + now.getMonth();
+  const work = (parsedCV.work || []).map(entry => toTimelineEntry(entry, 'work', currentMonth));
+  const education = (parsedCV.education || []).map(entry => toTimelineEntry(entry, 'education', currentMonth));
+  const isValid = entry => entry.months !== null && entry.start <= currentMonth;
+
+  const keywords = careerPath
+    ? [...(careerPath.requiredSkills || []), ...(careerPath.toolsAndTechnologies || [])].filter(Boolean)
+    : [];
+  const relevantWork = keywords.length ? (parsedCV.work || []).filter(job => usesKeywords(job, keywords)) : [];
+
+  const validWork = work.filter(isValid);
+  const totalYears = countExperienceMonths(parsedCV.work, now) / 12;
+  const byRecency = [...work].sort((a, b) => (b.isCurrent - a.isCurrent) || ((b.end ?? -1) - (a.end ?? -1)));
+
+  const round = value => Math.round(value * 10) / 10;
+  const strip = ({ start, end, yearOnly, ...entry }) => entry;
+
+  return {
+    entries: [...work, ...education]
+      .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity))
+      .map(strip),
+    totalYears: round(totalYears),
+    relevantYears: keywords.length ? round(countExperienceMonths(relevantWork, now) / 12) : null,
+    gaps: findGaps(validWork, education.filter(isValid), currentMonth),
+    overlaps: findOverlaps(validWork),
+    dateErrors: findDateErrors([...work, ...education], currentMonth),
+    seniority: assessSeniority(byRecency, totalYears, talent.careerStage)
+  };
+}
+
+module.exports = {
+  GAP_THRESHOLD_MONTHS,
+  OVERLAP_THRESHOLD_MONTHS,
+  SENIORITY_LEVELS,
+  levelFromTitle,
+  usesKeywords,
+  buildTimeline
+};
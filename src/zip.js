@@ -0,0 +1,208 @@
+/**
+ * Minimal ZIP reader and writer
+ *
+ * Office Open XML documents (DOCX) are plain ZIP archives. This module reads the
+ * central directory of an in-memory archive and inflates individual entries so
+ * callers can inspect files such as `word/document.xml` without extra dependencies,
+ * and builds new archives from in-memory entries (for generated DOCX files).
+ *
+ * Only the features used by DOCX files are supported: stored (0) and deflated (8)
+ * entries, no encryption, no ZIP64.
+ *
+ * Uploads are untrusted, so an entry is never inflated beyond MAX_ENTRY_SIZE (or its
+ * declared size): a few KB of deflated data can otherwise expand to gigabytes.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Largest entry that is read (the text of a long CV is well under 1 MB)
+const MAX_ENTRY_SIZE = 8 * 1024 * 1024;
+
+// CRC-32 (IEEE 802.3) lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Check whether a buffer starts with the ZIP local file header signature
+ * @param {Buffer} buffer - File buffer
+ * @returns {boolean} - True if the buffer looks like a ZIP archive
+ */
+function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ * @param {Buffer} buffer - ZIP archive buffer
+ * @returns {Map<string, Object>} - Entries keyed by file name
+ */
+function readZipEntries(buffer) {
+  // The end of central directory record sits in the last 22 bytes plus an optional comment (max 64KB)
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let eocdOffset = -1;
+
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocdOffset = i;
+      break;
+    }
+  }
+
+  if (eocdOffset === -1) {
+    throw new Error('Invalid ZIP archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Invalid ZIP archive: corrupt central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, { name, method, compressedSize, uncompressedSize, localHeaderOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read and decompress a single entry from a ZIP archive
+ * @param {Buffer} buffer - ZIP archive buffer
+ * @param {string} name - Entry name (e.g. 'word/document.xml')
+ * @param {Map<string, Object>} [entries] - Previously read entries, to avoid re-parsing
+ * @returns {Buffer|null} - Entry contents, or null if the entry does not exist
+ */
+function readZipEntry(buffer, name, entries = readZipEntries(buffer)) {
+  const entry = entries.get(name);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.uncompressedSize > MAX_ENTRY_SIZE) {
+    throw new Error(`ZIP entry ${name} is too large (${entry.uncompressedSize} bytes, limit ${MAX_ENTRY_SIZE})`);
+  }
+
+  const headerOffset = entry.localHeaderOffset;
+  if (buffer.readUInt32LE(headerOffset) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Invalid ZIP archive: corrupt local header for ${name}`);
+  }
+
+  const nameLength = buffer.readUInt16LE(headerOffset + 26);
+  const extraLength = buffer.readUInt16LE(headerOffset + 28);
+  const dataStart = headerOffset + 30 + nameLength + extraLength;
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  switch (entry.method) {
+    case 0:
+      return Buffer.from(data);
+    case 8:
+      try {
+        // Inflating past the declared size means the entry lies about it
+        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, entry.uncompressedSize) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`ZIP entry ${name} inflates beyond its declared size (${entry.uncompressedSize} bytes)`);
+        }
+        throw error;
+      }
+    default:
+      throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+  }
+}
+
+/**
+ * Compute the CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from in-memory entries (deflated, or stored when deflating does not help)
+ * @param {Object[]} files - { name, data } entries in archive order; data is a Buffer or string
+ * @returns {Buffer} - ZIP archive
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? 8 : 0;
+    const content = method === 8 ? deflated : data;
+    const crc = crc32(data);
+
+    // Version 2.0, UTF-8 names (flag bit 11), fixed DOS timestamp (1980-01-01 00:00)
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(0x21, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(content.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    header.copy(central, 6, 4, 30);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(header, name, content);
+    centralParts.push(central, name);
+    offset += header.length + name.length + content.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, eocd]);
+}
+
+module.exports = {
+  MAX_ENTRY_SIZE,
+  isZip,
+  readZipEntries,
+  readZipEntry,
+  crc32,
+  createZip
+};
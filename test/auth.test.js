@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTalentOwnerId, authorizeTalentAccess } = require('../src/auth');
+
+const config = {
+  databaseId: 'db',
+  talentsCollectionId: 'talents',
+  authorization: { delegateLabels: ['coach'] }
+};
+
+const databasesWith = (...documents) => ({
+  listDocuments: async () => ({ documents, total: documents.length })
+});
+
+const usersWith = accounts => ({
+  get: async userId => {
+    if (!accounts[userId]) {
+      throw Object.assign(new Error('User not found'), { code: 404 });
+    }
+    return accounts[userId];
+  }
+});
+
+const talent = { talentId: 't1', $permissions: ['read("user:owner")', 'write("user:owner")'] };
+const users = usersWith({ owner: { labels: [] }, t1: { labels: [] }, coach: { labels: ['coach'] } });
+
+test('allows the user the talent document grants access to', async () => {
+  const access = await authorizeTalentAccess(databasesWith(talent), users, config, 'owner', 't1');
+  assert.deepStrictEqual(access, { allowed: true, role: 'owner', reason: null });
+});
+
+test('does not treat a user whose ID equals the talent ID as its owner', async () => {
+  const access = await authorizeTalentAccess(databasesWith(talent), users, config, 't1', 't1');
+  assert.strictEqual(access.allowed, false);
+  assert.match(access.reason, /does not own talent t1/);
+});
+
+test('allows delegates on any talent, including missing ones', async () => {
+  assert.strictEqual((await authorizeTalentAccess(databasesWith(talent), users, config, 'coach', 't1')).role, 'delegate');
+  assert.strictEqual((await authorizeTalentAccess(databasesWith(), users, config, 'coach', 't2')).allowed, true);
+});
+
+test('refuses other users and missing talents', async () => {
+  assert.strictEqual((await authorizeTalentAccess(databasesWith(), users, config, 'owner', 't2')).allowed, false);
+  assert.match((await authorizeTalentAccess(databasesWith(talent), users, config, 'ghost', 't1')).reason, /does not exist/);
+});
+
+test('takes the talent owner from its permissions, preferring write access', () => {
+  assert.strictEqual(getTalentOwnerId(talent), 'owner');
+  assert.strictEqual(getTalentOwnerId({ $permissions: ['read("user:coach")', 'write("user:owner")'] }), 'owner');
+  assert.strictEqual(getTalentOwnerId({ $permissions: ['read("user:owner")', 'read("any")'] }), 'owner');
+  assert.strictEqual(getTalentOwnerId({ talentId: 't1', $permissions: ['read("any")', 'write("team:x")'] }), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CSV_COLUMNS, mapWithConcurrencyByKey, toCSV } = require('../src/batch');
+
+test('runs the items of one key in turn and different keys concurrently', async () => {
+  const running = new Map();
+  const overlaps = [];
+  const items = ['a', 'a', 'b', 'a', 'b', 'c'].map((key, index) => ({ key, index }));
+
+  const results = await mapWithConcurrencyByKey(items, item => item.key, 3, async item => {
+    if (running.get(item.key)) overlaps.push(item.key);
+    running.set(item.key, true);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running.set(item.key, false);
+    return `${item.key}${item.index}`;
+  });
+
+  assert.deepStrictEqual(results, ['a0', 'a1', 'b2', 'a3', 'b4', 'c5']);
+  assert.deepStrictEqual(overlaps, []);
+});
+
+test('exports one CSV row per item with RFC 4180 quoting', () => {
+  const csv = toCSV([
+    { index: 0, talentId: 't1', fileName: 'Doe, Jane.pdf', status: 'completed', statusCode: 200, error: null, usedFallback: false, cached: true, overallScore: 72, missingSkills: ['Go', 'AWS'] },
+    { index: 1, talentId: 't2', fileName: 'cv "final".docx', status: 'failed', statusCode: 422, error: 'Line one\nline two' }
+  ]);
+
+  assert.deepStrictEqual(csv.split('\r\n'), [
+    CSV_COLUMNS.join(','),
+    '0,t1,"Doe, Jane.pdf",completed,200,,false,true,72,,,,,Go; AWS,,',
+    '1,t2,"cv ""final"".docx",failed,422,"Line one\nline two",,,,,,,,,,',
+    ''
+  ]);
+});
+
+// The error cell of a one-row export (every other cell is empty, so only its commas surround it)
+const errorCell = error => {
+  const row = toCSV([{ error }]).slice(CSV_COLUMNS.join(',').length + 2);
+  return row.slice(CSV_COLUMNS.indexOf('error'), -(CSV_COLUMNS.length - CSV_COLUMNS.indexOf('error') - 1) - 2);
+};
+
+test('prefixes formula-like cells, including those starting with a tab or carriage return', () => {
+  assert.strictEqual(errorCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.strictEqual(errorCell('+1'), "'+1");
+  assert.strictEqual(errorCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.strictEqual(errorCell('\t=1+1'), "'\t=1+1");
+  assert.strictEqual(errorCell('\r=1+1'), '"\'\r=1+1"');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findMentions, computeCareerPathAlignment } = require('../src/matching');
+
+const talent = { skills: [], certifications: [], degrees: [] };
+const careerPath = { requiredSkills: ['Go', 'R', 'Swift', 'C'], toolsAndTechnologies: [], requiredCertifications: [], suggestedDegrees: [] };
+
+const matchingSkills = cvText => computeCareerPathAlignment({ talent, careerPath, cvText }).matchingSkills;
+
+test('does not match short or common-word skills in prose', () => {
+  assert.deepStrictEqual(matchingSkills([
+    'Experience',
+    'Led Go-to-market strategy for the R&D team',
+    'Swift delivery of the new billing flow in spring 2020',
+    'Plan C was adopted after the pilot'
+  ].join('\n')), []);
+});
+
+test('matches short or common-word skills in the skills section and tool lists', () => {
+  assert.deepStrictEqual(matchingSkills('Experience\nBuilt data pipelines\nSkills\nGo, R, Swift, C\n').sort(), ['C', 'Go', 'R', 'Swift']);
+  assert.deepStrictEqual(findMentions('Experience\nBackend Engineer\nTech stack: Go, PostgreSQL, Docker'), ['Go', 'PostgreSQL', 'Docker']);
+});
+
+test('rejects ambiguous terms joined to other words, even in a skills context', () => {
+  assert.deepStrictEqual(findMentions('Skills\nR&D, Go-to-market, C-level stakeholders'), []);
+  assert.ok(!findMentions('Tools: C++, C#').includes('C'));
+});
+
+test('still matches distinctive skills anywhere in the text', () => {
+  assert.deepStrictEqual(findMentions('Built services in TypeScript and Python on Kubernetes'), ['TypeScript', 'Python', 'Kubernetes']);
+});
+
+test('matches ambiguous terms anywhere when the text is about skills throughout', () => {
+  assert.deepStrictEqual(findMentions('3+ years of Go and R', 'skills', { requireContext: false }), ['Go', 'R']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedactionContext, redactText, redactParsedCV, rehydrate, summarizeRedactions } = require('../src/pii');
+
+test('keeps prose that starts with ID, NI or TIN', () => {
+  const context = createRedactionContext();
+  for (const line of [
+    'ID - Identity governance rollout',
+    'Ni - Nickel plating process engineer',
+    'TIN - Tinplate coating line supervisor',
+    'Product ID - PRD-2024-ALPHA launch'
+  ]) {
+    assert.strictEqual(redactText(context, line), line);
+  }
+  assert.deepStrictEqual(summarizeRedactions(context).redactedCategories, []);
+});
+
+test('does not take labelled reference numbers for phone numbers', () => {
+  const context = createRedactionContext();
+  assert.strictEqual(redactText(context, 'Employee number: 123456789'), 'Employee number: 123456789');
+  assert.strictEqual(redactText(context, 'Phone: +44 20 7946 0958'), 'Phone: [PHONE_1]');
+});
+
+test('removes labelled national identifiers', () => {
+  const context = createRedactionContext();
+  assert.strictEqual(redactText(context, 'Passport No: X1234567 issued 2019'), 'Passport No: [ID REMOVED] issued 2019');
+  assert.strictEqual(redactText(context, 'ID No. 1234567'), 'ID No. [ID REMOVED]');
+  assert.strictEqual(redactText(context, 'NI number: QQ 12 34 56 C'), 'NI number: [ID REMOVED]');
+  assert.strictEqual(redactText(context, 'SSN: 123-45-6789'), 'SSN: [ID REMOVED]');
+});
+
+test('rehydrates redacted values but not removed ones', () => {
+  const context = createRedactionContext();
+  const parsedCV = {
+    basics: { name: 'Jane Doe', email: 'jane@example.com', phone: null, url: null, location: 'Lisbon', profiles: [] },
+    summary: 'Jane Doe, born on 12/03/1990. Contact jane@example.com.'
+  };
+
+  const redacted = redactParsedCV(context, parsedCV);
+  assert.strictEqual(redacted.summary, '[NAME_1], born on [DOB REMOVED]. Contact [EMAIL_1].');
+  assert.strictEqual(redacted.basics.location, 'Lisbon');
+
+  const response = { feedback: 'NAME_1 should list [EMAIL_1] once; [DOB REMOVED] stays out.' };
+  assert.deepStrictEqual(rehydrate(context, response), {
+    feedback: 'Jane Doe should list jane@example.com once; [DOB REMOVED] stays out.'
+  });
+});
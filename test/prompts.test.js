@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadFileTemplates, loadPromptTemplates, selectPrompt, renderPrompt } = require('../src/prompts');
+
+const configWith = pinned => ({ prompts: { source: 'files', refreshMinutes: 5, pinned } });
+
+test('fails to load the registry when a pinned version does not exist', async () => {
+  await assert.rejects(
+    loadPromptTemplates(null, configWith({ analysis: '9.9.9', extraction: '1.0.0' })),
+    /Pinned prompt versions do not exist: analysis@9\.9\.9$/
+  );
+  await assert.rejects(loadPromptTemplates(null, configWith({ summary: '1.0.0' })), /summary@1\.0\.0/);
+});
+
+test('selects pinned versions that exist', async () => {
+  const pinned = { analysis: '1.0.0' };
+  const registry = await loadPromptTemplates(null, configWith(pinned));
+  const { template, assignment } = selectPrompt(registry, 'analysis', 'talent-1', pinned);
+  assert.strictEqual(template.id, 'analysis@1.0.0');
+  assert.strictEqual(assignment, 'pinned');
+});
+
+test('bundles a template for every model prompt', () => {
+  const names = new Set(loadFileTemplates().map(template => template.name));
+  for (const name of ['extraction', 'analysis', 'job-requirements', 'job-match', 'bullet-rewrite', 'generation']) {
+    assert.ok(names.has(name), name);
+  }
+});
+
+test('renders the job match prompt with optional requirements left out', () => {
+  const template = loadFileTemplates().find(candidate => candidate.id === 'job-match@1.0.0');
+  const job = { title: null, mustHaveSkills: ['Go'], niceToHaveSkills: [], certifications: [], degrees: [], minYearsExperience: null, responsibilities: [] };
+  const matching = { matchingSkills: [], missingMustHaves: ['Go'], missingNiceToHaves: [], missingKeywords: [] };
+
+  const text = renderPrompt(template, { cvText: 'CV', locale: null, job, matching });
+  assert.match(text, /\nJOB POSTING:\n- Must-Have Skills: Go\n- Nice-to-Have Skills: None\n/);
+  assert.match(text, /- Minimum Experience: Not specified\n/);
+
+  const titled = renderPrompt(template, { cvText: 'CV', locale: null, job: { ...job, title: 'Backend Engineer', minYearsExperience: 5 }, matching });
+  assert.match(titled, /\nJOB POSTING \(Backend Engineer\):\n/);
+  assert.match(titled, /- Minimum Experience: 5 years\n/);
+});
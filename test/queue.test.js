@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateWebhookUrl, signJobRun, verifyJobRun, claimJob } = require('../src/queue');
+
+const resolveTo = (...addresses) => async () => addresses.map(address => ({ address }));
+
+test('accepts an https webhook on a public address', async () => {
+  assert.strictEqual(await validateWebhookUrl('https://hooks.example.com/jobs', [], resolveTo('93.184.216.34')), null);
+  assert.strictEqual(await validateWebhookUrl('https://[2606:4700::1111]/jobs', []), null);
+});
+
+test('rejects malformed and plain http webhooks', async () => {
+  assert.strictEqual(await validateWebhookUrl('not a url'), 'webhookUrl is not a valid URL');
+  assert.strictEqual(await validateWebhookUrl('http://hooks.example.com/jobs'), 'webhookUrl must use https');
+});
+
+test('rejects webhooks on loopback, private, link-local and metadata addresses', async () => {
+  for (const url of [
+    'https://127.0.0.1/',
+    'https://2130706433/',
+    'https://169.254.169.254/latest/meta-data',
+    'https://10.1.2.3/',
+    'https://172.20.0.1/',
+    'https://192.168.1.1/',
+    'https://100.64.0.1/',
+    'https://[::1]/',
+    'https://[fd00:ec2::254]/',
+    'https://[fe80::1]/',
+    'https://[::ffff:127.0.0.1]/'
+  ]) {
+    assert.strictEqual(await validateWebhookUrl(url), 'webhookUrl must point to a public address', url);
+  }
+});
+
+test('rejects host names that resolve to a private address', async () => {
+  assert.strictEqual(
+    await validateWebhookUrl('https://internal.example.com/', [], resolveTo('93.184.216.34', '10.0.0.5')),
+    'webhookUrl must point to a public address'
+  );
+  assert.strictEqual(
+    await validateWebhookUrl('https://missing.example.com/', [], async () => { throw new Error('ENOTFOUND'); }),
+    'webhookUrl host missing.example.com cannot be resolved'
+  );
+});
+
+test('trusts hosts on the allow-list', async () => {
+  const lookup = async () => { throw new Error('allow-listed hosts are not resolved'); };
+  assert.strictEqual(await validateWebhookUrl('https://hooks.internal/', ['hooks.internal'], lookup), null);
+  assert.strictEqual(await validateWebhookUrl('https://a.hooks.example.org/', ['*.example.org'], lookup), null);
+});
+
+test('accepts only run tokens signed for the job', () => {
+  const token = signJobRun('secret', 'job1');
+  assert.strictEqual(verifyJobRun('secret', 'job1', token), true);
+  assert.strictEqual(verifyJobRun('secret', 'job2', token), false);
+  assert.strictEqual(verifyJobRun('other', 'job1', token), false);
+  assert.strictEqual(verifyJobRun('secret', 'job1', undefined), false);
+  assert.strictEqual(verifyJobRun(null, 'job1', token), false);
+});
+
+/**
+ * In-memory jobs collection
+ * @param {Object} jobs - Job ID -> document
+ * @returns {Object} - Databases service
+ */
+function jobDatabase(jobs) {
+  return {
+    getDocument: async (databaseId, collectionId, jobId) => {
+      if (!jobs[jobId]) throw Object.assign(new Error('Document not found'), { code: 404 });
+      return { ...jobs[jobId] };
+    },
+    updateDocument: async (databaseId, collectionId, jobId, data) => Object.assign(jobs[jobId], data)
+  };
+}
+
+test('lets a single execution claim a queued job', async () => {
+  const databases = jobDatabase({ job1: { $id: 'job1', status: 'queued' } });
+  const config = { databaseId: 'db', jobsCollectionId: 'analysisJobs' };
+
+  const claims = await Promise.all([claimJob(databases, config, 'job1', 5), claimJob(databases, config, 'job1', 5)]);
+  assert.deepStrictEqual(claims.map(claim => claim.claimed).sort(), [false, true]);
+
+  const again = await claimJob(databases, config, 'job1', 5);
+  assert.strictEqual(again.claimed, false);
+  assert.strictEqual(again.document.status, 'running');
+  assert.deepStrictEqual(await claimJob(databases, config, 'missing', 5), { document: null, claimed: false });
+});
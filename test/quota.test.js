@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolvePlan, getPeriods, checkQuota, recordUsage } = require('../src/quota');
+
+const config = {
+  databaseId: 'db',
+  usageCollectionId: 'usageRecords',
+  quota: {
+    defaultPlan: 'free',
+    plans: {
+      free: { day: { requests: 2, tokens: 1000 }, month: { requests: 3, tokens: 5000 } },
+      enterprise: { day: { requests: 200, tokens: null }, month: { requests: null, tokens: null } }
+    }
+  }
+};
+
+/**
+ * In-memory usage collection that evaluates the equal, limit and offset queries
+ * @returns {Object} - Databases service, with its documents on `records` and its queries on `queries`
+ */
+function usageDatabase() {
+  const databases = {
+    records: [],
+    queries: [],
+    listDocuments: async (databaseId, collectionId, queries) => {
+      const parsed = queries.map(query => JSON.parse(query));
+      databases.queries.push(parsed);
+      const matching = databases.records.filter(record => parsed
+        .filter(query => query.method === 'equal')
+        .every(query => query.values.includes(record[query.attribute])));
+      const offset = parsed.find(query => query.method === 'offset')?.values[0] || 0;
+      const limit = parsed.find(query => query.method === 'limit')?.values[0] || 25;
+      return { total: matching.length, documents: matching.slice(offset, offset + limit) };
+    },
+    createDocument: async (databaseId, collectionId, documentId, data) => {
+      databases.records.push({ $id: documentId, ...data });
+      return { $id: documentId, ...data };
+    }
+  };
+  return databases;
+}
+
+const usage = totalTokens => ({ calls: 1, promptTokens: totalTokens, outputTokens: 0, totalTokens, costUsd: 0, steps: {} });
+
+test('resolves the talent plan, or the default plan for unknown plans', () => {
+  assert.strictEqual(resolvePlan(config, { plan: 'enterprise' }).id, 'enterprise');
+  assert.strictEqual(resolvePlan(config, { plan: 'platinum' }).id, 'free');
+  assert.deepStrictEqual(resolvePlan(config, {}).limits, config.quota.plans.free);
+});
+
+test('computes UTC periods and when they reset', () => {
+  assert.deepStrictEqual(getPeriods(new Date('2026-12-31T23:30:00Z')), {
+    day: '2026-12-31',
+    month: '2026-12',
+    resetAt: { day: '2027-01-01T00:00:00.000Z', month: '2027-01-01T00:00:00.000Z' }
+  });
+});
+
+test('refuses a talent over its daily request limit until the day rolls over', async () => {
+  const databases = usageDatabase();
+  const talent = { talentId: 't1' };
+  const morning = new Date('2026-10-18T08:00:00Z');
+
+  assert.strictEqual((await checkQuota(databases, config, talent, morning)).allowed, true);
+  await recordUsage(databases, config, { talentId: 't1', plan: 'free', action: 'analyze', usage: usage(10) }, morning);
+  await recordUsage(databases, config, { talentId: 't1', plan: 'free', action: 'analyze', usage: usage(10) }, morning);
+
+  const refused = await checkQuota(databases, config, talent, morning);
+  assert.strictEqual(refused.allowed, false);
+  assert.deepStrictEqual(refused.exceeded, { period: 'day', limit: 'requests' });
+  assert.strictEqual(refused.resetAt, '2026-10-19T00:00:00.000Z');
+
+  const nextDay = await checkQuota(databases, config, talent, new Date('2026-10-19T08:00:00Z'));
+  assert.strictEqual(nextDay.allowed, true);
+  assert.deepStrictEqual(nextDay.remaining.month, { requests: 1, tokens: 4980 });
+});
+
+test('refuses a talent over its monthly limit until the month rolls over', async () => {
+  const databases = usageDatabase();
+  const talent = { talentId: 't1' };
+  for (const day of ['2026-10-01', '2026-10-02', '2026-10-03']) {
+    await recordUsage(databases, config, { talentId: 't1', plan: 'free', action: 'analyze', usage: usage(10) }, new Date(`${day}T12:00:00Z`));
+  }
+
+  const refused = await checkQuota(databases, config, talent, new Date('2026-10-20T12:00:00Z'));
+  assert.deepStrictEqual(refused.exceeded, { period: 'month', limit: 'requests' });
+  assert.strictEqual(refused.resetAt, '2026-11-01T00:00:00.000Z');
+
+  assert.strictEqual((await checkQuota(databases, config, talent, new Date('2026-11-01T00:00:00Z'))).allowed, true);
+});
+
+test('refuses a talent over its token limit', async () => {
+  const databases = usageDatabase();
+  const now = new Date('2026-10-18T08:00:00Z');
+  await recordUsage(databases, config, { talentId: 't1', plan: 'free', action: 'analyze', usage: usage(1200) }, now);
+
+  const refused = await checkQuota(databases, config, { talentId: 't1' }, now);
+  assert.deepStrictEqual(refused.exceeded, { period: 'day', limit: 'tokens' });
+  assert.strictEqual(refused.remaining.day.tokens, 0);
+});
+
+test('reads only the limited metrics, without paging through every record', async () => {
+  const databases = usageDatabase();
+  const now = new Date('2026-10-18T08:00:00Z');
+  for (let i = 0; i < 150; i++) {
+    databases.records.push({ talentId: 't1', day: '2026-10-18', month: '2026-10', totalTokens: 10 });
+  }
+
+  const quota = await checkQuota(databases, config, { talentId: 't1', plan: 'enterprise' }, now);
+  assert.strictEqual(quota.allowed, true);
+  assert.deepStrictEqual(quota.remaining, { day: { requests: 50, tokens: null }, month: { requests: null, tokens: null } });
+  assert.strictEqual(databases.queries.length, 1);
+  assert.ok(databases.queries[0].some(query => query.method === 'limit' && query.values[0] === 1));
+});
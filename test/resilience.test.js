@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { callWithResilience } = require('../src/resilience');
+
+const policy = { retries: 2, baseDelayMs: 1, maxDelayMs: 1, idempotent: false };
+
+/**
+ * Build an operation that fails with the given errors, then succeeds
+ * @param {Error[]} errors - Errors thrown by the first calls
+ * @returns {Function} - Operation, with its call count on `calls`
+ */
+function failingWith(...errors) {
+  const operation = async () => {
+    operation.calls += 1;
+    if (operation.calls <= errors.length) throw errors[operation.calls - 1];
+    return 'ok';
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+const withCode = code => Object.assign(new Error(code), { code });
+
+test('retries non-idempotent calls when the request was not applied', async () => {
+  for (const error of [withCode('ECONNREFUSED'), withCode(429), Object.assign(new TypeError('fetch failed'), { cause: withCode('EAI_AGAIN') })]) {
+    const operation = failingWith(error);
+    assert.strictEqual(await callWithResilience('db.createDocument', operation, { policy }), 'ok');
+    assert.strictEqual(operation.calls, 2);
+  }
+});
+
+test('does not retry non-idempotent calls that may have been applied', async () => {
+  for (const error of [withCode(503), withCode('ECONNRESET'), new TypeError('fetch failed')]) {
+    const operation = failingWith(error);
+    await assert.rejects(callWithResilience('functions.createExecution', operation, { policy }));
+    assert.strictEqual(operation.calls, 1);
+  }
+});
+
+test('retries idempotent calls on any transient failure', async () => {
+  const operation = failingWith(withCode(503), withCode('ECONNRESET'));
+  assert.strictEqual(await callWithResilience('db.getDocument', operation, { policy: { ...policy, idempotent: true } }), 'ok');
+  assert.strictEqual(operation.calls, 3);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAREER_STAGES, MARKETABILITY_WEIGHTS, resolveCareerStage, scoreCV } = require('../src/rubric');
+const { parseCV } = require('../src/parser');
+
+const cvText = `Alex Example
+alex@example.com
+
+EXPERIENCE
+Software Engineer, Example Corp
+Jan 2020 - Present
+- Built Node.js services and React front ends
+- Deployed applications to AWS with Docker
+
+EDUCATION
+BSc Computer Science, Example University, 2015 - 2019
+
+SKILLS
+JavaScript, Node.js, React, Docker, AWS, SQL`;
+
+const score = careerStage => scoreCV({ talent: { careerStage }, careerPath: null, parsedCV: parseCV(cvText), cvText, alignment: null });
+const weightsOf = breakdown => Object.fromEntries(breakdown.components.map(component => [component.id, component.weight]));
+
+test('maps profile career stages to rubric stages', () => {
+  assert.strictEqual(resolveCareerStage('Junior developer').stage, 'early');
+  assert.strictEqual(resolveCareerStage('Senior Engineer').stage, 'senior');
+  assert.strictEqual(resolveCareerStage('Career changer').stage, 'changer');
+  assert.deepStrictEqual(resolveCareerStage(null), { stage: 'mid', label: 'Mid-career', profileValue: null, recognized: false });
+});
+
+test('weights each stage out of 100 points', () => {
+  for (const [stage, { weights }] of Object.entries(CAREER_STAGES)) {
+    assert.strictEqual(Object.values(weights).reduce((sum, weight) => sum + weight, 0), 100, stage);
+  }
+  assert.strictEqual(Object.values(MARKETABILITY_WEIGHTS).reduce((sum, weight) => sum + weight, 0), 100);
+});
+
+test('weights the overall score by the talent stage, sharing out dimensions that do not apply', () => {
+  const early = score('Graduate');
+  const senior = score('Senior Engineer');
+
+  // No certifications required or listed: its weight is shared among the other dimensions
+  assert.deepStrictEqual(weightsOf(early.overall), {
+    experienceRelevance: 16.7, skillCoverage: 27.8, quantifiedImpact: 11.1, educationFit: 27.8, certifications: 0, presentation: 16.7
+  });
+  assert.deepStrictEqual(weightsOf(senior.overall), {
+    experienceRelevance: 36.8, skillCoverage: 15.8, quantifiedImpact: 31.6, educationFit: 5.3, certifications: 0, presentation: 10.5
+  });
+  assert.ok(early.overall.score > senior.overall.score);
+});
+
+test('uses the same marketability weights for every stage', () => {
+  const expected = weightsOf(score('Graduate').marketability);
+  for (const careerStage of ['Mid-level', 'Senior Engineer', 'Career changer']) {
+    assert.deepStrictEqual(weightsOf(score(careerStage).marketability), expected, careerStage);
+  }
+  assert.strictEqual(expected.certifications, 0);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JOB_REQUIREMENTS_SCHEMA, extractJSON, parseModelJSON, coerceToSchema, validateSchema } = require('../src/schema');
+
+test('extracts the JSON object from fenced and surrounded responses', () => {
+  assert.strictEqual(extractJSON('Here you go:\n```json\n{"a": 1}\n```\nAnything else?'), '{"a": 1}');
+  assert.throws(() => extractJSON('No JSON here'), /No valid JSON object found/);
+});
+
+test('repairs common syntax issues outside strings only', () => {
+  assert.deepStrictEqual(JSON.parse(extractJSON(`{summary: "It's done, ok", tags: ['a', 'b',],}`)), { summary: "It's done, ok", tags: ['a', 'b'] });
+  assert.deepStrictEqual(JSON.parse(extractJSON('{"note": "line one\nline two: ok"}')), { note: 'line one\nline two: ok' });
+});
+
+test('leaves several top-level objects as they are, which then fail to parse', () => {
+  assert.strictEqual(extractJSON('{"a":1} {"b":2}'), '{"a":1} {"b":2}');
+  assert.throws(() => parseModelJSON('{"a":1} {"b":2}'), /Failed to parse JSON/);
+});
+
+test('coerces common model mistakes towards the schema', () => {
+  const coerced = coerceToSchema({
+    title: 42,
+    mustHaveSkills: 'Python',
+    niceToHaveSkills: ['Go', '', null],
+    minYearsExperience: '5+ years',
+    degrees: null
+  }, JOB_REQUIREMENTS_SCHEMA);
+
+  assert.strictEqual(coerced.title, '42');
+  assert.deepStrictEqual(coerced.mustHaveSkills, ['Python']);
+  assert.deepStrictEqual(coerced.niceToHaveSkills, ['Go']);
+  assert.strictEqual(coerced.minYearsExperience, 5);
+  assert.deepStrictEqual(coerced.degrees, []);
+  assert.deepStrictEqual(coerceToSchema('85/100', { type: 'integer', minimum: 0, maximum: 100 }), 85);
+  assert.deepStrictEqual(coerceToSchema('150%', { type: 'integer', minimum: 0, maximum: 100 }), 100);
+});
+
+test('returns values it cannot coerce unchanged for the validator to report', () => {
+  assert.strictEqual(coerceToSchema('n/a', { type: 'integer' }), 'n/a');
+  assert.deepStrictEqual(validateSchema(coerceToSchema('n/a', { type: 'integer' }), { type: 'integer' }), ['$: expected integer, got string']);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canonicalDegree, buildProfilePatches, applyProfilePatches } = require('../src/sync');
+
+const talent = { skills: ['javascript'], certifications: [], degrees: ['BSc Computer Science'] };
+const parsedCV = {
+  skills: ['JavaScript', 'Python', 'k8s'],
+  certifications: [],
+  education: [
+    { degree: 'Bachelor of Science', field: 'Computer Science' },
+    { degree: 'Master of Science', field: 'Data Science' }
+  ]
+};
+const cvText = 'Skills\nJavaScript, Python, k8s\nEducation\nBachelor of Science in Computer Science\nMaster of Science in Data Science';
+
+test('proposes canonical values missing from the profile, with stable ids', () => {
+  const { patches } = buildProfilePatches({ talent, parsedCV, cvText });
+  assert.deepStrictEqual(patches.map(patch => [patch.id, patch.value]), [
+    ['skills:python', 'Python'],
+    ['skills:kubernetes', 'Kubernetes'],
+    ['degrees:mscdatascience', 'MSc Data Science']
+  ]);
+  assert.deepStrictEqual(buildProfilePatches({ talent, parsedCV, cvText }).patches, patches);
+  assert.strictEqual(canonicalDegree('Bachelor of Science in Computer Science'), 'BSc Computer Science');
+});
+
+test('applies patches once: applying them again changes nothing', () => {
+  const { patches } = buildProfilePatches({ talent, parsedCV, cvText });
+
+  const first = applyProfilePatches(talent, patches);
+  assert.deepStrictEqual(first.changes, {
+    skills: ['javascript', 'Python', 'Kubernetes'],
+    degrees: ['BSc Computer Science', 'MSc Data Science']
+  });
+  assert.deepStrictEqual(first.applied, patches.map(patch => patch.id));
+
+  const second = applyProfilePatches({ ...talent, ...first.changes }, patches);
+  assert.deepStrictEqual(second.changes, {});
+  assert.deepStrictEqual(second.applied, []);
+  assert.ok(second.skipped.every(skip => skip.reason === 'already-present'));
+});
+
+test('skips a value already on the profile under another spelling, and unsupported patches', () => {
+  const result = applyProfilePatches({ skills: ['K8s'] }, [
+    { id: 'skills:kubernetes', op: 'add', field: 'skills', value: 'Kubernetes' },
+    { id: 'interests:chess', op: 'add', field: 'interests', value: 'Chess' },
+    { id: 'skills:python', op: 'remove', field: 'skills', value: 'Python' }
+  ]);
+  assert.deepStrictEqual(result, {
+    changes: {},
+    applied: [],
+    skipped: [
+      { id: 'skills:kubernetes', reason: 'already-present' },
+      { id: 'interests:chess', reason: 'unsupported' },
+      { id: 'skills:python', reason: 'unsupported' }
+    ]
+  });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildTimeline } = require('../src/timeline');
+
+const now = new Date('2024-06-15T00:00:00Z');
+const job = (position, company, startDate, endDate, isCurrent = false) => ({ position, company, startDate, endDate, isCurrent });
+
+test('reports employment gaps, including the time since the last role', () => {
+  const { gaps } = buildTimeline({
+    parsedCV: { work: [job('Analyst', 'Acme', '2015-01', '2016-01'), job('Engineer', 'Beta', '2016-12', '2023-03')], education: [] },
+    now
+  });
+  assert.deepStrictEqual(gaps, [
+    { startDate: '2016-02', endDate: '2016-11', months: 10, after: 'Analyst at Acme', before: 'Engineer at Beta' },
+    { startDate: '2023-04', endDate: null, months: 15, after: 'Engineer at Beta', before: null }
+  ]);
+});
+
+test('does not count time in education or short breaks as gaps', () => {
+  const parsedCV = {
+    work: [
+      job('Analyst', 'Acme', '2015-01', '2017-06'),
+      job('Engineer', 'Beta', '2018-03', '2020-01'),
+      job('Consultant', 'Gamma', '2020-04', null, true)
+    ],
+    education: [{ degree: 'MSc', field: 'Data Science', institution: 'Uni', startDate: '2017-09', endDate: '2018-01' }]
+  };
+  assert.deepStrictEqual(buildTimeline({ parsedCV, now }).gaps, []);
+  assert.strictEqual(buildTimeline({ parsedCV: { ...parsedCV, education: [] }, now }).gaps[0].months, 8);
+});
+
+test('reports overlapping roles, ignoring short and year-only overlaps', () => {
+  const { overlaps, totalYears } = buildTimeline({
+    parsedCV: {
+      work: [
+        job('Engineer', 'Beta', '2018-03', '2021-12'),
+        job('Consultant', 'Gamma', '2021-06', '2023-03'),
+        job('Mentor', 'Delta', '2023-02', '2023-05'),
+        job('Freelance Developer', null, '2020', '2020')
+      ],
+      education: []
+    },
+    now
+  });
+  assert.deepStrictEqual(overlaps, [
+    { startDate: '2021-06', endDate: '2021-12', months: 7, entries: ['Engineer at Beta', 'Consultant at Gamma'] }
+  ]);
+  // 2018-03 to 2023-05, concurrent roles counted once
+  assert.strictEqual(totalYears, 5.3);
+});
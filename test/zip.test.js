@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_ENTRY_SIZE, createZip, readZipEntries, readZipEntry } = require('../src/zip');
+
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+
+/**
+ * Overwrite the uncompressed size an archive's central directory declares for its first entry
+ * @param {Buffer} archive - ZIP archive
+ * @param {number} size - Declared size
+ * @returns {Buffer} - Modified copy
+ */
+function declareSize(archive, size) {
+  const copy = Buffer.from(archive);
+  for (let offset = 0; offset < copy.length - 4; offset++) {
+    if (copy.readUInt32LE(offset) === CENTRAL_DIRECTORY_SIGNATURE) {
+      copy.writeUInt32LE(size, offset + 24);
+      return copy;
+    }
+  }
+  throw new Error('No central directory');
+}
+
+test('reads entries written by createZip', () => {
+  const archive = createZip([
+    { name: 'word/document.xml', data: '<w:document>'.repeat(100) },
+    { name: 'image.bin', data: Buffer.from([1, 2, 3]) }
+  ]);
+
+  assert.deepStrictEqual([...readZipEntries(archive).keys()], ['word/document.xml', 'image.bin']);
+  assert.strictEqual(readZipEntry(archive, 'word/document.xml').toString(), '<w:document>'.repeat(100));
+  assert.deepStrictEqual([...readZipEntry(archive, 'image.bin')], [1, 2, 3]);
+  assert.strictEqual(readZipEntry(archive, 'missing.xml'), null);
+});
+
+test('rejects an entry whose declared size is over the limit, without inflating it', () => {
+  const archive = createZip([{ name: 'word/document.xml', data: Buffer.alloc(MAX_ENTRY_SIZE + 1) }]);
+
+  assert.throws(() => readZipEntry(archive, 'word/document.xml'), /too large/);
+});
+
+test('stops inflating an entry that expands beyond its declared size', () => {
+  const bomb = declareSize(createZip([{ name: 'word/document.xml', data: Buffer.alloc(4 * 1024 * 1024) }]), 1024);
+
+  assert.ok(bomb.length < 16 * 1024);
+  assert.throws(() => readZipEntry(bomb, 'word/document.xml'), /inflates beyond its declared size/);
+});